@@ -74,6 +74,20 @@ export const normalizeProjectorLanguageMode = (rawMode) => {
 export const normalizeProjectorRevision = (rawRevision) =>
   normalizeInt(rawRevision, 0, 0, Number.MAX_SAFE_INTEGER)
 
+const normalizeLiveEntries = (rawEntries) =>
+  Array.isArray(rawEntries)
+    ? rawEntries
+        .map((entry) => ({
+          text: typeof entry?.text === 'string' ? entry.text.trim() : '',
+          speakerId:
+            Number.isInteger(entry?.speakerId) && entry.speakerId > 0
+              ? entry.speakerId
+              : null,
+          isFinal: entry?.isFinal !== false,
+        }))
+        .filter((entry) => entry.text)
+    : []
+
 export const normalizeDisplayPayload = (payload) => {
   const enabled =
     typeof payload?.displayEnabled === 'boolean'
@@ -122,18 +136,15 @@ export const normalizeDisplayPayload = (payload) => {
   const transcriptionIsFinal = transcription.isFinal !== false
   const source =
     typeof payload?.source === 'string' ? payload.source : 'script'
-  const liveEntries = Array.isArray(payload?.liveEntries)
-    ? payload.liveEntries
-        .map((entry) => ({
-          text: typeof entry?.text === 'string' ? entry.text.trim() : '',
-          speakerId:
-            Number.isInteger(entry?.speakerId) && entry.speakerId > 0
-              ? entry.speakerId
-              : null,
-          isFinal: entry?.isFinal !== false,
-        }))
-        .filter((entry) => entry.text)
-    : []
+  const liveEntries = normalizeLiveEntries(payload?.liveEntries)
+  const liveEntriesByLanguage = Object.fromEntries(
+    Object.entries(
+      payload?.liveEntriesByLanguage &&
+        typeof payload.liveEntriesByLanguage === 'object'
+        ? payload.liveEntriesByLanguage
+        : {},
+    ).map(([languageId, entries]) => [languageId, normalizeLiveEntries(entries)]),
+  )
   const liveLines = Array.isArray(payload?.liveLines)
     ? payload.liveLines
         .filter((line) => typeof line === 'string')
@@ -152,6 +163,7 @@ export const normalizeDisplayPayload = (payload) => {
     lines,
     currentIndex,
     liveEntries,
+    liveEntriesByLanguage,
     liveLines,
     musicActive,
     musicText,
@@ -197,6 +209,25 @@ export const resolveLineText = (line, languageId) => {
   return ''
 }
 
+// The server resolves "auto" from the language code, so clients only read the
+// result; unknown languages render left to right.
+export const resolveLanguageDirection = (languages, languageId) =>
+  (Array.isArray(languages) ? languages : []).find(
+    (language) => language?.id === languageId,
+  )?.textDirection === 'rtl'
+    ? 'rtl'
+    : 'ltr'
+
+// Falls back to the spoken transcript until the language has translated lines.
+export const resolveLiveEntries = (
+  liveEntriesByLanguage,
+  languageId,
+  fallbackEntries = [],
+) => {
+  const entries = liveEntriesByLanguage?.[languageId]
+  return Array.isArray(entries) && entries.length > 0 ? entries : fallbackEntries
+}
+
 export const resolveLanguageDisplayList = (
   languages,
   preferredLanguageId,
@@ -32,6 +32,20 @@ const AdminPage = () => {
     password: '',
     role: 'operator',
   })
+  const [llmCache, setLlmCache] = useState(null)
+  const [purgingLlmCache, setPurgingLlmCache] = useState(false)
+
+  const loadLlmCache = async () => {
+    try {
+      const response = await fetch('/api/admin/llm-cache')
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        setLlmCache(data.cache || null)
+      }
+    } catch {
+      setLlmCache(null)
+    }
+  }
 
   const loadUsers = async () => {
     setLoadingUsers(true)
@@ -74,6 +88,11 @@ const AdminPage = () => {
           } else {
             setUsers(Array.isArray(usersData?.users) ? usersData.users : [])
           }
+          const cacheResponse = await fetch('/api/admin/llm-cache')
+          const cacheData = await cacheResponse.json().catch(() => ({}))
+          if (!cancelled && cacheResponse.ok) {
+            setLlmCache(cacheData.cache || null)
+          }
         }
       } catch {
         if (!cancelled) {
@@ -124,6 +143,35 @@ const AdminPage = () => {
     }
   }
 
+  const handlePurgeLlmCache = async (model = '') => {
+    const confirmed = window.confirm(
+      model
+        ? `要清除模型「${model}」的解析快取嗎？`
+        : '要清除所有 OpenAI 解析快取嗎？之後重新解析會重新呼叫模型。',
+    )
+    if (!confirmed) return
+    setPurgingLlmCache(true)
+    setError('')
+    setNotice('')
+
+    try {
+      const query = model ? `?model=${encodeURIComponent(model)}` : ''
+      const response = await fetch(`/api/admin/llm-cache${query}`, {
+        method: 'DELETE',
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(data.error || '清除解析快取失敗')
+      }
+      setLlmCache(data.cache || null)
+      setNotice(`已清除 ${data.purgedCount || 0} 筆解析快取`)
+    } catch (purgeError) {
+      setError(purgeError.message || '清除解析快取失敗')
+    } finally {
+      setPurgingLlmCache(false)
+    }
+  }
+
   const handleCreateUser = async (event) => {
     event.preventDefault()
     setCreatingUser(true)
@@ -240,7 +288,15 @@ const AdminPage = () => {
             <button type="button" className="subtle-button" onClick={() => navigate('/')}>
               返回首頁
             </button>
-            <button type="button" className="subtle-button" onClick={loadUsers} disabled={loadingUsers}>
+            <button
+              type="button"
+              className="subtle-button"
+              onClick={() => {
+                loadUsers()
+                loadLlmCache()
+              }}
+              disabled={loadingUsers}
+            >
               {loadingUsers ? '重新整理中…' : '重新整理'}
             </button>
             <button type="button" className="subtle-button" onClick={handleLogout}>
@@ -316,6 +372,43 @@ const AdminPage = () => {
           </form>
         </section>
 
+        <section className="dashboard-settings-card">
+          <div>
+            <h2>OpenAI 解析快取</h2>
+            <p>
+              劇本拆解會依段落文字、模型與提示版本快取結果，重新解析時未變動的段落不會再呼叫模型。
+              {llmCache
+                ? `目前 ${llmCache.entryCount} / ${llmCache.maxEntries} 筆，累計命中 ${llmCache.hitCount} 次。`
+                : ''}
+            </p>
+          </div>
+          {llmCache && Object.keys(llmCache.byModel).length > 0 && (
+            <div className="dashboard-actions">
+              {Object.entries(llmCache.byModel).map(([model, count]) => (
+                <button
+                  key={model}
+                  type="button"
+                  className="subtle-button"
+                  onClick={() => handlePurgeLlmCache(model)}
+                  disabled={purgingLlmCache}
+                >
+                  清除 {model}（{count}）
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="dashboard-actions">
+            <button
+              type="button"
+              className="subtle-button danger-button"
+              onClick={() => handlePurgeLlmCache()}
+              disabled={purgingLlmCache || !llmCache?.entryCount}
+            >
+              {purgingLlmCache ? '清除中…' : '清除全部快取'}
+            </button>
+          </div>
+        </section>
+
         <section className="admin-grid">
           {users.map((account) => (
             <article key={account.id} className="admin-user-card">
@@ -10,6 +10,7 @@ import {
   normalizeProjectorRevision,
   PROJECTOR_DISPLAY_MODES,
   PROJECTOR_LANGUAGE_MODES,
+  resolveLanguageDirection,
   resolveLanguageDisplayList,
   resolveLineText,
   roleToColor,
@@ -19,13 +20,21 @@ const storageKeys = {
   apiKey: 'subtitleMachineApiKey',
   rememberKey: 'subtitleMachineRememberKey',
   scriptParseModel: 'subtitleMachineScriptParseModel',
+  midiInput: 'subtitleMachineMidiInput',
 }
 
 const DEFAULT_SCRIPT_PARSE_MODEL = 'gpt-4o-mini'
 const SUBTITLE_CONTROL_MODES = Object.freeze({
   MANUAL: 'manual',
   AUTO: 'auto',
+  TIMED: 'timed',
 })
+const SUBTITLE_CONTROL_MODE_LABELS = Object.freeze({
+  [SUBTITLE_CONTROL_MODES.MANUAL]: '手動模式',
+  [SUBTITLE_CONTROL_MODES.AUTO]: '自動模式',
+  [SUBTITLE_CONTROL_MODES.TIMED]: '定時模式',
+})
+const TIMED_PLAYBACK_NUDGE_MS = 1000
 const SCRIPT_PARSE_MODEL_OPTIONS = Object.freeze([
   {
     id: 'gpt-4o-mini',
@@ -46,6 +55,101 @@ const SCRIPT_PARSE_MODEL_OPTIONS = Object.freeze([
 const ALLOWED_SCRIPT_PARSE_MODELS = new Set(
   SCRIPT_PARSE_MODEL_OPTIONS.map((model) => model.id),
 )
+const LLM_PROVIDER_KINDS = Object.freeze({
+  OPENAI: 'openai',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+})
+const toLlmProviderInput = (raw) => ({
+  kind:
+    raw?.kind === LLM_PROVIDER_KINDS.OPENAI_COMPATIBLE
+      ? LLM_PROVIDER_KINDS.OPENAI_COMPATIBLE
+      : LLM_PROVIDER_KINDS.OPENAI,
+  baseUrl: typeof raw?.baseUrl === 'string' ? raw.baseUrl : '',
+  apiKey: '',
+  hasApiKey: raw?.hasApiKey === true,
+  clearApiKey: false,
+  model: typeof raw?.model === 'string' ? raw.model : '',
+  jsonMode: raw?.jsonMode !== false,
+  maxPromptChars: Number.isFinite(raw?.maxPromptChars)
+    ? String(raw.maxPromptChars)
+    : '',
+})
+const SCRIPT_RULE_TYPE_OPTIONS = Object.freeze([
+  { id: 'direction', name: '舞台指示' },
+  { id: 'dialogue', name: '台詞' },
+  { id: 'role', name: '角色標記' },
+])
+const GLOSSARY_CATEGORY_OPTIONS = Object.freeze([
+  { id: 'term', name: '術語' },
+  { id: 'character', name: '角色名' },
+  { id: 'place', name: '地名' },
+  { id: 'other', name: '其他' },
+])
+const TRANSLATION_REPORT_ISSUE_LABELS = Object.freeze({
+  empty: '空白',
+  tooLong: '過長',
+  numberMismatch: '數字不符',
+  nameMismatch: '譯名不符',
+  machineDrafted: '機器初稿',
+})
+const SHOW_LOG_SOURCE_LABELS = Object.freeze({
+  manual: '手動點選',
+  keyboard: '鍵盤',
+  'auto-follow': '自動跟戲',
+  api: 'API',
+  timed: '定時播放',
+  osc: 'OSC',
+  midi: 'MIDI',
+  'run-start': '開始時畫面',
+})
+const SHOW_LOG_ENTRY_KIND_LABELS = Object.freeze({
+  blackout: '遮蔽字幕',
+  restore: '恢復顯示',
+})
+const CUE_INPUT_MIDI_NOTE_FIELDS = Object.freeze([
+  { id: 'go', name: 'GO（下一句）' },
+  { id: 'back', name: 'BACK（上一句）' },
+  { id: 'blackout', name: '遮蔽字幕' },
+  { id: 'restore', name: '恢復顯示' },
+])
+const WEBHOOK_EVENT_OPTIONS = Object.freeze([
+  { id: 'cue.changed', name: '切換字幕' },
+  { id: 'display.changed', name: '遮蔽 / 恢復顯示' },
+  { id: 'session.ended', name: '節目結束' },
+])
+const CUE_INPUT_STATUS_LABELS = Object.freeze({
+  applied: '已執行',
+  ignored: '略過',
+  error: '錯誤',
+})
+const toCueInputForm = (raw) => ({
+  oscEnabled: raw?.oscEnabled === true,
+  oscPort: Number.isInteger(raw?.oscPort) ? String(raw.oscPort) : '53100',
+  oscPrefix: typeof raw?.oscPrefix === 'string' ? raw.oscPrefix : '/subtitle',
+  oscAllowedSenders: Array.isArray(raw?.oscAllowedSenders)
+    ? raw.oscAllowedSenders.join(', ')
+    : '',
+  midiEnabled: raw?.midiEnabled === true,
+  midiChannel: Number.isInteger(raw?.midiChannel) ? String(raw.midiChannel) : '0',
+  midiDeviceId: Number.isInteger(raw?.midiDeviceId)
+    ? String(raw.midiDeviceId)
+    : '127',
+  midiNotes: Object.fromEntries(
+    CUE_INPUT_MIDI_NOTE_FIELDS.map(({ id }) => [
+      id,
+      Number.isInteger(raw?.midiNotes?.[id]) ? String(raw.midiNotes[id]) : '',
+    ]),
+  ),
+})
+const createBlankScriptRule = () => ({
+  id: '',
+  label: '',
+  pattern: '',
+  type: 'direction',
+  priority: 0,
+  ignoreCase: false,
+  enabled: true,
+})
 const DEFAULT_TRANSCRIPTION_MODEL = 'gpt-4o-transcribe'
 const PRIMARY_ONLY_OPTION_ID = '__primary_only__'
 const ALL_LANGUAGES_OPTION_ID = '__all_languages__'
@@ -89,6 +193,7 @@ const DEFAULT_TRANSCRIPTION_STATE = {
   dualChannelEnabled: true,
   speakerRecognitionEnabled: false,
   error: '',
+  liveTranslationError: '',
   updatedAt: null,
 }
 
@@ -160,6 +265,82 @@ const normalizeAutoFollowState = (raw) => {
   }
 }
 
+const DEFAULT_TIMED_PLAYBACK_STATE = {
+  status: 'paused',
+  lineIndex: null,
+  lineDurationMs: 0,
+  remainingMs: 0,
+  updatedAt: null,
+  receivedAt: 0,
+}
+
+// remainingMs is measured on the server when the payload is sent, so the
+// countdown runs from when this client received it rather than server time.
+const normalizeTimedPlaybackState = (raw) => {
+  if (!raw || typeof raw !== 'object') {
+    return DEFAULT_TIMED_PLAYBACK_STATE
+  }
+
+  return {
+    status: ['playing', 'paused', 'ended'].includes(raw.status) ? raw.status : 'paused',
+    lineIndex: Number.isInteger(raw.lineIndex) ? raw.lineIndex : null,
+    lineDurationMs: safeFiniteNumber(raw.lineDurationMs),
+    remainingMs: safeFiniteNumber(raw.remainingMs),
+    updatedAt:
+      typeof raw.updatedAt === 'number' && Number.isFinite(raw.updatedAt)
+        ? raw.updatedAt
+        : null,
+    receivedAt: Date.now(),
+  }
+}
+
+const formatDurationSeconds = (ms) => `${(Math.max(0, ms) / 1000).toFixed(1)} 秒`
+
+const DEFAULT_STANDBY_STATE = {
+  enabled: false,
+  index: null,
+  pinned: false,
+}
+
+const normalizeStandbyState = (raw) => {
+  if (!raw || typeof raw !== 'object') {
+    return DEFAULT_STANDBY_STATE
+  }
+
+  return {
+    enabled: raw.enabled === true,
+    index: Number.isInteger(raw.index) && raw.index >= 0 ? raw.index : null,
+    pinned: raw.pinned === true,
+  }
+}
+
+const DEFAULT_CUE_INPUT_MONITOR = {
+  osc: { listening: false, host: '', port: null, error: '' },
+  log: [],
+}
+
+const normalizeCueInputMonitor = (raw) => {
+  if (!raw || typeof raw !== 'object') {
+    return DEFAULT_CUE_INPUT_MONITOR
+  }
+
+  return {
+    osc: {
+      listening: raw.osc?.listening === true,
+      host: typeof raw.osc?.host === 'string' ? raw.osc.host : '',
+      port: Number.isInteger(raw.osc?.port) ? raw.osc.port : null,
+      error: typeof raw.osc?.error === 'string' ? raw.osc.error : '',
+    },
+    log: Array.isArray(raw.log) ? raw.log : [],
+  }
+}
+
+// Web MIDI also delivers clock, active sensing and note-offs; only Note On and
+// SysEx (MIDI Show Control) can map to a cue.
+const isForwardableMidiMessage = (data) =>
+  data.length > 0 &&
+  (data[0] === 0xf0 || ((data[0] & 0xf0) === 0x90 && data[2] > 0))
+
 const PROJECTOR_FONT_STEP = 5
 const PROJECTOR_WIDTH_STEP = 5
 const PROJECTOR_POSITION_STEP = 1
@@ -190,6 +371,8 @@ const normalizeTranscriptionState = (raw) => {
     text: typeof raw.text === 'string' ? raw.text : '',
     isFinal: raw.isFinal !== false,
     error: typeof raw.error === 'string' ? raw.error : '',
+    liveTranslationError:
+      typeof raw.liveTranslationError === 'string' ? raw.liveTranslationError : '',
     status:
       typeof raw.status === 'string' && raw.status.trim().length > 0
         ? raw.status
@@ -804,6 +987,14 @@ const formatStatusTimestamp = (timestamp) => {
   return new Date(timestamp).toLocaleString('zh-TW', { hour12: false })
 }
 
+const formatShowRunElapsed = (ms) => {
+  const totalSeconds = Math.max(0, Math.round((Number(ms) || 0) / 1000))
+  const hours = Math.floor(totalSeconds / 3600)
+  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0')
+  const seconds = String(totalSeconds % 60).padStart(2, '0')
+  return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`
+}
+
 const formatRelativeSeconds = (timestamp) => {
   if (!Number.isFinite(timestamp) || timestamp <= 0) return '尚未收到'
   const seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000))
@@ -814,6 +1005,89 @@ const formatRelativeSeconds = (timestamp) => {
 const safeFiniteNumber = (value, fallback = 0) =>
   typeof value === 'number' && Number.isFinite(value) ? value : fallback
 
+const SCRIPT_JOB_KINDS = Object.freeze({
+  PRIMARY_PARSE: 'primary-parse',
+  LANGUAGE_PARSE: 'language-parse',
+  TRANSLATE: 'translate',
+})
+
+const formatScriptJobProgress = (job) =>
+  job?.progress?.total > 0
+    ? `${job.progress.completed}/${job.progress.total} 段`
+    : '準備中'
+
+const describeFinishedScriptJob = (job) => {
+  if (job.status === 'cancelled') {
+    return { kind: 'info', message: '解析工作已取消，字幕沒有變更' }
+  }
+  if (job.status === 'failed') {
+    return {
+      kind: 'error',
+      message: job.details ? `${job.error}：${job.details}` : job.error,
+    }
+  }
+  if (job.kind === SCRIPT_JOB_KINDS.TRANSLATE) {
+    return {
+      kind: job.warning ? 'info' : 'success',
+      message: job.warning
+        ? `機器翻譯完成（${job.parsedLineCount} 句），${job.warning}`
+        : `機器翻譯完成，${job.parsedLineCount} 句已標為機器初稿`,
+    }
+  }
+  const target =
+    job.kind === SCRIPT_JOB_KINDS.PRIMARY_PARSE ? '第一語言字幕' : '多語字幕清單'
+  const cacheNote =
+    job.cacheStats?.hits > 0
+      ? `，${job.cacheStats.hits}/${job.cacheStats.hits + job.cacheStats.misses} 段沿用快取`
+      : ''
+  return {
+    kind: job.warning ? 'info' : 'success',
+    message:
+      job.warning ||
+      (job.parsedLineCount > 0
+        ? `${target}已更新（${job.parsedLineCount} 行${cacheNote}）`
+        : `${target}已更新`),
+  }
+}
+
+// Rows own contiguous runs of source segments, so the review only tracks where
+// each row starts; an empty row starts where the next one does.
+const getAlignmentReviewStarts = (reviewLines, unitCount) => {
+  let consumedUnits = 0
+  const starts = reviewLines.map((line) => {
+    const start = consumedUnits
+    if (Number.isInteger(line.startUnit) && Number.isInteger(line.endUnit)) {
+      consumedUnits = line.endUnit + 1
+    }
+    return start
+  })
+  return [...starts, unitCount]
+}
+
+const getAlignmentReviewRanges = (starts) =>
+  starts.slice(0, -1).map((start, index) =>
+    start < starts[index + 1]
+      ? { startUnit: start, endUnit: starts[index + 1] - 1 }
+      : { startUnit: null, endUnit: null },
+  )
+
+const moveAlignmentReviewBoundary = (starts, rowIndex, nextStart) => {
+  if (rowIndex <= 0 || rowIndex >= starts.length - 1) return starts
+  const clampedStart = Math.min(
+    Math.max(nextStart, starts[rowIndex - 1]),
+    starts[rowIndex + 1],
+  )
+  if (clampedStart === starts[rowIndex]) return starts
+  const nextStarts = starts.slice()
+  nextStarts[rowIndex] = clampedStart
+  return nextStarts
+}
+
+const upsertScriptJob = (jobs, job) => [
+  job,
+  ...jobs.filter((entry) => entry.id !== job.id),
+]
+
 const formatMutationErrorMessage = (data, fallbackMessage = '操作失敗') => {
   const message = data?.details || data?.error || fallbackMessage
   const diagnostics =
@@ -879,6 +1153,26 @@ const ControlPage = () => {
     DEFAULT_TRANSCRIPTION_STATE,
   )
   const [autoFollow, setAutoFollow] = useState(DEFAULT_AUTO_FOLLOW_STATE)
+  const [timedPlayback, setTimedPlayback] = useState(DEFAULT_TIMED_PLAYBACK_STATE)
+  const [timedPlaybackNow, setTimedPlaybackNow] = useState(() => Date.now())
+  const [standby, setStandby] = useState(DEFAULT_STANDBY_STATE)
+  const [cueInputMonitor, setCueInputMonitor] = useState(DEFAULT_CUE_INPUT_MONITOR)
+  const [cueInputForm, setCueInputForm] = useState(() => toCueInputForm(null))
+  const [midiInputEnabled, setMidiInputEnabled] = useState(() => {
+    if (typeof window === 'undefined') return false
+    return window.localStorage.getItem(storageKeys.midiInput) === 'true'
+  })
+  const [midiInputStatus, setMidiInputStatus] = useState({
+    state: 'idle',
+    devices: [],
+  })
+  const [apiTokenNameInput, setApiTokenNameInput] = useState('')
+  const [webhookUrlInput, setWebhookUrlInput] = useState('')
+  const [webhookEventsInput, setWebhookEventsInput] = useState(() =>
+    WEBHOOK_EVENT_OPTIONS.map((option) => option.id),
+  )
+  // Tokens and webhook secrets are only returned when created.
+  const [revealedIntegrationSecret, setRevealedIntegrationSecret] = useState(null)
   const [micDiagnostics, setMicDiagnostics] = useState({
     active: false,
     socketConnected: false,
@@ -909,6 +1203,7 @@ const ControlPage = () => {
   const [draftInputs, setDraftInputs] = useState({})
   const [parsingPrimary, setParsingPrimary] = useState(false)
   const [parsingLanguageId, setParsingLanguageId] = useState('')
+  const [scriptJobs, setScriptJobs] = useState([])
   const [clearingSubtitles, setClearingSubtitles] = useState(false)
   const [comparisonLanguageId, setComparisonLanguageId] = useState('')
   const [editingModeEnabled, setEditingModeEnabled] = useState(false)
@@ -925,14 +1220,55 @@ const ControlPage = () => {
   const [qrCodeUrl, setQrCodeUrl] = useState('')
   const [viewerAliasInput, setViewerAliasInput] = useState('')
   const [programTitleInput, setProgramTitleInput] = useState('')
+  const [scriptRevisionPreview, setScriptRevisionPreview] = useState(null)
+  const [translationReport, setTranslationReport] = useState(null)
+  const [translationMemorySuggestions, setTranslationMemorySuggestions] =
+    useState(null)
+  const [loadingTranslationReport, setLoadingTranslationReport] = useState(false)
+  const [showRuns, setShowRuns] = useState(null)
+  const [showRunDetail, setShowRunDetail] = useState(null)
+  const [showRunNameInput, setShowRunNameInput] = useState('')
+  const [showRunExportLanguageId, setShowRunExportLanguageId] = useState('primary')
+  const [loadingShowRuns, setLoadingShowRuns] = useState(false)
+  const [togglingShowRun, setTogglingShowRun] = useState(false)
+  const [scriptRulesInput, setScriptRulesInput] = useState([])
+  const [scriptRuleTestText, setScriptRuleTestText] = useState('')
+  const [scriptRuleTestResult, setScriptRuleTestResult] = useState(null)
+  const [lineLengthInput, setLineLengthInput] = useState({})
+  const [glossaryInput, setGlossaryInput] = useState([])
+  const [previewingScriptRevision, setPreviewingScriptRevision] = useState(false)
+  const [applyingScriptRevision, setApplyingScriptRevision] = useState(false)
+  const [llmProviderInput, setLlmProviderInput] = useState(() =>
+    toLlmProviderInput(null),
+  )
   const [importingSessionBackup, setImportingSessionBackup] = useState(false)
+  const [importingScriptDocument, setImportingScriptDocument] = useState(false)
+  const [importingFountain, setImportingFountain] = useState(false)
+  const [importingSubtitleFile, setImportingSubtitleFile] = useState(false)
+  const [subtitleImportLanguageId, setSubtitleImportLanguageId] = useState('primary')
+  const [subtitleExportLanguageId, setSubtitleExportLanguageId] = useState('primary')
+  const [translationExchangeLanguageId, setTranslationExchangeLanguageId] =
+    useState('')
+  const [translationExchangeScope, setTranslationExchangeScope] = useState('cell')
+  const [importingTranslationFile, setImportingTranslationFile] = useState(false)
+  const [translationImportReport, setTranslationImportReport] = useState(null)
+  const [languageSourceStats, setLanguageSourceStats] = useState({})
+  const [alignmentReview, setAlignmentReview] = useState(null)
+  const [loadingAlignmentLanguageId, setLoadingAlignmentLanguageId] = useState('')
+  const [applyingAlignmentReview, setApplyingAlignmentReview] = useState(false)
   const socketRef = useRef(null)
   const jsonInputRef = useRef(null)
   const sessionBackupInputRef = useRef(null)
+  const scriptDocumentInputRef = useRef(null)
+  const fountainInputRef = useRef(null)
+  const subtitleFileInputRef = useRef(null)
+  const translationFileInputRef = useRef(null)
+  const draggingAlignmentBoundaryRef = useRef(null)
   const lineRefs = useRef({})
   const rowRefs = useRef([])
   const serverDraftInputsRef = useRef({})
   const pendingLineClickTimeoutRef = useRef(null)
+  const pendingReportJumpRef = useRef(null)
   const skipBlurRef = useRef(new Set())
   const lastTranscriptionErrorRef = useRef('')
   const projectorRevisionRef = useRef(0)
@@ -1008,6 +1344,11 @@ const ControlPage = () => {
       },
     ]
   }, [sessionMeta])
+  const liveTranslationLanguageIds = Array.isArray(
+    sessionMeta?.liveTranslationLanguageIds,
+  )
+    ? sessionMeta.liveTranslationLanguageIds
+    : []
 
   const cells = useMemo(
     () => (Array.isArray(sessionMeta?.cells) ? sessionMeta.cells : []),
@@ -1032,9 +1373,16 @@ const ControlPage = () => {
         ? [primaryLanguage, comparisonLanguage]
         : [primaryLanguage]
   const primaryLanguageName = primaryLanguage?.name || '第一語言'
+  const activeTranslationExchangeLanguageId = extraLanguages.some(
+    (language) => language.id === translationExchangeLanguageId,
+  )
+    ? translationExchangeLanguageId
+    : extraLanguages[0]?.id || ''
   const selectedScriptParseModel =
     SCRIPT_PARSE_MODEL_OPTIONS.find((model) => model.id === scriptParseModel) ||
     SCRIPT_PARSE_MODEL_OPTIONS[0]
+  const usesCompatibleLlmProvider =
+    sessionMeta?.llmProvider?.kind === LLM_PROVIDER_KINDS.OPENAI_COMPATIBLE
   const viewerDefaultLanguageId =
     sessionMeta?.viewerDefaultLanguageId || languages[0]?.id || 'primary'
   const projectorDefaultLanguageId =
@@ -1043,12 +1391,22 @@ const ControlPage = () => {
     sessionMeta?.projectorLanguageMode || projectorLanguageMode,
   )
   const musicEffectEnabled = sessionMeta?.musicEffectEnabled !== false
-  const subtitleControlMode =
-    sessionMeta?.subtitleControlMode === SUBTITLE_CONTROL_MODES.AUTO
-      ? SUBTITLE_CONTROL_MODES.AUTO
-      : SUBTITLE_CONTROL_MODES.MANUAL
-  const subtitleControlModeLabel =
-    subtitleControlMode === SUBTITLE_CONTROL_MODES.AUTO ? '自動模式' : '手動模式'
+  const subtitleControlMode = Object.values(SUBTITLE_CONTROL_MODES).includes(
+    sessionMeta?.subtitleControlMode,
+  )
+    ? sessionMeta.subtitleControlMode
+    : SUBTITLE_CONTROL_MODES.MANUAL
+  const subtitleControlModeLabel = SUBTITLE_CONTROL_MODE_LABELS[subtitleControlMode]
+  const timedPlaybackPlaying = timedPlayback.status === 'playing'
+  const standbyEnabled = standby.enabled
+  const standbyLine =
+    standbyEnabled && standby.index !== null ? lines[standby.index] || null : null
+  const timedPlaybackRemainingMs = timedPlaybackPlaying
+    ? Math.max(
+        timedPlayback.remainingMs - (timedPlaybackNow - timedPlayback.receivedAt),
+        0,
+      )
+    : timedPlayback.remainingMs
   const autoFollowStatusLabelMap = {
     idle: '待命',
     listening: '等聲音',
@@ -1110,6 +1468,29 @@ const ControlPage = () => {
     })
     return Array.from(roles).sort((left, right) => left.localeCompare(right, 'zh-Hant'))
   }, [lines, sessionMeta?.roles])
+  const activeScriptJobs = useMemo(
+    () =>
+      scriptJobs.filter(
+        (job) => job.status === 'running' && job.cellId === selectedCellId,
+      ),
+    [scriptJobs, selectedCellId],
+  )
+  const primaryParseJob =
+    activeScriptJobs.find((job) => job.kind === SCRIPT_JOB_KINDS.PRIMARY_PARSE) ||
+    null
+  const primaryParseBusy = parsingPrimary || Boolean(primaryParseJob)
+  const getLanguageParseJob = (languageId) =>
+    activeScriptJobs.find(
+      (job) =>
+        job.kind !== SCRIPT_JOB_KINDS.PRIMARY_PARSE && job.languageId === languageId,
+    ) || null
+  const roleAliases = useMemo(
+    () =>
+      sessionMeta?.roleAliases && typeof sessionMeta.roleAliases === 'object'
+        ? sessionMeta.roleAliases
+        : {},
+    [sessionMeta?.roleAliases],
+  )
 
   const setDraftInputValue = (cellId, languageId, value) => {
     if (!cellId || !languageId) return
@@ -1201,10 +1582,43 @@ const ControlPage = () => {
     setViewerAliasInput(sessionMeta?.viewerAlias || '')
   }, [sessionMeta?.viewerAlias])
 
+  useEffect(() => {
+    if (!timedPlaybackPlaying) return undefined
+    const timer = window.setInterval(() => setTimedPlaybackNow(Date.now()), 200)
+    return () => window.clearInterval(timer)
+  }, [timedPlaybackPlaying])
+
   useEffect(() => {
     setProgramTitleInput(sessionMeta?.title || '')
   }, [sessionMeta?.title])
 
+  const sessionScriptRulesKey = JSON.stringify(sessionMeta?.scriptRules || [])
+  useEffect(() => {
+    setScriptRulesInput(JSON.parse(sessionScriptRulesKey))
+  }, [sessionScriptRulesKey])
+
+  const sessionLineLengthProfilesKey = JSON.stringify(
+    sessionMeta?.lineLengthProfiles || {},
+  )
+  useEffect(() => {
+    setLineLengthInput(JSON.parse(sessionLineLengthProfilesKey))
+  }, [sessionLineLengthProfilesKey])
+
+  const sessionGlossaryKey = JSON.stringify(sessionMeta?.glossary || [])
+  useEffect(() => {
+    setGlossaryInput(JSON.parse(sessionGlossaryKey))
+  }, [sessionGlossaryKey])
+
+  const sessionLlmProviderKey = JSON.stringify(sessionMeta?.llmProvider || null)
+  useEffect(() => {
+    setLlmProviderInput(toLlmProviderInput(JSON.parse(sessionLlmProviderKey)))
+  }, [sessionLlmProviderKey])
+
+  const sessionCueInputKey = JSON.stringify(sessionMeta?.cueInput || null)
+  useEffect(() => {
+    setCueInputForm(toCueInputForm(JSON.parse(sessionCueInputKey)))
+  }, [sessionCueInputKey])
+
   useEffect(() => clearProjectorRepeat, [clearProjectorRepeat])
 
   useEffect(() => {
@@ -1308,7 +1722,9 @@ const ControlPage = () => {
       }
       setSessionMeta(nextSession)
       setLines(nextLines)
+      setScriptJobs(Array.isArray(payload?.scriptJobs) ? payload.scriptJobs : [])
       syncLanguageSourceDrafts(nextSelectedCellId, payload?.languageSources)
+      setLanguageSourceStats(payload?.languageSources || {})
       liveCurrentIndexRef.current = effectiveLiveIndex
       setLiveCurrentIndex(effectiveLiveIndex)
       setCurrentIndex((prev) =>
@@ -1323,6 +1739,9 @@ const ControlPage = () => {
       applyProjectorSettingsPayload(payload?.projector)
       setTranscription(normalizeTranscriptionState(payload?.transcription))
       setAutoFollow(normalizeAutoFollowState(payload?.autoFollow))
+      setTimedPlayback(normalizeTimedPlaybackState(payload?.timedPlayback))
+      setStandby(normalizeStandbyState(payload?.standby))
+      setCueInputMonitor(normalizeCueInputMonitor(payload?.cueInputMonitor))
       setHistoryState({
         canUndo: payload?.history?.canUndo === true,
         canRedo: payload?.history?.canRedo === true,
@@ -1403,6 +1822,18 @@ const ControlPage = () => {
     pendingLineClickTimeoutRef.current = null
   }, [])
 
+  // Standby only moves the control page cursor; viewers and the projector
+  // keep the live line until GO.
+  const handleMoveStandby = useCallback(
+    (index) => {
+      if (!socketRef.current || !sessionId || lines.length === 0) return
+      const nextIndex = clampLineIndex(index, lines.length)
+      setStandby((prev) => ({ ...prev, index: nextIndex, pinned: true }))
+      socketRef.current.emit('setStandbyIndex', { sessionId, index: nextIndex })
+    },
+    [lines.length, sessionId],
+  )
+
   const queueLineSelection = useCallback(
     (index) => {
       clearPendingLineClick()
@@ -1410,6 +1841,10 @@ const ControlPage = () => {
         pendingLineClickTimeoutRef.current = null
         if (!socketRef.current || !sessionId) return
         setEditingCell(null)
+        if (standbyEnabled) {
+          handleMoveStandby(index)
+          return
+        }
         socketRef.current.emit('setCurrentIndex', { sessionId, index })
         pendingCueRequestRef.current = { index, requestedAt: Date.now() }
         liveCurrentIndexRef.current = index
@@ -1428,7 +1863,13 @@ const ControlPage = () => {
         }
       }, 180)
     },
-    [clearPendingLineClick, sessionId, subtitleControlMode],
+    [
+      clearPendingLineClick,
+      handleMoveStandby,
+      sessionId,
+      standbyEnabled,
+      subtitleControlMode,
+    ],
   )
 
   useEffect(() => {
@@ -1452,6 +1893,73 @@ const ControlPage = () => {
     window.localStorage.setItem(storageKeys.scriptParseModel, scriptParseModel)
   }, [scriptParseModel])
 
+  useEffect(() => {
+    if (typeof window === 'undefined') return
+    window.localStorage.setItem(
+      storageKeys.midiInput,
+      midiInputEnabled ? 'true' : 'false',
+    )
+  }, [midiInputEnabled])
+
+  // Only the control page switched on for MIDI relays it, so a second open
+  // control page does not fire every GO twice.
+  const sessionMidiEnabled = sessionMeta?.cueInput?.midiEnabled === true
+  useEffect(() => {
+    if (!midiInputEnabled || !sessionMidiEnabled || !sessionId) {
+      setMidiInputStatus({ state: 'idle', devices: [] })
+      return undefined
+    }
+    if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+      setMidiInputStatus({ state: 'unsupported', devices: [] })
+      return undefined
+    }
+
+    let cancelled = false
+    let midiAccess = null
+    const attachInputs = () => {
+      if (!midiAccess || cancelled) return
+      const devices = []
+      midiAccess.inputs.forEach((input) => {
+        devices.push(input.name || input.id)
+        input.onmidimessage = (event) => {
+          const data = Array.from(event.data || [])
+          if (!isForwardableMidiMessage(data)) return
+          socketRef.current?.emit('cueInput:midi', {
+            sessionId,
+            data,
+            deviceName: input.name || input.id,
+          })
+        }
+      })
+      setMidiInputStatus({ state: 'connected', devices })
+    }
+
+    // SysEx needs an extra permission; without it Note mappings still work.
+    navigator
+      .requestMIDIAccess({ sysex: true })
+      .catch(() => navigator.requestMIDIAccess())
+      .then((access) => {
+        if (cancelled) return
+        midiAccess = access
+        midiAccess.onstatechange = attachInputs
+        attachInputs()
+      })
+      .catch(() => {
+        if (!cancelled) {
+          setMidiInputStatus({ state: 'denied', devices: [] })
+        }
+      })
+
+    return () => {
+      cancelled = true
+      if (!midiAccess) return
+      midiAccess.onstatechange = null
+      midiAccess.inputs.forEach((input) => {
+        input.onmidimessage = null
+      })
+    }
+  }, [midiInputEnabled, sessionMidiEnabled, sessionId])
+
   useEffect(() => {
     let cancelled = false
 
@@ -1571,6 +2079,62 @@ const ControlPage = () => {
     }
   }, [lines, pendingMusicRangeStartIndex])
 
+  const editingLineId = editingCell ? lines[editingCell.index]?.id || '' : ''
+  const editingLanguageId = editingCell?.languageId || ''
+
+  useEffect(() => {
+    setTranslationMemorySuggestions(null)
+    if (
+      !sessionId ||
+      !selectedCellId ||
+      !editingLineId ||
+      !editingLanguageId ||
+      editingLanguageId === 'primary'
+    ) {
+      return
+    }
+
+    let cancelled = false
+    const params = new URLSearchParams({
+      languageId: editingLanguageId,
+      lineId: editingLineId,
+    })
+    fetch(
+      `/api/session/${sessionId}/cells/${selectedCellId}/translation-memory?${params}`,
+    )
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (cancelled || !data?.suggestions?.[editingLineId]) return
+        setTranslationMemorySuggestions({
+          lineId: editingLineId,
+          languageId: editingLanguageId,
+          suggestions: data.suggestions[editingLineId],
+        })
+      })
+      .catch(() => {
+        // suggestions are optional while editing
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [sessionId, selectedCellId, editingLineId, editingLanguageId])
+
+  useEffect(() => {
+    setAlignmentReview((current) =>
+      current && current.cellId !== selectedCellId ? null : current,
+    )
+  }, [selectedCellId])
+
+  useEffect(() => {
+    const pending = pendingReportJumpRef.current
+    if (!pending || pending.cellId !== selectedCellId) return
+    pendingReportJumpRef.current = null
+    const index = lines.findIndex((line) => line.id === pending.lineId)
+    if (index >= 0) {
+      setCurrentIndex(index)
+    }
+  }, [lines, selectedCellId])
+
   useEffect(() => {
     if (editingCell != null) return
     const node = rowRefs.current[currentIndex]
@@ -1637,6 +2201,56 @@ const ControlPage = () => {
       setStatus({ kind: 'error', message })
     }
 
+    // Jobs keep running on the server when this tab reloads, so results are
+    // reported from the broadcast rather than from the request that started them.
+    const handleScriptJobUpdate = (job) => {
+      if (!job || typeof job.id !== 'string') return
+      setScriptJobs((prev) => upsertScriptJob(prev, job))
+      if (job.status === 'running') return
+      setStatus(describeFinishedScriptJob(job))
+      if (
+        job.status === 'completed' &&
+        job.kind === SCRIPT_JOB_KINDS.PRIMARY_PARSE
+      ) {
+        setAutoCenterEnabled(false)
+      }
+      if (
+        job.status === 'completed' &&
+        job.kind === SCRIPT_JOB_KINDS.LANGUAGE_PARSE
+      ) {
+        announceTranslationMemoryMatches(job)
+      }
+    }
+
+    // After a language is aligned, point out what the translation memory
+    // could fill in or improve for that cell.
+    const announceTranslationMemoryMatches = async (job) => {
+      try {
+        const params = new URLSearchParams({ languageId: job.languageId })
+        const response = await fetch(
+          `/api/session/${sessionId}/cells/${job.cellId}/translation-memory?${params}`,
+        )
+        if (!response.ok) return
+        const { summary } = await response.json()
+        if (disposed) return
+        const notes = [
+          summary?.exactEmptyLineCount
+            ? `${summary.exactEmptyLineCount} 句空白可按「從翻譯記憶補上空白」填入`
+            : '',
+          summary?.fuzzyLineCount
+            ? `${summary.fuzzyLineCount} 句有相似譯文可在編輯時選用`
+            : '',
+        ].filter(Boolean)
+        if (notes.length === 0) return
+        setStatus((prev) => ({
+          kind: 'info',
+          message: `${prev.message}；翻譯記憶：${notes.join('，')}`,
+        }))
+      } catch {
+        // the hint is optional
+      }
+    }
+
     const markSocketConnected = () => {
       setMicDiagnostics((prev) => ({
         ...prev,
@@ -1657,6 +2271,7 @@ const ControlPage = () => {
     socket.on('disconnect', markSocketDisconnected)
     socket.on('control:update', applySessionPayload)
     socket.on('control:transcription', handleTranscriptionUpdate)
+    socket.on('control:script-job', handleScriptJobUpdate)
     socket.on('transcription:error', handleTranscriptionError)
 
     if (socket.connected) {
@@ -1787,10 +2402,9 @@ const ControlPage = () => {
 
   const handleSetSubtitleControlMode = async (mode) => {
     if (!socketRef.current || !sessionId) return
-    const nextMode =
-      mode === SUBTITLE_CONTROL_MODES.AUTO
-        ? SUBTITLE_CONTROL_MODES.AUTO
-        : SUBTITLE_CONTROL_MODES.MANUAL
+    const nextMode = Object.values(SUBTITLE_CONTROL_MODES).includes(mode)
+      ? mode
+      : SUBTITLE_CONTROL_MODES.MANUAL
     if (nextMode === subtitleControlMode) return
 
     if (nextMode === SUBTITLE_CONTROL_MODES.AUTO) {
@@ -1817,10 +2431,63 @@ const ControlPage = () => {
       message:
         nextMode === SUBTITLE_CONTROL_MODES.AUTO
           ? '已切換為自動模式；投影仍使用固定劇本字幕'
-          : '已切換為手動模式',
+          : nextMode === SUBTITLE_CONTROL_MODES.TIMED
+            ? '已切換為定時模式；按「播放」後字幕會依每句長度自動前進'
+            : '已切換為手動模式',
     })
   }
 
+  const emitTimedPlaybackControl = (action, payload = {}) => {
+    if (!socketRef.current || !sessionId) return
+    socketRef.current.emit(`timedPlayback:${action}`, { sessionId, ...payload })
+  }
+
+  const handleToggleTimedPlayback = () =>
+    emitTimedPlaybackControl(timedPlaybackPlaying ? 'pause' : 'resume')
+
+  const handleNudgeTimedPlayback = (deltaMs) =>
+    emitTimedPlaybackControl('nudge', { deltaMs })
+
+  const handleResyncTimedPlayback = () => {
+    emitTimedPlaybackControl('resync')
+    setStatus({ kind: 'info', message: '已從目前這句重新計時' })
+  }
+
+  const handleEditLineDuration = async (event, index) => {
+    event.stopPropagation()
+    const line = lines[index]
+    if (!sessionId || !line?.id) return
+    const input = window.prompt(
+      '這句要停留幾秒？（留白則依錄音時間或字數估算）',
+      line.durationMs ? String(line.durationMs / 1000) : '',
+    )
+    if (input == null) return
+    const seconds = Number.parseFloat(input)
+    if (input.trim() && !(seconds > 0)) {
+      setStatus({ kind: 'error', message: '請輸入大於 0 的秒數' })
+      return
+    }
+    try {
+      await performSessionMutation(
+        () =>
+          fetch(`/api/session/${sessionId}/lines/${line.id}/duration`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              durationMs: input.trim() ? Math.round(seconds * 1000) : null,
+            }),
+          }),
+        {
+          successMessage: input.trim()
+            ? `第 ${index + 1} 句改為停留 ${seconds} 秒`
+            : `第 ${index + 1} 句改回自動估算長度`,
+        },
+      )
+    } catch {
+      // performSessionMutation already reports the error.
+    }
+  }
+
   const handleToggleMusicEffectEnabled = () => {
     if (!socketRef.current || !sessionId) return
     const nextState = !musicEffectEnabled
@@ -1931,7 +2598,7 @@ const ControlPage = () => {
   }
 
   const handleShiftCurrentIndex = useCallback(
-    (delta) => {
+    (delta, source = 'manual') => {
       const normalizedDelta = Number(delta)
       if (!Number.isFinite(normalizedDelta) || normalizedDelta === 0) return
       if (!socketRef.current || !sessionId) return
@@ -1967,6 +2634,7 @@ const ControlPage = () => {
       socketRef.current.emit('setCurrentIndex', {
         sessionId,
         index: nextIndex,
+        source,
       })
     },
     [
@@ -1978,6 +2646,50 @@ const ControlPage = () => {
     ],
   )
 
+  const handleShiftStandby = useCallback(
+    (delta) => {
+      const baseIndex =
+        standby.index !== null ? standby.index : liveCurrentIndexRef.current
+      handleMoveStandby(baseIndex + delta)
+    },
+    [handleMoveStandby, standby.index],
+  )
+
+  const handleGoStandby = useCallback(
+    (source = 'manual') => {
+      if (!socketRef.current || !sessionId || standby.index === null) return
+      clearPendingLineClick()
+      setEditingCell(null)
+      const nextIndex = standby.index
+      pendingCueRequestRef.current = { index: nextIndex, requestedAt: Date.now() }
+      liveCurrentIndexRef.current = nextIndex
+      setLiveCurrentIndex(nextIndex)
+      setStandby((prev) => ({
+        ...prev,
+        index: nextIndex + 1 < lines.length ? nextIndex + 1 : null,
+        pinned: false,
+      }))
+      socketRef.current.emit('goStandby', { sessionId, source })
+    },
+    [clearPendingLineClick, lines.length, sessionId, standby.index],
+  )
+
+  const handleToggleStandby = () => {
+    if (!socketRef.current || !sessionId) return
+    const nextEnabled = !standbyEnabled
+    setStandby((prev) => ({ ...prev, enabled: nextEnabled, pinned: false }))
+    socketRef.current.emit('setStandbyEnabled', {
+      sessionId,
+      enabled: nextEnabled,
+    })
+    setStatus({
+      kind: 'info',
+      message: nextEnabled
+        ? '已啟用待命模式：點選台詞只會移動待命，按空白鍵或 GO 才會播出'
+        : '已關閉待命模式',
+    })
+  }
+
   useEffect(() => {
     if (!sessionId) return
 
@@ -2048,7 +2760,20 @@ const ControlPage = () => {
 
       if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
         event.preventDefault()
-        handleShiftCurrentIndex(event.key === 'ArrowUp' ? -1 : 1)
+        if (standbyEnabled) {
+          handleShiftStandby(event.key === 'ArrowUp' ? -1 : 1)
+          return
+        }
+        handleShiftCurrentIndex(event.key === 'ArrowUp' ? -1 : 1, 'keyboard')
+        return
+      }
+
+      // Foot pedals usually send a held space; only the first press is a GO.
+      if (standbyEnabled && event.key === ' ') {
+        event.preventDefault()
+        if (!event.repeat) {
+          handleGoStandby('keyboard')
+        }
       }
     }
 
@@ -2061,6 +2786,9 @@ const ControlPage = () => {
     historyState.canRedo,
     applySessionPayload,
     handleShiftCurrentIndex,
+    standbyEnabled,
+    handleShiftStandby,
+    handleGoStandby,
   ])
 
   const handleStartLiveTranscription = async (options = {}) => {
@@ -2314,6 +3042,10 @@ const ControlPage = () => {
     if (!socketRef.current || !sessionId) return
     setEditingCell(null)
     setRoleEditor(null)
+    if (standbyEnabled) {
+      handleMoveStandby(index)
+      return
+    }
     socketRef.current.emit('setCurrentIndex', { sessionId, index })
     pendingCueRequestRef.current = { index, requestedAt: Date.now() }
     liveCurrentIndexRef.current = index
@@ -3134,1118 +3866,3588 @@ const ControlPage = () => {
     }
   }
 
-  const handleParsePrimaryScript = async (event) => {
-    event.preventDefault()
-    if (!sessionId || !selectedCellId) return
-    if (!apiKey) {
-      setStatus({ kind: 'error', message: '請先填入 OpenAI API Key' })
-      return
-    }
-    if (!primaryScriptInput.trim()) {
-      setStatus({ kind: 'error', message: '請先貼上第一語言劇本文字' })
-      return
-    }
+  const handleImportScriptDocument = async (event) => {
+    const file = event.target.files?.[0]
+    if (!file || !sessionId || !selectedCellId) return
 
     try {
-      setParsingPrimary(true)
-      setStatus({ kind: 'info', message: '正在解析第一語言劇本…' })
+      setImportingScriptDocument(true)
+      setStatus({ kind: 'info', message: '正在匯入劇本文件…' })
+      const formData = new FormData()
+      formData.append('cellId', selectedCellId)
+      formData.append('file', file)
       const data = await performSessionMutation(
         () =>
-          fetch(`/api/session/${sessionId}/script/parse`, {
+          fetch(`/api/session/${sessionId}/script/import-document`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              apiKey,
-              cellId: selectedCellId,
-              scriptText: primaryScriptInput,
-              scriptParseModel,
-            }),
+            body: formData,
           }),
-        { successMessage: '第一語言字幕已更新', keepStatus: true },
+        { keepStatus: true },
       )
-      const parsedLineCount = Number.isInteger(data?.parsedLineCount)
-        ? data.parsedLineCount
-        : Array.isArray(data?.lines)
-          ? data.lines.filter(
-              (line) =>
-                typeof line?.text === 'string' && line.text.trim().length > 0,
-            ).length
-          : 0
-      const refreshedData = await requestSessionRefresh()
-      const loadedLineCount = Array.isArray(refreshedData?.lines)
-        ? refreshedData.lines.length
-        : 0
-      if (parsedLineCount > 0 && loadedLineCount === 0) {
-        throw new Error('解析完成，但字幕沒有成功寫入目前場次')
-      }
       setStatus({
-        kind: data?.warning ? 'info' : 'success',
-        message:
-          data?.warning ||
-          (loadedLineCount > 0
-            ? `第一語言字幕已更新（${loadedLineCount} 行）`
-            : '第一語言字幕已更新'),
+        kind: 'success',
+        message: Number.isInteger(data?.parsedLineCount)
+          ? `劇本文件已匯入目前場次（${data.parsedLineCount} 行）`
+          : '劇本文件已匯入目前場次',
       })
       setAutoCenterEnabled(false)
+    } catch (error) {
+      setStatus({
+        kind: 'error',
+        message: error.message || '匯入劇本文件失敗',
+      })
     } finally {
-      setParsingPrimary(false)
+      setImportingScriptDocument(false)
+      if (scriptDocumentInputRef.current) {
+        scriptDocumentInputRef.current.value = ''
+      }
     }
   }
 
-  const handleParseLanguageScript = async (event, languageId) => {
-    event.preventDefault()
-    if (!sessionId || !selectedCellId || !languageId) return
-    if (!apiKey) {
-      setStatus({ kind: 'error', message: '請先填入 OpenAI API Key' })
-      return
-    }
-
-    const scriptText = getDraftInputValue(selectedCellId, languageId)
-    const languageName =
-      languages.find((language) => language.id === languageId)?.name || '目標語言'
-    if (!scriptText.trim()) {
-      setStatus({ kind: 'error', message: '請先貼上目標語言文字' })
-      return
-    }
+  const handleImportFountain = async (event) => {
+    const file = event.target.files?.[0]
+    if (!file || !sessionId || !selectedCellId) return
 
     try {
-      setParsingLanguageId(languageId)
-      setStatus({ kind: 'info', message: '正在解析文本並更新字幕清單…' })
+      setImportingFountain(true)
+      const fountainText = await file.text()
       const data = await performSessionMutation(
         () =>
-          fetch(
-            `/api/session/${sessionId}/cells/${selectedCellId}/languages/${languageId}/parse`,
-            {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({
-                apiKey,
-                scriptText,
-                scriptParseModel,
-              }),
-            },
-          ),
-        { successMessage: '多語語意段落已更新', keepStatus: true },
-      )
-      const segmentCount = Number.isInteger(
-        data?.languageSources?.[languageId]?.segmentCount,
+          fetch(`/api/session/${sessionId}/script/fountain`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              cellId: selectedCellId,
+              fountainText,
+            }),
+          }),
+        { keepStatus: true },
       )
-        ? data.languageSources[languageId].segmentCount
-        : null
-      const parsedLineCount = Number.isInteger(data?.parsedLineCount)
-        ? data.parsedLineCount
-        : segmentCount
       setStatus({
-        kind: data?.warning ? 'info' : 'success',
+        kind: 'success',
         message:
-          data?.warning ||
-          (parsedLineCount && parsedLineCount > 0
-            ? `${languageName} 字幕清單已更新（${parsedLineCount} 行）`
-            : `${languageName} 字幕清單已更新`),
+          data?.createdCellCount > 0
+            ? `Fountain 劇本已匯入（${data.parsedLineCount} 行，新增 ${data.createdCellCount} 個場次）`
+            : `Fountain 劇本已匯入（${data?.parsedLineCount || 0} 行）`,
+      })
+      setAutoCenterEnabled(false)
+    } catch (error) {
+      setStatus({
+        kind: 'error',
+        message: error.message || '匯入 Fountain 劇本失敗',
       })
     } finally {
-      setParsingLanguageId('')
+      setImportingFountain(false)
+      if (fountainInputRef.current) {
+        fountainInputRef.current.value = ''
+      }
     }
   }
 
-  const handleCopyViewerLink = async () => {
-    if (!viewerShareUrl) return
+  const handleImportSubtitleFile = async (event) => {
+    const file = event.target.files?.[0]
+    if (!file || !sessionId || !selectedCellId) return
+
+    const targetLanguageId = languages.some(
+      (language) => language.id === subtitleImportLanguageId,
+    )
+      ? subtitleImportLanguageId
+      : 'primary'
+    const targetLanguageName =
+      languages.find((language) => language.id === targetLanguageId)?.name ||
+      '目標語言'
+
     try {
-      await navigator.clipboard.writeText(viewerShareUrl)
+      setImportingSubtitleFile(true)
+      setStatus({ kind: 'info', message: '正在匯入字幕檔…' })
+      const formData = new FormData()
+      formData.append('languageId', targetLanguageId)
+      formData.append('file', file)
+      const data = await performSessionMutation(
+        () =>
+          fetch(
+            `/api/session/${sessionId}/cells/${selectedCellId}/subtitles/import`,
+            {
+              method: 'POST',
+              body: formData,
+            },
+          ),
+        { keepStatus: true },
+      )
       setStatus({
         kind: 'success',
-        message: sessionMeta?.viewerAlias
-          ? '檢視端入口網址已複製'
-          : '檢視端連結已複製',
+        message:
+          targetLanguageId === 'primary'
+            ? `字幕檔已寫入目前場次（${data?.importedCueCount || 0} 句）`
+            : `字幕檔已對齊為 ${targetLanguageName}（${data?.importedCueCount || 0} 句）`,
       })
-    } catch {
+      if (targetLanguageId === 'primary') {
+        setAutoCenterEnabled(false)
+      }
+    } catch (error) {
       setStatus({
         kind: 'error',
-        message: '無法複製，請手動複製連結',
+        message: error.message || '匯入字幕檔失敗',
       })
+    } finally {
+      setImportingSubtitleFile(false)
+      if (subtitleFileInputRef.current) {
+        subtitleFileInputRef.current.value = ''
+      }
     }
   }
 
-  const handleCopyViewerFixedLink = async () => {
-    if (!viewerUrl) return
-    try {
-      await navigator.clipboard.writeText(viewerUrl)
-      setStatus({ kind: 'success', message: '固定檢視端網址已複製' })
-    } catch {
-      setStatus({
-        kind: 'error',
-        message: '無法複製，請手動複製固定網址',
-      })
-    }
-  }
+  const downloadSessionExport = async ({
+    format,
+    language,
+    cellId,
+    extension,
+    label,
+    endpoint = 'export',
+    filename = sessionMeta?.title || 'subtitles',
+  }) => {
+    if (!sessionId) return
 
-  const handleCopyPrompterLink = async () => {
-    if (!prompterUrl) return
     try {
-      await navigator.clipboard.writeText(prompterUrl)
-      setStatus({ kind: 'success', message: '提詞頁網址已複製' })
-    } catch {
+      const params = new URLSearchParams({ format })
+      if (language) {
+        params.set('language', language)
+      }
+      if (cellId) {
+        params.set('cellId', cellId)
+      }
+      const response = await fetch(
+        `/api/session/${sessionId}/${endpoint}?${params.toString()}`,
+      )
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || `匯出 ${label}失敗`)
+      }
+
+      const blob = await response.blob()
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      const filenameBase = filename
+        .replace(/[<>:"/\\|?*]+/g, '-')
+        .trim()
+      link.href = url
+      link.download = `${filenameBase || 'subtitles'}.${extension || format}`
+      document.body.appendChild(link)
+      link.click()
+      document.body.removeChild(link)
+      URL.revokeObjectURL(url)
+      setStatus({ kind: 'success', message: `${label}已匯出` })
+    } catch (error) {
       setStatus({
         kind: 'error',
-        message: '無法複製，請手動複製提詞頁網址',
+        message: error.message || `匯出 ${label}失敗`,
       })
     }
   }
 
-  const handleSaveProgramTitle = async () => {
-    if (!sessionId) return
-    await performSessionMutation(
-      () =>
-        fetch(`/api/session/${sessionId}/title`, {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ title: programTitleInput }),
-        }),
-      { successMessage: '節目名稱已更新' },
-    )
-  }
+  const handleExportFountain = () =>
+    downloadSessionExport({ format: 'fountain', label: 'Fountain 劇本' })
 
-  const handleSaveViewerAlias = async () => {
-    if (!sessionId) return
-    const data = await performSessionMutation(
-      () =>
-        fetch(`/api/session/${sessionId}/viewer-alias`, {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ viewerAlias: viewerAliasInput }),
-        }),
-      { keepStatus: true },
-    )
-    const nextAlias = data?.session?.viewerAlias || ''
-    setStatus({
-      kind: 'success',
-      message: nextAlias
-        ? `檢視端入口已更新為 ${viewerAliasBaseUrl}${nextAlias}`
-        : '檢視端入口已清除，已改回固定亂碼網址',
+  const handleExportSubtitleFile = (format) =>
+    downloadSessionExport({
+      format,
+      language: subtitleExportLanguageId,
+      label: `${format.toUpperCase()} 字幕檔`,
     })
-  }
-
-  const handleAddRole = async () => {
-    if (!sessionId) return
-    const name = window.prompt('新增角色名稱', '')
-    if (name == null) return
-    await performSessionMutation(
-      () =>
-        fetch(`/api/session/${sessionId}/roles`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ name }),
-        }),
-      { successMessage: '已新增角色' },
-    )
-  }
 
-  const handleRenameRole = async (roleName) => {
-    if (!sessionId || !roleName) return
-    const name = window.prompt('重新命名角色', roleName)
-    if (name == null) return
-    await performSessionMutation(
-      () =>
-        fetch(`/api/session/${sessionId}/roles/${encodeURIComponent(roleName)}`, {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ name }),
-        }),
-      { successMessage: '角色名稱已更新' },
-    )
-  }
+  const handleExportTranslationFile = (format) =>
+    downloadSessionExport({
+      format,
+      language: format === 'xliff' ? activeTranslationExchangeLanguageId : '',
+      cellId: translationExchangeScope === 'cell' ? selectedCellId : '',
+      extension: format === 'xliff' ? 'xlf' : format,
+      label: `${format.toUpperCase()} 翻譯檔`,
+    })
 
-  const handleDeleteRole = async (roleName) => {
-    if (!sessionId || !roleName) return
-    const confirmed = window.confirm(
-      `要刪除「${roleName}」嗎？相關字幕行會改成無角色。`,
-    )
-    if (!confirmed) return
-    await performSessionMutation(
-      () =>
-        fetch(`/api/session/${sessionId}/roles/${encodeURIComponent(roleName)}`, {
-          method: 'DELETE',
-        }),
-      { successMessage: '角色已刪除' },
-    )
-  }
+  const importTranslationFile = async (file, { overwrite = false } = {}) => {
+    if (!file || !sessionId) return
 
-  const handleClearViewerAlias = async () => {
-    if (!sessionId) return
-    const previousViewerAlias = sessionMeta?.viewerAlias || ''
-    setViewerAliasInput('')
     try {
+      setImportingTranslationFile(true)
+      setStatus({ kind: 'info', message: '正在匯入翻譯檔…' })
+      const formData = new FormData()
+      if (overwrite) {
+        formData.append('overwrite', 'true')
+      }
+      formData.append('file', file)
       const data = await performSessionMutation(
         () =>
-          fetch(`/api/session/${sessionId}/viewer-alias`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ viewerAlias: '' }),
+          fetch(`/api/session/${sessionId}/translations/import`, {
+            method: 'POST',
+            body: formData,
           }),
         { keepStatus: true },
       )
+      const report = {
+        file,
+        updatedLineCount: data?.updatedLineCount || 0,
+        unchangedLineCount: data?.unchangedLineCount || 0,
+        conflictCount: data?.conflictCount || 0,
+        conflicts: Array.isArray(data?.conflicts) ? data.conflicts : [],
+        unknownLineCount: data?.unknownLineCount || 0,
+        unknownLineIds: Array.isArray(data?.unknownLineIds) ? data.unknownLineIds : [],
+        unmatchedColumns: Array.isArray(data?.unmatchedColumns)
+          ? data.unmatchedColumns
+          : [],
+      }
+      setTranslationImportReport(report)
       setStatus({
-        kind: 'success',
-        message: data?.session?.viewerAlias
-          ? `檢視端入口已更新為 ${viewerAliasBaseUrl}${data.session.viewerAlias}`
-          : '檢視端入口已清除，已改回固定亂碼網址',
+        kind: report.conflictCount || report.unknownLineCount ? 'info' : 'success',
+        message: report.conflictCount
+          ? `已寫回 ${report.updatedLineCount} 行譯文，${report.conflictCount} 處與現有譯文衝突未覆寫`
+          : `已寫回 ${report.updatedLineCount} 行譯文`,
       })
-    } catch {
-      setViewerAliasInput(previousViewerAlias)
-    }
-  }
-
-  const handleCopyProjectorLink = async () => {
-    if (!projectorUrl) return
-    try {
-      await navigator.clipboard.writeText(projectorUrl)
-      setStatus({ kind: 'success', message: '投影端連結已複製' })
-    } catch {
+    } catch (error) {
       setStatus({
         kind: 'error',
-        message: '無法複製，請手動複製投影連結',
+        message: error.message || '匯入翻譯檔失敗',
       })
+    } finally {
+      setImportingTranslationFile(false)
+      if (translationFileInputRef.current) {
+        translationFileInputRef.current.value = ''
+      }
     }
   }
 
-  const handleOpenProjectorWindow = () => {
-    if (!projectorUrl) return
-    const nextWindow = window.open(projectorUrl, 'subtitle-machine-projector')
-    if (nextWindow) {
-      nextWindow.focus()
-      setStatus({
-        kind: 'info',
-        message: '投影頁已開啟，請拖到外接螢幕後點右上角隱藏熱區切換全螢幕',
-      })
-      return
-    }
-    setStatus({
-      kind: 'error',
-      message: '瀏覽器封鎖了新視窗，請允許彈出視窗後重試',
-    })
-  }
+  const handleImportTranslationFile = (event) =>
+    importTranslationFile(event.target.files?.[0])
 
-  const updateProjectorLayout = (patch, successMessage = '') => {
-    if (!socketRef.current || !sessionId) return
-    const nextLayout = normalizeProjectorLayout({
-      ...projectorLayoutDraftRef.current,
-      ...patch,
+  const startScriptJob = async (url, body, fallbackMessage) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
     })
-    projectorLayoutDirtyRef.current = true
-    projectorLayoutDraftRef.current = nextLayout
-    setProjectorLayout(nextLayout)
-    socketRef.current.emit('updateProjectorLayout', {
-      sessionId,
-      layout: patch,
-    })
-    if (successMessage) {
-      setStatus({ kind: 'success', message: successMessage })
+    const data = await response.json().catch(() => ({}))
+    if (data?.job) {
+      setScriptJobs((prev) => upsertScriptJob(prev, data.job))
+    }
+    if (!response.ok) {
+      throw new Error(formatMutationErrorMessage(data, fallbackMessage))
     }
+    setStatus({
+      kind: 'info',
+      message: '已在伺服器開始解析，關閉或重新整理頁面也會繼續，完成後自動寫入場次',
+    })
+    return data.job
   }
 
-  const handleProjectorLayoutInputChange = (field, event) => {
-    const rawValue = event.target.value
-    setProjectorLayoutInputDrafts((previousDrafts) => ({
-      ...previousDrafts,
-      [field]: rawValue,
-    }))
+  const handleCancelScriptJob = async (job) => {
+    if (!sessionId || !job?.id) return
+    try {
+      const response = await fetch(
+        `/api/session/${sessionId}/script-jobs/${job.id}/cancel`,
+        { method: 'POST' },
+      )
+      const data = await response.json().catch(() => ({}))
+      if (data?.job) {
+        setScriptJobs((prev) => upsertScriptJob(prev, data.job))
+      }
+      if (!response.ok) {
+        throw new Error(formatMutationErrorMessage(data, '取消解析工作失敗'))
+      }
+      setStatus({ kind: 'info', message: '正在取消解析工作…' })
+    } catch (error) {
+      setStatus({ kind: 'error', message: error.message || '取消解析工作失敗' })
+    }
+  }
 
-    const trimmedValue = rawValue.trim()
-    if (
-      trimmedValue === '' ||
-      trimmedValue === '-' ||
-      trimmedValue === '+' ||
-      !PROJECTOR_LAYOUT_INPUT_PATTERN.test(trimmedValue)
-    ) {
+  const handleParsePrimaryScript = async (event) => {
+    event.preventDefault()
+    if (!sessionId || !selectedCellId) return
+    if (!apiKey && !usesCompatibleLlmProvider) {
+      setStatus({ kind: 'error', message: '請先填入 OpenAI API Key' })
+      return
+    }
+    if (!primaryScriptInput.trim()) {
+      setStatus({ kind: 'error', message: '請先貼上第一語言劇本文字' })
       return
     }
 
-    const nextValue = Number(trimmedValue)
-    if (!Number.isFinite(nextValue)) return
-    updateProjectorLayout({ [field]: nextValue })
+    try {
+      setParsingPrimary(true)
+      await startScriptJob(
+        `/api/session/${sessionId}/script/parse`,
+        {
+          apiKey,
+          cellId: selectedCellId,
+          scriptText: primaryScriptInput,
+          scriptParseModel,
+        },
+        '解析劇本失敗',
+      )
+    } catch (error) {
+      setStatus({ kind: 'error', message: error.message || '解析劇本失敗' })
+    } finally {
+      setParsingPrimary(false)
+    }
   }
 
-  const handleProjectorLayoutInputFocus = (field) => {
-    activeProjectorLayoutInputRef.current = field
-  }
+  const handlePreviewScriptRevision = async () => {
+    if (!sessionId || !selectedCellId) return
+    if (!apiKey && !usesCompatibleLlmProvider) {
+      setStatus({ kind: 'error', message: '請先填入 OpenAI API Key' })
+      return
+    }
+    if (!primaryScriptInput.trim()) {
+      setStatus({ kind: 'error', message: '請先貼上修訂版劇本文字' })
+      return
+    }
 
-  const handleProjectorLayoutInputBlur = (field) => {
-    activeProjectorLayoutInputRef.current = null
-    const latestLayout = normalizeProjectorLayout(projectorLayoutDraftRef.current)
-    setProjectorLayoutInputDrafts((previousDrafts) => ({
-      ...previousDrafts,
-      [field]: String(latestLayout[field]),
-    }))
+    try {
+      setPreviewingScriptRevision(true)
+      setStatus({ kind: 'info', message: '正在解析修訂版並比對目前場次…' })
+      const response = await fetch(
+        `/api/session/${sessionId}/cells/${selectedCellId}/revision/preview`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            apiKey,
+            scriptText: primaryScriptInput,
+            scriptParseModel,
+          }),
+        },
+      )
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(formatMutationErrorMessage(data, '比對修訂版劇本失敗'))
+      }
+      setScriptRevisionPreview(data)
+      const summary = data.diff?.summary || {}
+      setStatus({
+        kind: data.warning ? 'info' : 'success',
+        message:
+          data.warning ||
+          `修訂比對完成：修改 ${summary.changed || 0}、新增 ${summary.inserted || 0}、刪除 ${summary.removed || 0} 行，請確認後套用`,
+      })
+    } catch (error) {
+      setStatus({
+        kind: 'error',
+        message: error.message || '比對修訂版劇本失敗',
+      })
+    } finally {
+      setPreviewingScriptRevision(false)
+    }
   }
 
-  const handleProjectorLayoutInputKeyDown = (event) => {
-    if (event.key === 'Enter') {
-      event.currentTarget.blur()
+  const handleApplyScriptRevision = async () => {
+    if (!sessionId || !scriptRevisionPreview?.cellId) return
+
+    try {
+      setApplyingScriptRevision(true)
+      await performSessionMutation(
+        () =>
+          fetch(
+            `/api/session/${sessionId}/cells/${scriptRevisionPreview.cellId}/revision/apply`,
+            {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({
+                revisionStamp: scriptRevisionPreview.revisionStamp,
+                revisedLines: scriptRevisionPreview.revisedLines,
+              }),
+            },
+          ),
+        { successMessage: '修訂版已套用，未變動與小幅修改的句子保留了翻譯與標記' },
+      )
+      setScriptRevisionPreview(null)
+    } finally {
+      setApplyingScriptRevision(false)
     }
   }
 
-  const adjustProjectorLayout = (field, delta) => {
-    const currentValue = Number(projectorLayoutDraftRef.current?.[field])
-    const nextValue = (Number.isFinite(currentValue) ? currentValue : 0) + delta
-    if (PROJECTOR_LAYOUT_INPUT_FIELDS.includes(field)) {
-      const nextLayout = normalizeProjectorLayout({
-        ...projectorLayoutDraftRef.current,
-        [field]: nextValue,
-      })
-      activeProjectorLayoutInputRef.current = null
-      setProjectorLayoutInputDrafts((previousDrafts) => ({
-        ...previousDrafts,
-        [field]: String(nextLayout[field]),
-      }))
+  const handleParseLanguageScript = async (event, languageId) => {
+    event.preventDefault()
+    if (!sessionId || !selectedCellId || !languageId) return
+    if (!apiKey && !usesCompatibleLlmProvider) {
+      setStatus({ kind: 'error', message: '請先填入 OpenAI API Key' })
+      return
     }
-    updateProjectorLayout({ [field]: nextValue })
-  }
 
-  const startProjectorLayoutRepeat = (field, delta, event) => {
-    if (event?.button != null && event.button !== 0) return
-    event?.preventDefault?.()
-    clearProjectorRepeat()
-    adjustProjectorLayout(field, delta)
-    projectorRepeatRef.current.startTimer = window.setTimeout(() => {
-      projectorRepeatRef.current.startTimer = null
-      projectorRepeatRef.current.repeatTimer = window.setInterval(() => {
-        adjustProjectorLayout(field, delta)
-      }, PROJECTOR_REPEAT_INTERVAL_MS)
-    }, PROJECTOR_REPEAT_START_DELAY_MS)
-  }
+    const scriptText = getDraftInputValue(selectedCellId, languageId)
+    const languageName =
+      languages.find((language) => language.id === languageId)?.name || '目標語言'
+    if (!scriptText.trim()) {
+      setStatus({ kind: 'error', message: '請先貼上目標語言文字' })
+      return
+    }
 
-  const stopProjectorLayoutRepeatFromKey = (event) => {
-    if (event.key === 'Enter' || event.key === ' ') {
-      clearProjectorRepeat()
+    try {
+      setParsingLanguageId(languageId)
+      await startScriptJob(
+        `/api/session/${sessionId}/cells/${selectedCellId}/languages/${languageId}/parse`,
+        { apiKey, scriptText, scriptParseModel },
+        `解析 ${languageName} 失敗`,
+      )
+    } catch (error) {
+      setStatus({
+        kind: 'error',
+        message: error.message || `解析 ${languageName} 失敗`,
+      })
+    } finally {
+      setParsingLanguageId('')
     }
   }
 
-  const getProjectorRepeatHandlers = (field, delta) => ({
-    onPointerDown: (event) => startProjectorLayoutRepeat(field, delta, event),
-    onPointerUp: clearProjectorRepeat,
-    onPointerLeave: clearProjectorRepeat,
-    onPointerCancel: clearProjectorRepeat,
-    onKeyDown: (event) => {
-      if (event.key !== 'Enter' && event.key !== ' ') return
-      if (event.repeat) return
-      startProjectorLayoutRepeat(field, delta, event)
-    },
-    onKeyUp: stopProjectorLayoutRepeatFromKey,
-    onBlur: clearProjectorRepeat,
-  })
-
-  const handleProjectorDisplayModeChange = async (event) => {
-    if (!socketRef.current || !sessionId) return
-    const nextDisplayMode = normalizeProjectorDisplayMode(event.target.value)
-    if (nextDisplayMode === PROJECTOR_DISPLAY_MODES.TRANSCRIPTION) {
-      const started = await handleStartLiveTranscription()
-      if (!started) return
-    } else if (
-      projectorStartedTranscriptionRef.current &&
-      subtitleControlMode !== SUBTITLE_CONTROL_MODES.AUTO
-    ) {
-      handleStopLiveTranscription()
+  const handleTranslateLanguage = async (languageId) => {
+    if (!sessionId || !selectedCellId || !languageId) return
+    if (!apiKey && !usesCompatibleLlmProvider) {
+      setStatus({ kind: 'error', message: '請先填入 OpenAI API Key' })
+      return
     }
+    const languageName =
+      languages.find((language) => language.id === languageId)?.name || '目標語言'
 
-    projectorDisplayModeDirtyRef.current = true
-    projectorDisplayModeDraftRef.current = nextDisplayMode
-    setProjectorDisplayMode(nextDisplayMode)
-    socketRef.current.emit('setProjectorDisplayMode', {
-      sessionId,
-      displayMode: nextDisplayMode,
-    })
-    setStatus({
-      kind: 'info',
-      message:
-        nextDisplayMode === PROJECTOR_DISPLAY_MODES.TRANSCRIPTION
-          ? '投影端已切換為即時語音辨識模式'
-          : '投影端已切換為固定劇本字幕模式',
-    })
+    try {
+      await startScriptJob(
+        `/api/session/${sessionId}/cells/${selectedCellId}/languages/${languageId}/translate`,
+        { apiKey, scriptParseModel },
+        `翻譯 ${languageName} 失敗`,
+      )
+    } catch (error) {
+      setStatus({
+        kind: 'error',
+        message: error.message || `翻譯 ${languageName} 失敗`,
+      })
+    }
   }
 
-  const handleResetProjectorLayout = () => {
-    updateProjectorLayout(
-      {
-        ...normalizeProjectorLayout(),
-      },
-      '投影版面已重設',
+  const handleApplyTranslationMemory = async (languageId) => {
+    if (!sessionId || !selectedCellId || !languageId) return
+    const data = await performSessionMutation(
+      () =>
+        fetch(
+          `/api/session/${sessionId}/cells/${selectedCellId}/translation-memory/apply`,
+          {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ languageId }),
+          },
+        ),
+      { keepStatus: true },
     )
+    if (!data) return
+    setStatus({
+      kind: 'success',
+      message: data.filledLineCount
+        ? `已從翻譯記憶補上 ${data.filledLineCount} 句`
+        : '翻譯記憶中沒有與空白字幕完全相符的譯文',
+    })
   }
 
-  const handleDownloadQrCode = async () => {
-    if (!qrCodeUrl) return
+  const handleOpenAlignmentReview = async (languageId) => {
+    if (!sessionId || !selectedCellId || !languageId) return
     try {
-      const link = document.createElement('a')
-      link.href = qrCodeUrl
-      link.download = `${sessionMeta?.title || 'viewer'}-qr.png`
-      document.body.appendChild(link)
-      link.click()
-      document.body.removeChild(link)
-      setStatus({ kind: 'success', message: 'QR code 已下載' })
-    } catch {
-      window.open(qrCodeUrl, '_blank', 'noopener,noreferrer')
+      setLoadingAlignmentLanguageId(languageId)
+      const response = await fetch(
+        `/api/session/${sessionId}/cells/${selectedCellId}/languages/${languageId}/alignment`,
+      )
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(formatMutationErrorMessage(data, '載入對齊檢視失敗'))
+      }
+      const starts = getAlignmentReviewStarts(
+        data.review.lines,
+        data.review.units.length,
+      )
+      setAlignmentReview({ ...data.review, starts, initialStarts: starts })
+    } catch (error) {
       setStatus({
-        kind: 'info',
-        message: '無法直接下載，已改為開啟 QR code 圖片',
+        kind: 'error',
+        message: error.message || '載入對齊檢視失敗',
       })
+    } finally {
+      setLoadingAlignmentLanguageId('')
     }
   }
 
-  const handleCreateCell = async () => {
-    if (!sessionId) return
-    const name = window.prompt('場次名稱', `場次 ${cells.length + 1}`)
-    if (name == null) return
-    await performSessionMutation(
-      () =>
-        fetch(`/api/session/${sessionId}/cells`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ name }),
-        }),
-      { successMessage: '已新增場次' },
+  const handleMoveAlignmentBoundary = (rowIndex, nextStart) => {
+    setAlignmentReview((current) =>
+      current
+        ? {
+            ...current,
+            starts: moveAlignmentReviewBoundary(current.starts, rowIndex, nextStart),
+          }
+        : current,
     )
   }
 
-  const handleRenameCell = async (cell) => {
-    if (!sessionId || !cell) return
-    const name = window.prompt('重新命名場次', cell.name || '')
-    if (name == null) return
-    await performSessionMutation(
-      () =>
-        fetch(`/api/session/${sessionId}/cells/${cell.id}`, {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ name }),
-        }),
-      { successMessage: '已更新場次名稱' },
-    )
+  const handleDropAlignmentBoundary = (event, unitIndex) => {
+    event.preventDefault()
+    const rowIndex = draggingAlignmentBoundaryRef.current
+    draggingAlignmentBoundaryRef.current = null
+    if (rowIndex == null) return
+    handleMoveAlignmentBoundary(rowIndex, unitIndex)
   }
 
-  const handleSelectCell = async (cellId) => {
-    if (!sessionId || !cellId) return
-    await performSessionMutation(
-      () =>
-        fetch(`/api/session/${sessionId}/cells/${cellId}/select`, {
-          method: 'POST',
-        }),
-      { keepStatus: true },
-    )
+  const handleApplyAlignmentReview = async () => {
+    if (!sessionId || !alignmentReview) return
+    const ranges = getAlignmentReviewRanges(alignmentReview.starts)
+    try {
+      setApplyingAlignmentReview(true)
+      const data = await performSessionMutation(
+        () =>
+          fetch(
+            `/api/session/${sessionId}/cells/${alignmentReview.cellId}/languages/${alignmentReview.languageId}/alignment`,
+            {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({
+                sourceUpdatedAt: alignmentReview.sourceUpdatedAt,
+                ranges: alignmentReview.lines.map((line, index) => ({
+                  lineId: line.id,
+                  ...ranges[index],
+                })),
+              }),
+            },
+          ),
+        { keepStatus: true },
+      )
+      setAlignmentReview(null)
+      setStatus({
+        kind: 'success',
+        message: data.changedLineCount
+          ? `已套用對齊，更新 ${data.changedLineCount} 句（可用復原還原）`
+          : '對齊沒有變更',
+      })
+    } catch {
+      // performSessionMutation already reported the error; keep the review open.
+    } finally {
+      setApplyingAlignmentReview(false)
+    }
   }
 
-  const handleDeleteCell = async (cell) => {
-    if (!sessionId || !cell) return
-    const confirmed = window.confirm(`要刪除「${cell.name}」嗎？`)
-    if (!confirmed) return
-    await performSessionMutation(
-      () =>
-        fetch(`/api/session/${sessionId}/cells/${cell.id}`, {
-          method: 'DELETE',
-        }),
-      { successMessage: '場次已刪除' },
+  // mousedown keeps focus in the cell being edited; the suggestion is saved
+  // the same way as typed text when the cell is confirmed.
+  const handleUseTranslationMemorySuggestion = (event, cellKey, translation) => {
+    event.preventDefault()
+    const node = lineRefs.current[cellKey]
+    if (!node) return
+    node.textContent = translation
+    const range = document.createRange()
+    range.selectNodeContents(node)
+    range.collapse(false)
+    const selection = window.getSelection()
+    if (selection) {
+      selection.removeAllRanges()
+      selection.addRange(range)
+    }
+  }
+
+  const updateGlossaryInput = (index, patch) => {
+    setGlossaryInput((current) =>
+      current.map((entry, entryIndex) =>
+        entryIndex === index ? { ...entry, ...patch } : entry,
+      ),
     )
   }
 
-  const handleAddLanguage = async () => {
+  const handleSaveGlossary = async () => {
     if (!sessionId) return
-    const name = window.prompt('新增語言名稱', '第二語言')
-    if (name == null) return
-    const data = await performSessionMutation(
+    await performSessionMutation(
       () =>
-        fetch(`/api/session/${sessionId}/languages`, {
-          method: 'POST',
+        fetch(`/api/session/${sessionId}/glossary`, {
+          method: 'PUT',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ name }),
+          body: JSON.stringify({ entries: glossaryInput }),
         }),
-      { successMessage: '已新增語言' },
+      { successMessage: '詞彙表已儲存' },
     )
-    const nextLanguages = Array.isArray(data?.session?.languages)
-      ? data.session.languages
-      : []
-    const nextLanguage = nextLanguages[nextLanguages.length - 1]
-    if (nextLanguage?.id && nextLanguage.id !== 'primary') {
-      setComparisonLanguageId(nextLanguage.id)
-    }
   }
 
-  const handleRenameLanguage = async (language) => {
-    if (!sessionId || !language?.id) return
-    const name = window.prompt('重新命名語言', language.name || '')
-    if (name == null) return
+  const handleToggleLiveTranslationLanguage = async (languageId, enabled) => {
+    if (!sessionId) return
+    const languageIds = enabled
+      ? [...liveTranslationLanguageIds, languageId]
+      : liveTranslationLanguageIds.filter((entry) => entry !== languageId)
     await performSessionMutation(
       () =>
-        fetch(`/api/session/${sessionId}/languages/${language.id}`, {
+        fetch(`/api/session/${sessionId}/live-translation`, {
           method: 'PUT',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ name }),
+          body: JSON.stringify({ languageIds }),
         }),
-      { successMessage: '已更新語言名稱' },
+      {
+        successMessage: languageIds.length
+          ? '已更新即時翻譯語言'
+          : '已關閉即時翻譯',
+      },
     )
   }
 
-  const handleDeleteLanguage = async (language) => {
-    if (!sessionId || !language || language.id === 'primary') return
-    const confirmed = window.confirm(`要刪除「${language.name}」嗎？`)
+  const handleLoadTranslationReport = async () => {
+    if (!sessionId) return
+    try {
+      setLoadingTranslationReport(true)
+      const response = await fetch(`/api/session/${sessionId}/translation-report`)
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(formatMutationErrorMessage(data, '產生翻譯檢查報告失敗'))
+      }
+      setTranslationReport(data.report)
+      const issueLineCount = data.report.cells.reduce(
+        (total, cell) =>
+          total +
+          cell.languages.reduce((sum, entry) => sum + entry.lines.length, 0),
+        0,
+      )
+      setStatus({
+        kind: issueLineCount ? 'info' : 'success',
+        message: issueLineCount
+          ? `翻譯檢查完成：共 ${issueLineCount} 行需要確認`
+          : '翻譯檢查完成：所有語言都已翻譯且未發現問題',
+      })
+    } catch (error) {
+      setStatus({
+        kind: 'error',
+        message: error.message || '產生翻譯檢查報告失敗',
+      })
+    } finally {
+      setLoadingTranslationReport(false)
+    }
+  }
+
+  // Jumping from the report only moves the editing cursor, never the live cue.
+  const handleJumpToReportLine = async (cellId, lineId, languageId) => {
+    setEditingModeEnabled(true)
+    setComparisonLanguageId(languageId)
+    pendingReportJumpRef.current = { cellId, lineId }
+    if (cellId !== selectedCellId) {
+      await handleSelectCell(cellId)
+      return
+    }
+    pendingReportJumpRef.current = null
+    const index = lines.findIndex((line) => line.id === lineId)
+    if (index >= 0) {
+      setCurrentIndex(index)
+    }
+  }
+
+  const loadShowRuns = async () => {
+    const response = await fetch(`/api/session/${sessionId}/show-log`)
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error(formatMutationErrorMessage(data, '讀取演出紀錄失敗'))
+    }
+    setShowRuns(data.runs)
+    return data.runs
+  }
+
+  const handleLoadShowRuns = async () => {
+    if (!sessionId) return
+    try {
+      setLoadingShowRuns(true)
+      await loadShowRuns()
+    } catch (error) {
+      setStatus({
+        kind: 'error',
+        message: error.message || '讀取演出紀錄失敗',
+      })
+    } finally {
+      setLoadingShowRuns(false)
+    }
+  }
+
+  const handleToggleShowRun = async () => {
+    if (!sessionId) return
+    const stopping = Boolean(sessionMeta?.showRun)
+    try {
+      setTogglingShowRun(true)
+      const data = await performSessionMutation(
+        () =>
+          fetch(
+            stopping
+              ? `/api/session/${sessionId}/show-log/stop`
+              : `/api/session/${sessionId}/show-log/runs`,
+            {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify(
+                stopping ? {} : { name: showRunNameInput.trim() },
+              ),
+            },
+          ),
+        {
+          successMessage: stopping
+            ? '已結束演出紀錄'
+            : '已開始記錄，之後每次切換字幕都會記下時間',
+        },
+      )
+      if (!stopping) {
+        setShowRunNameInput('')
+      }
+      if (showRuns || stopping) {
+        await loadShowRuns()
+      }
+      if (showRunDetail?.id === data.run?.id) {
+        setShowRunDetail(null)
+      }
+    } catch {
+      // performSessionMutation already reports the error.
+    } finally {
+      setTogglingShowRun(false)
+    }
+  }
+
+  const handleOpenShowRun = async (runId) => {
+    if (!sessionId) return
+    if (showRunDetail?.id === runId) {
+      setShowRunDetail(null)
+      return
+    }
+    try {
+      const response = await fetch(`/api/session/${sessionId}/show-log/runs/${runId}`)
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(formatMutationErrorMessage(data, '讀取演出紀錄失敗'))
+      }
+      setShowRunDetail(data.run)
+    } catch (error) {
+      setStatus({
+        kind: 'error',
+        message: error.message || '讀取演出紀錄失敗',
+      })
+    }
+  }
+
+  const handleExportShowRun = (run, format) =>
+    downloadSessionExport({
+      format,
+      language: format === 'csv' ? '' : showRunExportLanguageId,
+      endpoint: `show-log/runs/${run.id}/export`,
+      filename: `${sessionMeta?.title || 'subtitles'} ${run.name}`,
+      label: format === 'csv' ? '演出紀錄 CSV 檔' : `${format.toUpperCase()} 字幕檔`,
+    })
+
+  const handleLearnShowRunDurations = async (run) => {
+    if (!sessionId) return
+    const confirmed = window.confirm(
+      `要把「${run.name}」每句實際停留的時間設為定時模式的長度嗎？已手動設定的秒數會被覆蓋。`,
+    )
+    if (!confirmed) return
+    try {
+      const data = await performSessionMutation(
+        () =>
+          fetch(`/api/session/${sessionId}/timed-playback/learn`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ runId: run.id }),
+          }),
+        { keepStatus: true },
+      )
+      setStatus({
+        kind: 'success',
+        message: `已從演出紀錄套用 ${data.learnedLineCount} 句的停留時間`,
+      })
+    } catch {
+      // performSessionMutation already reports the error.
+    }
+  }
+
+  const handleDeleteShowRun = async (run) => {
+    if (!sessionId) return
+    const confirmed = window.confirm(`要刪除「${run.name}」的演出紀錄嗎？`)
     if (!confirmed) return
+    try {
+      const data = await performSessionMutation(
+        () =>
+          fetch(`/api/session/${sessionId}/show-log/runs/${run.id}`, {
+            method: 'DELETE',
+          }),
+        { successMessage: '已刪除演出紀錄' },
+      )
+      setShowRuns(data.runs)
+      if (showRunDetail?.id === run.id) {
+        setShowRunDetail(null)
+      }
+    } catch {
+      // performSessionMutation already reports the error.
+    }
+  }
+
+  const handleCopyViewerLink = async () => {
+    if (!viewerShareUrl) return
+    try {
+      await navigator.clipboard.writeText(viewerShareUrl)
+      setStatus({
+        kind: 'success',
+        message: sessionMeta?.viewerAlias
+          ? '檢視端入口網址已複製'
+          : '檢視端連結已複製',
+      })
+    } catch {
+      setStatus({
+        kind: 'error',
+        message: '無法複製，請手動複製連結',
+      })
+    }
+  }
+
+  const handleCopyViewerFixedLink = async () => {
+    if (!viewerUrl) return
+    try {
+      await navigator.clipboard.writeText(viewerUrl)
+      setStatus({ kind: 'success', message: '固定檢視端網址已複製' })
+    } catch {
+      setStatus({
+        kind: 'error',
+        message: '無法複製，請手動複製固定網址',
+      })
+    }
+  }
+
+  const handleCopyPrompterLink = async () => {
+    if (!prompterUrl) return
+    try {
+      await navigator.clipboard.writeText(prompterUrl)
+      setStatus({ kind: 'success', message: '提詞頁網址已複製' })
+    } catch {
+      setStatus({
+        kind: 'error',
+        message: '無法複製，請手動複製提詞頁網址',
+      })
+    }
+  }
+
+  const handleSaveProgramTitle = async () => {
+    if (!sessionId) return
     await performSessionMutation(
       () =>
-        fetch(`/api/session/${sessionId}/languages/${language.id}`, {
-          method: 'DELETE',
+        fetch(`/api/session/${sessionId}/title`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ title: programTitleInput }),
         }),
-      { successMessage: '語言已刪除' },
+      { successMessage: '節目名稱已更新' },
     )
   }
 
-  const handleEndSession = async () => {
+  const handleSaveLlmProvider = async () => {
     if (!sessionId) return
-    const confirmed = window.confirm(
-      '停止外部字幕輸出後，檢視端與投影端網址仍可使用。要繼續嗎？',
-    )
-    if (!confirmed) return
     await performSessionMutation(
       () =>
-        fetch(`/api/session/${sessionId}/end`, {
-          method: 'POST',
+        fetch(`/api/session/${sessionId}/llm-provider`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            ...llmProviderInput,
+            maxPromptChars: llmProviderInput.maxPromptChars || null,
+          }),
         }),
-      { successMessage: '外部字幕已停止顯示' },
+      { successMessage: '拆解模型連線已更新' },
     )
   }
 
-  const currentLine = lines[liveCurrentIndex] || null
-  const editingModeLabel = editingModeEnabled && lines.length > 0
-    ? currentIndex === liveCurrentIndex
-      ? '編輯模式已開啟，清單暫停跟隨 CUE。'
-      : `編輯模式：停留在第 ${currentIndex + 1} 行，直播 CUE 在第 ${liveCurrentIndex + 1} 行。`
-    : ''
-  const comparisonLanguagePreviewNote = comparisonLanguage
-    ? `${comparisonLanguage.name} 欄顯示目前字幕清單結果；要更新內容請在左側輸入區重新解析。`
-    : comparisonLanguageId === ALL_LANGUAGES_OPTION_ID
-      ? '全部語言欄顯示目前字幕清單結果；要更新內容請在左側輸入區重新解析。'
-    : ''
-  lineRefs.current = {}
-  rowRefs.current = []
+  const handleSaveCueInput = async () => {
+    if (!sessionId) return
+    try {
+      await performSessionMutation(
+        () =>
+          fetch(`/api/session/${sessionId}/cue-input`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              ...cueInputForm,
+              oscPort: Number(cueInputForm.oscPort),
+              midiChannel: Number(cueInputForm.midiChannel),
+              midiDeviceId: Number(cueInputForm.midiDeviceId),
+              midiNotes: Object.fromEntries(
+                Object.entries(cueInputForm.midiNotes).map(([command, note]) => [
+                  command,
+                  note === '' ? null : Number(note),
+                ]),
+              ),
+            }),
+          }),
+        { successMessage: '外部 CUE 設定已更新' },
+      )
+    } catch {
+      // performSessionMutation already reports the error.
+    }
+  }
 
-  const transcriptionStatusLabelMap = {
-    idle: '待命',
-    connecting: '連線中',
-    running: '辨識中',
-    error: '錯誤',
+  const handleCreateApiToken = async () => {
+    if (!sessionId) return
+    try {
+      const data = await performSessionMutation(
+        () =>
+          fetch(`/api/session/${sessionId}/api-tokens`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: apiTokenNameInput }),
+          }),
+        { successMessage: '已建立 API 權杖，請立即複製保存' },
+      )
+      setApiTokenNameInput('')
+      setRevealedIntegrationSecret({
+        label: `API 權杖「${data.apiToken.name}」`,
+        value: data.apiToken.token,
+      })
+    } catch {
+      // performSessionMutation already reports the error.
+    }
   }
-  const transcriptionStatusLabel =
-    transcriptionStatusLabelMap[transcription.status] || transcription.status
-  const speakerRecognitionEnabled =
-    transcription.speakerRecognitionEnabled === true
-  const currentLineMusicActive = isLineMarkedMusic(currentLine)
-  const currentLineMusicVisible = musicEffectEnabled && currentLineMusicActive
-  const musicSelectionHint =
-    pendingMusicRangeStartIndex != null
-      ? `音樂範圍選取中：已選第 ${pendingMusicRangeStartIndex + 1} 行為起點，請再勾選結束行。`
-      : '勾選音樂後，再勾選另一行可自動標記整段範圍。'
-  const transcriptionPreview =
-    transcription.text && transcription.text.trim().length > 0
-      ? transcription.text
-      : transcriptionBusy
-        ? '請開始說話…'
-        : '尚未啟動即時語音辨識'
-  const projectorPreviewLanguages = resolveLanguageDisplayList(
-    languages,
-    projectorDefaultLanguageId,
-    selectedProjectorLanguageMode,
-  )
-  const projectorPreviewTexts =
-    !displayEnabled
-      ? []
-    : currentLine?.type === 'direction'
-        ? [{ id: 'direction', name: '', text: '舞台指示不投影' }]
-        : currentLine
-          ? projectorPreviewLanguages
-              .map((language) => ({
-                id: language.id,
-                name: language.name,
-                text: resolveLineText(currentLine, language.id),
-              }))
-              .filter((entry) => entry.text.trim())
-          : [{ id: 'empty', name: '', text: '尚未載入字幕' }]
-  const projectorStatus = sessionMeta?.projectorStatus || null
-  const projectorConnected = projectorStatus?.connected === true
-  const projectorRealtimeConnected = projectorStatus?.realtimeConnected === true
-  const projectorHealthMessage =
-    typeof projectorStatus?.message === 'string' ? projectorStatus.message.trim() : ''
-  const projectorStatusMessage = !projectorConnected
-    ? projectorHealthMessage || '尚未偵測到投影端連線'
-    : !projectorRealtimeConnected
-      ? projectorHealthMessage &&
-        projectorHealthMessage !== '投影端已斷線'
-        ? `${projectorHealthMessage}；目前即時連線已中斷，暫時改用定期同步`
-        : '投影端仍有回應，但即時連線已中斷，暫時改用定期同步'
-      : projectorHealthMessage || '投影端正常'
-  const projectorStatusBadgeLabel = !projectorConnected
-    ? '未連線'
-    : projectorRealtimeConnected
-      ? projectorStatus?.connectionCount > 1
-        ? `已連線 ${projectorStatus.connectionCount}`
-        : '已連線'
-      : '同步中'
-  const projectorStatusUpdatedAtLabel = formatStatusTimestamp(
-    projectorRealtimeConnected
-      ? projectorStatus?.updatedAt
-      : projectorStatus?.lastSeenAt || projectorStatus?.updatedAt,
-  )
-  const projectorStatusLevel = !projectorConnected
-    ? projectorStatus?.level || 'warning'
-    : !projectorRealtimeConnected
-      ? projectorStatus?.level === 'error'
-        ? 'error'
-        : 'warning'
-      : projectorStatus?.level || 'idle'
-  const projectorPreviewStyle = {
-    '--projector-preview-scale': Math.max(projectorLayout.fontSizePercent, 0) / 100,
-    '--projector-preview-width': `${projectorLayout.widthPercent}%`,
-    '--projector-preview-left': `${50 + projectorLayout.offsetX * 0.8}%`,
-    '--projector-preview-top': `${50 + projectorLayout.offsetY * 0.9}%`,
+
+  const handleRevokeApiToken = async (apiToken) => {
+    if (!sessionId) return
+    const confirmed = window.confirm(
+      `要撤銷「${apiToken.name}」嗎？使用這組權杖的按鈕與程式會立即失效。`,
+    )
+    if (!confirmed) return
+    try {
+      await performSessionMutation(
+        () =>
+          fetch(`/api/session/${sessionId}/api-tokens/${apiToken.id}`, {
+            method: 'DELETE',
+          }),
+        { successMessage: '已撤銷 API 權杖' },
+      )
+    } catch {
+      // performSessionMutation already reports the error.
+    }
   }
-  const previewRoleColor =
-    roleColorEnabled && currentLine?.type !== 'direction'
-      ? roleToColor(currentLine?.role)
-      : ''
-  const canMoveToPreviousLine = lines.length > 0 && liveCurrentIndex > 0
-  const canMoveToNextLine =
-    lines.length > 0 && liveCurrentIndex < lines.length - 1
 
-  if (!authReady) {
-    return (
-      <div className="page">
-        <div className="home-intro">載入控制端中…</div>
-      </div>
+  const handleCreateWebhook = async () => {
+    if (!sessionId) return
+    try {
+      const data = await performSessionMutation(
+        () =>
+          fetch(`/api/session/${sessionId}/webhooks`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              url: webhookUrlInput,
+              events: webhookEventsInput,
+            }),
+          }),
+        { successMessage: '已新增 Webhook，請保存簽章密鑰' },
+      )
+      setWebhookUrlInput('')
+      setRevealedIntegrationSecret({
+        label: `Webhook「${data.webhook.name}」簽章密鑰`,
+        value: data.webhook.secret,
+      })
+    } catch {
+      // performSessionMutation already reports the error.
+    }
+  }
+
+  const handleUpdateWebhook = async (webhook, patch, successMessage) => {
+    if (!sessionId) return
+    try {
+      await performSessionMutation(
+        () =>
+          fetch(`/api/session/${sessionId}/webhooks/${webhook.id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(patch),
+          }),
+        { successMessage },
+      )
+    } catch {
+      // performSessionMutation already reports the error.
+    }
+  }
+
+  const handleToggleWebhookEvent = (webhook, eventId) => {
+    const events = webhook.events.includes(eventId)
+      ? webhook.events.filter((event) => event !== eventId)
+      : [...webhook.events, eventId]
+    handleUpdateWebhook(webhook, { events }, 'Webhook 事件已更新')
+  }
+
+  const handleTestWebhook = async (webhook) => {
+    if (!sessionId) return
+    try {
+      const data = await performSessionMutation(
+        () =>
+          fetch(`/api/session/${sessionId}/webhooks/${webhook.id}/test`, {
+            method: 'POST',
+          }),
+        { keepStatus: true },
+      )
+      setStatus(
+        data.delivery?.ok
+          ? { kind: 'success', message: `測試事件已送達（HTTP ${data.delivery.status}）` }
+          : {
+              kind: 'error',
+              message: `測試事件送出失敗：${data.delivery?.error || '未知錯誤'}`,
+            },
+      )
+    } catch {
+      // performSessionMutation already reports the error.
+    }
+  }
+
+  const handleDeleteWebhook = async (webhook) => {
+    if (!sessionId) return
+    const confirmed = window.confirm(`要刪除 Webhook「${webhook.name}」嗎？`)
+    if (!confirmed) return
+    try {
+      await performSessionMutation(
+        () =>
+          fetch(`/api/session/${sessionId}/webhooks/${webhook.id}`, {
+            method: 'DELETE',
+          }),
+        { successMessage: '已刪除 Webhook' },
+      )
+    } catch {
+      // performSessionMutation already reports the error.
+    }
+  }
+
+  const handleCopyIntegrationSecret = async () => {
+    if (!revealedIntegrationSecret) return
+    try {
+      await navigator.clipboard.writeText(revealedIntegrationSecret.value)
+      setStatus({ kind: 'success', message: `${revealedIntegrationSecret.label}已複製` })
+    } catch {
+      setStatus({
+        kind: 'error',
+        message: '無法複製，請手動選取後複製',
+      })
+    }
+  }
+
+  const updateCueInputForm = (patch) => {
+    setCueInputForm((current) => ({ ...current, ...patch }))
+  }
+
+  const updateScriptRuleInput = (index, patch) => {
+    setScriptRulesInput((current) =>
+      current.map((rule, ruleIndex) =>
+        ruleIndex === index ? { ...rule, ...patch } : rule,
+      ),
     )
   }
 
-  if (!user) {
-    return null
+  const handleSaveScriptRules = async () => {
+    if (!sessionId) return
+    await performSessionMutation(
+      () =>
+        fetch(`/api/session/${sessionId}/script-rules`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ rules: scriptRulesInput }),
+        }),
+      { successMessage: '劇本標記規則已儲存' },
+    )
   }
 
-  if (!sessionId) {
-    return (
-      <div className="page">
-        <div className="home-intro">
-          <p>請先從首頁選擇一個節目。</p>
-          <button type="button" onClick={() => navigate('/')}>
-            返回節目列表
-          </button>
-        </div>
-      </div>
+  const handleTestScriptRules = async () => {
+    if (!sessionId) return
+    try {
+      const response = await fetch(`/api/session/${sessionId}/script-rules/test`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          rules: scriptRulesInput,
+          text: scriptRuleTestText,
+        }),
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(formatMutationErrorMessage(data, '測試規則失敗'))
+      }
+      setScriptRuleTestResult(data)
+    } catch (error) {
+      setScriptRuleTestResult(null)
+      setStatus({ kind: 'error', message: error.message || '測試規則失敗' })
+    }
+  }
+
+  const updateLineLengthInput = (languageId, field, value) => {
+    setLineLengthInput((current) => ({
+      ...current,
+      [languageId]: { ...current[languageId], [field]: value },
+    }))
+  }
+
+  // Blank width means "use the language default", sent as null to clear it.
+  const handleSaveLineLengthProfiles = async () => {
+    if (!sessionId) return
+    const profiles = Object.fromEntries(
+      languages.map((language) => {
+        const entry = lineLengthInput[language.id]
+        if (entry?.maxWidthUnits === undefined || entry.maxWidthUnits === '') {
+          return [language.id, null]
+        }
+        return [language.id, entry]
+      }),
+    )
+    await performSessionMutation(
+      () =>
+        fetch(`/api/session/${sessionId}/line-length-profiles`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ profiles }),
+        }),
+      { successMessage: '字幕長度設定已儲存' },
+    )
+  }
+
+  const handleApplyLineLengths = async (languageId) => {
+    if (!sessionId || !selectedCellId) return
+    const data = await performSessionMutation(
+      () =>
+        fetch(
+          `/api/session/${sessionId}/cells/${selectedCellId}/line-lengths/apply`,
+          {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ languageId }),
+          },
+        ),
+      { keepStatus: true },
     )
+    if (!data) return
+    const skippedNote = data.skippedLineCount
+      ? `，${data.skippedLineCount} 句已有翻譯而未拆開`
+      : ''
+    setStatus({
+      kind: 'success',
+      message: data.splitLineCount
+        ? `已重新套用字幕長度，新增 ${data.splitLineCount} 句${skippedNote}`
+        : `目前場次沒有超出長度的字幕${skippedNote}`,
+    })
   }
 
-  return (
-    <div
-      className={`control-page ${
-        leftPanelCollapsed ? 'left-panel-collapsed' : ''
-      } ${rightPanelCollapsed ? 'right-panel-collapsed' : ''}`}
-    >
-      <aside className={`control-sidebar ${leftPanelCollapsed ? 'collapsed' : ''}`}>
-        <div className="control-sidebar-fixed">
-          <div className="sidebar-toggle-row">
-            <button
-              type="button"
-              className="subtle-button"
-              onClick={() => setLeftPanelCollapsed((prev) => !prev)}
-            >
-              {leftPanelCollapsed ? '展開控制端' : '收合控制端'}
-            </button>
-            {!leftPanelCollapsed && (
+  const handleSaveViewerAlias = async () => {
+    if (!sessionId) return
+    const data = await performSessionMutation(
+      () =>
+        fetch(`/api/session/${sessionId}/viewer-alias`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ viewerAlias: viewerAliasInput }),
+        }),
+      { keepStatus: true },
+    )
+    const nextAlias = data?.session?.viewerAlias || ''
+    setStatus({
+      kind: 'success',
+      message: nextAlias
+        ? `檢視端入口已更新為 ${viewerAliasBaseUrl}${nextAlias}`
+        : '檢視端入口已清除，已改回固定亂碼網址',
+    })
+  }
+
+  const handleAddRole = async () => {
+    if (!sessionId) return
+    const name = window.prompt('新增角色名稱', '')
+    if (name == null) return
+    await performSessionMutation(
+      () =>
+        fetch(`/api/session/${sessionId}/roles`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name }),
+        }),
+      { successMessage: '已新增角色' },
+    )
+  }
+
+  const handleRenameRole = async (roleName) => {
+    if (!sessionId || !roleName) return
+    const name = window.prompt('重新命名角色', roleName)
+    if (name == null) return
+    await performSessionMutation(
+      () =>
+        fetch(`/api/session/${sessionId}/roles/${encodeURIComponent(roleName)}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name }),
+        }),
+      { successMessage: '角色名稱已更新' },
+    )
+  }
+
+  const handleMergeRole = async (roleName) => {
+    if (!sessionId || !roleName) return
+    const target = window.prompt(
+      `要把「${roleName}」合併到哪個角色？之後拆解或編輯出現「${roleName}」也會自動改成該角色。`,
+      '',
+    )
+    if (target == null) return
+    await performSessionMutation(
+      () =>
+        fetch(`/api/session/${sessionId}/roles/merge`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ sources: [roleName], target }),
+        }),
+      { successMessage: '角色已合併，可用復原還原' },
+    )
+  }
+
+  const saveRoleAliases = async (aliases, successMessage) => {
+    if (!sessionId) return
+    await performSessionMutation(
+      () =>
+        fetch(`/api/session/${sessionId}/role-aliases`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ aliases }),
+        }),
+      { successMessage },
+    )
+  }
+
+  const handleAddRoleAlias = async () => {
+    const alias = window.prompt('角色別名（例如「大明」）', '')
+    if (!alias?.trim()) return
+    const role = window.prompt(`「${alias.trim()}」對應的正式角色名稱`, '')
+    if (!role?.trim()) return
+    await saveRoleAliases(
+      { ...roleAliases, [alias.trim()]: role.trim() },
+      '已新增角色別名',
+    )
+  }
+
+  const handleDeleteRoleAlias = async (alias) => {
+    const nextAliases = { ...roleAliases }
+    delete nextAliases[alias]
+    await saveRoleAliases(nextAliases, '已移除角色別名')
+  }
+
+  const handleDeleteRole = async (roleName) => {
+    if (!sessionId || !roleName) return
+    const confirmed = window.confirm(
+      `要刪除「${roleName}」嗎？相關字幕行會改成無角色。`,
+    )
+    if (!confirmed) return
+    await performSessionMutation(
+      () =>
+        fetch(`/api/session/${sessionId}/roles/${encodeURIComponent(roleName)}`, {
+          method: 'DELETE',
+        }),
+      { successMessage: '角色已刪除' },
+    )
+  }
+
+  const handleClearViewerAlias = async () => {
+    if (!sessionId) return
+    const previousViewerAlias = sessionMeta?.viewerAlias || ''
+    setViewerAliasInput('')
+    try {
+      const data = await performSessionMutation(
+        () =>
+          fetch(`/api/session/${sessionId}/viewer-alias`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ viewerAlias: '' }),
+          }),
+        { keepStatus: true },
+      )
+      setStatus({
+        kind: 'success',
+        message: data?.session?.viewerAlias
+          ? `檢視端入口已更新為 ${viewerAliasBaseUrl}${data.session.viewerAlias}`
+          : '檢視端入口已清除，已改回固定亂碼網址',
+      })
+    } catch {
+      setViewerAliasInput(previousViewerAlias)
+    }
+  }
+
+  const handleCopyProjectorLink = async () => {
+    if (!projectorUrl) return
+    try {
+      await navigator.clipboard.writeText(projectorUrl)
+      setStatus({ kind: 'success', message: '投影端連結已複製' })
+    } catch {
+      setStatus({
+        kind: 'error',
+        message: '無法複製，請手動複製投影連結',
+      })
+    }
+  }
+
+  const handleOpenProjectorWindow = () => {
+    if (!projectorUrl) return
+    const nextWindow = window.open(projectorUrl, 'subtitle-machine-projector')
+    if (nextWindow) {
+      nextWindow.focus()
+      setStatus({
+        kind: 'info',
+        message: '投影頁已開啟，請拖到外接螢幕後點右上角隱藏熱區切換全螢幕',
+      })
+      return
+    }
+    setStatus({
+      kind: 'error',
+      message: '瀏覽器封鎖了新視窗，請允許彈出視窗後重試',
+    })
+  }
+
+  const updateProjectorLayout = (patch, successMessage = '') => {
+    if (!socketRef.current || !sessionId) return
+    const nextLayout = normalizeProjectorLayout({
+      ...projectorLayoutDraftRef.current,
+      ...patch,
+    })
+    projectorLayoutDirtyRef.current = true
+    projectorLayoutDraftRef.current = nextLayout
+    setProjectorLayout(nextLayout)
+    socketRef.current.emit('updateProjectorLayout', {
+      sessionId,
+      layout: patch,
+    })
+    if (successMessage) {
+      setStatus({ kind: 'success', message: successMessage })
+    }
+  }
+
+  const handleProjectorLayoutInputChange = (field, event) => {
+    const rawValue = event.target.value
+    setProjectorLayoutInputDrafts((previousDrafts) => ({
+      ...previousDrafts,
+      [field]: rawValue,
+    }))
+
+    const trimmedValue = rawValue.trim()
+    if (
+      trimmedValue === '' ||
+      trimmedValue === '-' ||
+      trimmedValue === '+' ||
+      !PROJECTOR_LAYOUT_INPUT_PATTERN.test(trimmedValue)
+    ) {
+      return
+    }
+
+    const nextValue = Number(trimmedValue)
+    if (!Number.isFinite(nextValue)) return
+    updateProjectorLayout({ [field]: nextValue })
+  }
+
+  const handleProjectorLayoutInputFocus = (field) => {
+    activeProjectorLayoutInputRef.current = field
+  }
+
+  const handleProjectorLayoutInputBlur = (field) => {
+    activeProjectorLayoutInputRef.current = null
+    const latestLayout = normalizeProjectorLayout(projectorLayoutDraftRef.current)
+    setProjectorLayoutInputDrafts((previousDrafts) => ({
+      ...previousDrafts,
+      [field]: String(latestLayout[field]),
+    }))
+  }
+
+  const handleProjectorLayoutInputKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.currentTarget.blur()
+    }
+  }
+
+  const adjustProjectorLayout = (field, delta) => {
+    const currentValue = Number(projectorLayoutDraftRef.current?.[field])
+    const nextValue = (Number.isFinite(currentValue) ? currentValue : 0) + delta
+    if (PROJECTOR_LAYOUT_INPUT_FIELDS.includes(field)) {
+      const nextLayout = normalizeProjectorLayout({
+        ...projectorLayoutDraftRef.current,
+        [field]: nextValue,
+      })
+      activeProjectorLayoutInputRef.current = null
+      setProjectorLayoutInputDrafts((previousDrafts) => ({
+        ...previousDrafts,
+        [field]: String(nextLayout[field]),
+      }))
+    }
+    updateProjectorLayout({ [field]: nextValue })
+  }
+
+  const startProjectorLayoutRepeat = (field, delta, event) => {
+    if (event?.button != null && event.button !== 0) return
+    event?.preventDefault?.()
+    clearProjectorRepeat()
+    adjustProjectorLayout(field, delta)
+    projectorRepeatRef.current.startTimer = window.setTimeout(() => {
+      projectorRepeatRef.current.startTimer = null
+      projectorRepeatRef.current.repeatTimer = window.setInterval(() => {
+        adjustProjectorLayout(field, delta)
+      }, PROJECTOR_REPEAT_INTERVAL_MS)
+    }, PROJECTOR_REPEAT_START_DELAY_MS)
+  }
+
+  const stopProjectorLayoutRepeatFromKey = (event) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      clearProjectorRepeat()
+    }
+  }
+
+  const getProjectorRepeatHandlers = (field, delta) => ({
+    onPointerDown: (event) => startProjectorLayoutRepeat(field, delta, event),
+    onPointerUp: clearProjectorRepeat,
+    onPointerLeave: clearProjectorRepeat,
+    onPointerCancel: clearProjectorRepeat,
+    onKeyDown: (event) => {
+      if (event.key !== 'Enter' && event.key !== ' ') return
+      if (event.repeat) return
+      startProjectorLayoutRepeat(field, delta, event)
+    },
+    onKeyUp: stopProjectorLayoutRepeatFromKey,
+    onBlur: clearProjectorRepeat,
+  })
+
+  const handleProjectorDisplayModeChange = async (event) => {
+    if (!socketRef.current || !sessionId) return
+    const nextDisplayMode = normalizeProjectorDisplayMode(event.target.value)
+    if (nextDisplayMode === PROJECTOR_DISPLAY_MODES.TRANSCRIPTION) {
+      const started = await handleStartLiveTranscription()
+      if (!started) return
+    } else if (
+      projectorStartedTranscriptionRef.current &&
+      subtitleControlMode !== SUBTITLE_CONTROL_MODES.AUTO
+    ) {
+      handleStopLiveTranscription()
+    }
+
+    projectorDisplayModeDirtyRef.current = true
+    projectorDisplayModeDraftRef.current = nextDisplayMode
+    setProjectorDisplayMode(nextDisplayMode)
+    socketRef.current.emit('setProjectorDisplayMode', {
+      sessionId,
+      displayMode: nextDisplayMode,
+    })
+    setStatus({
+      kind: 'info',
+      message:
+        nextDisplayMode === PROJECTOR_DISPLAY_MODES.TRANSCRIPTION
+          ? '投影端已切換為即時語音辨識模式'
+          : '投影端已切換為固定劇本字幕模式',
+    })
+  }
+
+  const handleResetProjectorLayout = () => {
+    updateProjectorLayout(
+      {
+        ...normalizeProjectorLayout(),
+      },
+      '投影版面已重設',
+    )
+  }
+
+  const handleDownloadQrCode = async () => {
+    if (!qrCodeUrl) return
+    try {
+      const link = document.createElement('a')
+      link.href = qrCodeUrl
+      link.download = `${sessionMeta?.title || 'viewer'}-qr.png`
+      document.body.appendChild(link)
+      link.click()
+      document.body.removeChild(link)
+      setStatus({ kind: 'success', message: 'QR code 已下載' })
+    } catch {
+      window.open(qrCodeUrl, '_blank', 'noopener,noreferrer')
+      setStatus({
+        kind: 'info',
+        message: '無法直接下載，已改為開啟 QR code 圖片',
+      })
+    }
+  }
+
+  const handleCreateCell = async () => {
+    if (!sessionId) return
+    const name = window.prompt('場次名稱', `場次 ${cells.length + 1}`)
+    if (name == null) return
+    await performSessionMutation(
+      () =>
+        fetch(`/api/session/${sessionId}/cells`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name }),
+        }),
+      { successMessage: '已新增場次' },
+    )
+  }
+
+  const handleRenameCell = async (cell) => {
+    if (!sessionId || !cell) return
+    const name = window.prompt('重新命名場次', cell.name || '')
+    if (name == null) return
+    await performSessionMutation(
+      () =>
+        fetch(`/api/session/${sessionId}/cells/${cell.id}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name }),
+        }),
+      { successMessage: '已更新場次名稱' },
+    )
+  }
+
+  const handleSelectCell = async (cellId) => {
+    if (!sessionId || !cellId) return
+    await performSessionMutation(
+      () =>
+        fetch(`/api/session/${sessionId}/cells/${cellId}/select`, {
+          method: 'POST',
+        }),
+      { keepStatus: true },
+    )
+  }
+
+  const handleDeleteCell = async (cell) => {
+    if (!sessionId || !cell) return
+    const confirmed = window.confirm(`要刪除「${cell.name}」嗎？`)
+    if (!confirmed) return
+    await performSessionMutation(
+      () =>
+        fetch(`/api/session/${sessionId}/cells/${cell.id}`, {
+          method: 'DELETE',
+        }),
+      { successMessage: '場次已刪除' },
+    )
+  }
+
+  const handleAddLanguage = async () => {
+    if (!sessionId) return
+    const name = window.prompt('新增語言名稱', '第二語言')
+    if (name == null) return
+    const data = await performSessionMutation(
+      () =>
+        fetch(`/api/session/${sessionId}/languages`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name }),
+        }),
+      { successMessage: '已新增語言' },
+    )
+    const nextLanguages = Array.isArray(data?.session?.languages)
+      ? data.session.languages
+      : []
+    const nextLanguage = nextLanguages[nextLanguages.length - 1]
+    if (nextLanguage?.id && nextLanguage.id !== 'primary') {
+      setComparisonLanguageId(nextLanguage.id)
+    }
+  }
+
+  const handleRenameLanguage = async (language) => {
+    if (!sessionId || !language?.id) return
+    const name = window.prompt('重新命名語言', language.name || '')
+    if (name == null) return
+    await performSessionMutation(
+      () =>
+        fetch(`/api/session/${sessionId}/languages/${language.id}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name }),
+        }),
+      { successMessage: '已更新語言名稱' },
+    )
+  }
+
+  const handleChangeLanguageCode = async (language) => {
+    if (!sessionId || !language?.id) return
+    const code = window.prompt(
+      '語言代碼（例如 en、ja、ar、he；用於文字方向與翻譯對應）',
+      language.code || '',
+    )
+    if (code == null) return
+    await performSessionMutation(
+      () =>
+        fetch(`/api/session/${sessionId}/languages/${language.id}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ code }),
+        }),
+      { successMessage: '已更新語言代碼' },
+    )
+  }
+
+  const handleLanguageDirectionChange = async (language, direction) => {
+    if (!sessionId || !language?.id) return
+    await performSessionMutation(
+      () =>
+        fetch(`/api/session/${sessionId}/languages/${language.id}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ direction }),
+        }),
+      { successMessage: '已更新文字方向' },
+    )
+  }
+
+  const handleDeleteLanguage = async (language) => {
+    if (!sessionId || !language || language.id === 'primary') return
+    const confirmed = window.confirm(`要刪除「${language.name}」嗎？`)
+    if (!confirmed) return
+    await performSessionMutation(
+      () =>
+        fetch(`/api/session/${sessionId}/languages/${language.id}`, {
+          method: 'DELETE',
+        }),
+      { successMessage: '語言已刪除' },
+    )
+  }
+
+  const handleEndSession = async () => {
+    if (!sessionId) return
+    const confirmed = window.confirm(
+      '停止外部字幕輸出後，檢視端與投影端網址仍可使用。要繼續嗎？',
+    )
+    if (!confirmed) return
+    await performSessionMutation(
+      () =>
+        fetch(`/api/session/${sessionId}/end`, {
+          method: 'POST',
+        }),
+      { successMessage: '外部字幕已停止顯示' },
+    )
+  }
+
+  const currentLine = lines[liveCurrentIndex] || null
+  const editingModeLabel = editingModeEnabled && lines.length > 0
+    ? currentIndex === liveCurrentIndex
+      ? '編輯模式已開啟，清單暫停跟隨 CUE。'
+      : `編輯模式：停留在第 ${currentIndex + 1} 行，直播 CUE 在第 ${liveCurrentIndex + 1} 行。`
+    : ''
+  const comparisonLanguagePreviewNote = comparisonLanguage
+    ? `${comparisonLanguage.name} 欄顯示目前字幕清單結果；要更新內容請在左側輸入區重新解析。`
+    : comparisonLanguageId === ALL_LANGUAGES_OPTION_ID
+      ? '全部語言欄顯示目前字幕清單結果；要更新內容請在左側輸入區重新解析。'
+    : ''
+  lineRefs.current = {}
+  rowRefs.current = []
+
+  const transcriptionStatusLabelMap = {
+    idle: '待命',
+    connecting: '連線中',
+    running: '辨識中',
+    error: '錯誤',
+  }
+  const transcriptionStatusLabel =
+    transcriptionStatusLabelMap[transcription.status] || transcription.status
+  const speakerRecognitionEnabled =
+    transcription.speakerRecognitionEnabled === true
+  const liveTranslationLanguageNames = languages
+    .filter((language) => liveTranslationLanguageIds.includes(language.id))
+    .map((language) => language.name)
+  const currentLineMusicActive = isLineMarkedMusic(currentLine)
+  const currentLineMusicVisible = musicEffectEnabled && currentLineMusicActive
+  const musicSelectionHint =
+    pendingMusicRangeStartIndex != null
+      ? `音樂範圍選取中：已選第 ${pendingMusicRangeStartIndex + 1} 行為起點，請再勾選結束行。`
+      : '勾選音樂後，再勾選另一行可自動標記整段範圍。'
+  const transcriptionPreview =
+    transcription.text && transcription.text.trim().length > 0
+      ? transcription.text
+      : transcriptionBusy
+        ? '請開始說話…'
+        : '尚未啟動即時語音辨識'
+  const projectorPreviewLanguages = resolveLanguageDisplayList(
+    languages,
+    projectorDefaultLanguageId,
+    selectedProjectorLanguageMode,
+  )
+  const projectorPreviewTexts =
+    !displayEnabled
+      ? []
+    : currentLine?.type === 'direction'
+        ? [{ id: 'direction', name: '', text: '舞台指示不投影' }]
+        : currentLine
+          ? projectorPreviewLanguages
+              .map((language) => ({
+                id: language.id,
+                name: language.name,
+                direction: resolveLanguageDirection(languages, language.id),
+                text: resolveLineText(currentLine, language.id),
+              }))
+              .filter((entry) => entry.text.trim())
+          : [{ id: 'empty', name: '', text: '尚未載入字幕' }]
+  const projectorStatus = sessionMeta?.projectorStatus || null
+  const projectorConnected = projectorStatus?.connected === true
+  const projectorRealtimeConnected = projectorStatus?.realtimeConnected === true
+  const projectorHealthMessage =
+    typeof projectorStatus?.message === 'string' ? projectorStatus.message.trim() : ''
+  const projectorStatusMessage = !projectorConnected
+    ? projectorHealthMessage || '尚未偵測到投影端連線'
+    : !projectorRealtimeConnected
+      ? projectorHealthMessage &&
+        projectorHealthMessage !== '投影端已斷線'
+        ? `${projectorHealthMessage}；目前即時連線已中斷，暫時改用定期同步`
+        : '投影端仍有回應，但即時連線已中斷，暫時改用定期同步'
+      : projectorHealthMessage || '投影端正常'
+  const projectorStatusBadgeLabel = !projectorConnected
+    ? '未連線'
+    : projectorRealtimeConnected
+      ? projectorStatus?.connectionCount > 1
+        ? `已連線 ${projectorStatus.connectionCount}`
+        : '已連線'
+      : '同步中'
+  const projectorStatusUpdatedAtLabel = formatStatusTimestamp(
+    projectorRealtimeConnected
+      ? projectorStatus?.updatedAt
+      : projectorStatus?.lastSeenAt || projectorStatus?.updatedAt,
+  )
+  const projectorStatusLevel = !projectorConnected
+    ? projectorStatus?.level || 'warning'
+    : !projectorRealtimeConnected
+      ? projectorStatus?.level === 'error'
+        ? 'error'
+        : 'warning'
+      : projectorStatus?.level || 'idle'
+  const projectorPreviewStyle = {
+    '--projector-preview-scale': Math.max(projectorLayout.fontSizePercent, 0) / 100,
+    '--projector-preview-width': `${projectorLayout.widthPercent}%`,
+    '--projector-preview-left': `${50 + projectorLayout.offsetX * 0.8}%`,
+    '--projector-preview-top': `${50 + projectorLayout.offsetY * 0.9}%`,
+  }
+  const previewRoleColor =
+    roleColorEnabled && currentLine?.type !== 'direction'
+      ? roleToColor(currentLine?.role)
+      : ''
+  const canMoveToPreviousLine = lines.length > 0 && liveCurrentIndex > 0
+  const canMoveToNextLine =
+    lines.length > 0 && liveCurrentIndex < lines.length - 1
+
+  if (!authReady) {
+    return (
+      <div className="page">
+        <div className="home-intro">載入控制端中…</div>
+      </div>
+    )
+  }
+
+  if (!user) {
+    return null
+  }
+
+  if (!sessionId) {
+    return (
+      <div className="page">
+        <div className="home-intro">
+          <p>請先從首頁選擇一個節目。</p>
+          <button type="button" onClick={() => navigate('/')}>
+            返回節目列表
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div
+      className={`control-page ${
+        leftPanelCollapsed ? 'left-panel-collapsed' : ''
+      } ${rightPanelCollapsed ? 'right-panel-collapsed' : ''}`}
+    >
+      <aside className={`control-sidebar ${leftPanelCollapsed ? 'collapsed' : ''}`}>
+        <div className="control-sidebar-fixed">
+          <div className="sidebar-toggle-row">
+            <button
+              type="button"
+              className="subtle-button"
+              onClick={() => setLeftPanelCollapsed((prev) => !prev)}
+            >
+              {leftPanelCollapsed ? '展開控制端' : '收合控制端'}
+            </button>
+            {!leftPanelCollapsed && (
+              <button
+                type="button"
+                className="subtle-button"
+                onClick={() => navigate('/')}
+              >
+                返回首頁
+              </button>
+            )}
+          </div>
+
+          {!leftPanelCollapsed && (
+            <header className="control-header">
+              <div className="session-title-row">
+                <div>
+                  <h1>{sessionMeta?.title || '未命名節目'}</h1>
+                  <p className="input-note">
+                    {sessionMeta?.status === 'ended'
+                      ? '已停止外部字幕輸出；檢視端與投影端網址仍可使用'
+                      : '節目啟用中'}
+                  </p>
+                </div>
+                <span className={`session-state-badge ${sessionMeta?.status || 'active'}`}>
+                  {sessionMeta?.status === 'ended' ? '已結束' : '進行中'}
+                </span>
+              </div>
+            </header>
+          )}
+        </div>
+
+        {!leftPanelCollapsed && (
+          <>
+            <div className="control-sidebar-scroll">
+              <ControlSection title="節目" defaultOpen>
+                <div className="input-group">
+                  <label htmlFor="program-title">節目名稱</label>
+                  <div className="viewer-alias-editor">
+                    <input
+                      id="program-title"
+                      type="text"
+                      value={programTitleInput}
+                      maxLength={60}
+                      onChange={(event) => setProgramTitleInput(event.target.value)}
+                    />
+                    <button type="button" onClick={handleSaveProgramTitle}>
+                      儲存
+                    </button>
+                  </div>
+                </div>
+              </ControlSection>
+
+              <ControlSection title="系統連線" defaultOpen>
+              <div className="input-group">
+                <label htmlFor="openai-key">OpenAI API Key</label>
+                <input
+                  id="openai-key"
+                  type="password"
+                  placeholder="sk-..."
+                  value={apiKey}
+                  onChange={(event) => setApiKey(event.target.value.trim())}
+                />
+                <label className="checkbox-row">
+                  <input
+                    type="checkbox"
+                    checked={rememberKey}
+                    onChange={(event) => setRememberKey(event.target.checked)}
+                  />
+                  在此裝置記住 API Key
+                </label>
+              </div>
+              <div className="input-group">
+                <label htmlFor="llm-provider-kind">劇本拆解與對齊服務</label>
+                <select
+                  id="llm-provider-kind"
+                  value={llmProviderInput.kind}
+                  onChange={(event) =>
+                    setLlmProviderInput((current) => ({
+                      ...current,
+                      kind: event.target.value,
+                    }))
+                  }
+                >
+                  <option value={LLM_PROVIDER_KINDS.OPENAI}>OpenAI</option>
+                  <option value={LLM_PROVIDER_KINDS.OPENAI_COMPATIBLE}>
+                    OpenAI 相容伺服器（自架 / 離線）
+                  </option>
+                </select>
+                {llmProviderInput.kind === LLM_PROVIDER_KINDS.OPENAI_COMPATIBLE && (
+                  <>
+                    <input
+                      type="url"
+                      placeholder="http://192.168.0.10:8080/v1"
+                      value={llmProviderInput.baseUrl}
+                      onChange={(event) =>
+                        setLlmProviderInput((current) => ({
+                          ...current,
+                          baseUrl: event.target.value,
+                        }))
+                      }
+                    />
+                    <input
+                      type="password"
+                      autoComplete="off"
+                      placeholder={
+                        llmProviderInput.hasApiKey
+                          ? '已儲存伺服器金鑰，留空則沿用'
+                          : '伺服器金鑰（選填）'
+                      }
+                      value={llmProviderInput.apiKey}
+                      onChange={(event) =>
+                        setLlmProviderInput((current) => ({
+                          ...current,
+                          apiKey: event.target.value,
+                        }))
+                      }
+                    />
+                    {llmProviderInput.hasApiKey && (
+                      <label className="checkbox-row">
+                        <input
+                          type="checkbox"
+                          checked={llmProviderInput.clearApiKey}
+                          onChange={(event) =>
+                            setLlmProviderInput((current) => ({
+                              ...current,
+                              clearApiKey: event.target.checked,
+                            }))
+                          }
+                        />
+                        清除已儲存的伺服器金鑰
+                      </label>
+                    )}
+                    <input
+                      type="text"
+                      placeholder="模型名稱，例如 qwen2.5-7b-instruct"
+                      value={llmProviderInput.model}
+                      onChange={(event) =>
+                        setLlmProviderInput((current) => ({
+                          ...current,
+                          model: event.target.value,
+                        }))
+                      }
+                    />
+                    <input
+                      type="number"
+                      min="2000"
+                      step="1000"
+                      placeholder="提示長度上限（字元，預設 12000）"
+                      value={llmProviderInput.maxPromptChars}
+                      onChange={(event) =>
+                        setLlmProviderInput((current) => ({
+                          ...current,
+                          maxPromptChars: event.target.value,
+                        }))
+                      }
+                    />
+                    <label className="checkbox-row">
+                      <input
+                        type="checkbox"
+                        checked={llmProviderInput.jsonMode}
+                        onChange={(event) =>
+                          setLlmProviderInput((current) => ({
+                            ...current,
+                            jsonMode: event.target.checked,
+                          }))
+                        }
+                      />
+                      伺服器支援 JSON mode
+                    </label>
+                  </>
+                )}
+                <button type="button" onClick={handleSaveLlmProvider}>
+                  儲存服務設定
+                </button>
+                <span className="input-note">
+                  相容伺服器（如 llama.cpp、vLLM、Ollama）不需要 OpenAI API Key，會改用這裡的模型名稱；伺服器要求金鑰時可填在上方，金鑰只存在後端，換伺服器網址時會清除；劇本會依提示長度上限自動切成較小的段落。語音辨識仍使用 OpenAI。
+                </span>
+              </div>
+            </ControlSection>
+
+            <ControlSection title="分享與投影連結" defaultOpen>
+              <div className="input-group">
+                <label htmlFor="viewer-alias">檢視端分享網址</label>
+                <p className="input-note">
+                  觀眾掃進去後會直接連到目前這個節目。
+                </p>
+                <div className="viewer-link">
+                  <span>{viewerShareUrl || '尚未載入節目'}</span>
+                  <button type="button" onClick={handleCopyViewerLink}>
+                    複製
+                  </button>
+                </div>
+                <div className="viewer-alias-editor">
+                  <span className="viewer-alias-prefix">{viewerAliasBaseUrl}</span>
+                  <input
+                    id="viewer-alias"
+                    type="text"
+                    placeholder="例如 first-show 或 第一場"
+                    value={viewerAliasInput}
+                    maxLength={48}
+                    onChange={(event) => setViewerAliasInput(event.target.value)}
+                  />
+                  <button type="button" onClick={handleSaveViewerAlias}>
+                    儲存入口名稱
+                  </button>
+                  <button
+                    type="button"
+                    className="subtle-button"
+                    onClick={handleClearViewerAlias}
+                    disabled={!sessionMeta?.viewerAlias}
+                  >
+                    清除
+                  </button>
+                </div>
+                <p className="input-note">
+                  可用中文、英文、數字、-、_；空白會自動轉成 -。未設定時會直接使用固定亂碼網址。
+                </p>
+                <div className="viewer-link viewer-link-secondary">
+                  <span>{viewerUrl || '尚未載入節目'}</span>
+                  <button type="button" onClick={handleCopyViewerFixedLink}>
+                    複製固定網址
+                  </button>
+                </div>
+                <div className="viewer-link viewer-link-secondary">
+                  <span>{prompterUrl || '尚未載入節目'}</span>
+                  <button type="button" onClick={handleCopyPrompterLink}>
+                    複製提詞頁
+                  </button>
+                </div>
+                {viewerShareUrl && (
+                  <div className="qr-preview-card">
+                    <img src={qrCodeUrl} alt="Viewer QR Code" />
+                    <button type="button" onClick={handleDownloadQrCode}>
+                      下載 QR code
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              <div className="input-group">
+                <label>投影端網址</label>
+                <div className="viewer-link">
+                  <span>{projectorUrl || '尚未載入節目'}</span>
+                  <button type="button" onClick={handleCopyProjectorLink}>
+                    複製
+                  </button>
+                </div>
+                <div className="projector-link-actions">
+                  <button type="button" className="subtle-button" onClick={handleOpenProjectorWindow}>
+                    開啟投影頁
+                  </button>
+                </div>
+                <span className="input-note">
+                  請使用延伸桌面，將投影頁移到外接螢幕後點右上角隱藏熱區切換全螢幕。投影端預設固定顯示劇本，不會再自動被即時語音覆蓋。
+                </span>
+              </div>
+            </ControlSection>
+
+            <ControlSection title="場次、角色與語言" defaultOpen>
+            <div className="input-group">
+              <div className="section-header-inline">
+                <label>場次</label>
+                <button type="button" className="subtle-button" onClick={handleCreateCell}>
+                  新增場次
+                </button>
+              </div>
+              <div className="cell-list">
+                {cells.map((cell) => (
+                  <div
+                    key={cell.id}
+                    className={`cell-card ${cell.id === selectedCellId ? 'active' : ''}`}
+                  >
+                    <button
+                      type="button"
+                      className="cell-main-button"
+                      onClick={() => handleSelectCell(cell.id)}
+                    >
+                      <strong>{cell.name}</strong>
+                      <span>{cell.lineCount || 0} 行字幕</span>
+                    </button>
+                    <div className="cell-card-actions">
+                      <button
+                        type="button"
+                        className="subtle-button"
+                        onClick={() => handleRenameCell(cell)}
+                      >
+                        重新命名
+                      </button>
+                      <button
+                        type="button"
+                        className="subtle-button danger-button"
+                        onClick={() => handleDeleteCell(cell)}
+                        disabled={cells.length <= 1}
+                      >
+                        刪除
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="input-group">
+              <div className="section-header-inline">
+                <label>角色</label>
+                <button type="button" className="subtle-button" onClick={handleAddRole}>
+                  新增角色
+                </button>
+              </div>
+              <div className="language-pill-list">
+                {existingRoleOptions.length === 0 && (
+                  <span className="input-note">尚未建立角色</span>
+                )}
+                {existingRoleOptions.map((roleName) => (
+                  <div key={roleName} className="language-pill">
+                    <span>{roleName}</span>
+                    <button
+                      type="button"
+                      className="language-pill-rename"
+                      onClick={() => handleRenameRole(roleName)}
+                    >
+                      改名
+                    </button>
+                    <button
+                      type="button"
+                      className="language-pill-rename"
+                      onClick={() => handleMergeRole(roleName)}
+                    >
+                      合併
+                    </button>
+                    <button
+                      type="button"
+                      className="language-pill-delete"
+                      onClick={() => handleDeleteRole(roleName)}
+                    >
+                      刪除
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <span className="input-note">
+                改名會同步更新所有場次裡使用此角色的字幕行；合併會把角色記成別名，所有場次與之後的拆解結果都會改用合併後的角色。
+              </span>
+            </div>
+
+            <div className="input-group">
+              <div className="section-header-inline">
+                <label>角色別名</label>
+                <button type="button" className="subtle-button" onClick={handleAddRoleAlias}>
+                  新增別名
+                </button>
+              </div>
+              <div className="language-pill-list">
+                {Object.keys(roleAliases).length === 0 && (
+                  <span className="input-note">尚未設定別名</span>
+                )}
+                {Object.entries(roleAliases).map(([alias, roleName]) => (
+                  <div key={alias} className="language-pill">
+                    <span>
+                      {alias} → {roleName}
+                    </span>
+                    <button
+                      type="button"
+                      className="language-pill-delete"
+                      onClick={() => handleDeleteRoleAlias(alias)}
+                    >
+                      移除
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="input-group">
+              <div className="section-header-inline">
+                <label>語言</label>
+                <button type="button" className="subtle-button" onClick={handleAddLanguage}>
+                  新增語言
+                </button>
+              </div>
+              <div className="language-pill-list">
+                {languages.map((language) => (
+                  <div key={language.id} className="language-pill">
+                    <span>{language.name}</span>
+                    <button
+                      type="button"
+                      className="language-pill-rename"
+                      onClick={() => handleRenameLanguage(language)}
+                    >
+                      改名
+                    </button>
+                    <button
+                      type="button"
+                      className="language-pill-rename"
+                      onClick={() => handleChangeLanguageCode(language)}
+                    >
+                      {language.code}
+                    </button>
+                    <select
+                      className="language-pill-direction"
+                      value={language.direction || 'auto'}
+                      aria-label={`${language.name}的文字方向`}
+                      onChange={(event) =>
+                        handleLanguageDirectionChange(language, event.target.value)
+                      }
+                    >
+                      <option value="auto">
+                        自動（{language.textDirection === 'rtl' ? '右至左' : '左至右'}）
+                      </option>
+                      <option value="ltr">左至右</option>
+                      <option value="rtl">右至左</option>
+                    </select>
+                    {language.id !== 'primary' && (
+                      <button
+                        type="button"
+                        className="language-pill-delete"
+                        onClick={() => handleDeleteLanguage(language)}
+                      >
+                        刪除
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+              <span className="input-note">
+                語言名稱會同步顯示在檢視端的語言切換選單。點語言代碼可修改；阿拉伯文、希伯來文等代碼會自動改用右至左排版，也可手動指定方向。
+              </span>
+            </div>
+
+            <div className="input-group">
+              <label>外部字幕預設語言</label>
+              <div className="language-default-grid">
+                <label className="input-group" htmlFor="viewer-default-language">
+                  <span>檢視端預設</span>
+                  <select
+                    id="viewer-default-language"
+                    value={viewerDefaultLanguageId}
+                    onChange={handleViewerDefaultLanguageChange}
+                  >
+                    {languages.map((language) => (
+                      <option key={language.id} value={language.id}>
+                        {language.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="input-group" htmlFor="projector-default-language">
+                  <span>投影端播放</span>
+                  <select
+                    id="projector-default-language"
+                    value={projectorDefaultLanguageId}
+                    onChange={handleProjectorDefaultLanguageChange}
+                  >
+                    {languages.map((language) => (
+                      <option key={language.id} value={language.id}>
+                        {language.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="input-group" htmlFor="projector-language-mode">
+                  <span>投影端模式</span>
+                  <select
+                    id="projector-language-mode"
+                    value={selectedProjectorLanguageMode}
+                    onChange={handleProjectorLanguageModeChange}
+                  >
+                    <option value={PROJECTOR_LANGUAGE_MODES.SINGLE}>單語</option>
+                    <option value={PROJECTOR_LANGUAGE_MODES.BILINGUAL}>雙語並置</option>
+                    <option value={PROJECTOR_LANGUAGE_MODES.ALL}>全部語言並置</option>
+                  </select>
+                </label>
+              </div>
+              <span className="input-note">
+                檢視端初次進入會先套用預設語言，但觀眾之後仍可自行切換；投影端會持續跟著這裡的語言與模式設定。
+              </span>
+            </div>
+            </ControlSection>
+
+            <ControlSection title="貼上與解析" defaultOpen={!lines.length}>
+            <div className="input-group script-parse-model-card">
+              <label htmlFor="script-parse-model">劇本拆解模型</label>
+              <select
+                id="script-parse-model"
+                value={scriptParseModel}
+                onChange={(event) => setScriptParseModel(event.target.value)}
+              >
+                {SCRIPT_PARSE_MODEL_OPTIONS.map((model) => (
+                  <option key={model.id} value={model.id}>
+                    {model.name}
+                  </option>
+                ))}
+              </select>
+              <span className="input-note">
+                {selectedScriptParseModel.description}
+              </span>
+            </div>
+
+            <form className="input-group" onSubmit={handleParsePrimaryScript}>
+              <label htmlFor="script-text-primary">{primaryLanguageName} 劇本文字</label>
+              <textarea
+                id="script-text-primary"
+                rows={8}
+                placeholder={`貼上 ${primaryLanguageName} 全文，系統會解析角色、分段並寫入目前場次。`}
+                value={primaryScriptInput}
+                onChange={(event) =>
+                  setDraftInputValue(selectedCellId, 'primary', event.target.value)
+                }
+              />
+              <span className="input-note">
+                角色會被保留到字幕資料裡，可由控制端切換是否用顏色區分。
+              </span>
+              <button
+                type="submit"
+                disabled={primaryParseBusy || clearingSubtitles || !selectedCellId}
+              >
+                {primaryParseJob
+                  ? `解析中 ${formatScriptJobProgress(primaryParseJob)}…`
+                  : parsingPrimary
+                    ? '解析中…'
+                    : `解析 ${primaryLanguageName}`}
+              </button>
+              {primaryParseJob && (
+                <button
+                  type="button"
+                  className="subtle-button danger-button"
+                  onClick={() => handleCancelScriptJob(primaryParseJob)}
+                >
+                  取消解析
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={handlePreviewScriptRevision}
+                disabled={
+                  previewingScriptRevision ||
+                  primaryParseBusy ||
+                  clearingSubtitles ||
+                  !selectedCellId ||
+                  !lines.length
+                }
+              >
+                {previewingScriptRevision ? '比對中…' : '以修訂版重新匯入（保留翻譯）'}
+              </button>
+              {scriptRevisionPreview?.cellId === selectedCellId && (
+                <div className="script-revision-review">
+                  <span className="input-note">
+                    未變動 {scriptRevisionPreview.diff.summary.unchanged} 行・修改{' '}
+                    {scriptRevisionPreview.diff.summary.changed} 行・新增{' '}
+                    {scriptRevisionPreview.diff.summary.inserted} 行・刪除{' '}
+                    {scriptRevisionPreview.diff.summary.removed} 行
+                  </span>
+                  <ol className="script-revision-list">
+                    {scriptRevisionPreview.diff.entries
+                      .filter((entry) => entry.op !== 'unchanged')
+                      .map((entry, index) => (
+                        <li
+                          key={`${entry.op}-${index}`}
+                          className={`script-revision-entry ${entry.op}`}
+                        >
+                          <span className="script-revision-op">
+                            {entry.op === 'changed'
+                              ? '修改'
+                              : entry.op === 'inserted'
+                                ? '新增'
+                                : '刪除'}
+                          </span>
+                          {entry.before && (
+                            <span className="script-revision-before">
+                              {entry.before.text}
+                            </span>
+                          )}
+                          {entry.after && (
+                            <span className="script-revision-after">
+                              {entry.after.text}
+                            </span>
+                          )}
+                          {entry.op === 'changed' && entry.keepsTranslations && (
+                            <span className="input-note">保留原翻譯，請確認是否需要更新</span>
+                          )}
+                        </li>
+                      ))}
+                  </ol>
+                  <div className="json-actions">
+                    <button
+                      type="button"
+                      onClick={handleApplyScriptRevision}
+                      disabled={applyingScriptRevision}
+                    >
+                      {applyingScriptRevision ? '套用中…' : '套用修訂'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setScriptRevisionPreview(null)}
+                      disabled={applyingScriptRevision}
+                    >
+                      取消
+                    </button>
+                  </div>
+                </div>
+              )}
+            </form>
+
+            {extraLanguages.map((language) => (
+              <form
+                key={language.id}
+                className="input-group language-parse-card"
+                onSubmit={(event) => handleParseLanguageScript(event, language.id)}
+              >
+                <label htmlFor={`language-input-${language.id}`}>
+                  {language.name}
+                </label>
+                <textarea
+                  id={`language-input-${language.id}`}
+                  rows={5}
+                  placeholder={`貼上 ${language.name} 全文，系統會用和第一語言相同的方式拆解，並依序寫入右側字幕清單。`}
+                  value={getDraftInputValue(selectedCellId, language.id)}
+                  onChange={(event) =>
+                    setDraftInputValue(selectedCellId, language.id, event.target.value)
+                  }
+                />
+                <span className="input-note">
+                  左邊保留原始輸入；右側字幕清單顯示拆解後寫入的結果。
+                </span>
+                <button
+                  type="submit"
+                  disabled={
+                    parsingLanguageId === language.id ||
+                    Boolean(getLanguageParseJob(language.id)) ||
+                    clearingSubtitles ||
+                    !selectedCellId
+                  }
+                >
+                  {getLanguageParseJob(language.id)
+                    ? `處理中 ${formatScriptJobProgress(getLanguageParseJob(language.id))}…`
+                    : parsingLanguageId === language.id
+                      ? '處理中…'
+                      : `更新 ${language.name} 字幕清單`}
+                </button>
+                {getLanguageParseJob(language.id) ? (
+                  <button
+                    type="button"
+                    className="subtle-button danger-button"
+                    onClick={() =>
+                      handleCancelScriptJob(getLanguageParseJob(language.id))
+                    }
+                  >
+                    取消解析
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    className="subtle-button"
+                    disabled={clearingSubtitles || !selectedCellId || !lines.length}
+                    onClick={() => handleTranslateLanguage(language.id)}
+                    title="依角色與前後文逐句翻譯第一語言，並套用詞彙表；只填入空白或仍是機器初稿的字幕"
+                  >
+                    從第一語言機器翻譯
+                  </button>
+                )}
+                <button
+                  type="button"
+                  className="subtle-button"
+                  disabled={
+                    clearingSubtitles ||
+                    !selectedCellId ||
+                    !lines.length ||
+                    Boolean(getLanguageParseJob(language.id))
+                  }
+                  onClick={() =>
+                    handleApplyTranslationMemory(language.id).catch(() => {})
+                  }
+                  title="以其他節目與場次中完全相同的原文譯文，填入這一語言仍空白的字幕"
+                >
+                  從翻譯記憶補上空白
+                </button>
+                <button
+                  type="button"
+                  className="subtle-button"
+                  disabled={
+                    !languageSourceStats[language.id]?.segmentCount ||
+                    loadingAlignmentLanguageId === language.id ||
+                    Boolean(getLanguageParseJob(language.id))
+                  }
+                  onClick={() => handleOpenAlignmentReview(language.id)}
+                  title="並排檢視解析後的原文段落落在哪一列，拖曳分隔線修正後一次套用"
+                >
+                  {loadingAlignmentLanguageId === language.id ? '載入中…' : '檢視對齊'}
+                </button>
+              </form>
+            ))}
+            </ControlSection>
+
+            <ControlSection title="劇本標記規則">
+            <div className="input-group">
+              <span className="input-note">
+                依編劇習慣自訂舞台指示或角色名的寫法（正規表示式），優先順序高的先比對；原稿分段與 OpenAI 拆解都會套用。角色標記可用具名群組 (?&lt;role&gt;…) 與 (?&lt;text&gt;…)，只有角色名的行會套用到後面的台詞。
+              </span>
+              {scriptRulesInput.map((rule, index) => (
+                <div key={rule.id || `new-${index}`} className="script-rule-row">
+                  <input
+                    type="text"
+                    placeholder="名稱（選填）"
+                    value={rule.label}
+                    onChange={(event) =>
+                      updateScriptRuleInput(index, { label: event.target.value })
+                    }
+                  />
+                  <input
+                    type="text"
+                    placeholder="例如 ^【.*】$"
+                    value={rule.pattern}
+                    onChange={(event) =>
+                      updateScriptRuleInput(index, { pattern: event.target.value })
+                    }
+                  />
+                  <select
+                    value={rule.type}
+                    onChange={(event) =>
+                      updateScriptRuleInput(index, { type: event.target.value })
+                    }
+                  >
+                    {SCRIPT_RULE_TYPE_OPTIONS.map((option) => (
+                      <option key={option.id} value={option.id}>
+                        {option.name}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    title="優先順序"
+                    value={rule.priority}
+                    onChange={(event) =>
+                      updateScriptRuleInput(index, {
+                        priority: Number(event.target.value) || 0,
+                      })
+                    }
+                  />
+                  <label className="checkbox-row">
+                    <input
+                      type="checkbox"
+                      checked={rule.ignoreCase}
+                      onChange={(event) =>
+                        updateScriptRuleInput(index, {
+                          ignoreCase: event.target.checked,
+                        })
+                      }
+                    />
+                    不分大小寫
+                  </label>
+                  <label className="checkbox-row">
+                    <input
+                      type="checkbox"
+                      checked={rule.enabled}
+                      onChange={(event) =>
+                        updateScriptRuleInput(index, { enabled: event.target.checked })
+                      }
+                    />
+                    啟用
+                  </label>
+                  <button
+                    type="button"
+                    className="language-pill-delete"
+                    onClick={() =>
+                      setScriptRulesInput((current) =>
+                        current.filter((_rule, ruleIndex) => ruleIndex !== index),
+                      )
+                    }
+                  >
+                    刪除
+                  </button>
+                </div>
+              ))}
+              <div className="json-actions">
+                <button
+                  type="button"
+                  onClick={() =>
+                    setScriptRulesInput((current) => [
+                      ...current,
+                      createBlankScriptRule(),
+                    ])
+                  }
+                >
+                  新增規則
+                </button>
+                <button type="button" onClick={handleSaveScriptRules}>
+                  儲存規則
+                </button>
+              </div>
+            </div>
+
+            <div className="input-group">
+              <label htmlFor="script-rule-test">測試片段</label>
+              <textarea
+                id="script-rule-test"
+                rows={4}
+                placeholder="貼上幾行劇本，預覽目前（尚未儲存的）規則會如何判斷"
+                value={scriptRuleTestText}
+                onChange={(event) => setScriptRuleTestText(event.target.value)}
+              />
               <button
                 type="button"
-                className="subtle-button"
-                onClick={() => navigate('/')}
+                onClick={handleTestScriptRules}
+                disabled={!scriptRuleTestText.trim()}
               >
-                返回首頁
+                預覽判斷結果
               </button>
-            )}
-          </div>
-
-          {!leftPanelCollapsed && (
-            <header className="control-header">
-              <div className="session-title-row">
-                <div>
-                  <h1>{sessionMeta?.title || '未命名節目'}</h1>
-                  <p className="input-note">
-                    {sessionMeta?.status === 'ended'
-                      ? '已停止外部字幕輸出；檢視端與投影端網址仍可使用'
-                      : '節目啟用中'}
-                  </p>
-                </div>
-                <span className={`session-state-badge ${sessionMeta?.status || 'active'}`}>
-                  {sessionMeta?.status === 'ended' ? '已結束' : '進行中'}
+              {scriptRuleTestResult && (
+                <ol className="script-revision-list">
+                  {scriptRuleTestResult.lines.map((line, index) => (
+                    <li
+                      key={`${index}-${line.text}`}
+                      className={`script-revision-entry ${
+                        line.type === 'direction' ? 'removed' : 'inserted'
+                      }`}
+                    >
+                      <span className="script-revision-op">
+                        {line.type === 'direction'
+                          ? '舞台指示'
+                          : `台詞${line.role ? `・${line.role}` : ''}`}
+                      </span>
+                      <span className="script-revision-after">{line.text}</span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+              {scriptRuleTestResult?.paragraphs?.some((entry) => entry.ruleId) && (
+                <span className="input-note">
+                  命中規則：
+                  {scriptRuleTestResult.paragraphs
+                    .filter((entry) => entry.ruleId)
+                    .map((entry) => `「${entry.text}」→ ${entry.ruleLabel || entry.type}`)
+                    .join('；')}
                 </span>
-              </div>
-            </header>
-          )}
-        </div>
+              )}
+            </div>
+            </ControlSection>
 
-        {!leftPanelCollapsed && (
-          <>
-            <div className="control-sidebar-scroll">
-              <ControlSection title="節目" defaultOpen>
-                <div className="input-group">
-                  <label htmlFor="program-title">節目名稱</label>
-                  <div className="viewer-alias-editor">
+            <ControlSection title="字幕長度">
+            <div className="input-group">
+              <span className="input-note">
+                每種語言可設定每行最大寬度（全形字算 1、半形字約 0.5）、斷句時可超出的寬度，以及一句字幕最多幾行。留空則使用語言預設值；解析時自動套用，也可重新套用到目前場次（只會拆開過長的字幕，不會合併）。
+              </span>
+              {languages.map((language) => {
+                const defaults = sessionMeta?.lineLengthDefaults?.[language.id]
+                const entry = lineLengthInput[language.id] || {}
+                return (
+                  <div key={language.id} className="line-length-row">
+                    <span className="language-pill">{language.name}</span>
                     <input
-                      id="program-title"
-                      type="text"
-                      value={programTitleInput}
-                      maxLength={60}
-                      onChange={(event) => setProgramTitleInput(event.target.value)}
+                      type="number"
+                      min={4}
+                      max={200}
+                      title="每行最大寬度"
+                      placeholder={`寬度 ${defaults?.maxWidthUnits ?? ''}`}
+                      value={entry.maxWidthUnits ?? ''}
+                      onChange={(event) =>
+                        updateLineLengthInput(
+                          language.id,
+                          'maxWidthUnits',
+                          event.target.value,
+                        )
+                      }
                     />
-                    <button type="button" onClick={handleSaveProgramTitle}>
-                      儲存
+                    <input
+                      type="number"
+                      min={0}
+                      max={20}
+                      step={0.5}
+                      title="可超出寬度"
+                      placeholder={`超出 ${defaults?.overshoot ?? ''}`}
+                      value={entry.overshoot ?? ''}
+                      onChange={(event) =>
+                        updateLineLengthInput(language.id, 'overshoot', event.target.value)
+                      }
+                    />
+                    <input
+                      type="number"
+                      min={1}
+                      max={4}
+                      title="每句最多行數"
+                      placeholder={`行數 ${defaults?.maxLinesPerCue ?? ''}`}
+                      value={entry.maxLinesPerCue ?? ''}
+                      onChange={(event) =>
+                        updateLineLengthInput(
+                          language.id,
+                          'maxLinesPerCue',
+                          event.target.value,
+                        )
+                      }
+                    />
+                    <button
+                      type="button"
+                      className="subtle-button"
+                      onClick={() => handleApplyLineLengths(language.id)}
+                      disabled={!selectedCellId}
+                    >
+                      重新套用到目前場次
                     </button>
                   </div>
-                </div>
-              </ControlSection>
-
-              <ControlSection title="系統連線" defaultOpen>
-              <div className="input-group">
-                <label htmlFor="openai-key">OpenAI API Key</label>
-                <input
-                  id="openai-key"
-                  type="password"
-                  placeholder="sk-..."
-                  value={apiKey}
-                  onChange={(event) => setApiKey(event.target.value.trim())}
-                />
-                <label className="checkbox-row">
-                  <input
-                    type="checkbox"
-                    checked={rememberKey}
-                    onChange={(event) => setRememberKey(event.target.checked)}
-                  />
-                  在此裝置記住 API Key
-                </label>
+                )
+              })}
+              <div className="json-actions">
+                <button type="button" onClick={handleSaveLineLengthProfiles}>
+                  儲存字幕長度
+                </button>
               </div>
+            </div>
             </ControlSection>
 
-            <ControlSection title="分享與投影連結" defaultOpen>
-              <div className="input-group">
-                <label htmlFor="viewer-alias">檢視端分享網址</label>
-                <p className="input-note">
-                  觀眾掃進去後會直接連到目前這個節目。
-                </p>
-                <div className="viewer-link">
-                  <span>{viewerShareUrl || '尚未載入節目'}</span>
-                  <button type="button" onClick={handleCopyViewerLink}>
-                    複製
-                  </button>
-                </div>
-                <div className="viewer-alias-editor">
-                  <span className="viewer-alias-prefix">{viewerAliasBaseUrl}</span>
+            <ControlSection title="詞彙表">
+            <div className="input-group">
+              <span className="input-note">
+                固定用語與角色名會提供給語音辨識、劇本解析與機器翻譯；辨識結果出現別名時會自動改回詞彙。機器翻譯會一律照表翻譯，沒有填譯名的詞條也會要求整場譯法一致。
+              </span>
+              {glossaryInput.map((entry, index) => (
+                <div key={entry.id || `new-${index}`} className="glossary-row">
                   <input
-                    id="viewer-alias"
                     type="text"
-                    placeholder="例如 first-show 或 第一場"
-                    value={viewerAliasInput}
-                    maxLength={48}
-                    onChange={(event) => setViewerAliasInput(event.target.value)}
+                    placeholder="詞彙或角色名"
+                    value={entry.term}
+                    onChange={(event) =>
+                      updateGlossaryInput(index, { term: event.target.value })
+                    }
                   />
-                  <button type="button" onClick={handleSaveViewerAlias}>
-                    儲存入口名稱
-                  </button>
+                  <input
+                    type="text"
+                    placeholder="別名或常見誤聽（逗號分隔）"
+                    value={
+                      Array.isArray(entry.aliases)
+                        ? entry.aliases.join('、')
+                        : entry.aliases || ''
+                    }
+                    onChange={(event) =>
+                      updateGlossaryInput(index, { aliases: event.target.value })
+                    }
+                  />
+                  <select
+                    value={entry.category || 'term'}
+                    onChange={(event) =>
+                      updateGlossaryInput(index, { category: event.target.value })
+                    }
+                  >
+                    {GLOSSARY_CATEGORY_OPTIONS.map((option) => (
+                      <option key={option.id} value={option.id}>
+                        {option.name}
+                      </option>
+                    ))}
+                  </select>
+                  {extraLanguages.map((language) => (
+                    <input
+                      key={language.id}
+                      type="text"
+                      placeholder={`${language.name} 譯名`}
+                      value={entry.translations?.[language.id] || ''}
+                      onChange={(event) =>
+                        updateGlossaryInput(index, {
+                          translations: {
+                            ...entry.translations,
+                            [language.id]: event.target.value,
+                          },
+                        })
+                      }
+                    />
+                  ))}
                   <button
                     type="button"
-                    className="subtle-button"
-                    onClick={handleClearViewerAlias}
-                    disabled={!sessionMeta?.viewerAlias}
+                    className="language-pill-delete"
+                    onClick={() =>
+                      setGlossaryInput((current) =>
+                        current.filter((_entry, entryIndex) => entryIndex !== index),
+                      )
+                    }
                   >
-                    清除
-                  </button>
-                </div>
-                <p className="input-note">
-                  可用中文、英文、數字、-、_；空白會自動轉成 -。未設定時會直接使用固定亂碼網址。
-                </p>
-                <div className="viewer-link viewer-link-secondary">
-                  <span>{viewerUrl || '尚未載入節目'}</span>
-                  <button type="button" onClick={handleCopyViewerFixedLink}>
-                    複製固定網址
+                    刪除
                   </button>
                 </div>
-                <div className="viewer-link viewer-link-secondary">
-                  <span>{prompterUrl || '尚未載入節目'}</span>
-                  <button type="button" onClick={handleCopyPrompterLink}>
-                    複製提詞頁
-                  </button>
-                </div>
-                {viewerShareUrl && (
-                  <div className="qr-preview-card">
-                    <img src={qrCodeUrl} alt="Viewer QR Code" />
-                    <button type="button" onClick={handleDownloadQrCode}>
-                      下載 QR code
-                    </button>
-                  </div>
-                )}
+              ))}
+              <div className="json-actions">
+                <button
+                  type="button"
+                  onClick={() =>
+                    setGlossaryInput((current) => [
+                      ...current,
+                      { term: '', aliases: '', category: 'term', translations: {} },
+                    ])
+                  }
+                >
+                  新增詞條
+                </button>
+                <button type="button" onClick={handleSaveGlossary}>
+                  儲存詞彙表
+                </button>
               </div>
+            </div>
+            </ControlSection>
 
-              <div className="input-group">
-                <label>投影端網址</label>
-                <div className="viewer-link">
-                  <span>{projectorUrl || '尚未載入節目'}</span>
-                  <button type="button" onClick={handleCopyProjectorLink}>
-                    複製
-                  </button>
-                </div>
-                <div className="projector-link-actions">
-                  <button type="button" className="subtle-button" onClick={handleOpenProjectorWindow}>
-                    開啟投影頁
-                  </button>
-                </div>
-                <span className="input-note">
-                  請使用延伸桌面，將投影頁移到外接螢幕後點右上角隱藏熱區切換全螢幕。投影端預設固定顯示劇本，不會再自動被即時語音覆蓋。
-                </span>
+            <ControlSection title="翻譯檢查">
+            <div className="input-group">
+              <span className="input-note">
+                逐場次、逐語言列出尚未翻譯、過長、數字或譯名與原文不一致，以及仍是機器初稿的字幕；點選項目會以編輯模式跳到該行，不會移動直播 CUE。
+              </span>
+              <div className="json-actions">
+                <button
+                  type="button"
+                  onClick={handleLoadTranslationReport}
+                  disabled={loadingTranslationReport || extraLanguages.length === 0}
+                >
+                  {loadingTranslationReport
+                    ? '檢查中…'
+                    : translationReport
+                      ? '重新檢查'
+                      : '產生翻譯檢查報告'}
+                </button>
               </div>
+              {translationReport?.cells.map((cell) =>
+                cell.languages.map((entry) => {
+                  const language = extraLanguages.find(
+                    (candidate) => candidate.id === entry.languageId,
+                  )
+                  const summary = Object.entries(entry.counts)
+                    .filter(([, count]) => count > 0)
+                    .map(
+                      ([kind, count]) =>
+                        `${TRANSLATION_REPORT_ISSUE_LABELS[kind] || kind} ${count}`,
+                    )
+                    .join('・')
+                  return (
+                    <div
+                      key={`${cell.id}-${entry.languageId}`}
+                      className="script-revision-review"
+                    >
+                      <span className="input-note">
+                        {cell.name}・{language?.name || entry.languageId}：
+                        {summary || `${entry.lineCount} 行皆未發現問題`}
+                      </span>
+                      {entry.lines.length > 0 && (
+                        <ol className="script-revision-list">
+                          {entry.lines.map((line) => (
+                            <li
+                              key={line.lineId}
+                              className={`script-revision-entry translation-report-entry ${line.issues[0].kind}`}
+                            >
+                              <button
+                                type="button"
+                                className="translation-report-jump"
+                                onClick={() =>
+                                  handleJumpToReportLine(
+                                    cell.id,
+                                    line.lineId,
+                                    entry.languageId,
+                                  )
+                                }
+                              >
+                                <span className="script-revision-op">
+                                  第 {line.index + 1} 行・
+                                  {line.issues
+                                    .map(
+                                      (issue) =>
+                                        TRANSLATION_REPORT_ISSUE_LABELS[issue.kind] ||
+                                        issue.kind,
+                                    )
+                                    .join('、')}
+                                </span>
+                                <span className="script-revision-after">{line.text}</span>
+                                {line.translation && (
+                                  <span className="translation-report-translation">
+                                    {line.translation}
+                                  </span>
+                                )}
+                                <span className="input-note">
+                                  {line.issues.map((issue) => issue.message).join('；')}
+                                </span>
+                              </button>
+                            </li>
+                          ))}
+                        </ol>
+                      )}
+                    </div>
+                  )
+                }),
+              )}
+            </div>
             </ControlSection>
 
-            <ControlSection title="場次、角色與語言" defaultOpen>
+            <ControlSection title="演出紀錄">
             <div className="input-group">
-              <div className="section-header-inline">
-                <label>場次</label>
-                <button type="button" className="subtle-button" onClick={handleCreateCell}>
-                  新增場次
+              <span className="input-note">
+                開始記錄後，每次切換字幕都會記下時間、場次與行、切換方式（手動點選、鍵盤、自動跟戲、API）與操作者；結束後可檢視時間軸，或依實際播出的時間匯出字幕檔。
+              </span>
+              {sessionMeta?.showRun ? (
+                <span className="input-note">
+                  記錄中：{sessionMeta.showRun.name}・
+                  {formatStatusTimestamp(sessionMeta.showRun.startedAt)} 開始・已記錄{' '}
+                  {sessionMeta.showRun.entryCount} 句
+                </span>
+              ) : (
+                <input
+                  type="text"
+                  value={showRunNameInput}
+                  onChange={(event) => setShowRunNameInput(event.target.value)}
+                  placeholder="紀錄名稱（選填），例如：第一次彩排"
+                  maxLength={60}
+                />
+              )}
+              <div className="json-actions">
+                <button
+                  type="button"
+                  className={sessionMeta?.showRun ? 'danger-button' : ''}
+                  onClick={handleToggleShowRun}
+                  disabled={togglingShowRun || !sessionId}
+                >
+                  {sessionMeta?.showRun ? '結束記錄' : '開始記錄'}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleLoadShowRuns}
+                  disabled={loadingShowRuns || !sessionId}
+                >
+                  {loadingShowRuns ? '讀取中…' : showRuns ? '重新整理' : '查看歷次紀錄'}
                 </button>
               </div>
-              <div className="cell-list">
-                {cells.map((cell) => (
-                  <div
-                    key={cell.id}
-                    className={`cell-card ${cell.id === selectedCellId ? 'active' : ''}`}
-                  >
-                    <button
-                      type="button"
-                      className="cell-main-button"
-                      onClick={() => handleSelectCell(cell.id)}
-                    >
-                      <strong>{cell.name}</strong>
-                      <span>{cell.lineCount || 0} 行字幕</span>
-                    </button>
-                    <div className="cell-card-actions">
+            </div>
+            {showRuns && (
+              <div className="input-group">
+                <label htmlFor="show-run-export-language">匯出字幕語言</label>
+                <select
+                  id="show-run-export-language"
+                  value={showRunExportLanguageId}
+                  onChange={(event) => setShowRunExportLanguageId(event.target.value)}
+                >
+                  <option value="primary">{primaryLanguageName}</option>
+                  {extraLanguages.map((language) => (
+                    <option key={language.id} value={language.id}>
+                      {language.name}
+                    </option>
+                  ))}
+                  <option value="all">全部語言</option>
+                </select>
+                {showRuns.length === 0 && (
+                  <span className="input-note">還沒有演出紀錄</span>
+                )}
+                {showRuns.map((run) => (
+                  <div key={run.id} className="script-revision-review">
+                    <span className="input-note">
+                      {run.name}・{formatStatusTimestamp(run.startedAt)}・
+                      {run.active
+                        ? '記錄中'
+                        : `長度 ${formatShowRunElapsed(run.stoppedAt - run.startedAt)}`}
+                      ・{run.entryCount} 句{run.operator ? `・${run.operator}` : ''}
+                    </span>
+                    <div className="json-actions">
+                      <button type="button" onClick={() => handleOpenShowRun(run.id)}>
+                        {showRunDetail?.id === run.id ? '收合時間軸' : '檢視時間軸'}
+                      </button>
                       <button
                         type="button"
-                        className="subtle-button"
-                        onClick={() => handleRenameCell(cell)}
+                        onClick={() => handleExportShowRun(run, 'srt')}
+                        disabled={run.entryCount === 0}
                       >
-                        重新命名
+                        SRT
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleExportShowRun(run, 'vtt')}
+                        disabled={run.entryCount === 0}
+                      >
+                        VTT
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleExportShowRun(run, 'csv')}
+                      >
+                        CSV 紀錄
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleLearnShowRunDurations(run)}
+                        disabled={run.active || run.entryCount < 2}
+                      >
+                        套用為定時長度
                       </button>
                       <button
                         type="button"
                         className="subtle-button danger-button"
-                        onClick={() => handleDeleteCell(cell)}
-                        disabled={cells.length <= 1}
+                        onClick={() => handleDeleteShowRun(run)}
+                        disabled={run.active}
                       >
                         刪除
                       </button>
                     </div>
+                    {showRunDetail?.id === run.id && (
+                      <ol className="script-revision-list">
+                        {showRunDetail.entries.map((entry, index) => (
+                          <li
+                            key={`${entry.at}-${index}`}
+                            className="script-revision-entry"
+                          >
+                            <span className="script-revision-op">
+                              {formatShowRunElapsed(entry.startMs)}・
+                              {SHOW_LOG_ENTRY_KIND_LABELS[entry.kind]
+                                ? `${SHOW_LOG_ENTRY_KIND_LABELS[entry.kind]}・`
+                                : ''}
+                              {entry.cellName || '已刪除的場次'} 第 {entry.index + 1} 行・
+                              {SHOW_LOG_SOURCE_LABELS[entry.source] || entry.source}
+                              {entry.operator ? `・${entry.operator}` : ''}・
+                              {entry.visible === false ? '遮蔽' : '停留'}{' '}
+                              {formatShowRunElapsed(entry.endMs - entry.startMs)}
+                            </span>
+                            <span className="script-revision-after">
+                              {entry.role ? `${entry.role}：` : ''}
+                              {entry.text}
+                            </span>
+                          </li>
+                        ))}
+                      </ol>
+                    )}
                   </div>
                 ))}
               </div>
-            </div>
+            )}
+            </ControlSection>
 
+            <ControlSection title="外部 CUE（OSC / MIDI）">
             <div className="input-group">
-              <div className="section-header-inline">
-                <label>角色</label>
-                <button type="button" className="subtle-button" onClick={handleAddRole}>
-                  新增角色
-                </button>
-              </div>
-              <div className="language-pill-list">
-                {existingRoleOptions.length === 0 && (
-                  <span className="input-note">尚未建立角色</span>
-                )}
-                {existingRoleOptions.map((roleName) => (
-                  <div key={roleName} className="language-pill">
-                    <span>{roleName}</span>
-                    <button
-                      type="button"
-                      className="language-pill-rename"
-                      onClick={() => handleRenameRole(roleName)}
-                    >
-                      改名
-                    </button>
-                    <button
-                      type="button"
-                      className="language-pill-delete"
-                      onClick={() => handleDeleteRole(roleName)}
-                    >
-                      刪除
-                    </button>
-                  </div>
-                ))}
-              </div>
               <span className="input-note">
-                改名會同步更新所有場次裡使用此角色的字幕行。
+                燈控台、QLab 或按鈕盒可用 OSC 送出 {cueInputForm.oscPrefix || '/subtitle'}
+                /go、/back、/jump 〈CUE〉、/blackout、/restore 切換字幕。CUE 可寫「12」（目前場次第 12 行）或「3.12」（第 3 場第 12 行）。
+              </span>
+              <label className="checkbox-row">
+                <input
+                  type="checkbox"
+                  checked={cueInputForm.oscEnabled}
+                  onChange={(event) =>
+                    updateCueInputForm({ oscEnabled: event.target.checked })
+                  }
+                />
+                接收 OSC（UDP）
+              </label>
+              <label htmlFor="cue-input-osc-port">UDP 連接埠</label>
+              <input
+                id="cue-input-osc-port"
+                type="number"
+                min="1024"
+                max="65535"
+                value={cueInputForm.oscPort}
+                onChange={(event) => updateCueInputForm({ oscPort: event.target.value })}
+              />
+              <label htmlFor="cue-input-osc-prefix">OSC 位址開頭</label>
+              <input
+                id="cue-input-osc-prefix"
+                type="text"
+                value={cueInputForm.oscPrefix}
+                onChange={(event) => updateCueInputForm({ oscPrefix: event.target.value })}
+                placeholder="/subtitle"
+                maxLength={40}
+              />
+              <label htmlFor="cue-input-osc-senders">允許的來源 IP</label>
+              <input
+                id="cue-input-osc-senders"
+                type="text"
+                value={cueInputForm.oscAllowedSenders}
+                onChange={(event) =>
+                  updateCueInputForm({ oscAllowedSenders: event.target.value })
+                }
+                placeholder="例如 192.168.1.20, 192.168.1.21；留空表示不限"
+              />
+              {sessionMeta?.cueInput?.oscEnabled && (
+                <span className="input-note">
+                  {cueInputMonitor.osc.error
+                    ? cueInputMonitor.osc.error
+                    : cueInputMonitor.osc.listening
+                      ? `OSC 監聽中：UDP ${cueInputMonitor.osc.host}:${cueInputMonitor.osc.port}${
+                          ['127.0.0.1', 'localhost', '::1'].includes(
+                            cueInputMonitor.osc.host,
+                          )
+                            ? '（只接受本機；要讓其他電腦送入，請在伺服器設定 CUE_INPUT_OSC_HOST）'
+                            : ''
+                        }`
+                      : 'OSC 正在開啟連接埠…'}
+                </span>
+              )}
+            </div>
+            <div className="input-group">
+              <label className="checkbox-row">
+                <input
+                  type="checkbox"
+                  checked={cueInputForm.midiEnabled}
+                  onChange={(event) =>
+                    updateCueInputForm({ midiEnabled: event.target.checked })
+                  }
+                />
+                接收 MIDI（Note On / MIDI Show Control）
+              </label>
+              <label htmlFor="cue-input-midi-channel">MIDI 頻道（0 為全部）</label>
+              <input
+                id="cue-input-midi-channel"
+                type="number"
+                min="0"
+                max="16"
+                value={cueInputForm.midiChannel}
+                onChange={(event) =>
+                  updateCueInputForm({ midiChannel: event.target.value })
+                }
+              />
+              <label htmlFor="cue-input-midi-device">MSC 裝置編號（127 為全部）</label>
+              <input
+                id="cue-input-midi-device"
+                type="number"
+                min="0"
+                max="127"
+                value={cueInputForm.midiDeviceId}
+                onChange={(event) =>
+                  updateCueInputForm({ midiDeviceId: event.target.value })
+                }
+              />
+              {CUE_INPUT_MIDI_NOTE_FIELDS.map((field) => (
+                <label key={field.id} className="cue-input-note-row">
+                  {field.name}
+                  <input
+                    type="number"
+                    min="0"
+                    max="127"
+                    value={cueInputForm.midiNotes[field.id]}
+                    onChange={(event) =>
+                      updateCueInputForm({
+                        midiNotes: {
+                          ...cueInputForm.midiNotes,
+                          [field.id]: event.target.value,
+                        },
+                      })
+                    }
+                    placeholder="不使用"
+                  />
+                </label>
+              ))}
+              <button type="button" onClick={handleSaveCueInput} disabled={!sessionId}>
+                儲存外部 CUE 設定
+              </button>
+              <label className="checkbox-row">
+                <input
+                  type="checkbox"
+                  checked={midiInputEnabled}
+                  onChange={(event) => setMidiInputEnabled(event.target.checked)}
+                />
+                由這台電腦轉送 MIDI
+              </label>
+              <span className="input-note">
+                {!sessionMeta?.cueInput?.midiEnabled
+                  ? 'MIDI 需由接上 MIDI 裝置的控制端瀏覽器轉送；請只在一台電腦勾選，避免同一個 GO 被送兩次。'
+                  : !midiInputEnabled
+                    ? '這台電腦未轉送 MIDI。'
+                    : midiInputStatus.state === 'unsupported'
+                      ? '這個瀏覽器不支援 Web MIDI，請改用 Chrome 或 Edge。'
+                      : midiInputStatus.state === 'denied'
+                        ? '瀏覽器拒絕了 MIDI 權限。'
+                        : midiInputStatus.devices.length
+                          ? `MIDI 轉送中：${midiInputStatus.devices.join('、')}`
+                          : '尚未偵測到 MIDI 裝置。'}
               </span>
             </div>
+            <div className="input-group">
+              <label>最近收到的訊息</label>
+              {cueInputMonitor.log.length === 0 ? (
+                <span className="input-note">尚未收到外部訊息</span>
+              ) : (
+                <ol className="script-revision-list cue-input-log">
+                  {cueInputMonitor.log.map((entry, index) => (
+                    <li
+                      key={`${entry.at}-${index}`}
+                      className={`script-revision-entry cue-input-log-entry is-${entry.status}`}
+                    >
+                      <span className="script-revision-op">
+                        {new Date(entry.at).toLocaleTimeString('zh-TW', { hour12: false })}・
+                        {String(entry.transport || '').toUpperCase()}・{entry.sender}・
+                        {CUE_INPUT_STATUS_LABELS[entry.status] || entry.status}
+                      </span>
+                      <span className="script-revision-after">
+                        {entry.message}
+                        {entry.command ? ` → ${entry.command}` : ''}
+                        {entry.detail ? `（${entry.detail}）` : ''}
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+            </ControlSection>
 
+            <ControlSection title="遙控 API 與 Webhook">
             <div className="input-group">
-              <div className="section-header-inline">
-                <label>語言</label>
-                <button type="button" className="subtle-button" onClick={handleAddLanguage}>
-                  新增語言
-                </button>
-              </div>
-              <div className="language-pill-list">
-                {languages.map((language) => (
-                  <div key={language.id} className="language-pill">
-                    <span>{language.name}</span>
+              <span className="input-note">
+                Stream Deck 或自訂程式可帶 API 權杖呼叫{' '}
+                <code>POST /api/session/{sessionId || ':sessionId'}/remote/go</code>
+                （另有 back、jump、blackout、restore、select-cell，以及{' '}
+                <code>GET …/remote/state</code>），標頭為{' '}
+                <code>Authorization: Bearer 權杖</code>。
+              </span>
+              {(sessionMeta?.apiTokens || []).map((apiToken) => (
+                <div key={apiToken.id} className="integration-row">
+                  <span className="input-note">
+                    {apiToken.name}・…{apiToken.hint}・
+                    {apiToken.lastUsedAt
+                      ? `最後使用 ${formatStatusTimestamp(apiToken.lastUsedAt)}`
+                      : '尚未使用'}
+                  </span>
+                  <button
+                    type="button"
+                    className="subtle-button danger-button"
+                    onClick={() => handleRevokeApiToken(apiToken)}
+                  >
+                    撤銷
+                  </button>
+                </div>
+              ))}
+              <input
+                type="text"
+                value={apiTokenNameInput}
+                onChange={(event) => setApiTokenNameInput(event.target.value)}
+                placeholder="權杖名稱，例如：Stream Deck"
+                maxLength={40}
+              />
+              <button type="button" onClick={handleCreateApiToken} disabled={!sessionId}>
+                建立 API 權杖
+              </button>
+            </div>
+            <div className="input-group">
+              <label htmlFor="webhook-url">Webhook</label>
+              <span className="input-note">
+                切換字幕、遮蔽與節目結束時會以 POST 送出 JSON；可用簽章密鑰對「X-Subtitle-Timestamp.內容」計算 HMAC-SHA256，核對 X-Subtitle-Signature。本機與內部網路位址需由管理者開放才能使用。
+              </span>
+              {(sessionMeta?.webhooks || []).map((webhook) => (
+                <div key={webhook.id} className="script-revision-review">
+                  <label className="checkbox-row">
+                    <input
+                      type="checkbox"
+                      checked={webhook.enabled}
+                      onChange={(event) =>
+                        handleUpdateWebhook(
+                          webhook,
+                          { enabled: event.target.checked },
+                          event.target.checked ? 'Webhook 已啟用' : 'Webhook 已停用',
+                        )
+                      }
+                    />
+                    {webhook.url}
+                  </label>
+                  <div className="integration-row">
+                    {WEBHOOK_EVENT_OPTIONS.map((option) => (
+                      <label key={option.id} className="checkbox-row">
+                        <input
+                          type="checkbox"
+                          checked={webhook.events.includes(option.id)}
+                          onChange={() => handleToggleWebhookEvent(webhook, option.id)}
+                        />
+                        {option.name}
+                      </label>
+                    ))}
+                  </div>
+                  <span className="input-note">
+                    簽章密鑰 …{webhook.secretHint}
+                    {webhook.delivery
+                      ? webhook.delivery.ok
+                        ? `・最後送達 ${formatStatusTimestamp(webhook.delivery.at)}`
+                        : `・送出失敗：${webhook.delivery.error}（${formatStatusTimestamp(webhook.delivery.at)}）`
+                      : ''}
+                  </span>
+                  <div className="json-actions">
+                    <button type="button" onClick={() => handleTestWebhook(webhook)}>
+                      送出測試
+                    </button>
                     <button
                       type="button"
-                      className="language-pill-rename"
-                      onClick={() => handleRenameLanguage(language)}
+                      className="subtle-button danger-button"
+                      onClick={() => handleDeleteWebhook(webhook)}
                     >
-                      改名
+                      刪除
                     </button>
-                    {language.id !== 'primary' && (
-                      <button
-                        type="button"
-                        className="language-pill-delete"
-                        onClick={() => handleDeleteLanguage(language)}
-                      >
-                        刪除
-                      </button>
-                    )}
                   </div>
+                </div>
+              ))}
+              <input
+                id="webhook-url"
+                type="url"
+                value={webhookUrlInput}
+                onChange={(event) => setWebhookUrlInput(event.target.value)}
+                placeholder="http://192.168.0.20:8080/subtitle"
+              />
+              <div className="integration-row">
+                {WEBHOOK_EVENT_OPTIONS.map((option) => (
+                  <label key={option.id} className="checkbox-row">
+                    <input
+                      type="checkbox"
+                      checked={webhookEventsInput.includes(option.id)}
+                      onChange={(event) =>
+                        setWebhookEventsInput((current) =>
+                          event.target.checked
+                            ? [...current, option.id]
+                            : current.filter((id) => id !== option.id),
+                        )
+                      }
+                    />
+                    {option.name}
+                  </label>
                 ))}
               </div>
-              <span className="input-note">
-                語言名稱會同步顯示在檢視端的語言切換選單。
-              </span>
+              <button
+                type="button"
+                onClick={handleCreateWebhook}
+                disabled={!sessionId || !webhookUrlInput.trim()}
+              >
+                新增 Webhook
+              </button>
             </div>
-
-            <div className="input-group">
-              <label>外部字幕預設語言</label>
-              <div className="language-default-grid">
-                <label className="input-group" htmlFor="viewer-default-language">
-                  <span>檢視端預設</span>
-                  <select
-                    id="viewer-default-language"
-                    value={viewerDefaultLanguageId}
-                    onChange={handleViewerDefaultLanguageChange}
-                  >
-                    {languages.map((language) => (
-                      <option key={language.id} value={language.id}>
-                        {language.name}
-                      </option>
-                    ))}
-                  </select>
-                </label>
-                <label className="input-group" htmlFor="projector-default-language">
-                  <span>投影端播放</span>
-                  <select
-                    id="projector-default-language"
-                    value={projectorDefaultLanguageId}
-                    onChange={handleProjectorDefaultLanguageChange}
-                  >
-                    {languages.map((language) => (
-                      <option key={language.id} value={language.id}>
-                        {language.name}
-                      </option>
-                    ))}
-                  </select>
-                </label>
-                <label className="input-group" htmlFor="projector-language-mode">
-                  <span>投影端模式</span>
-                  <select
-                    id="projector-language-mode"
-                    value={selectedProjectorLanguageMode}
-                    onChange={handleProjectorLanguageModeChange}
+            {revealedIntegrationSecret && (
+              <div className="input-group">
+                <label>{revealedIntegrationSecret.label}</label>
+                <input
+                  type="text"
+                  readOnly
+                  value={revealedIntegrationSecret.value}
+                  onFocus={(event) => event.target.select()}
+                />
+                <span className="input-note">只會顯示這一次，關閉後無法再查看。</span>
+                <div className="json-actions">
+                  <button type="button" onClick={handleCopyIntegrationSecret}>
+                    複製
+                  </button>
+                  <button
+                    type="button"
+                    className="subtle-button"
+                    onClick={() => setRevealedIntegrationSecret(null)}
                   >
-                    <option value={PROJECTOR_LANGUAGE_MODES.SINGLE}>單語</option>
-                    <option value={PROJECTOR_LANGUAGE_MODES.BILINGUAL}>雙語並置</option>
-                    <option value={PROJECTOR_LANGUAGE_MODES.ALL}>全部語言並置</option>
-                  </select>
-                </label>
+                    關閉
+                  </button>
+                </div>
+              </div>
+            )}
+            </ControlSection>
+
+            <ControlSection title="匯入與備份">
+            <div className="input-group">
+              <label>劇本文件（.docx / .odt）</label>
+              <div className="json-actions">
+                <button
+                  type="button"
+                  onClick={() => scriptDocumentInputRef.current?.click()}
+                  disabled={
+                    importingScriptDocument || clearingSubtitles || !selectedCellId
+                  }
+                >
+                  {importingScriptDocument ? '匯入中…' : '匯入劇本文件到目前場次'}
+                </button>
+                <input
+                  ref={scriptDocumentInputRef}
+                  type="file"
+                  accept=".docx,.odt,application/vnd.openxmlformats-officedocument.wordprocessingml.document,application/vnd.oasis.opendocument.text"
+                  style={{ display: 'none' }}
+                  onChange={handleImportScriptDocument}
+                />
               </div>
               <span className="input-note">
-                檢視端初次進入會先套用預設語言，但觀眾之後仍可自行切換；投影端會持續跟著這裡的語言與模式設定。
+                直接讀取 Word / LibreOffice 文件：粗體或全大寫的角色名會成為角色，斜體或括號段落會標為舞台指示，不需要 OpenAI API Key。
               </span>
             </div>
-            </ControlSection>
 
-            <ControlSection title="貼上與解析" defaultOpen={!lines.length}>
-            <div className="input-group script-parse-model-card">
-              <label htmlFor="script-parse-model">劇本拆解模型</label>
+            <div className="input-group">
+              <label htmlFor="subtitle-import-language">字幕檔（SRT / VTT / ASS）</label>
               <select
-                id="script-parse-model"
-                value={scriptParseModel}
-                onChange={(event) => setScriptParseModel(event.target.value)}
+                id="subtitle-import-language"
+                value={subtitleImportLanguageId}
+                onChange={(event) => setSubtitleImportLanguageId(event.target.value)}
               >
-                {SCRIPT_PARSE_MODEL_OPTIONS.map((model) => (
-                  <option key={model.id} value={model.id}>
-                    {model.name}
+                <option value="primary">寫入目前場次（{primaryLanguageName}）</option>
+                {extraLanguages.map((language) => (
+                  <option key={language.id} value={language.id}>
+                    對齊為 {language.name}
                   </option>
                 ))}
               </select>
+              <div className="json-actions">
+                <button
+                  type="button"
+                  onClick={() => subtitleFileInputRef.current?.click()}
+                  disabled={
+                    importingSubtitleFile || clearingSubtitles || !selectedCellId
+                  }
+                >
+                  {importingSubtitleFile ? '匯入中…' : '匯入字幕檔'}
+                </button>
+                <input
+                  ref={subtitleFileInputRef}
+                  type="file"
+                  accept=".srt,.vtt,.ass,.ssa,text/vtt"
+                  style={{ display: 'none' }}
+                  onChange={handleImportSubtitleFile}
+                />
+              </div>
               <span className="input-note">
-                {selectedScriptParseModel.description}
+                寫入目前場次會以字幕檔取代場次內容；對齊為其他語言時會依第一語言字幕自動分配，並保留每句原本的時間碼。
               </span>
             </div>
 
-            <form className="input-group" onSubmit={handleParsePrimaryScript}>
-              <label htmlFor="script-text-primary">{primaryLanguageName} 劇本文字</label>
-              <textarea
-                id="script-text-primary"
-                rows={8}
-                placeholder={`貼上 ${primaryLanguageName} 全文，系統會解析角色、分段並寫入目前場次。`}
-                value={primaryScriptInput}
-                onChange={(event) =>
-                  setDraftInputValue(selectedCellId, 'primary', event.target.value)
-                }
-              />
+            <div className="input-group">
+              <label htmlFor="subtitle-export-language">匯出字幕檔</label>
+              <select
+                id="subtitle-export-language"
+                value={subtitleExportLanguageId}
+                onChange={(event) => setSubtitleExportLanguageId(event.target.value)}
+              >
+                <option value="primary">{primaryLanguageName}</option>
+                {extraLanguages.map((language) => (
+                  <option key={language.id} value={language.id}>
+                    {language.name}
+                  </option>
+                ))}
+                {extraLanguages.length > 0 && (
+                  <option value="all">全部語言（多行）</option>
+                )}
+              </select>
+              <div className="json-actions">
+                {['srt', 'vtt', 'ass'].map((format) => (
+                  <button
+                    key={format}
+                    type="button"
+                    onClick={() => handleExportSubtitleFile(format)}
+                  >
+                    匯出 {format.toUpperCase()}
+                  </button>
+                ))}
+              </div>
               <span className="input-note">
-                角色會被保留到字幕資料裡，可由控制端切換是否用顏色區分。
+                依場次順序輸出；有時間碼的句子沿用原時間，其餘依字數估算顯示時間。ASS 會以樣式區分舞台指示與音樂，並套用角色顏色。
               </span>
-              <button
-                type="submit"
-                disabled={parsingPrimary || clearingSubtitles || !selectedCellId}
-              >
-                {parsingPrimary ? '解析中…' : `解析 ${primaryLanguageName}`}
-              </button>
-            </form>
+            </div>
 
-            {extraLanguages.map((language) => (
-              <form
-                key={language.id}
-                className="input-group language-parse-card"
-                onSubmit={(event) => handleParseLanguageScript(event, language.id)}
+            <div className="input-group">
+              <label htmlFor="translation-exchange-scope">
+                翻譯交換檔（XLIFF / CSV / XLSX）
+              </label>
+              <select
+                id="translation-exchange-scope"
+                value={translationExchangeScope}
+                onChange={(event) => setTranslationExchangeScope(event.target.value)}
               >
-                <label htmlFor={`language-input-${language.id}`}>
-                  {language.name}
-                </label>
-                <textarea
-                  id={`language-input-${language.id}`}
-                  rows={5}
-                  placeholder={`貼上 ${language.name} 全文，系統會用和第一語言相同的方式拆解，並依序寫入右側字幕清單。`}
-                  value={getDraftInputValue(selectedCellId, language.id)}
+                <option value="cell">目前場次</option>
+                <option value="session">全部場次</option>
+              </select>
+              {extraLanguages.length > 1 && (
+                <select
+                  aria-label="XLIFF 目標語言"
+                  value={activeTranslationExchangeLanguageId}
                   onChange={(event) =>
-                    setDraftInputValue(selectedCellId, language.id, event.target.value)
+                    setTranslationExchangeLanguageId(event.target.value)
                   }
+                >
+                  {extraLanguages.map((language) => (
+                    <option key={language.id} value={language.id}>
+                      XLIFF 目標語言：{language.name}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <div className="json-actions">
+                <button
+                  type="button"
+                  onClick={() => handleExportTranslationFile('xliff')}
+                  disabled={extraLanguages.length === 0}
+                >
+                  匯出 XLIFF
+                </button>
+                <button type="button" onClick={() => handleExportTranslationFile('csv')}>
+                  匯出 CSV
+                </button>
+                <button type="button" onClick={() => handleExportTranslationFile('xlsx')}>
+                  匯出 XLSX
+                </button>
+                <button
+                  type="button"
+                  onClick={() => translationFileInputRef.current?.click()}
+                  disabled={importingTranslationFile || extraLanguages.length === 0}
+                >
+                  {importingTranslationFile ? '匯入中…' : '匯入翻譯檔'}
+                </button>
+                <input
+                  ref={translationFileInputRef}
+                  type="file"
+                  accept=".xlf,.xliff,.csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                  style={{ display: 'none' }}
+                  onChange={handleImportTranslationFile}
                 />
-                <span className="input-note">
-                  左邊保留原始輸入；右側字幕清單顯示拆解後寫入的結果。
-                </span>
+              </div>
+              <span className="input-note">
+                交給譯者的檔案以台詞 ID 對應：試算表每種語言一欄，XLIFF 一次一種目標語言。匯入只寫回譯文；與現有譯文不同、或原文已改過的句子會列為衝突，確認後才覆寫。
+              </span>
+              {translationImportReport && (
+                <div className="script-revision-review">
+                  <span className="input-note">
+                    寫回 {translationImportReport.updatedLineCount} 行・未變更{' '}
+                    {translationImportReport.unchangedLineCount} 行・衝突{' '}
+                    {translationImportReport.conflictCount} 處・找不到{' '}
+                    {translationImportReport.unknownLineCount} 個台詞 ID
+                  </span>
+                  {translationImportReport.unmatchedColumns.length > 0 && (
+                    <span className="input-note">
+                      未對應到語言的欄位：
+                      {translationImportReport.unmatchedColumns.join('、')}
+                    </span>
+                  )}
+                  {translationImportReport.unknownLineIds.length > 0 && (
+                    <span className="input-note">
+                      找不到的台詞 ID：
+                      {translationImportReport.unknownLineIds.join('、')}
+                    </span>
+                  )}
+                  {translationImportReport.conflicts.length > 0 && (
+                    <ol className="script-revision-list">
+                      {translationImportReport.conflicts.map((conflict) => (
+                        <li
+                          key={`${conflict.lineId}-${conflict.languageId}`}
+                          className="script-revision-entry translation-import-conflict"
+                        >
+                          <button
+                            type="button"
+                            className="translation-report-jump"
+                            onClick={() =>
+                              handleJumpToReportLine(
+                                conflict.cellId,
+                                conflict.lineId,
+                                conflict.languageId,
+                              )
+                            }
+                          >
+                            <span className="script-revision-op">
+                              {conflict.cellName} 第 {conflict.lineNumber} 行・
+                              {conflict.languageName}・
+                              {conflict.kind === 'sourceChanged'
+                                ? '原文已修改'
+                                : '譯文不同'}
+                            </span>
+                            <span className="script-revision-after">
+                              {conflict.sourceText}
+                            </span>
+                            <span className="script-revision-before">
+                              {conflict.currentText || '（空白）'}
+                            </span>
+                            <span className="translation-report-translation">
+                              {conflict.importedText}
+                            </span>
+                          </button>
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                  {translationImportReport.conflictCount > 0 && (
+                    <div className="json-actions">
+                      <button
+                        type="button"
+                        className="subtle-button"
+                        onClick={() =>
+                          importTranslationFile(translationImportReport.file, {
+                            overwrite: true,
+                          })
+                        }
+                        disabled={importingTranslationFile}
+                      >
+                        以檔案內容覆寫 {translationImportReport.conflictCount} 處衝突
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+
+            <div className="input-group">
+              <label>Fountain 劇本</label>
+              <div className="json-actions">
                 <button
-                  type="submit"
-                  disabled={
-                    parsingLanguageId === language.id ||
-                    clearingSubtitles ||
-                    !selectedCellId
-                  }
+                  type="button"
+                  onClick={() => fountainInputRef.current?.click()}
+                  disabled={importingFountain || clearingSubtitles || !selectedCellId}
                 >
-                  {parsingLanguageId === language.id
-                    ? '處理中…'
-                    : `更新 ${language.name} 字幕清單`}
+                  {importingFountain ? '匯入中…' : '匯入 Fountain 劇本'}
                 </button>
-              </form>
-            ))}
-            </ControlSection>
+                <button type="button" onClick={handleExportFountain}>
+                  匯出 Fountain 劇本
+                </button>
+                <input
+                  ref={fountainInputRef}
+                  type="file"
+                  accept=".fountain,.spmd,.txt,text/plain"
+                  style={{ display: 'none' }}
+                  onChange={handleImportFountain}
+                />
+              </div>
+              <span className="input-note">
+                角色名成為角色、動作與括號說明成為舞台指示、「~」歌詞標為音樂；每個場景標題會新增一個場次，開頭未分場的內容寫入目前場次。
+              </span>
+            </div>
 
-            <ControlSection title="匯入與備份">
             <div className="input-group">
               <label>目前場次 JSON 匯入 / 匯出</label>
               <div className="json-actions">
@@ -4327,6 +7529,24 @@ const ControlPage = () => {
                 />
                 辨認講者
               </label>
+              <span className="input-note">
+                即時翻譯：定稿的句子會用場次的 LLM 與詞彙表翻譯，檢視端與投影端依所選語言顯示。
+              </span>
+              {languages.map((language) => (
+                <label key={language.id} className="checkbox-row">
+                  <input
+                    type="checkbox"
+                    checked={liveTranslationLanguageIds.includes(language.id)}
+                    onChange={(event) =>
+                      handleToggleLiveTranslationLanguage(
+                        language.id,
+                        event.target.checked,
+                      )
+                    }
+                  />
+                  翻成{language.name}
+                </label>
+              ))}
               <div className="transcription-actions">
                 <button
                   type="button"
@@ -4352,7 +7572,18 @@ const ControlPage = () => {
                 <span>狀態：{transcriptionStatusLabel}</span>
                 <span>輸出：{transcription.isFinal ? '最終稿' : '即時草稿'}</span>
                 <span>講者：{speakerRecognitionEnabled ? '辨認中' : '關閉'}</span>
+                <span>
+                  即時翻譯：
+                  {liveTranslationLanguageNames.length
+                    ? liveTranslationLanguageNames.join('、')
+                    : '關閉'}
+                </span>
               </div>
+              {transcription.liveTranslationError && (
+                <span className="input-note">
+                  即時翻譯失敗：{transcription.liveTranslationError}
+                </span>
+              )}
               <div
                 className={`transcription-preview ${
                   transcription.isFinal ? 'final' : 'partial'
@@ -4431,6 +7662,7 @@ const ControlPage = () => {
                 clearingSubtitles ||
                 parsingPrimary ||
                 Boolean(parsingLanguageId) ||
+                activeScriptJobs.length > 0 ||
                 lines.length === 0
               }
             >
@@ -4472,7 +7704,91 @@ const ControlPage = () => {
               >
                 自動
               </button>
+              <button
+                type="button"
+                className={`subtitle-mode-button ${
+                  subtitleControlMode === SUBTITLE_CONTROL_MODES.TIMED
+                    ? 'active'
+                    : ''
+                }`}
+                onClick={() =>
+                  handleSetSubtitleControlMode(SUBTITLE_CONTROL_MODES.TIMED)
+                }
+              >
+                定時
+              </button>
             </div>
+            <button
+              type="button"
+              className={`toggle-button ${standbyEnabled ? 'active' : ''}`}
+              onClick={handleToggleStandby}
+              title="啟用後點選台詞只會移動待命，按空白鍵、踏板或 GO 才會播出"
+            >
+              待命 / GO
+            </button>
+            {standbyEnabled && (
+              <div className="standby-controls" aria-live="polite">
+                <span className="standby-preview">
+                  {standbyLine
+                    ? `待命：第 ${standby.index + 1} 句${
+                        standbyLine.role ? `・${standbyLine.role}` : ''
+                      }・${standbyLine.text || ''}`
+                    : '待命：已是最後一句'}
+                </span>
+                <button
+                  type="button"
+                  className="standby-go-button"
+                  onClick={() => handleGoStandby()}
+                  disabled={!standbyLine}
+                  title="空白鍵"
+                >
+                  GO
+                </button>
+              </div>
+            )}
+            {subtitleControlMode === SUBTITLE_CONTROL_MODES.TIMED && (
+              <div className="timed-playback-controls" aria-live="polite">
+                <button
+                  type="button"
+                  className={`toggle-button ${timedPlaybackPlaying ? 'active' : ''}`}
+                  onClick={handleToggleTimedPlayback}
+                  disabled={!lines.length}
+                >
+                  {timedPlaybackPlaying ? '暫停' : '播放'}
+                </button>
+                <span className="timed-playback-clock">
+                  {timedPlayback.status === 'ended'
+                    ? '已播完'
+                    : `剩 ${formatDurationSeconds(timedPlaybackRemainingMs)} / ${formatDurationSeconds(
+                        timedPlayback.lineDurationMs,
+                      )}`}
+                </span>
+                <button
+                  type="button"
+                  className="subtle-button"
+                  onClick={() => handleNudgeTimedPlayback(-TIMED_PLAYBACK_NUDGE_MS)}
+                  title="這句提早 1 秒換下一句"
+                >
+                  −1 秒
+                </button>
+                <button
+                  type="button"
+                  className="subtle-button"
+                  onClick={() => handleNudgeTimedPlayback(TIMED_PLAYBACK_NUDGE_MS)}
+                  title="這句多停留 1 秒"
+                >
+                  +1 秒
+                </button>
+                <button
+                  type="button"
+                  className="subtle-button"
+                  onClick={handleResyncTimedPlayback}
+                  title="從目前這句的開頭重新計時；點選任一句也會從該句重新計時"
+                >
+                  重新對時
+                </button>
+              </div>
+            )}
             {subtitleControlMode === SUBTITLE_CONTROL_MODES.AUTO && (
               <div className="auto-follow-status" aria-live="polite">
                 <span>{autoFollowStatusLabel}</span>
@@ -4496,6 +7812,14 @@ const ControlPage = () => {
                 {audioDiagnosticsOpen ? '收合診斷' : '收音診斷'}
               </button>
             )}
+            {sessionMeta?.showRun && (
+              <span
+                className="show-run-indicator"
+                title={`演出紀錄「${sessionMeta.showRun.name}」記錄中`}
+              >
+                記錄中・{sessionMeta.showRun.entryCount} 句
+              </span>
+            )}
             <button
               type="button"
               className={`toggle-button ${displayEnabled ? 'active' : ''}`}
@@ -4609,7 +7933,127 @@ const ControlPage = () => {
           )}
         </div>
 
-        <div className="script-list">
+        {alignmentReview && (
+          <div className="alignment-review">
+            <div className="alignment-review-header">
+              <strong>
+                對齊檢視：
+                {languages.find(
+                  (language) => language.id === alignmentReview.languageId,
+                )?.name || '目標語言'}
+              </strong>
+              <div className="json-actions">
+                <button
+                  type="button"
+                  onClick={handleApplyAlignmentReview}
+                  disabled={applyingAlignmentReview}
+                >
+                  {applyingAlignmentReview ? '套用中…' : '套用對齊'}
+                </button>
+                <button
+                  type="button"
+                  className="subtle-button"
+                  onClick={() => setAlignmentReview(null)}
+                  disabled={applyingAlignmentReview}
+                >
+                  取消
+                </button>
+              </div>
+            </div>
+            <span className="input-note">
+              左欄是第一語言，右欄是解析後的原文段落。拖曳分隔線到某一段，或用 ▲▼ 一次移動一段；套用後會改寫這個語言在本場次的字幕，可用復原還原。
+            </span>
+            {!alignmentReview.matchesCurrentText && (
+              <span className="input-note">
+                目前譯文曾手動修改，無法完全對應回原文段落；以下為自動建議的對齊，套用會覆寫手動修改。
+              </span>
+            )}
+            <div className="alignment-review-rows">
+              {alignmentReview.lines.map((reviewLine, rowIndex) => {
+                const rowStart = alignmentReview.starts[rowIndex]
+                const rowEnd = alignmentReview.starts[rowIndex + 1]
+                const rowChanged =
+                  rowStart !== alignmentReview.initialStarts[rowIndex] ||
+                  rowEnd !== alignmentReview.initialStarts[rowIndex + 1]
+                return (
+                  <div key={reviewLine.id}>
+                    {rowIndex > 0 && (
+                      <div
+                        className="alignment-review-boundary"
+                        draggable
+                        onDragStart={() => {
+                          draggingAlignmentBoundaryRef.current = rowIndex
+                        }}
+                        onDragEnd={() => {
+                          draggingAlignmentBoundaryRef.current = null
+                        }}
+                      >
+                        <span aria-hidden="true">⋯</span>
+                        <button
+                          type="button"
+                          className="subtle-button"
+                          disabled={rowStart <= alignmentReview.starts[rowIndex - 1]}
+                          onClick={() =>
+                            handleMoveAlignmentBoundary(rowIndex, rowStart - 1)
+                          }
+                          title="把上一列最後一段移到這一列"
+                        >
+                          ▲
+                        </button>
+                        <button
+                          type="button"
+                          className="subtle-button"
+                          disabled={rowStart >= rowEnd}
+                          onClick={() =>
+                            handleMoveAlignmentBoundary(rowIndex, rowStart + 1)
+                          }
+                          title="把這一列第一段移到上一列"
+                        >
+                          ▼
+                        </button>
+                      </div>
+                    )}
+                    <div
+                      className={`alignment-review-row${
+                        rowChanged ? ' alignment-review-row-changed' : ''
+                      }`}
+                    >
+                      <div className="alignment-review-primary">
+                        <small>{rowIndex + 1}</small>
+                        {reviewLine.role && <em>{reviewLine.role}</em>}
+                        <span>{reviewLine.text || '（無第一語言）'}</span>
+                      </div>
+                      <div
+                        className="alignment-review-units"
+                        dir={resolveLanguageDirection(
+                          languages,
+                          alignmentReview.languageId,
+                        )}
+                      >
+                        {alignmentReview.units
+                          .slice(rowStart, rowEnd)
+                          .map((unit, offset) => (
+                            <span
+                              key={rowStart + offset}
+                              className="alignment-review-unit"
+                              onDragOver={(event) => event.preventDefault()}
+                              onDrop={(event) =>
+                                handleDropAlignmentBoundary(event, rowStart + offset)
+                              }
+                            >
+                              {unit.text}
+                            </span>
+                          ))}
+                      </div>
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          </div>
+        )}
+
+        <div className={`script-list${alignmentReview ? ' is-hidden' : ''}`}>
           {lines.length === 0 && (
             <div className="empty-state">
               <p className="empty-hint">
@@ -4652,6 +8096,8 @@ const ControlPage = () => {
                 className={`script-line ${
                   currentIndex === index ? 'active' : ''
                 } ${liveCurrentIndex === index ? 'live' : ''} ${
+                  standbyLine && standby.index === index ? 'standby' : ''
+                } ${
                   lineType === 'direction' ? 'direction' : ''
                 } ${
                   musicActive ? 'music' : ''
@@ -4684,6 +8130,9 @@ const ControlPage = () => {
                     {liveCurrentIndex === index && (
                       <span className="script-line-type type-live">播出中</span>
                     )}
+                    {standbyLine && standby.index === index && (
+                      <span className="script-line-type type-standby">待命</span>
+                    )}
                     {musicBoundaryLabel && (
                       <span className="script-line-type type-music">
                         {musicBoundaryLabel}
@@ -4714,6 +8163,20 @@ const ControlPage = () => {
                       >
                         {lineType === 'direction' ? '改成台詞' : '改成舞台'}
                       </button>
+                    {subtitleControlMode === SUBTITLE_CONTROL_MODES.TIMED && (
+                      <button
+                        type="button"
+                        className="line-action duration"
+                        onClick={(lineEvent) =>
+                          handleEditLineDuration(lineEvent, index)
+                        }
+                        title="定時模式下這句停留的秒數"
+                      >
+                        {line.durationMs
+                          ? formatDurationSeconds(line.durationMs)
+                          : '自動秒數'}
+                      </button>
+                    )}
                     {lineType !== 'direction' && (
                       <button
                         type="button"
@@ -4742,6 +8205,10 @@ const ControlPage = () => {
                 >
                   {visibleLanguages.map((language) => {
                     const text = getLineLanguageText(line, language.id)
+                    const machineDrafted =
+                      language.id !== 'primary' &&
+                      Boolean(text.trim()) &&
+                      (line.machineDrafted || []).includes(language.id)
                     const cellKey = getEditingCellKey(index, language.id)
                     const isEditing =
                       editingCell &&
@@ -4754,7 +8221,13 @@ const ControlPage = () => {
                           <div className="script-line-column-label-main">
                             <span>{language.name}</span>
                             {language.id !== 'primary' && (
-                              <small>{text.trim() ? '已填入' : '尚未填入'}</small>
+                              <small>
+                                {machineDrafted
+                                  ? '機器初稿，編輯後確認'
+                                  : text.trim()
+                                    ? '已填入'
+                                    : '尚未填入'}
+                              </small>
                             )}
                           </div>
                           <div className="script-line-language-actions">
@@ -4789,7 +8262,10 @@ const ControlPage = () => {
                           }}
                           className={`script-line-text ${
                             isEditing ? 'editing' : ''
-                          } ${language.id !== 'primary' ? 'translation' : ''}`}
+                          } ${language.id !== 'primary' ? 'translation' : ''} ${
+                            machineDrafted ? 'machine-drafted' : ''
+                          }`}
+                          dir={resolveLanguageDirection(languages, language.id)}
                           contentEditable={Boolean(isEditing)}
                           suppressContentEditableWarning
                           spellCheck={false}
@@ -4809,6 +8285,47 @@ const ControlPage = () => {
                         >
                           {text}
                         </div>
+                        {isEditing &&
+                          translationMemorySuggestions?.lineId === line.id &&
+                          translationMemorySuggestions.languageId === language.id && (
+                            <div
+                              className="translation-memory-suggestions"
+                              onClick={(event) => event.stopPropagation()}
+                            >
+                              <small>翻譯記憶</small>
+                              {translationMemorySuggestions.suggestions.map(
+                                (suggestion) => (
+                                  <button
+                                    key={suggestion.translation}
+                                    type="button"
+                                    className="translation-memory-suggestion"
+                                    onMouseDown={(event) =>
+                                      handleUseTranslationMemorySuggestion(
+                                        event,
+                                        cellKey,
+                                        suggestion.translation,
+                                      )
+                                    }
+                                    title={
+                                      suggestion.exact
+                                        ? undefined
+                                        : `原文：${suggestion.sourceText}`
+                                    }
+                                  >
+                                    <span className="translation-memory-score">
+                                      {suggestion.exact
+                                        ? '完全相符'
+                                        : `${Math.round(suggestion.similarity * 100)}%`}
+                                    </span>
+                                    <span>{suggestion.translation}</span>
+                                    <small>
+                                      {suggestion.sessionTitle}・{suggestion.cellName}
+                                    </small>
+                                  </button>
+                                ),
+                              )}
+                            </div>
+                          )}
                       </div>
                     )
                   })}
@@ -4937,9 +8454,13 @@ const ControlPage = () => {
                 >
                   {projectorPreviewTexts.length > 0
                     ? projectorPreviewTexts.map((entry) => (
-                        <div key={entry.id} className="viewer-preview-language-line">
+                        <div
+                          key={entry.id}
+                          className="viewer-preview-language-line"
+                          dir={entry.direction}
+                        >
                           {projectorPreviewTexts.length > 1 && entry.name && (
-                            <span>{entry.name}</span>
+                            <span dir="auto">{entry.name}</span>
                           )}
                           <strong>{entry.text}</strong>
                         </div>
@@ -6,9 +6,12 @@ import {
   normalizeDisplayPayload,
   normalizeProjectorLayout,
   normalizeProjectorRevision,
+  PROJECTOR_LANGUAGE_MODES,
   resolveAvailableLanguageId,
+  resolveLanguageDirection,
   resolveLanguageDisplayList,
   resolveLineText,
+  resolveLiveEntries,
   roleToColor,
 } from '../lib/displayPayload'
 
@@ -26,6 +29,7 @@ const ProjectorPage = () => {
 
   const [line, setLine] = useState(null)
   const [liveEntries, setLiveEntries] = useState([])
+  const [liveEntriesByLanguage, setLiveEntriesByLanguage] = useState({})
   const [liveLines, setLiveLines] = useState([])
   const [, setMusicActive] = useState(false)
   const [, setMusicText] = useState('此處有音樂')
@@ -131,6 +135,7 @@ const ProjectorPage = () => {
       setDisplayEnabled(next.enabled)
       setLine(next.line)
       setLiveEntries(next.liveEntries)
+      setLiveEntriesByLanguage(next.liveEntriesByLanguage)
       setLiveLines(next.liveLines)
       setMusicActive(next.musicActive)
       setMusicText(next.musicText)
@@ -514,13 +519,14 @@ const ProjectorPage = () => {
         .map((language) => ({
           id: language.id,
           name: language.name,
+          direction: resolveLanguageDirection(languages, language.id),
           text: resolveLineText(line, language.id),
         }))
         .filter((entry) => entry.text.trim())
     : []
   const scriptTextColor =
     roleColorEnabled && shouldRenderScriptText ? roleToColor(line?.role) : ''
-  const entries =
+  const spokenEntries =
     liveEntries.length > 0
       ? liveEntries
       : liveLines.map((text) => ({
@@ -528,6 +534,34 @@ const ProjectorPage = () => {
           speakerId: null,
           isFinal: true,
         }))
+  // The primary slot falls back to the spoken transcript, so bilingual mode
+  // still pairs what is said with its translation.
+  const liveLanguageFeeds = shouldRenderLiveFeed
+    ? resolveLanguageDisplayList(
+        languages,
+        resolveAvailableLanguageId(languages, projectorLanguageId),
+        projectorLanguageMode,
+      )
+        .map((language, index) => ({
+          id: language.id,
+          name: language.name,
+          direction: resolveLanguageDirection(languages, language.id),
+          entries: resolveLiveEntries(
+            liveEntriesByLanguage,
+            language.id,
+            index === 0 || projectorLanguageMode === PROJECTOR_LANGUAGE_MODES.SINGLE
+              ? spokenEntries
+              : [],
+          ),
+        }))
+        .filter((feed) => feed.entries.length > 0)
+    : []
+  const entries =
+    liveLanguageFeeds.length === 1 ? liveLanguageFeeds[0].entries : spokenEntries
+  const liveTextDirection =
+    liveLanguageFeeds.length === 1 && entries !== spokenEntries
+      ? liveLanguageFeeds[0].direction
+      : 'auto'
 
   return (
     <div className="projector-page" ref={containerRef} style={projectorStyle}>
@@ -540,13 +574,27 @@ const ProjectorPage = () => {
 
       <div className="projector-stage">
         <div className="projector-subtitle-block">
-          {shouldRenderLiveFeed ? (
+          {shouldRenderLiveFeed && liveLanguageFeeds.length > 1 ? (
+            <div className="projector-text projector-text-stack">
+              {liveLanguageFeeds.map((feed) => (
+                <div
+                  key={feed.id}
+                  className="projector-language-line"
+                  dir={feed.entries === spokenEntries ? 'auto' : feed.direction}
+                >
+                  <span dir="auto">{feed.name}</span>
+                  <strong>{feed.entries[feed.entries.length - 1].text}</strong>
+                </div>
+              ))}
+            </div>
+          ) : shouldRenderLiveFeed ? (
             <div className="projector-live-feed">
               {entries.map((entry, index) => {
                 const isLatest = index === entries.length - 1
                 return (
                   <div
                     key={`${index}-${entry.text}`}
+                    dir={liveTextDirection}
                     className={`projector-live-line${
                       isLatest ? ' projector-live-line-active' : ''
                     }${entry.isFinal && isLatest ? ' projector-live-line-final' : ''}`}
@@ -565,9 +613,13 @@ const ProjectorPage = () => {
             >
               {scriptText.length > 0
                 ? scriptText.map((entry) => (
-                    <div key={entry.id} className="projector-language-line">
+                    <div
+                      key={entry.id}
+                      className="projector-language-line"
+                      dir={entry.direction}
+                    >
                       {scriptText.length > 1 && (
-                        <span>{entry.name}</span>
+                        <span dir="auto">{entry.name}</span>
                       )}
                       <strong>{entry.text}</strong>
                     </div>
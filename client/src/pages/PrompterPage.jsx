@@ -4,6 +4,7 @@ import { io } from 'socket.io-client'
 import {
   normalizeDisplayPayload,
   resolveAvailableLanguageId,
+  resolveLanguageDirection,
   resolveLineText,
   roleToColor,
 } from '../lib/displayPayload'
@@ -345,6 +346,7 @@ const PrompterPage = () => {
   const liveFeedClassName = `prompter-live-feed${
     musicActive ? ' with-music-banner' : ''
   }`
+  const textDirection = resolveLanguageDirection(languages, selectedLanguageId)
 
   return (
     <div
@@ -443,6 +445,7 @@ const PrompterPage = () => {
               return (
                 <div
                   key={`${index}-${liveEntry.text}`}
+                  dir="auto"
                   className={`prompter-live-line${speakerClass}${
                     isLatest ? ' prompter-live-line-active' : ''
                   }${
@@ -465,10 +468,7 @@ const PrompterPage = () => {
               const isActive = index === currentIndex
               const isDirection = line.type === 'direction'
               const lineText = resolveLineText(line, selectedLanguageId)
-              const text =
-                !isDirection && line.role && lineText
-                  ? `${line.role}：${lineText}`
-                  : lineText
+              const showRole = !isDirection && line.role && lineText
               const roleColor =
                 roleColorEnabled && isActive && !isDirection
                   ? roleToColor(line.role)
@@ -484,12 +484,19 @@ const PrompterPage = () => {
                       delete lineRefs.current[index]
                     }
                   }}
+                  dir={textDirection}
                   className={`prompter-line${
                     isActive ? ' prompter-line-active' : ''
                   }${isDirection ? ' prompter-line-direction' : ''}`}
                   style={roleColor ? { color: roleColor } : undefined}
                 >
-                  {text || '\u00a0'}
+                  {showRole ? (
+                    <>
+                      <bdi>{line.role}</bdi>：{lineText}
+                    </>
+                  ) : (
+                    lineText || '\u00a0'
+                  )}
                 </div>
               )
             })}
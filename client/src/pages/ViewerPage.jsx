@@ -4,8 +4,10 @@ import { io } from 'socket.io-client'
 import {
   normalizeDisplayPayload,
   resolveAvailableLanguageId,
+  resolveLanguageDirection,
   resolveLanguageDisplayList,
   resolveLineText,
+  resolveLiveEntries,
   roleToColor,
 } from '../lib/displayPayload'
 
@@ -39,6 +41,7 @@ const ViewerPage = () => {
 
   const [line, setLine] = useState(null)
   const [liveEntries, setLiveEntries] = useState([])
+  const [liveEntriesByLanguage, setLiveEntriesByLanguage] = useState({})
   const [liveLines, setLiveLines] = useState([])
   const [musicActive, setMusicActive] = useState(false)
   const [musicText, setMusicText] = useState('此處有音樂')
@@ -79,6 +82,7 @@ const ViewerPage = () => {
     setDisplayEnabled(next.enabled)
     setLine(next.line)
     setLiveEntries(next.liveEntries)
+    setLiveEntriesByLanguage(next.liveEntriesByLanguage)
     setLiveLines(next.liveLines)
     setMusicActive(next.musicActive)
     setMusicText(next.musicText)
@@ -271,7 +275,7 @@ const ViewerPage = () => {
     })
 
     return () => window.cancelAnimationFrame(frameId)
-  }, [lineSource, liveEntries, liveLines])
+  }, [lineSource, liveEntries, liveEntriesByLanguage, liveLines])
 
   const adjustViewerFontSize = (delta) => {
     setViewerFontPercent((prev) =>
@@ -330,6 +334,16 @@ const ViewerPage = () => {
   const liveFeedClassName = `viewer-live-feed${
     musicActive ? ' with-music-banner' : ''
   }`
+  const displayedLiveEntries = resolveLiveEntries(
+    liveEntriesByLanguage,
+    selectedLanguageId,
+    liveEntries,
+  )
+  // The spoken transcript has no configured language, so the browser guesses.
+  const liveTextDirection =
+    displayedLiveEntries !== liveEntries
+      ? resolveLanguageDirection(languages, selectedLanguageId)
+      : 'auto'
   const viewerFontScale = viewerFontPercent / 100
   const selectedLanguageName =
     selectedLanguageId === ALL_LANGUAGES_OPTION_ID
@@ -416,8 +430,8 @@ const ViewerPage = () => {
 
       {lineSource === 'transcription' && displayEnabled ? (
         <div className={liveFeedClassName} ref={liveFeedRef}>
-          {(liveEntries.length > 0
-            ? liveEntries
+          {(displayedLiveEntries.length > 0
+            ? displayedLiveEntries
             : liveLines.map((text) => ({
                 text,
                 speakerId: null,
@@ -432,6 +446,7 @@ const ViewerPage = () => {
             return (
               <div
                 key={`${index}-${liveEntry.text}`}
+                dir={liveTextDirection}
                 className={`viewer-live-line${speakerClass}${
                   isLatest ? ' viewer-live-line-active' : ''
                 }${
@@ -446,11 +461,23 @@ const ViewerPage = () => {
           })}
         </div>
       ) : (
-        <div className={textClass} style={roleColor ? { color: roleColor } : undefined}>
+        <div
+          className={textClass}
+          dir={
+            Array.isArray(displayText)
+              ? undefined
+              : resolveLanguageDirection(languages, selectedLanguageId)
+          }
+          style={roleColor ? { color: roleColor } : undefined}
+        >
           {Array.isArray(displayText)
             ? displayText.map((entry) => (
-                <div key={entry.id} className="viewer-language-line">
-                  <span>{entry.name}</span>
+                <div
+                  key={entry.id}
+                  className="viewer-language-line"
+                  dir={resolveLanguageDirection(languages, entry.id)}
+                >
+                  <span dir="auto">{entry.name}</span>
                   <strong>{entry.text}</strong>
                 </div>
               ))
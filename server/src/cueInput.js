@@ -0,0 +1,347 @@
+const net = require('net');
+
+const DEFAULT_OSC_PORT = 53100;
+const MIN_OSC_PORT = 1024;
+const MAX_OSC_PORT = 65535;
+const DEFAULT_OSC_PREFIX = '/subtitle';
+const MAX_OSC_PREFIX_LENGTH = 40;
+const MAX_OSC_ALLOWED_SENDERS = 20;
+const MIDI_ALL_CALL_DEVICE_ID = 0x7f;
+const CUE_COMMANDS = Object.freeze({
+  GO: 'go',
+  BACK: 'back',
+  JUMP: 'jump',
+  SELECT_CELL: 'select-cell',
+  BLACKOUT: 'blackout',
+  RESTORE: 'restore',
+});
+const DEFAULT_MIDI_NOTES = Object.freeze({
+  [CUE_COMMANDS.GO]: 60,
+  [CUE_COMMANDS.BACK]: 59,
+  [CUE_COMMANDS.BLACKOUT]: 58,
+  [CUE_COMMANDS.RESTORE]: 57,
+});
+// MIDI Show Control command bytes (MSC 1.0).
+const MSC_COMMANDS = Object.freeze({
+  GO: 0x01,
+  ALL_OFF: 0x08,
+  RESTORE: 0x09,
+});
+
+function createCueInputError(message, code = 'INVALID_CUE_INPUT') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function normalizeIntegerInRange(rawValue, min, max, fallback, { strict, message }) {
+  const value = Number(rawValue);
+  if (Number.isInteger(value) && value >= min && value <= max) {
+    return value;
+  }
+  if (strict && rawValue != null && rawValue !== '') {
+    throw createCueInputError(message);
+  }
+  return fallback;
+}
+
+// The prefix is an OSC address: it must start with "/" and cannot contain the
+// characters OSC reserves for pattern matching.
+function normalizeOscPrefix(rawPrefix, { strict = false } = {}) {
+  const prefix = typeof rawPrefix === 'string' ? rawPrefix.trim().replace(/\/+$/u, '') : '';
+  if (!prefix) return DEFAULT_OSC_PREFIX;
+  if (
+    prefix.length > MAX_OSC_PREFIX_LENGTH ||
+    !prefix.startsWith('/') ||
+    /[\s#*,?[\]{}]/u.test(prefix)
+  ) {
+    if (strict) {
+      throw createCueInputError('OSC 位址開頭必須以「/」開始，且不能包含空白或 #*,?[]{}');
+    }
+    return DEFAULT_OSC_PREFIX;
+  }
+  return prefix;
+}
+
+// Sender IP addresses allowed to cue the show; empty accepts any sender that
+// can reach the bound address. Accepts an array or a comma/space separated list.
+function normalizeOscAllowedSenders(rawSenders, { strict = false } = {}) {
+  const entries = Array.isArray(rawSenders)
+    ? rawSenders
+    : typeof rawSenders === 'string'
+      ? rawSenders.split(/[\s,，、]+/u)
+      : [];
+  const senders = [];
+  entries.forEach((entry) => {
+    const address = typeof entry === 'string' ? entry.trim() : '';
+    if (!address) return;
+    if (!net.isIP(address)) {
+      if (strict) {
+        throw createCueInputError(`「${address.slice(0, 60)}」不是有效的 IP 位址`);
+      }
+      return;
+    }
+    if (!senders.includes(address)) {
+      senders.push(address);
+    }
+  });
+  if (strict && senders.length > MAX_OSC_ALLOWED_SENDERS) {
+    throw createCueInputError(`允許的來源最多 ${MAX_OSC_ALLOWED_SENDERS} 個`);
+  }
+  return senders.slice(0, MAX_OSC_ALLOWED_SENDERS);
+}
+
+function isOscSenderAllowed(config, address) {
+  const senders = Array.isArray(config?.oscAllowedSenders) ? config.oscAllowedSenders : [];
+  return senders.length === 0 || senders.includes(address);
+}
+
+function normalizeMidiNotes(rawNotes, { strict = false } = {}) {
+  const notes = {};
+  const usedNotes = new Map();
+  Object.entries(DEFAULT_MIDI_NOTES).forEach(([command, fallback]) => {
+    const rawNote = rawNotes && typeof rawNotes === 'object' ? rawNotes[command] : undefined;
+    // null turns the note off for that command.
+    if (rawNote === null || rawNote === '') {
+      notes[command] = null;
+      return;
+    }
+    const note = normalizeIntegerInRange(rawNote, 0, 127, fallback, {
+      strict,
+      message: 'MIDI 音符編號必須是 0–127',
+    });
+    if (usedNotes.has(note)) {
+      if (strict) {
+        throw createCueInputError(`MIDI 音符 ${note} 同時對應到兩個指令`);
+      }
+      notes[command] = null;
+      return;
+    }
+    usedNotes.set(note, command);
+    notes[command] = note;
+  });
+  return notes;
+}
+
+function normalizeCueInputConfig(rawConfig, { strict = false } = {}) {
+  const config = rawConfig && typeof rawConfig === 'object' ? rawConfig : {};
+  return {
+    oscEnabled: config.oscEnabled === true,
+    oscPort: normalizeIntegerInRange(
+      config.oscPort,
+      MIN_OSC_PORT,
+      MAX_OSC_PORT,
+      DEFAULT_OSC_PORT,
+      { strict, message: `OSC 連接埠必須是 ${MIN_OSC_PORT}–${MAX_OSC_PORT}` },
+    ),
+    oscPrefix: normalizeOscPrefix(config.oscPrefix, { strict }),
+    oscAllowedSenders: normalizeOscAllowedSenders(config.oscAllowedSenders, { strict }),
+    midiEnabled: config.midiEnabled === true,
+    // 0 listens on every channel.
+    midiChannel: normalizeIntegerInRange(config.midiChannel, 0, 16, 0, {
+      strict,
+      message: 'MIDI 頻道必須是 1–16，或 0 表示全部頻道',
+    }),
+    midiDeviceId: normalizeIntegerInRange(
+      config.midiDeviceId,
+      0,
+      MIDI_ALL_CALL_DEVICE_ID,
+      MIDI_ALL_CALL_DEVICE_ID,
+      { strict, message: 'MSC 裝置編號必須是 0–127' },
+    ),
+    midiNotes: normalizeMidiNotes(config.midiNotes, { strict }),
+  };
+}
+
+function readOscString(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+  if (end < 0) {
+    throw createCueInputError('OSC 字串沒有結尾', 'INVALID_OSC_PACKET');
+  }
+  return {
+    value: buffer.toString('utf8', offset, end),
+    offset: offset + Math.ceil((end - offset + 1) / 4) * 4,
+  };
+}
+
+function readOscArguments(buffer, offset, typeTags) {
+  const args = [];
+  let cursor = offset;
+  for (const tag of typeTags) {
+    if (tag === 'i') {
+      args.push(buffer.readInt32BE(cursor));
+      cursor += 4;
+    } else if (tag === 'f') {
+      // Float32 turns 2.15 into 2.1500000953674316; cue numbers need 2.15.
+      args.push(Number(buffer.readFloatBE(cursor).toPrecision(7)));
+      cursor += 4;
+    } else if (tag === 'h') {
+      args.push(Number(buffer.readBigInt64BE(cursor)));
+      cursor += 8;
+    } else if (tag === 'd') {
+      args.push(buffer.readDoubleBE(cursor));
+      cursor += 8;
+    } else if (tag === 's' || tag === 'S') {
+      const string = readOscString(buffer, cursor);
+      args.push(string.value);
+      cursor = string.offset;
+    } else if (tag === 'b') {
+      const length = buffer.readInt32BE(cursor);
+      args.push(buffer.subarray(cursor + 4, cursor + 4 + length));
+      cursor += 4 + Math.ceil(length / 4) * 4;
+    } else if (tag === 'T' || tag === 'F') {
+      args.push(tag === 'T');
+    } else if (tag === 'N' || tag === 'I') {
+      args.push(null);
+    } else {
+      // An unknown tag has an unknown size, so nothing after it can be read.
+      break;
+    }
+  }
+  return args;
+}
+
+// Returns every message in the packet; bundles are flattened in order and
+// their time tags ignored, since cues are applied as soon as they arrive.
+function parseOscPacket(buffer, depth = 0) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4 || depth > 8) {
+    throw createCueInputError('不是有效的 OSC 封包', 'INVALID_OSC_PACKET');
+  }
+  try {
+    const head = readOscString(buffer, 0);
+    if (head.value === '#bundle') {
+      const messages = [];
+      let cursor = head.offset + 8;
+      while (cursor + 4 <= buffer.length) {
+        const size = buffer.readInt32BE(cursor);
+        const element = buffer.subarray(cursor + 4, cursor + 4 + size);
+        messages.push(...parseOscPacket(element, depth + 1));
+        cursor += 4 + size;
+      }
+      return messages;
+    }
+
+    if (!head.value.startsWith('/')) {
+      throw createCueInputError('OSC 位址必須以「/」開頭', 'INVALID_OSC_PACKET');
+    }
+    if (head.offset >= buffer.length) {
+      return [{ address: head.value, args: [] }];
+    }
+    const tags = readOscString(buffer, head.offset);
+    const typeTags = tags.value.startsWith(',') ? tags.value.slice(1) : '';
+    return [
+      {
+        address: head.value,
+        args: readOscArguments(buffer, tags.offset, typeTags),
+      },
+    ];
+  } catch (error) {
+    if (error.code === 'INVALID_OSC_PACKET') throw error;
+    throw createCueInputError('OSC 封包長度不正確', 'INVALID_OSC_PACKET');
+  }
+}
+
+function formatCueArgument(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  if (typeof value === 'string') return value.trim();
+  return '';
+}
+
+// Buttons on OSC surfaces (TouchOSC, Stream Deck) send 1 on press and 0 on
+// release; only the press should move the cue.
+function isOscReleaseArgument(args) {
+  return args.length > 0 && (args[0] === 0 || args[0] === false);
+}
+
+function resolveOscCueCommand(message, config) {
+  const prefix = normalizeOscPrefix(config?.oscPrefix);
+  const address = typeof message?.address === 'string' ? message.address : '';
+  if (!address.startsWith(`${prefix}/`)) return null;
+  const args = Array.isArray(message.args) ? message.args : [];
+  const [action, ...rest] = address.slice(prefix.length + 1).split('/');
+
+  if (action === CUE_COMMANDS.GO || action === CUE_COMMANDS.BACK) {
+    return isOscReleaseArgument(args) ? null : { command: action };
+  }
+  if (action === CUE_COMMANDS.JUMP) {
+    const cueId = rest.length ? rest.join('/') : formatCueArgument(args[0]);
+    return cueId ? { command: CUE_COMMANDS.JUMP, cueId } : null;
+  }
+  if (action === 'cell') {
+    const cellId = rest.length ? rest.join('/') : formatCueArgument(args[0]);
+    return cellId ? { command: CUE_COMMANDS.SELECT_CELL, cellId } : null;
+  }
+  if (action === CUE_COMMANDS.BLACKOUT) {
+    return isOscReleaseArgument(args)
+      ? { command: CUE_COMMANDS.RESTORE }
+      : { command: CUE_COMMANDS.BLACKOUT };
+  }
+  if (action === CUE_COMMANDS.RESTORE) {
+    return isOscReleaseArgument(args) ? null : { command: CUE_COMMANDS.RESTORE };
+  }
+  return null;
+}
+
+// MSC: F0 7F <device> 02 <format> <command> <data> F7. GO carries an optional
+// ASCII cue number, terminated by 00 when a cue list follows.
+function resolveMscCueCommand(bytes, config) {
+  if (bytes.length < 6 || bytes[1] !== 0x7f || bytes[3] !== 0x02) return null;
+  const deviceId = bytes[2];
+  if (
+    deviceId !== MIDI_ALL_CALL_DEVICE_ID &&
+    config.midiDeviceId !== MIDI_ALL_CALL_DEVICE_ID &&
+    deviceId !== config.midiDeviceId
+  ) {
+    return null;
+  }
+
+  const command = bytes[5];
+  if (command === MSC_COMMANDS.GO) {
+    const data = bytes.slice(6, bytes[bytes.length - 1] === 0xf7 ? -1 : undefined);
+    const terminator = data.indexOf(0);
+    const cueId = String.fromCharCode(
+      ...(terminator >= 0 ? data.slice(0, terminator) : data),
+    ).trim();
+    return cueId ? { command: CUE_COMMANDS.JUMP, cueId } : { command: CUE_COMMANDS.GO };
+  }
+  if (command === MSC_COMMANDS.ALL_OFF) return { command: CUE_COMMANDS.BLACKOUT };
+  if (command === MSC_COMMANDS.RESTORE) return { command: CUE_COMMANDS.RESTORE };
+  return null;
+}
+
+function resolveMidiCueCommand(rawBytes, config) {
+  const bytes = Array.isArray(rawBytes)
+    ? rawBytes.filter((byte) => Number.isInteger(byte) && byte >= 0 && byte <= 0xff)
+    : [];
+  if (!bytes.length) return null;
+  if (bytes[0] === 0xf0) {
+    return resolveMscCueCommand(bytes, config);
+  }
+
+  // Note On with velocity 0 is a Note Off by convention.
+  const status = bytes[0] & 0xf0;
+  const channel = (bytes[0] & 0x0f) + 1;
+  if (status !== 0x90 || bytes.length < 3 || bytes[2] === 0) return null;
+  if (config.midiChannel && channel !== config.midiChannel) return null;
+  const match = Object.entries(config.midiNotes || {}).find(
+    ([, note]) => note === bytes[1],
+  );
+  return match ? { command: match[0] } : null;
+}
+
+function describeMidiMessage(rawBytes) {
+  const bytes = Array.isArray(rawBytes) ? rawBytes.slice(0, 32) : [];
+  return bytes
+    .map((byte) => Number(byte).toString(16).toUpperCase().padStart(2, '0'))
+    .join(' ');
+}
+
+module.exports = {
+  CUE_COMMANDS,
+  describeMidiMessage,
+  isOscSenderAllowed,
+  normalizeCueInputConfig,
+  parseOscPacket,
+  resolveMidiCueCommand,
+  resolveOscCueCommand,
+};
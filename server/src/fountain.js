@@ -0,0 +1,275 @@
+const FOUNTAIN_ELEMENT_KINDS = Object.freeze({
+  ACTION: 'action',
+  DIALOGUE: 'dialogue',
+  PARENTHETICAL: 'parenthetical',
+  LYRIC: 'lyric',
+  TRANSITION: 'transition',
+});
+
+const SCENE_HEADING_PATTERN = /^(INT|EXT|EST|INT\.?\/EXT|I\/E)[.\s]/iu;
+const SCENE_NUMBER_PATTERN = /\s*#[\w.-]+#\s*$/u;
+const CHARACTER_EXTENSION_PATTERN = /\s*\([^)]*\)\s*$/u;
+const TRANSITION_PATTERN = /^[\p{Lu}\s]+TO:$/u;
+const TITLE_PAGE_KEY_PATTERN =
+  /^(title|credit|author|authors|source|draft date|date|contact|copyright|notes|revision):/iu;
+const PARENTHETICAL_PATTERN = /^[（(].*[）)]$/u;
+
+function stripFountainMarkup(text) {
+  return String(text || '')
+    .replace(/\\([*_])/gu, '$1')
+    .replace(/(\*{1,3})(?=\S)(.+?)(?<=\S)\1/gu, '$2')
+    .replace(/_(?=\S)(.+?)(?<=\S)_/gu, '$1')
+    .replace(/\s+/gu, ' ')
+    .trim();
+}
+
+function removeFountainComments(text) {
+  return String(text || '')
+    .replace(/\/\*[\s\S]*?\*\//gu, '')
+    .replace(/\[\[[\s\S]*?\]\]/gu, '');
+}
+
+function isUppercaseCue(text) {
+  return /\p{Lu}/u.test(text) && !/\p{Ll}/u.test(text);
+}
+
+function splitTitlePage(lines) {
+  const title = { title: '', consumed: 0 };
+  if (!lines.length || !TITLE_PAGE_KEY_PATTERN.test(lines[0].trim())) {
+    return title;
+  }
+
+  let index = 0;
+  let currentKey = '';
+  while (index < lines.length && lines[index].trim()) {
+    const line = lines[index];
+    const keyMatch = line.match(/^([\p{L}][\p{L}\s]*):\s*(.*)$/u);
+    if (keyMatch && TITLE_PAGE_KEY_PATTERN.test(line)) {
+      currentKey = keyMatch[1].trim().toLowerCase();
+      if (currentKey === 'title' && keyMatch[2].trim()) {
+        title.title = stripFountainMarkup(keyMatch[2]);
+      }
+    } else if (currentKey === 'title' && !title.title) {
+      title.title = stripFountainMarkup(line);
+    }
+    index += 1;
+  }
+
+  title.consumed = index;
+  return title;
+}
+
+function parseSceneHeading(line) {
+  const trimmed = line.trim();
+  if (/^\.[^.]/u.test(trimmed)) {
+    return stripFountainMarkup(
+      trimmed.slice(1).replace(SCENE_NUMBER_PATTERN, ''),
+    );
+  }
+  if (SCENE_HEADING_PATTERN.test(trimmed)) {
+    return stripFountainMarkup(trimmed.replace(SCENE_NUMBER_PATTERN, ''));
+  }
+  return null;
+}
+
+function parseCharacterCue(line) {
+  const trimmed = line.trim().replace(/\s*\^$/u, '');
+  if (trimmed.startsWith('@')) {
+    return stripFountainMarkup(
+      trimmed.slice(1).replace(CHARACTER_EXTENSION_PATTERN, ''),
+    );
+  }
+  const name = trimmed.replace(CHARACTER_EXTENSION_PATTERN, '');
+  if (!name || !isUppercaseCue(name) || /^[!~>=#.]/u.test(name)) {
+    return null;
+  }
+  return stripFountainMarkup(name);
+}
+
+function parseFountainScript(rawText) {
+  const sourceLines = removeFountainComments(rawText)
+    .replace(/^\ufeff/u, '')
+    .split(/\r?\n/u);
+  const titlePage = splitTitlePage(sourceLines);
+  const lines = sourceLines.slice(titlePage.consumed);
+  const scenes = [{ heading: null, elements: [] }];
+  let currentRole = null;
+
+  const currentScene = () => scenes[scenes.length - 1];
+  const pushElement = (kind, text, role = null) => {
+    const cleaned = stripFountainMarkup(text);
+    if (!cleaned) return;
+    currentScene().elements.push({ kind, text: cleaned, role });
+  };
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+    const trimmed = line.trim();
+    const previousBlank = index === 0 || !lines[index - 1].trim();
+    const nextLine = index + 1 < lines.length ? lines[index + 1] : '';
+
+    if (!trimmed) {
+      currentRole = null;
+      continue;
+    }
+
+    if (currentRole) {
+      if (trimmed.startsWith('~')) {
+        pushElement(
+          FOUNTAIN_ELEMENT_KINDS.LYRIC,
+          trimmed.slice(1),
+          currentRole,
+        );
+      } else if (PARENTHETICAL_PATTERN.test(trimmed)) {
+        pushElement(FOUNTAIN_ELEMENT_KINDS.PARENTHETICAL, trimmed);
+      } else {
+        pushElement(FOUNTAIN_ELEMENT_KINDS.DIALOGUE, trimmed, currentRole);
+      }
+      continue;
+    }
+
+    if (/^={3,}$/u.test(trimmed) || /^(#|=)/u.test(trimmed)) {
+      continue;
+    }
+
+    const sceneHeading = previousBlank ? parseSceneHeading(trimmed) : null;
+    if (sceneHeading) {
+      scenes.push({ heading: sceneHeading, elements: [] });
+      continue;
+    }
+
+    if (trimmed.startsWith('~')) {
+      pushElement(FOUNTAIN_ELEMENT_KINDS.LYRIC, trimmed.slice(1));
+      continue;
+    }
+
+    if (trimmed.startsWith('!')) {
+      pushElement(FOUNTAIN_ELEMENT_KINDS.ACTION, trimmed.slice(1));
+      continue;
+    }
+
+    if (/^>.*<$/u.test(trimmed)) {
+      pushElement(FOUNTAIN_ELEMENT_KINDS.ACTION, trimmed.slice(1, -1));
+      continue;
+    }
+
+    if (
+      trimmed.startsWith('>') ||
+      (previousBlank && !nextLine.trim() && TRANSITION_PATTERN.test(trimmed))
+    ) {
+      pushElement(
+        FOUNTAIN_ELEMENT_KINDS.TRANSITION,
+        trimmed.replace(/^>\s*/u, ''),
+      );
+      continue;
+    }
+
+    const characterCue =
+      previousBlank && nextLine.trim() ? parseCharacterCue(trimmed) : null;
+    if (characterCue) {
+      currentRole = characterCue;
+      continue;
+    }
+
+    pushElement(FOUNTAIN_ELEMENT_KINDS.ACTION, trimmed);
+  }
+
+  return {
+    title: titlePage.title,
+    scenes: scenes.filter(
+      (scene, index) => index > 0 || scene.elements.length > 0,
+    ),
+  };
+}
+
+function formatSceneHeading(heading) {
+  const text = String(heading || '').trim();
+  if (!text) return '';
+  return SCENE_HEADING_PATTERN.test(text) ? text.toUpperCase() : `.${text}`;
+}
+
+function formatCharacterCue(role) {
+  const text = String(role || '').trim();
+  return isUppercaseCue(text) && !/^[!~>=#.@]/u.test(text) ? text : `@${text}`;
+}
+
+function formatActionText(text) {
+  if (TRANSITION_PATTERN.test(text)) {
+    return `> ${text}`;
+  }
+  const needsForce =
+    isUppercaseCue(text) ||
+    SCENE_HEADING_PATTERN.test(text) ||
+    /^[.!@~>=#]/u.test(text);
+  return needsForce ? `!${text}` : text;
+}
+
+function formatFountainScript({ title = '', scenes = [] } = {}) {
+  const blocks = [];
+  if (title) {
+    blocks.push(`Title: ${title}`);
+  }
+
+  scenes.forEach((scene) => {
+    const heading = formatSceneHeading(scene?.heading);
+    if (heading) {
+      blocks.push(heading);
+    }
+
+    let dialogueBlock = null;
+    const flushDialogue = () => {
+      if (dialogueBlock) {
+        blocks.push(dialogueBlock.lines.join('\n'));
+        dialogueBlock = null;
+      }
+    };
+
+    (Array.isArray(scene?.elements) ? scene.elements : []).forEach((element) => {
+      const text = String(element?.text || '').trim();
+      if (!text) return;
+      const role = String(element?.role || '').trim();
+      const isSpoken =
+        element.kind === FOUNTAIN_ELEMENT_KINDS.DIALOGUE ||
+        element.kind === FOUNTAIN_ELEMENT_KINDS.LYRIC;
+
+      if (isSpoken && role) {
+        if (!dialogueBlock || dialogueBlock.role !== role) {
+          flushDialogue();
+          dialogueBlock = { role, lines: [formatCharacterCue(role)] };
+        }
+        dialogueBlock.lines.push(
+          element.kind === FOUNTAIN_ELEMENT_KINDS.LYRIC ? `~${text}` : text,
+        );
+        return;
+      }
+
+      if (
+        element.kind === FOUNTAIN_ELEMENT_KINDS.PARENTHETICAL &&
+        dialogueBlock
+      ) {
+        dialogueBlock.lines.push(
+          PARENTHETICAL_PATTERN.test(text) ? text : `(${text})`,
+        );
+        return;
+      }
+
+      flushDialogue();
+      if (element.kind === FOUNTAIN_ELEMENT_KINDS.LYRIC) {
+        blocks.push(`~${text}`);
+      } else if (element.kind === FOUNTAIN_ELEMENT_KINDS.TRANSITION) {
+        blocks.push(`> ${text}`);
+      } else {
+        blocks.push(formatActionText(text));
+      }
+    });
+    flushDialogue();
+  });
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+module.exports = {
+  FOUNTAIN_ELEMENT_KINDS,
+  formatFountainScript,
+  parseFountainScript,
+};
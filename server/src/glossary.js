@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+
+const MAX_GLOSSARY_ENTRIES = 300;
+const MAX_GLOSSARY_TERM_LENGTH = 80;
+const MAX_GLOSSARY_TRANSLATION_LENGTH = 120;
+const MAX_GLOSSARY_ALIASES = 8;
+const GLOSSARY_CATEGORIES = Object.freeze({
+  TERM: 'term',
+  CHARACTER: 'character',
+  PLACE: 'place',
+  OTHER: 'other',
+});
+const GLOSSARY_CATEGORY_LABELS = Object.freeze({
+  [GLOSSARY_CATEGORIES.TERM]: '術語',
+  [GLOSSARY_CATEGORIES.CHARACTER]: '角色名',
+  [GLOSSARY_CATEGORIES.PLACE]: '地名',
+  [GLOSSARY_CATEGORIES.OTHER]: '其他',
+});
+const LATIN_WORD_CHAR_PATTERN = /^[\p{Script=Latin}\p{N}]$/u;
+
+function createGlossaryError(message, code = 'INVALID_GLOSSARY') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function sanitizeGlossaryText(value, maxLength) {
+  if (typeof value !== 'string') return '';
+  return value.replace(/\s+/gu, ' ').trim().slice(0, maxLength);
+}
+
+function normalizeGlossaryTermKey(term) {
+  return sanitizeGlossaryText(term, MAX_GLOSSARY_TERM_LENGTH)
+    .normalize('NFKC')
+    .toLowerCase();
+}
+
+function normalizeGlossaryCategory(rawCategory) {
+  return Object.values(GLOSSARY_CATEGORIES).includes(rawCategory)
+    ? rawCategory
+    : GLOSSARY_CATEGORIES.TERM;
+}
+
+// Aliases are how the term tends to be heard or misspelled; the editor sends a
+// comma-separated string, stored sessions an array.
+function normalizeGlossaryAliases(rawAliases, termKey) {
+  const values = Array.isArray(rawAliases)
+    ? rawAliases
+    : typeof rawAliases === 'string'
+      ? rawAliases.split(/[,，、\n]/u)
+      : [];
+  const seen = new Set([termKey]);
+  const aliases = [];
+  values.forEach((value) => {
+    const alias = sanitizeGlossaryText(value, MAX_GLOSSARY_TERM_LENGTH);
+    const aliasKey = normalizeGlossaryTermKey(alias);
+    if (!alias || seen.has(aliasKey) || aliases.length >= MAX_GLOSSARY_ALIASES) {
+      return;
+    }
+    seen.add(aliasKey);
+    aliases.push(alias);
+  });
+  return aliases;
+}
+
+// Translations are kept only for languages the session still has, so deleting
+// a language cleans its glossary column on the next normalize.
+function normalizeGlossary(rawEntries, languages = [], { strict = false } = {}) {
+  const entries = Array.isArray(rawEntries) ? rawEntries : [];
+  if (strict && entries.length > MAX_GLOSSARY_ENTRIES) {
+    throw createGlossaryError(`詞彙表最多只能有 ${MAX_GLOSSARY_ENTRIES} 個詞條`);
+  }
+
+  const languageIds = new Set(
+    (Array.isArray(languages) ? languages : [])
+      .map((language) => language?.id)
+      .filter(Boolean),
+  );
+  const seenTerms = new Set();
+  const glossary = [];
+  entries.slice(0, MAX_GLOSSARY_ENTRIES).forEach((entry, index) => {
+    const term = sanitizeGlossaryText(entry?.term, MAX_GLOSSARY_TERM_LENGTH);
+    if (!term) {
+      if (strict) {
+        throw createGlossaryError(`第 ${index + 1} 個詞條缺少詞彙`);
+      }
+      return;
+    }
+    const termKey = normalizeGlossaryTermKey(term);
+    if (seenTerms.has(termKey)) {
+      if (strict) {
+        throw createGlossaryError(`詞彙「${term}」重複了`);
+      }
+      return;
+    }
+    seenTerms.add(termKey);
+
+    const translations = {};
+    Object.entries(
+      entry?.translations && typeof entry.translations === 'object'
+        ? entry.translations
+        : {},
+    ).forEach(([languageId, value]) => {
+      if (!languageIds.has(languageId) || languageId === 'primary') return;
+      const translation = sanitizeGlossaryText(value, MAX_GLOSSARY_TRANSLATION_LENGTH);
+      if (translation) {
+        translations[languageId] = translation;
+      }
+    });
+
+    glossary.push({
+      id:
+        typeof entry?.id === 'string' && entry.id.trim()
+          ? entry.id.trim().slice(0, 40)
+          : `term_${crypto.randomBytes(6).toString('hex')}`,
+      term,
+      aliases: normalizeGlossaryAliases(entry?.aliases, termKey),
+      category: normalizeGlossaryCategory(entry?.category),
+      translations,
+    });
+  });
+
+  return glossary;
+}
+
+function findGlossaryEntriesInText(glossary, texts) {
+  const haystack = (Array.isArray(texts) ? texts : [texts])
+    .filter((text) => typeof text === 'string')
+    .join('\n')
+    .normalize('NFKC')
+    .toLowerCase();
+  if (!haystack) return [];
+  return (Array.isArray(glossary) ? glossary : []).filter((entry) =>
+    [entry.term, ...(entry.aliases || [])].some((value) =>
+      haystack.includes(normalizeGlossaryTermKey(value)),
+    ),
+  );
+}
+
+// Terms without a fixed translation are still listed so the model at least
+// renders each name the same way throughout the cell.
+function describeGlossaryForPrompt(entries, languageId) {
+  return (Array.isArray(entries) ? entries : []).map((entry) => {
+    const translation = entry.translations?.[languageId];
+    const label = GLOSSARY_CATEGORY_LABELS[entry.category] || '';
+    const term = label ? `「${entry.term}」（${label}）` : `「${entry.term}」`;
+    return translation
+      ? `- ${term}一律譯為「${translation}」`
+      : `- ${term}是固定用語，整場請用同一種譯法`;
+  });
+}
+
+// Used by transcription and script parsing, where only the source-language
+// spelling matters; aliases tell the model which sound-alikes to normalize.
+function describeGlossaryTermsForPrompt(entries) {
+  return (Array.isArray(entries) ? entries : []).map((entry) => {
+    const label = GLOSSARY_CATEGORY_LABELS[entry.category] || '';
+    const aliases = entry.aliases?.length
+      ? `，也可能聽成或寫成：${entry.aliases.join('、')}`
+      : '';
+    return `- ${entry.term}${label ? `（${label}）` : ''}${aliases}`;
+  });
+}
+
+function escapeGlossaryPattern(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/gu, '\\$&');
+}
+
+// Latin aliases only match whole words so "Tom" never rewrites "Tomorrow";
+// CJK text has no word boundaries, so those aliases match anywhere.
+function buildGlossaryAliasPattern(alias) {
+  const escaped = escapeGlossaryPattern(alias);
+  const before = LATIN_WORD_CHAR_PATTERN.test(alias.charAt(0))
+    ? '(?<![\\p{Script=Latin}\\p{N}])'
+    : '';
+  const after = LATIN_WORD_CHAR_PATTERN.test(alias.charAt(alias.length - 1))
+    ? '(?![\\p{Script=Latin}\\p{N}])'
+    : '';
+  return `${before}${escaped}${after}`;
+}
+
+function applyGlossaryReplacements(text, glossary) {
+  if (typeof text !== 'string' || !text) return text;
+  const replacements = new Map();
+  (Array.isArray(glossary) ? glossary : []).forEach((entry) => {
+    (entry.aliases || []).forEach((alias) => {
+      const aliasKey = normalizeGlossaryTermKey(alias);
+      if (aliasKey && !replacements.has(aliasKey)) {
+        replacements.set(aliasKey, { alias, term: entry.term });
+      }
+    });
+  });
+  if (replacements.size === 0) return text;
+
+  // Longest alias first so a longer phrase wins over an alias it contains.
+  const ordered = Array.from(replacements.values()).sort(
+    (left, right) => right.alias.length - left.alias.length,
+  );
+  const pattern = new RegExp(
+    ordered.map(({ alias }) => `(${buildGlossaryAliasPattern(alias)})`).join('|'),
+    'giu',
+  );
+  return text.replace(pattern, (...match) => {
+    const groupIndex = match
+      .slice(1, ordered.length + 1)
+      .findIndex((group) => group !== undefined);
+    return groupIndex >= 0 ? ordered[groupIndex].term : match[0];
+  });
+}
+
+module.exports = {
+  GLOSSARY_CATEGORIES,
+  applyGlossaryReplacements,
+  describeGlossaryForPrompt,
+  describeGlossaryTermsForPrompt,
+  findGlossaryEntriesInText,
+  normalizeGlossary,
+};
@@ -0,0 +1,429 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { createOpaqueToken, hashToken } = require('./persistence');
+
+const MAX_API_TOKENS = 10;
+const MAX_WEBHOOKS = 10;
+const MAX_INTEGRATION_NAME_LENGTH = 40;
+const MAX_WEBHOOK_URL_LENGTH = 500;
+const API_TOKEN_PREFIX = 'smk_';
+const WEBHOOK_SECRET_PREFIX = 'whsec_';
+const WEBHOOK_TIMEOUT_MS = 5000;
+// Delays before each retry; cues go stale quickly, so delivery gives up early.
+const WEBHOOK_RETRY_DELAYS_MS = Object.freeze([1000, 4000]);
+const WEBHOOK_EVENTS = Object.freeze({
+  CUE_CHANGED: 'cue.changed',
+  DISPLAY_CHANGED: 'display.changed',
+  SESSION_ENDED: 'session.ended',
+});
+const WEBHOOK_PING_EVENT = 'ping';
+// Webhooks may not reach the server's own machine or its private network
+// unless the deployment opts in (e.g. a show-control box on the venue LAN).
+const WEBHOOK_ALLOW_PRIVATE_NETWORKS = /^(1|true|yes|on)$/iu.test(
+  (process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS || '').trim(),
+);
+const WEBHOOK_TARGET_BLOCKED_MESSAGE = 'Webhook 不能指向本機或內部網路位址';
+const PRIVATE_NETWORK_BLOCK_LIST = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) =>
+  PRIVATE_NETWORK_BLOCK_LIST.addSubnet(address, prefix, 'ipv4'),
+);
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) =>
+  PRIVATE_NETWORK_BLOCK_LIST.addSubnet(address, prefix, 'ipv6'),
+);
+
+function createIntegrationError(message, code = 'INVALID_INTEGRATION') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function sanitizeIntegrationName(value, fallback) {
+  const name =
+    typeof value === 'string'
+      ? value.replace(/\s+/gu, ' ').trim().slice(0, MAX_INTEGRATION_NAME_LENGTH)
+      : '';
+  return name || fallback;
+}
+
+function normalizeIntegrationTimestamp(value) {
+  return Number.isFinite(value) && value > 0 ? Math.round(value) : null;
+}
+
+function createIntegrationId(prefix) {
+  return `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function normalizeApiToken(rawToken) {
+  if (!rawToken || typeof rawToken !== 'object') return null;
+  if (typeof rawToken.tokenHash !== 'string' || !/^[0-9a-f]{64}$/u.test(rawToken.tokenHash)) {
+    return null;
+  }
+  return {
+    id:
+      typeof rawToken.id === 'string' && rawToken.id.trim()
+        ? rawToken.id.trim().slice(0, 40)
+        : createIntegrationId('tok'),
+    name: sanitizeIntegrationName(rawToken.name, 'API 權杖'),
+    tokenHash: rawToken.tokenHash,
+    hint: typeof rawToken.hint === 'string' ? rawToken.hint.slice(0, 8) : '',
+    createdAt: normalizeIntegrationTimestamp(rawToken.createdAt) || Date.now(),
+    lastUsedAt: normalizeIntegrationTimestamp(rawToken.lastUsedAt),
+  };
+}
+
+function normalizeApiTokens(rawTokens) {
+  return (Array.isArray(rawTokens) ? rawTokens : [])
+    .map((token) => normalizeApiToken(token))
+    .filter(Boolean)
+    .slice(0, MAX_API_TOKENS);
+}
+
+// Only the hash is stored; the plain token is returned once to the caller.
+function createApiToken(apiTokens, { name = '' } = {}) {
+  if (apiTokens.length >= MAX_API_TOKENS) {
+    throw createIntegrationError(
+      `每個節目最多 ${MAX_API_TOKENS} 組 API 權杖`,
+      'API_TOKEN_LIMIT',
+    );
+  }
+  const token = `${API_TOKEN_PREFIX}${createOpaqueToken(24)}`;
+  const record = normalizeApiToken({
+    name: sanitizeIntegrationName(name, `API 權杖 ${apiTokens.length + 1}`),
+    tokenHash: hashToken(token),
+    hint: token.slice(-4),
+    createdAt: Date.now(),
+  });
+  apiTokens.push(record);
+  return { record, token };
+}
+
+function findApiToken(apiTokens, token) {
+  if (typeof token !== 'string' || !token.startsWith(API_TOKEN_PREFIX)) return null;
+  const tokenHash = Buffer.from(hashToken(token));
+  return (
+    (Array.isArray(apiTokens) ? apiTokens : []).find((record) =>
+      crypto.timingSafeEqual(Buffer.from(record.tokenHash), tokenHash),
+    ) || null
+  );
+}
+
+function toPublicApiToken(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    hint: record.hint,
+    createdAt: record.createdAt,
+    lastUsedAt: record.lastUsedAt,
+  };
+}
+
+function isBlockedWebhookAddress(rawAddress) {
+  if (WEBHOOK_ALLOW_PRIVATE_NETWORKS) return false;
+  // IPv4-mapped IPv6 addresses are matched against the IPv4 ranges too.
+  const address = String(rawAddress || '').replace(/^\[|\]$/gu, '');
+  const family = net.isIP(address);
+  if (family === 4) return PRIVATE_NETWORK_BLOCK_LIST.check(address, 'ipv4');
+  if (family === 6) return PRIVATE_NETWORK_BLOCK_LIST.check(address, 'ipv6');
+  return false;
+}
+
+// Literal addresses and localhost names can be refused from the URL alone;
+// other host names are checked once resolved (see lookupWebhookAddress).
+function isBlockedWebhookHostname(hostname) {
+  if (WEBHOOK_ALLOW_PRIVATE_NETWORKS) return false;
+  const host = String(hostname || '').toLowerCase().replace(/\.$/u, '');
+  return (
+    host === 'localhost' ||
+    host.endsWith('.localhost') ||
+    isBlockedWebhookAddress(host)
+  );
+}
+
+function createWebhookTargetBlockedError() {
+  return createIntegrationError(
+    WEBHOOK_TARGET_BLOCKED_MESSAGE,
+    'WEBHOOK_TARGET_BLOCKED',
+  );
+}
+
+// Used as the connection's DNS lookup, so the address that is checked is the
+// one the request actually connects to.
+function lookupWebhookAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some((entry) => isBlockedWebhookAddress(entry.address))) {
+      callback(createWebhookTargetBlockedError());
+      return;
+    }
+    callback(null, address, family);
+  });
+}
+
+// Rejects a webhook URL whose host resolves to a blocked address. A host that
+// does not resolve yet is accepted; delivery will report it.
+async function assertWebhookTargetAllowed(rawUrl) {
+  const { hostname } = new URL(normalizeWebhookUrl(rawUrl, { strict: true }));
+  if (WEBHOOK_ALLOW_PRIVATE_NETWORKS || hostname.startsWith('[') || net.isIP(hostname)) {
+    return;
+  }
+  let addresses = [];
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch {
+    return;
+  }
+  if (addresses.some((entry) => isBlockedWebhookAddress(entry.address))) {
+    throw createWebhookTargetBlockedError();
+  }
+}
+
+function normalizeWebhookUrl(rawUrl, { strict = false } = {}) {
+  const text = typeof rawUrl === 'string' ? rawUrl.trim() : '';
+  let url = null;
+  try {
+    url = new URL(text);
+  } catch {
+    url = null;
+  }
+  if (
+    !url ||
+    !['http:', 'https:'].includes(url.protocol) ||
+    text.length > MAX_WEBHOOK_URL_LENGTH
+  ) {
+    if (strict) {
+      throw createIntegrationError('Webhook 網址必須是 http:// 或 https:// 開頭的完整網址');
+    }
+    return '';
+  }
+  if (strict && isBlockedWebhookHostname(url.hostname)) {
+    throw createWebhookTargetBlockedError();
+  }
+  return url.toString();
+}
+
+function normalizeWebhookEvents(rawEvents, { strict = false } = {}) {
+  const knownEvents = Object.values(WEBHOOK_EVENTS);
+  const events = knownEvents.filter(
+    (event) => Array.isArray(rawEvents) && rawEvents.includes(event),
+  );
+  if (strict && events.length === 0) {
+    throw createIntegrationError('請至少勾選一種 Webhook 事件');
+  }
+  return events.length ? events : knownEvents;
+}
+
+function normalizeWebhook(rawWebhook) {
+  if (!rawWebhook || typeof rawWebhook !== 'object') return null;
+  const url = normalizeWebhookUrl(rawWebhook.url);
+  if (!url || typeof rawWebhook.secret !== 'string' || !rawWebhook.secret) {
+    return null;
+  }
+  return {
+    id:
+      typeof rawWebhook.id === 'string' && rawWebhook.id.trim()
+        ? rawWebhook.id.trim().slice(0, 40)
+        : createIntegrationId('hook'),
+    name: sanitizeIntegrationName(rawWebhook.name, new URL(url).host),
+    url,
+    secret: rawWebhook.secret,
+    events: normalizeWebhookEvents(rawWebhook.events),
+    enabled: rawWebhook.enabled !== false,
+    createdAt: normalizeIntegrationTimestamp(rawWebhook.createdAt) || Date.now(),
+  };
+}
+
+function normalizeWebhooks(rawWebhooks) {
+  return (Array.isArray(rawWebhooks) ? rawWebhooks : [])
+    .map((webhook) => normalizeWebhook(webhook))
+    .filter(Boolean)
+    .slice(0, MAX_WEBHOOKS);
+}
+
+function createWebhook(webhooks, input) {
+  if (webhooks.length >= MAX_WEBHOOKS) {
+    throw createIntegrationError(`每個節目最多 ${MAX_WEBHOOKS} 個 Webhook`, 'WEBHOOK_LIMIT');
+  }
+  const record = normalizeWebhook({
+    name: input?.name,
+    url: normalizeWebhookUrl(input?.url, { strict: true }),
+    events: normalizeWebhookEvents(input?.events, { strict: true }),
+    secret: `${WEBHOOK_SECRET_PREFIX}${createOpaqueToken(24)}`,
+    enabled: true,
+    createdAt: Date.now(),
+  });
+  webhooks.push(record);
+  return record;
+}
+
+// Applies a partial edit; fields left out of the input keep their value.
+function updateWebhook(webhook, input) {
+  const next = { ...webhook };
+  if (input?.url !== undefined) {
+    next.url = normalizeWebhookUrl(input.url, { strict: true });
+  }
+  if (input?.events !== undefined) {
+    next.events = normalizeWebhookEvents(input.events, { strict: true });
+  }
+  if (input?.name !== undefined) {
+    next.name = sanitizeIntegrationName(input.name, new URL(next.url).host);
+  }
+  if (input?.enabled !== undefined) {
+    next.enabled = input.enabled === true;
+  }
+  Object.assign(webhook, next);
+  return webhook;
+}
+
+function toPublicWebhook(record, delivery = null) {
+  return {
+    id: record.id,
+    name: record.name,
+    url: record.url,
+    events: record.events,
+    enabled: record.enabled,
+    createdAt: record.createdAt,
+    secretHint: record.secret.slice(-4),
+    delivery,
+  };
+}
+
+// Receivers recompute HMAC-SHA256 over "<timestamp>.<raw body>" with the
+// webhook secret and compare it with the X-Subtitle-Signature header.
+function signWebhookBody(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function waitForWebhookRetry(delayMs) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, delayMs);
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+  });
+}
+
+// Redirects are not followed, and every connection goes through
+// lookupWebhookAddress so a host cannot resolve to a blocked address.
+function requestWebhook(rawUrl, { headers, body }) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(rawUrl);
+    if (isBlockedWebhookHostname(url.hostname)) {
+      reject(createWebhookTargetBlockedError());
+      return;
+    }
+    const transport = url.protocol === 'https:' ? https : http;
+    const request = transport.request(
+      url,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: lookupWebhookAddress,
+      },
+      (response) => {
+        clearTimeout(timer);
+        response.resume();
+        resolve({ status: response.statusCode });
+      },
+    );
+    const timer = setTimeout(() => {
+      request.destroy(createIntegrationError('連線逾時', 'WEBHOOK_TIMEOUT'));
+    }, WEBHOOK_TIMEOUT_MS);
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+}
+
+async function postWebhook(webhook, event, body) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  try {
+    const response = await requestWebhook(webhook.url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'subtitle-machine-webhook',
+        'X-Subtitle-Event': event,
+        'X-Subtitle-Timestamp': timestamp,
+        'X-Subtitle-Signature': `sha256=${signWebhookBody(webhook.secret, timestamp, body)}`,
+      },
+      body,
+    });
+    const ok = response.status >= 200 && response.status < 300;
+    return {
+      ok,
+      status: response.status,
+      error: ok ? '' : `HTTP ${response.status}`,
+      // 4xx means the receiver rejected the event itself; retrying will not help.
+      retryable: response.status >= 500,
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      status: null,
+      error: error?.message || '連線失敗',
+      retryable: error?.code !== 'WEBHOOK_TARGET_BLOCKED',
+    };
+  }
+}
+
+// Never rejects: the result describes the last attempt.
+async function deliverWebhook(webhook, payload) {
+  const body = JSON.stringify(payload);
+  let result = await postWebhook(webhook, payload.event, body);
+  let attempts = 1;
+  for (const delayMs of WEBHOOK_RETRY_DELAYS_MS) {
+    if (result.ok || !result.retryable) break;
+    await waitForWebhookRetry(delayMs);
+    result = await postWebhook(webhook, payload.event, body);
+    attempts += 1;
+  }
+  return {
+    ok: result.ok,
+    status: result.status,
+    error: result.error,
+    event: payload.event,
+    attempts,
+    at: Date.now(),
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_PING_EVENT,
+  assertWebhookTargetAllowed,
+  createApiToken,
+  createWebhook,
+  deliverWebhook,
+  findApiToken,
+  normalizeApiTokens,
+  normalizeWebhooks,
+  toPublicApiToken,
+  toPublicWebhook,
+  updateWebhook,
+};
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+
+const parsedLlmCacheMaxEntries = Number(process.env.LLM_CACHE_MAX_ENTRIES);
+const LLM_CACHE_MAX_ENTRIES =
+  Number.isFinite(parsedLlmCacheMaxEntries) && parsedLlmCacheMaxEntries >= 0
+    ? Math.floor(parsedLlmCacheMaxEntries)
+    : 2000;
+
+const llmCacheEntries = new Map();
+// Set when entries are added or removed, so the store only rewrites the cache
+// after it actually changed; hit counters alone are not worth a rewrite.
+let llmCacheChanged = false;
+
+// Keys hash every input that can change the model's answer, so a prompt or
+// model change simply misses instead of needing an explicit invalidation.
+function createLlmCacheKey(parts) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(parts))
+    .digest('hex');
+}
+
+function normalizeLlmCacheEntry(rawEntry) {
+  if (!rawEntry || typeof rawEntry !== 'object') return null;
+  if (typeof rawEntry.key !== 'string' || !rawEntry.key) return null;
+  if (rawEntry.value === undefined) return null;
+  const createdAt =
+    Number.isFinite(rawEntry.createdAt) && rawEntry.createdAt > 0
+      ? rawEntry.createdAt
+      : Date.now();
+  return {
+    key: rawEntry.key,
+    kind: typeof rawEntry.kind === 'string' ? rawEntry.kind : '',
+    model: typeof rawEntry.model === 'string' ? rawEntry.model : '',
+    promptVersion: Number.isInteger(rawEntry.promptVersion)
+      ? rawEntry.promptVersion
+      : 0,
+    value: rawEntry.value,
+    createdAt,
+    lastUsedAt:
+      Number.isFinite(rawEntry.lastUsedAt) && rawEntry.lastUsedAt > 0
+        ? rawEntry.lastUsedAt
+        : createdAt,
+    hitCount: Number.isInteger(rawEntry.hitCount) ? rawEntry.hitCount : 0,
+  };
+}
+
+function evictLlmCacheEntries() {
+  if (llmCacheEntries.size <= LLM_CACHE_MAX_ENTRIES) return;
+  const sorted = Array.from(llmCacheEntries.values()).sort(
+    (left, right) => left.lastUsedAt - right.lastUsedAt,
+  );
+  sorted
+    .slice(0, llmCacheEntries.size - LLM_CACHE_MAX_ENTRIES)
+    .forEach((entry) => llmCacheEntries.delete(entry.key));
+}
+
+function hydrateLlmCache(rawEntries) {
+  llmCacheEntries.clear();
+  (Array.isArray(rawEntries) ? rawEntries : []).forEach((rawEntry) => {
+    const entry = normalizeLlmCacheEntry(rawEntry);
+    if (entry) {
+      llmCacheEntries.set(entry.key, entry);
+    }
+  });
+  evictLlmCacheEntries();
+}
+
+function serializeLlmCache() {
+  return Array.from(llmCacheEntries.values());
+}
+
+function readLlmCache(key) {
+  const entry = llmCacheEntries.get(key);
+  if (!entry) return undefined;
+  entry.lastUsedAt = Date.now();
+  entry.hitCount += 1;
+  return JSON.parse(JSON.stringify(entry.value));
+}
+
+function writeLlmCache(key, value, { kind = '', model = '', promptVersion = 0 } = {}) {
+  if (LLM_CACHE_MAX_ENTRIES === 0) return;
+  const now = Date.now();
+  llmCacheEntries.set(key, {
+    key,
+    kind,
+    model,
+    promptVersion,
+    value: JSON.parse(JSON.stringify(value)),
+    createdAt: now,
+    lastUsedAt: now,
+    hitCount: 0,
+  });
+  evictLlmCacheEntries();
+  llmCacheChanged = true;
+}
+
+function purgeLlmCache({ model = '' } = {}) {
+  let purgedCount = 0;
+  Array.from(llmCacheEntries.values()).forEach((entry) => {
+    if (model && entry.model !== model) return;
+    llmCacheEntries.delete(entry.key);
+    purgedCount += 1;
+  });
+  if (purgedCount > 0) {
+    llmCacheChanged = true;
+  }
+  return purgedCount;
+}
+
+function markLlmCacheChanged() {
+  llmCacheChanged = true;
+}
+
+function consumeLlmCacheChanged() {
+  const changed = llmCacheChanged;
+  llmCacheChanged = false;
+  return changed;
+}
+
+function getLlmCacheSummary() {
+  const byModel = {};
+  let hitCount = 0;
+  llmCacheEntries.forEach((entry) => {
+    const model = entry.model || 'unknown';
+    byModel[model] = (byModel[model] || 0) + 1;
+    hitCount += entry.hitCount;
+  });
+  return {
+    entryCount: llmCacheEntries.size,
+    maxEntries: LLM_CACHE_MAX_ENTRIES,
+    hitCount,
+    byModel,
+  };
+}
+
+module.exports = {
+  consumeLlmCacheChanged,
+  createLlmCacheKey,
+  getLlmCacheSummary,
+  hydrateLlmCache,
+  markLlmCacheChanged,
+  purgeLlmCache,
+  readLlmCache,
+  serializeLlmCache,
+  writeLlmCache,
+};
@@ -0,0 +1,247 @@
+const { OpenAI } = require('openai');
+
+const LLM_PROVIDER_KINDS = Object.freeze({
+  OPENAI: 'openai',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+});
+
+// OpenAI-compatible servers (llama.cpp, vLLM, Ollama…) only promise Chat
+// Completions; JSON mode and context size vary per server, so sessions may
+// override these defaults.
+const LLM_PROVIDER_DEFAULT_CAPABILITIES = Object.freeze({
+  [LLM_PROVIDER_KINDS.OPENAI]: Object.freeze({
+    jsonMode: false,
+    maxPromptChars: null,
+  }),
+  [LLM_PROVIDER_KINDS.OPENAI_COMPATIBLE]: Object.freeze({
+    jsonMode: true,
+    maxPromptChars: 12000,
+  }),
+});
+
+const MIN_PROMPT_CHARS = 2000;
+const MAX_PROMPT_CHARS = 400000;
+const COMPATIBLE_PLACEHOLDER_API_KEY = 'no-key';
+const MAX_COMPATIBLE_API_KEY_LENGTH = 400;
+const JSON_MODE_WRAPPER_INSTRUCTION =
+  'Respond with a single JSON object of the form {"items": [...]} where "items" holds the JSON array requested below.';
+
+function createLlmProviderError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function normalizeLlmProviderKind(rawKind) {
+  return Object.values(LLM_PROVIDER_KINDS).includes(rawKind)
+    ? rawKind
+    : LLM_PROVIDER_KINDS.OPENAI;
+}
+
+function normalizeLlmBaseUrl(rawBaseUrl) {
+  const trimmed = typeof rawBaseUrl === 'string' ? rawBaseUrl.trim() : '';
+  if (!trimmed) return '';
+  try {
+    const url = new URL(trimmed);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return '';
+    }
+    return url.toString().replace(/\/+$/u, '');
+  } catch {
+    return '';
+  }
+}
+
+function normalizeCompatibleApiKey(rawApiKey) {
+  return typeof rawApiKey === 'string'
+    ? rawApiKey.trim().slice(0, MAX_COMPATIBLE_API_KEY_LENGTH)
+    : '';
+}
+
+function normalizeMaxPromptChars(rawValue, fallback) {
+  if (rawValue === null || rawValue === '' || rawValue === undefined) {
+    return fallback;
+  }
+  const parsed = Number(rawValue);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    return fallback;
+  }
+  return Math.min(MAX_PROMPT_CHARS, Math.max(MIN_PROMPT_CHARS, Math.floor(parsed)));
+}
+
+function normalizeLlmProviderConfig(rawConfig) {
+  const source =
+    rawConfig && typeof rawConfig === 'object' && !Array.isArray(rawConfig)
+      ? rawConfig
+      : {};
+  const kind = normalizeLlmProviderKind(source.kind);
+  const defaults = LLM_PROVIDER_DEFAULT_CAPABILITIES[kind];
+  const isCompatible = kind === LLM_PROVIDER_KINDS.OPENAI_COMPATIBLE;
+  return {
+    kind,
+    baseUrl: isCompatible ? normalizeLlmBaseUrl(source.baseUrl) : '',
+    apiKey: isCompatible ? normalizeCompatibleApiKey(source.apiKey) : '',
+    model:
+      typeof source.model === 'string' ? source.model.trim().slice(0, 120) : '',
+    jsonMode:
+      typeof source.jsonMode === 'boolean' ? source.jsonMode : defaults.jsonMode,
+    maxPromptChars: normalizeMaxPromptChars(
+      source.maxPromptChars,
+      defaults.maxPromptChars,
+    ),
+  };
+}
+
+// Applies an update from the control page. The stored key is write-only: a
+// blank key keeps it, `clearApiKey` drops it, and pointing the session at a
+// different server drops it too so it is never sent somewhere new.
+function mergeLlmProviderConfig(currentConfig, rawUpdate) {
+  const current = normalizeLlmProviderConfig(currentConfig);
+  const next = normalizeLlmProviderConfig(rawUpdate);
+  const keepsServer =
+    next.kind === current.kind &&
+    getLlmBaseUrlOrigin(next.baseUrl) === getLlmBaseUrlOrigin(current.baseUrl);
+  if (!next.apiKey && keepsServer && rawUpdate?.clearApiKey !== true) {
+    next.apiKey = current.apiKey;
+  }
+  return next;
+}
+
+function getLlmBaseUrlOrigin(baseUrl) {
+  try {
+    return baseUrl ? new URL(baseUrl).origin : '';
+  } catch {
+    return '';
+  }
+}
+
+// The key stays on the server; the control page only learns whether one is set.
+function toPublicLlmProviderConfig(config) {
+  const { apiKey, ...publicConfig } = normalizeLlmProviderConfig(config);
+  return { ...publicConfig, hasApiKey: Boolean(apiKey) };
+}
+
+function validateLlmProviderConfig(config) {
+  if (config.kind !== LLM_PROVIDER_KINDS.OPENAI_COMPATIBLE) {
+    return '';
+  }
+  if (!config.baseUrl) {
+    return '請輸入有效的 http(s) 伺服器網址';
+  }
+  if (!config.model) {
+    return '請輸入相容伺服器要使用的模型名稱';
+  }
+  return '';
+}
+
+function measurePromptChars(messages) {
+  return messages.reduce(
+    (total, message) => total + String(message?.content || '').length,
+    0,
+  );
+}
+
+// JSON mode only yields objects, so the requested array is wrapped in `items`
+// and unwrapped here to keep the callers' array parsing unchanged.
+function unwrapJsonModeOutput(output) {
+  try {
+    const parsed = JSON.parse(output);
+    if (Array.isArray(parsed)) return output;
+    if (parsed && typeof parsed === 'object') {
+      const arrayValue = Array.isArray(parsed.items)
+        ? parsed.items
+        : Object.values(parsed).find((value) => Array.isArray(value));
+      if (arrayValue) return JSON.stringify(arrayValue);
+    }
+  } catch {
+    // leave malformed output to the caller's loose parser
+  }
+  return output;
+}
+
+function createLlmProvider(rawConfig, { apiKey = '' } = {}) {
+  const config = normalizeLlmProviderConfig(rawConfig);
+  const isCompatible = config.kind === LLM_PROVIDER_KINDS.OPENAI_COMPATIBLE;
+  const client = new OpenAI({
+    apiKey: apiKey || (isCompatible ? COMPATIBLE_PLACEHOLDER_API_KEY : ''),
+    ...(isCompatible ? { baseURL: config.baseUrl } : {}),
+  });
+  const capabilities = {
+    jsonMode: config.jsonMode,
+    maxPromptChars: config.maxPromptChars,
+  };
+
+  const assertPromptFits = (messages) => {
+    if (!capabilities.maxPromptChars) return;
+    const promptChars = measurePromptChars(messages);
+    if (promptChars > capabilities.maxPromptChars) {
+      throw createLlmProviderError(
+        `提示長度 ${promptChars} 字超過模型上限 ${capabilities.maxPromptChars} 字`,
+        'PROMPT_TOO_LARGE',
+      );
+    }
+  };
+
+  async function requestJsonArray({
+    messages,
+    model,
+    maxOutputTokens,
+    temperature = 0,
+    reasoning = null,
+    signal = null,
+  }) {
+    assertPromptFits(messages);
+    const requestOptions = signal ? { signal } : undefined;
+
+    if (!isCompatible) {
+      const request = {
+        model,
+        input: messages,
+        max_output_tokens: maxOutputTokens,
+      };
+      if (reasoning) {
+        request.reasoning = { effort: reasoning.effort };
+        request.text = { verbosity: reasoning.verbosity };
+      } else {
+        request.temperature = temperature;
+      }
+      const response = await client.responses.create(request, requestOptions);
+      return response.output_text?.trim() || '';
+    }
+
+    const chatMessages = capabilities.jsonMode
+      ? [{ role: 'system', content: JSON_MODE_WRAPPER_INSTRUCTION }, ...messages]
+      : messages;
+    const response = await client.chat.completions.create(
+      {
+        model,
+        messages: chatMessages,
+        max_tokens: maxOutputTokens,
+        temperature,
+        ...(capabilities.jsonMode
+          ? { response_format: { type: 'json_object' } }
+          : {}),
+      },
+      requestOptions,
+    );
+    const output = response.choices?.[0]?.message?.content?.trim() || '';
+    return capabilities.jsonMode && output ? unwrapJsonModeOutput(output) : output;
+  }
+
+  return {
+    kind: config.kind,
+    baseUrl: config.baseUrl,
+    model: config.model,
+    capabilities,
+    requestJsonArray,
+  };
+}
+
+module.exports = {
+  LLM_PROVIDER_KINDS,
+  createLlmProvider,
+  mergeLlmProviderConfig,
+  normalizeLlmProviderConfig,
+  toPublicLlmProviderConfig,
+  validateLlmProviderConfig,
+};
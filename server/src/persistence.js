@@ -5,7 +5,8 @@ const path = require('path');
 const { Pool } = require('pg');
 
 const APP_DIRECTORY_NAME = 'subtitle-machine';
-const STORE_KEYS = ['users', 'authSessions', 'sessions'];
+const STORE_KEYS = ['users', 'authSessions', 'sessions', 'llmCache', 'showLogs'];
+const STORE_KEY_PLACEHOLDERS = STORE_KEYS.map(() => '?').join(', ');
 const LEGACY_DATA_DIR = path.join(__dirname, '..', 'data');
 const LEGACY_STORE_FILE_PATH = path.join(LEGACY_DATA_DIR, 'app-store.json');
 const DATABASE_URL =
@@ -62,6 +63,8 @@ function createEmptyStore() {
     users: [],
     authSessions: [],
     sessions: [],
+    llmCache: [],
+    showLogs: [],
   };
 }
 
@@ -70,6 +73,8 @@ function normalizeStore(store) {
     users: Array.isArray(store?.users) ? store.users : [],
     authSessions: Array.isArray(store?.authSessions) ? store.authSessions : [],
     sessions: Array.isArray(store?.sessions) ? store.sessions : [],
+    llmCache: Array.isArray(store?.llmCache) ? store.llmCache : [],
+    showLogs: Array.isArray(store?.showLogs) ? store.showLogs : [],
   };
 }
 
@@ -216,7 +221,7 @@ function readStoreFromSqliteFile(filePath) {
         `
           SELECT store_key, store_value
           FROM app_store
-          WHERE store_key IN (?, ?, ?)
+          WHERE store_key IN (${STORE_KEY_PLACEHOLDERS})
         `,
       )
       .all(...STORE_KEYS);
@@ -268,7 +273,7 @@ function removeLegacyStoreFile(filePath) {
   fs.unlinkSync(filePath);
 }
 
-function writeStoreToSqlite(db, store) {
+function writeStoreToSqlite(db, store, storeKeys = STORE_KEYS) {
   const normalized = normalizeStore(store);
   const statement = db.prepare(`
     INSERT INTO app_store (store_key, store_value, updated_at)
@@ -281,7 +286,7 @@ function writeStoreToSqlite(db, store) {
 
   db.exec('BEGIN IMMEDIATE');
   try {
-    STORE_KEYS.forEach((storeKey) => {
+    storeKeys.forEach((storeKey) => {
       statement.run(storeKey, JSON.stringify(normalized[storeKey]), now);
     });
     db.exec('COMMIT');
@@ -291,14 +296,14 @@ function writeStoreToSqlite(db, store) {
   }
 }
 
-async function writeStoreToPostgres(pool, store) {
+async function writeStoreToPostgres(pool, store, storeKeys = STORE_KEYS) {
   const normalized = normalizeStore(store);
   const now = Date.now();
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
-    for (const storeKey of STORE_KEYS) {
+    for (const storeKey of storeKeys) {
       await client.query(
         `
           INSERT INTO app_store (store_key, store_value, updated_at)
@@ -380,7 +385,7 @@ async function loadStoreFromSqlite() {
       `
         SELECT store_key, store_value
         FROM app_store
-        WHERE store_key IN (?, ?, ?)
+        WHERE store_key IN (${STORE_KEY_PLACEHOLDERS})
       `,
     )
     .all(...STORE_KEYS);
@@ -439,19 +444,24 @@ function scheduleSave(work) {
   return saveQueue;
 }
 
+// Only the keys present on `store` are written; a key left out keeps the value
+// saved last time.
 function saveStore(store) {
   const normalized = normalizeStore(store);
+  const storeKeys = STORE_KEYS.filter((storeKey) =>
+    Object.prototype.hasOwnProperty.call(store || {}, storeKey),
+  );
 
   if (PERSISTENCE_BACKEND === 'postgres') {
     return scheduleSave(async () => {
       const pool = await getPostgresPool();
-      await writeStoreToPostgres(pool, normalized);
+      await writeStoreToPostgres(pool, normalized, storeKeys);
     });
   }
 
   return scheduleSave(async () => {
     const db = getSqliteDatabase();
-    writeStoreToSqlite(db, normalized);
+    writeStoreToSqlite(db, normalized, storeKeys);
   });
 }
 
@@ -0,0 +1,725 @@
+const path = require('path');
+const zlib = require('zlib');
+
+const SCRIPT_DOCUMENT_FORMATS = Object.freeze({
+  DOCX: 'docx',
+  ODT: 'odt',
+});
+const ZIP_END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const ZIP_MAX_COMMENT_LENGTH = 0xffff;
+const MAX_DOCUMENT_ENTRY_BYTES = 48 * 1024 * 1024;
+const DOCX_CONTENT_TYPE =
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const ODT_CONTENT_TYPE = 'application/vnd.oasis.opendocument.text';
+const DOCUMENT_ERROR_CODES = new Set([
+  'INVALID_DOCUMENT',
+  'UNSUPPORTED_DOCUMENT',
+  'DOCUMENT_TOO_LARGE',
+]);
+
+function createDocumentError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function resolveScriptDocumentFormat(fileName = '', mimeType = '') {
+  const extension = path.extname(String(fileName || '')).toLowerCase();
+  if (extension === '.docx' || mimeType === DOCX_CONTENT_TYPE) {
+    return SCRIPT_DOCUMENT_FORMATS.DOCX;
+  }
+  if (extension === '.odt' || mimeType === ODT_CONTENT_TYPE) {
+    return SCRIPT_DOCUMENT_FORMATS.ODT;
+  }
+  return null;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  const minimumOffset = Math.max(
+    0,
+    buffer.length - 22 - ZIP_MAX_COMMENT_LENGTH,
+  );
+  for (let offset = buffer.length - 22; offset >= minimumOffset; offset -= 1) {
+    if (
+      buffer.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY_SIGNATURE
+    ) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+// Truncated files make Buffer reads throw RangeError and zlib throw its own
+// errors; both mean the upload is damaged, not that the server failed.
+function toZipReadError(error, message) {
+  if (error?.code && DOCUMENT_ERROR_CODES.has(error.code)) return error;
+  if (error?.code === 'ERR_BUFFER_TOO_LARGE') {
+    return createDocumentError('文件內容過大，無法匯入', 'DOCUMENT_TOO_LARGE');
+  }
+  return createDocumentError(message, 'INVALID_DOCUMENT');
+}
+
+function readZipEntries(buffer) {
+  try {
+    return readZipDirectory(buffer);
+  } catch (error) {
+    throw toZipReadError(error, '文件目錄損毀，無法讀取');
+  }
+}
+
+function readZipDirectory(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 22) {
+    throw createDocumentError('文件格式不正確，無法讀取', 'INVALID_DOCUMENT');
+  }
+
+  const endOffset = findEndOfCentralDirectory(buffer);
+  if (endOffset < 0) {
+    throw createDocumentError('文件格式不正確，無法讀取', 'INVALID_DOCUMENT');
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  const directoryOffset = buffer.readUInt32LE(endOffset + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw createDocumentError('不支援 ZIP64 格式的文件', 'UNSUPPORTED_DOCUMENT');
+  }
+
+  const entries = new Map();
+  let offset = directoryOffset;
+  for (let index = 0; index < entryCount; index += 1) {
+    if (
+      offset + 46 > buffer.length ||
+      buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_SIGNATURE
+    ) {
+      throw createDocumentError('文件目錄損毀，無法讀取', 'INVALID_DOCUMENT');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localHeaderOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer
+      .subarray(offset + 46, offset + 46 + nameLength)
+      .toString('utf8');
+
+    entries.set(name, {
+      name,
+      method,
+      compressedSize,
+      uncompressedSize,
+      localHeaderOffset,
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+function readZipEntry(buffer, entries, name) {
+  const entry = entries.get(name);
+  if (!entry) return null;
+  try {
+    return inflateZipEntry(buffer, entry);
+  } catch (error) {
+    throw toZipReadError(error, '文件內容損毀，無法讀取');
+  }
+}
+
+function inflateZipEntry(buffer, entry) {
+  const headerOffset = entry.localHeaderOffset;
+  if (
+    headerOffset + 30 > buffer.length ||
+    buffer.readUInt32LE(headerOffset) !== ZIP_LOCAL_FILE_HEADER_SIGNATURE
+  ) {
+    throw createDocumentError('文件內容損毀，無法讀取', 'INVALID_DOCUMENT');
+  }
+  if (entry.uncompressedSize > MAX_DOCUMENT_ENTRY_BYTES) {
+    throw createDocumentError('文件內容過大，無法匯入', 'DOCUMENT_TOO_LARGE');
+  }
+
+  const nameLength = buffer.readUInt16LE(headerOffset + 26);
+  const extraLength = buffer.readUInt16LE(headerOffset + 28);
+  const dataStart = headerOffset + 30 + nameLength + extraLength;
+  if (dataStart + entry.compressedSize > buffer.length) {
+    throw createDocumentError('文件內容不完整，無法讀取', 'INVALID_DOCUMENT');
+  }
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+  if (entry.method === 0) {
+    return data.toString('utf8');
+  }
+  if (entry.method === 8) {
+    return zlib
+      .inflateRawSync(data, { maxOutputLength: MAX_DOCUMENT_ENTRY_BYTES })
+      .toString('utf8');
+  }
+
+  throw createDocumentError('文件使用不支援的壓縮方式', 'UNSUPPORTED_DOCUMENT');
+}
+
+function decodeXmlEntities(text) {
+  return String(text || '').replace(
+    /&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/giu,
+    (match, entity) => {
+      const normalized = entity.toLowerCase();
+      if (normalized === 'lt') return '<';
+      if (normalized === 'gt') return '>';
+      if (normalized === 'amp') return '&';
+      if (normalized === 'quot') return '"';
+      if (normalized === 'apos') return "'";
+      const codePoint = normalized.startsWith('#x')
+        ? Number.parseInt(normalized.slice(2), 16)
+        : Number.parseInt(normalized.slice(1), 10);
+      return Number.isFinite(codePoint) && codePoint <= 0x10ffff
+        ? String.fromCodePoint(codePoint)
+        : match;
+    },
+  );
+}
+
+function tokenizeXml(xml) {
+  const tokens = [];
+  const pattern =
+    /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<[^>]+>|[^<]+/gu;
+  let match = pattern.exec(xml);
+  while (match) {
+    const value = match[0];
+    if (value.startsWith('<!--') || value.startsWith('<?')) {
+      match = pattern.exec(xml);
+      continue;
+    }
+    if (value.startsWith('<![CDATA[')) {
+      tokens.push({ kind: 'text', text: match[1] || '' });
+    } else if (value.startsWith('<')) {
+      const nameMatch = value.match(/^<\/?\s*([\w:.-]+)/u);
+      tokens.push({
+        kind: value.startsWith('</')
+          ? 'close'
+          : value.endsWith('/>')
+            ? 'empty'
+            : 'open',
+        name: nameMatch ? nameMatch[1] : '',
+        tag: value,
+      });
+    } else {
+      tokens.push({ kind: 'text', text: decodeXmlEntities(value) });
+    }
+    match = pattern.exec(xml);
+  }
+  return tokens;
+}
+
+function getXmlAttribute(tag, attributeName) {
+  const escapedName = attributeName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = String(tag || '').match(
+    new RegExp(`\\s${escapedName}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'u'),
+  );
+  if (!match) return null;
+  return decodeXmlEntities(match[1] ?? match[2] ?? '');
+}
+
+function mergeRunFormatting(...formats) {
+  return formats.reduce(
+    (merged, format) => {
+      if (!format) return merged;
+      ['bold', 'italic', 'caps'].forEach((key) => {
+        if (typeof format[key] === 'boolean') {
+          merged[key] = format[key];
+        }
+      });
+      return merged;
+    },
+    { bold: false, italic: false, caps: false },
+  );
+}
+
+// Paragraphs can nest (a text box or frame inside a paragraph); the outer
+// paragraph is set aside and resumes, with its runs, once the inner one ends.
+function createParagraphCollector() {
+  const paragraphs = [];
+  const suspended = [];
+  let current = null;
+
+  return {
+    start(styleName = '', format = null) {
+      if (current) suspended.push(current);
+      current = { styleName, format, runs: [] };
+    },
+    setStyle(styleName = '', format = null) {
+      if (!current) return;
+      current.styleName = styleName;
+      current.format = format;
+    },
+    append(text, format) {
+      if (!current || !text) return;
+      const previous = current.runs[current.runs.length - 1];
+      if (
+        previous &&
+        previous.bold === format.bold &&
+        previous.italic === format.italic &&
+        previous.caps === format.caps
+      ) {
+        previous.text += text;
+        return;
+      }
+      current.runs.push({
+        text,
+        bold: format.bold,
+        italic: format.italic,
+        caps: format.caps,
+      });
+    },
+    breakLine() {
+      if (!current) return;
+      const { styleName, format } = current;
+      paragraphs.push(current);
+      current = { styleName, format, runs: [] };
+    },
+    end() {
+      if (!current) return;
+      paragraphs.push(current);
+      current = suspended.pop() || null;
+    },
+    get depth() {
+      return current ? suspended.length + 1 : 0;
+    },
+    get active() {
+      return Boolean(current);
+    },
+    get paragraphFormat() {
+      return current?.format || null;
+    },
+    paragraphs,
+  };
+}
+
+function isOnOffEnabled(tag, attributeName) {
+  const value = getXmlAttribute(tag, attributeName);
+  if (value == null) return true;
+  return !/^(0|false|off|none)$/iu.test(value.trim());
+}
+
+function resolveStyleChain(styles, styleId, seen = new Set()) {
+  const style = styleId ? styles.get(styleId) : null;
+  if (!style || seen.has(styleId)) return null;
+  seen.add(styleId);
+  return mergeRunFormatting(
+    resolveStyleChain(styles, style.parentId, seen),
+    style.format,
+  );
+}
+
+function parseDocxStyles(xml) {
+  const styles = new Map();
+  if (!xml) return styles;
+
+  let current = null;
+  let inRunProperties = false;
+  tokenizeXml(xml).forEach((token) => {
+    if (token.kind === 'open' && token.name === 'w:style') {
+      current = {
+        id: getXmlAttribute(token.tag, 'w:styleId') || '',
+        name: '',
+        parentId: null,
+        format: {},
+      };
+      return;
+    }
+    if (!current) return;
+    if (token.kind === 'close' && token.name === 'w:style') {
+      if (current.id) styles.set(current.id, current);
+      current = null;
+      return;
+    }
+    if (token.name === 'w:rPr') {
+      inRunProperties = token.kind === 'open';
+      return;
+    }
+    if (token.kind === 'close') return;
+    if (token.name === 'w:name') {
+      current.name = getXmlAttribute(token.tag, 'w:val') || '';
+    } else if (token.name === 'w:basedOn') {
+      current.parentId = getXmlAttribute(token.tag, 'w:val');
+    } else if (inRunProperties && token.name === 'w:b') {
+      current.format.bold = isOnOffEnabled(token.tag, 'w:val');
+    } else if (inRunProperties && token.name === 'w:i') {
+      current.format.italic = isOnOffEnabled(token.tag, 'w:val');
+    } else if (
+      inRunProperties &&
+      (token.name === 'w:caps' || token.name === 'w:smallCaps')
+    ) {
+      current.format.caps = isOnOffEnabled(token.tag, 'w:val');
+    }
+  });
+
+  return styles;
+}
+
+function extractDocxParagraphs(buffer) {
+  const entries = readZipEntries(buffer);
+  const documentXml = readZipEntry(buffer, entries, 'word/document.xml');
+  if (!documentXml) {
+    throw createDocumentError('找不到 Word 文件內文', 'INVALID_DOCUMENT');
+  }
+  const styles = parseDocxStyles(readZipEntry(buffer, entries, 'word/styles.xml'));
+  const collector = createParagraphCollector();
+  const createRunState = () => ({
+    inParagraphProperties: false,
+    inRun: false,
+    inRunProperties: false,
+    inText: false,
+    runStyleId: null,
+    runFormat: {},
+  });
+  // One entry per open paragraph, so a text box paragraph inside a run does
+  // not reset the run it interrupted.
+  const runStates = [];
+  let state = createRunState();
+  let fallbackDepth = 0;
+
+  const getRunFormat = () =>
+    mergeRunFormatting(
+      collector.paragraphFormat,
+      resolveStyleChain(styles, state.runStyleId),
+      state.runFormat,
+    );
+
+  tokenizeXml(documentXml).forEach((token) => {
+    const { kind, name, tag } = token;
+
+    // Text boxes are stored twice: as DrawingML and as a VML fallback copy.
+    if (name === 'mc:Fallback') {
+      if (kind === 'open') fallbackDepth += 1;
+      if (kind === 'close') fallbackDepth = Math.max(0, fallbackDepth - 1);
+      return;
+    }
+    if (fallbackDepth > 0) return;
+
+    if (name === 'w:p') {
+      if (kind === 'close') {
+        if (!collector.active) return;
+        collector.end();
+        state = runStates.pop() || createRunState();
+        return;
+      }
+      if (collector.active) {
+        runStates.push(state);
+      }
+      state = createRunState();
+      collector.start();
+      if (kind === 'empty') {
+        collector.end();
+        state = runStates.pop() || createRunState();
+      }
+      return;
+    }
+    if (!collector.active) return;
+
+    if (name === 'w:pPr') {
+      state.inParagraphProperties = kind === 'open';
+      return;
+    }
+    if (state.inParagraphProperties && name === 'w:pStyle' && kind !== 'close') {
+      const styleId = getXmlAttribute(tag, 'w:val');
+      const style = styleId ? styles.get(styleId) : null;
+      collector.setStyle(
+        style?.name || styleId || '',
+        resolveStyleChain(styles, styleId),
+      );
+      return;
+    }
+
+    if (name === 'w:r') {
+      state.inRun = kind === 'open';
+      state.runStyleId = null;
+      state.runFormat = {};
+      return;
+    }
+    if (!state.inRun) return;
+
+    if (name === 'w:rPr') {
+      state.inRunProperties = kind === 'open';
+      return;
+    }
+    if (state.inRunProperties && kind !== 'close') {
+      if (name === 'w:rStyle') {
+        state.runStyleId = getXmlAttribute(tag, 'w:val');
+      } else if (name === 'w:b') {
+        state.runFormat.bold = isOnOffEnabled(tag, 'w:val');
+      } else if (name === 'w:i') {
+        state.runFormat.italic = isOnOffEnabled(tag, 'w:val');
+      } else if (name === 'w:caps' || name === 'w:smallCaps') {
+        state.runFormat.caps = isOnOffEnabled(tag, 'w:val');
+      }
+      return;
+    }
+
+    if (name === 'w:t') {
+      state.inText = kind === 'open';
+      return;
+    }
+    if (kind === 'text' && state.inText) {
+      collector.append(token.text, getRunFormat());
+      return;
+    }
+    if (kind === 'empty' && name === 'w:tab') {
+      collector.append('\t', getRunFormat());
+      return;
+    }
+    if (kind === 'empty' && name === 'w:noBreakHyphen') {
+      collector.append('-', getRunFormat());
+      return;
+    }
+    if (
+      kind === 'empty' &&
+      (name === 'w:br' || name === 'w:cr') &&
+      getXmlAttribute(tag, 'w:type') !== 'page'
+    ) {
+      collector.breakLine();
+    }
+  });
+  while (collector.active) {
+    collector.end();
+  }
+
+  return collector.paragraphs;
+}
+
+function readOdtTextProperties(tag) {
+  const format = {};
+  const fontWeight = getXmlAttribute(tag, 'fo:font-weight');
+  if (fontWeight != null) {
+    const numericWeight = Number(fontWeight);
+    format.bold = Number.isFinite(numericWeight)
+      ? numericWeight >= 600
+      : fontWeight === 'bold';
+  }
+  const fontStyle = getXmlAttribute(tag, 'fo:font-style');
+  if (fontStyle != null) {
+    format.italic = fontStyle === 'italic' || fontStyle === 'oblique';
+  }
+  const textTransform = getXmlAttribute(tag, 'fo:text-transform');
+  const fontVariant = getXmlAttribute(tag, 'fo:font-variant');
+  if (textTransform != null || fontVariant != null) {
+    format.caps = textTransform === 'uppercase' || fontVariant === 'small-caps';
+  }
+  return format;
+}
+
+function parseOdtStyles(xml, styles = new Map()) {
+  if (!xml) return styles;
+
+  let current = null;
+  tokenizeXml(xml).forEach((token) => {
+    if (token.name === 'style:style' && token.kind !== 'close') {
+      const style = {
+        id: getXmlAttribute(token.tag, 'style:name') || '',
+        name:
+          getXmlAttribute(token.tag, 'style:display-name') ||
+          getXmlAttribute(token.tag, 'style:name') ||
+          '',
+        parentId: getXmlAttribute(token.tag, 'style:parent-style-name'),
+        format: {},
+      };
+      if (style.id) styles.set(style.id, style);
+      current = token.kind === 'open' ? style : null;
+      return;
+    }
+    if (token.name === 'style:style' && token.kind === 'close') {
+      current = null;
+      return;
+    }
+    if (
+      current &&
+      token.name === 'style:text-properties' &&
+      token.kind !== 'close'
+    ) {
+      current.format = {
+        ...current.format,
+        ...readOdtTextProperties(token.tag),
+      };
+    }
+  });
+
+  return styles;
+}
+
+function resolveOdtStyleName(styles, styleId) {
+  let style = styleId ? styles.get(styleId) : null;
+  const seen = new Set();
+  // Automatic styles (P1, T2...) only carry overrides; the named parent is the useful hint.
+  while (
+    style &&
+    /^[PT]\d+$/u.test(style.id) &&
+    style.parentId &&
+    !seen.has(style.id)
+  ) {
+    seen.add(style.id);
+    const parentStyle = styles.get(style.parentId);
+    if (!parentStyle) return style.parentId;
+    style = parentStyle;
+  }
+  return style?.name || styleId || '';
+}
+
+function extractOdtParagraphs(buffer) {
+  const entries = readZipEntries(buffer);
+  const contentXml = readZipEntry(buffer, entries, 'content.xml');
+  if (!contentXml) {
+    throw createDocumentError('找不到 ODT 文件內文', 'INVALID_DOCUMENT');
+  }
+  const styles = parseOdtStyles(
+    contentXml,
+    parseOdtStyles(readZipEntry(buffer, entries, 'styles.xml')),
+  );
+  const collector = createParagraphCollector();
+  // Spans of a paragraph interrupted by a frame's own paragraphs.
+  const suspendedSpanFormats = [];
+  let spanFormats = [];
+  let skippedDepth = 0;
+  let inBody = false;
+
+  const getRunFormat = () =>
+    mergeRunFormatting(collector.paragraphFormat, ...spanFormats);
+
+  tokenizeXml(contentXml).forEach((token) => {
+    const { kind, name, tag } = token;
+
+    if (name === 'office:text') {
+      inBody = kind === 'open';
+      return;
+    }
+    if (!inBody) return;
+
+    if (name === 'text:note' || name === 'office:annotation') {
+      if (kind === 'open') skippedDepth += 1;
+      if (kind === 'close') skippedDepth = Math.max(0, skippedDepth - 1);
+      return;
+    }
+    if (skippedDepth > 0) return;
+
+    if (name === 'text:p' || name === 'text:h') {
+      if (kind === 'close') {
+        if (!collector.active) return;
+        collector.end();
+        spanFormats = suspendedSpanFormats.pop() || [];
+        return;
+      }
+      if (collector.active) {
+        suspendedSpanFormats.push(spanFormats);
+      }
+      spanFormats = [];
+      const styleId = getXmlAttribute(tag, 'text:style-name');
+      collector.start(
+        resolveOdtStyleName(styles, styleId),
+        resolveStyleChain(styles, styleId),
+      );
+      if (kind === 'empty') {
+        collector.end();
+        spanFormats = suspendedSpanFormats.pop() || [];
+      }
+      return;
+    }
+    if (!collector.active) return;
+
+    if (name === 'text:span') {
+      if (kind === 'open') {
+        spanFormats.push(
+          resolveStyleChain(styles, getXmlAttribute(tag, 'text:style-name')),
+        );
+      } else if (kind === 'close') {
+        spanFormats.pop();
+      }
+      return;
+    }
+
+    if (kind === 'text') {
+      collector.append(token.text.replace(/\s+/gu, ' '), getRunFormat());
+      return;
+    }
+    if (kind !== 'empty') return;
+    if (name === 'text:s') {
+      const count = Number.parseInt(getXmlAttribute(tag, 'text:c') || '1', 10);
+      const spaceCount = Number.isFinite(count) ? Math.min(Math.max(count, 1), 16) : 1;
+      collector.append(' '.repeat(spaceCount), getRunFormat());
+    } else if (name === 'text:tab') {
+      collector.append('\t', getRunFormat());
+    } else if (name === 'text:line-break') {
+      collector.breakLine();
+    }
+  });
+  while (collector.active) {
+    collector.end();
+  }
+
+  return collector.paragraphs;
+}
+
+function isEmphasizedRun(run) {
+  return run.bold || run.caps;
+}
+
+function hasLetters(text) {
+  return /[\p{L}\p{N}]/u.test(text);
+}
+
+function summarizeDocumentParagraph(paragraph) {
+  const runs = paragraph.runs.filter((run) => run.text);
+  const text = runs
+    .map((run) => run.text)
+    .join('')
+    .replace(/[\t ]+/gu, ' ')
+    .replace(/\s{2,}/gu, ' ')
+    .trim();
+  const contentRuns = runs.filter((run) => hasLetters(run.text));
+
+  let leadingStrongText = '';
+  for (let index = 0; index < runs.length; index += 1) {
+    const run = runs[index];
+    if (!hasLetters(run.text) && !leadingStrongText) {
+      if (run.text.trim()) break;
+      continue;
+    }
+    if (!isEmphasizedRun(run)) break;
+    leadingStrongText += run.text;
+  }
+  leadingStrongText = leadingStrongText.replace(/\s+/gu, ' ').trim();
+  const allStrong =
+    contentRuns.length > 0 && contentRuns.every((run) => isEmphasizedRun(run));
+
+  return {
+    text,
+    styleName: paragraph.styleName || '',
+    bold: contentRuns.length > 0 && contentRuns.every((run) => run.bold),
+    italic: contentRuns.length > 0 && contentRuns.every((run) => run.italic),
+    caps: contentRuns.length > 0 && contentRuns.every((run) => run.caps),
+    leadingStrongText: allStrong ? '' : leadingStrongText,
+  };
+}
+
+function extractScriptDocumentParagraphs(buffer, format) {
+  let paragraphs;
+  if (format === SCRIPT_DOCUMENT_FORMATS.DOCX) {
+    paragraphs = extractDocxParagraphs(buffer);
+  } else if (format === SCRIPT_DOCUMENT_FORMATS.ODT) {
+    paragraphs = extractOdtParagraphs(buffer);
+  } else {
+    throw createDocumentError('僅支援 .docx 或 .odt 文件', 'UNSUPPORTED_DOCUMENT');
+  }
+
+  return paragraphs.map(summarizeDocumentParagraph);
+}
+
+module.exports = {
+  extractScriptDocumentParagraphs,
+  getXmlAttribute,
+  readZipEntries,
+  readZipEntry,
+  resolveScriptDocumentFormat,
+  SCRIPT_DOCUMENT_FORMATS,
+  tokenizeXml,
+};
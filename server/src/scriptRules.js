@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const vm = require('vm');
+
+const SCRIPT_RULE_TYPES = Object.freeze({
+  DIRECTION: 'direction',
+  DIALOGUE: 'dialogue',
+  ROLE: 'role',
+});
+
+const MAX_SCRIPT_RULES = 30;
+const MAX_SCRIPT_RULE_PATTERN_LENGTH = 200;
+const MAX_SCRIPT_RULE_LABEL_LENGTH = 40;
+// Hard stop for a single match; the static check below rejects the known
+// catastrophic shapes, this only guards what slips through.
+const SCRIPT_RULE_MATCH_TIMEOUT_MS = 25;
+const MAX_BOUNDED_GROUP_REPEAT = 10;
+const scriptRuleSandbox = vm.createContext(Object.create(null));
+const scriptRuleExecScript = new vm.Script('regex.exec(text)');
+
+function createScriptRuleError(message, code = 'INVALID_SCRIPT_RULE') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function compileScriptRulePattern(pattern, flags = '') {
+  return new RegExp(pattern, `u${flags.includes('i') ? 'i' : ''}`);
+}
+
+function readQuantifier(pattern, index) {
+  const char = pattern[index];
+  if (char === '*' || char === '+') return { length: 1, max: Infinity };
+  if (char === '?') return { length: 1, max: 1 };
+  if (char !== '{') return null;
+  const match = /^\{(\d+)(,(\d*))?\}/u.exec(pattern.slice(index));
+  if (!match) return null;
+  const max = match[2] === undefined ? Number(match[1]) : match[3] ? Number(match[3]) : Infinity;
+  return { length: match[0].length, max };
+}
+
+// Rules run on the server's only thread, so patterns that can backtrack
+// exponentially are refused: backreferences, and repeated groups that
+// themselves contain a quantifier or an alternation, such as (a+)+ or (a|ab)*.
+function findUnsafeScriptRulePattern(pattern) {
+  const groups = [{ quantified: false, alternation: false }];
+  let lastAtom = null;
+  for (let index = 0; index < pattern.length; index += 1) {
+    const char = pattern[index];
+    const quantifier = readQuantifier(pattern, index);
+    if (quantifier && lastAtom) {
+      if (
+        lastAtom.group &&
+        (lastAtom.quantified || lastAtom.alternation) &&
+        quantifier.max > MAX_BOUNDED_GROUP_REPEAT
+      ) {
+        return '不能重複含有量詞或「|」的群組，例如 (a+)+ 或 (a|b)*';
+      }
+      groups[groups.length - 1].quantified = true;
+      index += quantifier.length - 1;
+      // A lazy or possessive suffix belongs to the same quantifier.
+      if (pattern[index + 1] === '?') index += 1;
+      lastAtom = null;
+      continue;
+    }
+
+    if (char === '\\') {
+      const next = pattern[index + 1] || '';
+      if (/[1-9]/u.test(next) || (next === 'k' && pattern[index + 2] === '<')) {
+        return '不支援反向參照（\\1、\\k<name>）';
+      }
+      const braced = /^[pPu]\{[^}]*\}/u.exec(pattern.slice(index + 1));
+      index += braced ? braced[0].length : 1;
+      lastAtom = { group: false };
+    } else if (char === '[') {
+      let cursor = index + 1;
+      while (cursor < pattern.length && pattern[cursor] !== ']') {
+        cursor += pattern[cursor] === '\\' ? 2 : 1;
+      }
+      index = cursor;
+      lastAtom = { group: false };
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+      const prefix = /^\?(?::|=|!|<=|<!|<[^>]+>)/u.exec(pattern.slice(index + 1));
+      index += prefix ? prefix[0].length : 0;
+      lastAtom = null;
+    } else if (char === ')') {
+      const group = groups.length > 1 ? groups.pop() : groups[0];
+      const parent = groups[groups.length - 1];
+      parent.quantified = parent.quantified || group.quantified;
+      parent.alternation = parent.alternation || group.alternation;
+      lastAtom = { group: true, ...group };
+    } else if (char === '|') {
+      groups[groups.length - 1].alternation = true;
+      lastAtom = null;
+    } else {
+      lastAtom = { group: false };
+    }
+  }
+  return null;
+}
+
+// Returns null when the match ran out of time.
+function execScriptRuleRegex(regex, text) {
+  scriptRuleSandbox.regex = regex;
+  scriptRuleSandbox.text = text;
+  try {
+    return {
+      match: scriptRuleExecScript.runInContext(scriptRuleSandbox, {
+        timeout: SCRIPT_RULE_MATCH_TIMEOUT_MS,
+      }),
+    };
+  } catch (error) {
+    if (error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') return null;
+    throw error;
+  } finally {
+    scriptRuleSandbox.regex = null;
+    scriptRuleSandbox.text = null;
+  }
+}
+
+// In strict mode (operator input) invalid rules are reported with their
+// position; stored rules are filtered silently instead.
+function normalizeScriptRules(rawRules, { strict = false } = {}) {
+  const entries = Array.isArray(rawRules) ? rawRules : [];
+  if (strict && entries.length > MAX_SCRIPT_RULES) {
+    throw createScriptRuleError(`最多只能設定 ${MAX_SCRIPT_RULES} 條規則`);
+  }
+
+  const rules = [];
+  entries.slice(0, MAX_SCRIPT_RULES).forEach((entry, index) => {
+    const pattern = typeof entry?.pattern === 'string' ? entry.pattern.trim() : '';
+    const type = Object.values(SCRIPT_RULE_TYPES).includes(entry?.type)
+      ? entry.type
+      : null;
+    if (!pattern || !type) {
+      if (strict) {
+        throw createScriptRuleError(`第 ${index + 1} 條規則缺少樣式或類型`);
+      }
+      return;
+    }
+    if (pattern.length > MAX_SCRIPT_RULE_PATTERN_LENGTH) {
+      if (strict) {
+        throw createScriptRuleError(
+          `第 ${index + 1} 條規則的樣式超過 ${MAX_SCRIPT_RULE_PATTERN_LENGTH} 個字元`,
+        );
+      }
+      return;
+    }
+    const unsafeReason = findUnsafeScriptRulePattern(pattern);
+    if (unsafeReason) {
+      if (strict) {
+        throw createScriptRuleError(`第 ${index + 1} 條規則可能執行過久：${unsafeReason}`);
+      }
+      return;
+    }
+
+    const flags = entry?.ignoreCase === true ? 'i' : '';
+    try {
+      compileScriptRulePattern(pattern, flags);
+    } catch (error) {
+      if (strict) {
+        throw createScriptRuleError(
+          `第 ${index + 1} 條規則不是有效的正規表示式（${error.message}）`,
+        );
+      }
+      return;
+    }
+
+    const priority = Number(entry?.priority);
+    rules.push({
+      id:
+        typeof entry?.id === 'string' && entry.id.trim()
+          ? entry.id.trim().slice(0, 40)
+          : `rule_${crypto.randomBytes(6).toString('hex')}`,
+      label:
+        typeof entry?.label === 'string'
+          ? entry.label.trim().slice(0, MAX_SCRIPT_RULE_LABEL_LENGTH)
+          : '',
+      pattern,
+      type,
+      ignoreCase: flags === 'i',
+      priority: Number.isFinite(priority) ? Math.trunc(priority) : 0,
+      enabled: entry?.enabled !== false,
+    });
+  });
+
+  return rules;
+}
+
+function compileScriptRules(rules) {
+  return (Array.isArray(rules) ? rules : [])
+    .filter((rule) => rule?.enabled !== false)
+    .map((rule, index) => {
+      try {
+        return {
+          ...rule,
+          order: index,
+          regex: compileScriptRulePattern(rule.pattern, rule.ignoreCase ? 'i' : ''),
+        };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((left, right) => right.priority - left.priority || left.order - right.order);
+}
+
+// Role rules take the speaker from the named `role` group (or the first group)
+// and the spoken text from the `text` group, falling back to whatever follows
+// the match. An empty remainder means the line is only a speaker cue.
+function matchScriptRule(text, compiledRules) {
+  if (!text || !Array.isArray(compiledRules) || compiledRules.length === 0) {
+    return null;
+  }
+
+  for (const rule of compiledRules) {
+    if (rule.timedOut) continue;
+    const result = execScriptRuleRegex(rule.regex, text);
+    if (!result) {
+      // Skipped for the rest of this parse so one bad rule costs one timeout.
+      rule.timedOut = true;
+      console.warn(`Script rule ${rule.id} timed out and was skipped`);
+      continue;
+    }
+    const { match } = result;
+    if (!match) continue;
+
+    if (rule.type !== SCRIPT_RULE_TYPES.ROLE) {
+      return { rule, type: rule.type, role: null, text };
+    }
+
+    const role = String(match.groups?.role ?? match[1] ?? '').trim();
+    if (!role) continue;
+    const remainder = String(
+      match.groups?.text ?? text.slice(match.index + match[0].length),
+    ).trim();
+    return {
+      rule,
+      type: SCRIPT_RULE_TYPES.DIALOGUE,
+      role,
+      text: remainder,
+    };
+  }
+
+  return null;
+}
+
+function describeScriptRulesForPrompt(compiledRules) {
+  return (Array.isArray(compiledRules) ? compiledRules : []).map((rule) => {
+    const label = rule.label ? `（${rule.label}）` : '';
+    const pattern = `/${rule.pattern}/${rule.ignoreCase ? 'i' : ''}`;
+    if (rule.type === SCRIPT_RULE_TYPES.ROLE) {
+      return `- 符合 ${pattern} 的文字開頭是角色名${label}，其後是該角色台詞；只有角色名時代表接下來的台詞屬於該角色`;
+    }
+    if (rule.type === SCRIPT_RULE_TYPES.DIRECTION) {
+      return `- 符合 ${pattern} 的單位一律是舞台指示${label}`;
+    }
+    return `- 符合 ${pattern} 的單位一律是台詞${label}`;
+  });
+}
+
+module.exports = {
+  SCRIPT_RULE_TYPES,
+  compileScriptRules,
+  describeScriptRulesForPrompt,
+  matchScriptRule,
+  normalizeScriptRules,
+};
@@ -1,6 +1,7 @@
 const express = require('express');
 const cors = require('cors');
 const http = require('http');
+const dgram = require('dgram');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
@@ -8,6 +9,7 @@ const { Server } = require('socket.io');
 const { OpenAI } = require('openai');
 const { OpenAIRealtimeWS } = require('openai/realtime/ws');
 const { toFile } = require('openai/uploads');
+const multer = require('multer');
 const OpenCC = require('opencc-js');
 const {
   createOpaqueToken,
@@ -19,6 +21,95 @@ const {
   saveStore,
   verifyPassword,
 } = require('./persistence');
+const {
+  FOUNTAIN_ELEMENT_KINDS,
+  formatFountainScript,
+  parseFountainScript,
+} = require('./fountain');
+const {
+  extractScriptDocumentParagraphs,
+  resolveScriptDocumentFormat,
+} = require('./scriptDocuments');
+const {
+  SCRIPT_RULE_TYPES,
+  compileScriptRules,
+  describeScriptRulesForPrompt,
+  matchScriptRule,
+  normalizeScriptRules,
+} = require('./scriptRules');
+const {
+  LLM_PROVIDER_KINDS,
+  createLlmProvider,
+  mergeLlmProviderConfig,
+  normalizeLlmProviderConfig,
+  toPublicLlmProviderConfig,
+  validateLlmProviderConfig,
+} = require('./llmProviders');
+const {
+  consumeLlmCacheChanged,
+  createLlmCacheKey,
+  getLlmCacheSummary,
+  hydrateLlmCache,
+  markLlmCacheChanged,
+  purgeLlmCache,
+  readLlmCache,
+  serializeLlmCache,
+  writeLlmCache,
+} = require('./llmCache');
+const {
+  applyGlossaryReplacements,
+  describeGlossaryForPrompt,
+  describeGlossaryTermsForPrompt,
+  findGlossaryEntriesInText,
+  normalizeGlossary,
+} = require('./glossary');
+const {
+  decodeSubtitleBuffer,
+  formatSubtitleFile,
+  parseSubtitleFile,
+  resolveSubtitleFileFormat,
+} = require('./subtitleFiles');
+const {
+  formatTranslationExchangeFile,
+  parseTranslationExchangeFile,
+  resolveTranslationExchangeFormat,
+  TRANSLATION_EXCHANGE_FORMATS,
+} = require('./translationExchange');
+const {
+  SHOW_LOG_ENTRY_KINDS,
+  SHOW_LOG_SOURCES,
+  appendShowLogEntry,
+  ensureShowLog,
+  formatShowRunCsv,
+  getActiveShowRun,
+  getShowRunEntryTimings,
+  startShowRun,
+  stopShowRun,
+  summarizeShowRun,
+} = require('./showLog');
+const {
+  CUE_COMMANDS,
+  describeMidiMessage,
+  isOscSenderAllowed,
+  normalizeCueInputConfig,
+  parseOscPacket,
+  resolveMidiCueCommand,
+  resolveOscCueCommand,
+} = require('./cueInput');
+const {
+  WEBHOOK_EVENTS,
+  WEBHOOK_PING_EVENT,
+  assertWebhookTargetAllowed,
+  createApiToken,
+  createWebhook,
+  deliverWebhook,
+  findApiToken,
+  normalizeApiTokens,
+  normalizeWebhooks,
+  toPublicApiToken,
+  toPublicWebhook,
+  updateWebhook,
+} = require('./integrations');
 
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -49,6 +140,9 @@ const PUBLIC_REGISTRATION_ENABLED = normalizeBooleanEnv(
   process.env.PUBLIC_REGISTRATION_ENABLED,
   false,
 );
+// Loopback by default: OSC carries no credentials, so exposing it to the
+// network is an explicit choice (CUE_INPUT_OSC_HOST=0.0.0.0).
+const CUE_INPUT_OSC_HOST = process.env.CUE_INPUT_OSC_HOST || '127.0.0.1';
 const rateLimitBuckets = new Map();
 let lastRateLimitSweepAt = 0;
 
@@ -103,6 +197,11 @@ const projectorSessionTombstones = new Map();
 const projectorConnections = new Map();
 const projectorPresence = new Map();
 const currentIndexPersistTimers = new Map();
+// Show-log runs are kept under their own store key and only rewritten after a
+// run changes, so ordinary session edits do not re-save thousands of cues.
+let showLogsChanged = false;
+const scriptJobs = new Map();
+const translationMemoryIndexes = new Map();
 const AUTH_COOKIE_NAME = 'subtitle_machine_auth';
 const ACCESS_COOKIE_NAME = 'subtitle_machine_access';
 const AUTH_TOKEN_TTL_MS = 1000 * 60 * 60 * 24 * 30;
@@ -110,6 +209,9 @@ const PASSWORD_RESET_TTL_MS = 1000 * 60 * 15;
 const PROJECTOR_PRESENCE_TTL_MS = 1000 * 35;
 const PROJECTOR_PRESENCE_SWEEP_INTERVAL_MS = 5000;
 const SESSION_HISTORY_LIMIT = 80;
+const SCRIPT_JOB_RETENTION_MS = 1000 * 60 * 30;
+const MAX_SCRIPT_JOBS_PER_SESSION = 20;
+const MAX_ROLE_ALIASES = 200;
 const CURRENT_INDEX_PERSIST_DELAY_MS = 750;
 const USER_ROLES = {
   ADMIN: 'admin',
@@ -154,6 +256,7 @@ const defaultTranscriptionState = () => ({
   speakerRecognitionEnabled:
     DEFAULT_TRANSCRIPTION_SPEAKER_RECOGNITION_ENABLED,
   error: '',
+  liveTranslationError: '',
   updatedAt: null,
 });
 
@@ -172,9 +275,33 @@ const PROJECTOR_LANGUAGE_MODES = Object.freeze({
   BILINGUAL: 'bilingual',
   ALL: 'all',
 });
+const LANGUAGE_DIRECTIONS = Object.freeze({
+  AUTO: 'auto',
+  LTR: 'ltr',
+  RTL: 'rtl',
+});
+const RTL_LANGUAGE_CODES = new Set([
+  'ar',
+  'arc',
+  'ckb',
+  'dv',
+  'fa',
+  'he',
+  'iw',
+  'ji',
+  'ks',
+  'ps',
+  'sd',
+  'syr',
+  'ug',
+  'ur',
+  'yi',
+]);
+const RTL_SCRIPT_SUBTAGS = new Set(['arab', 'hebr', 'syrc', 'thaa', 'nkoo', 'adlm']);
 const SUBTITLE_CONTROL_MODES = Object.freeze({
   MANUAL: 'manual',
   AUTO: 'auto',
+  TIMED: 'timed',
 });
 const AUTO_FOLLOW_STATUS = Object.freeze({
   IDLE: 'idle',
@@ -192,6 +319,14 @@ const AUTO_FOLLOW_CORRECT_THRESHOLD = 0.82;
 const AUTO_FOLLOW_SEARCH_BEHIND = 3;
 const AUTO_FOLLOW_SEARCH_AHEAD = 18;
 const AUTO_FOLLOW_DIAGNOSTIC_BROADCAST_MS = 250;
+const TIMED_PLAYBACK_STATUS = Object.freeze({
+  PAUSED: 'paused',
+  PLAYING: 'playing',
+  ENDED: 'ended',
+});
+const TIMED_PLAYBACK_MIN_LINE_MS = 300;
+const TIMED_PLAYBACK_MAX_LINE_MS = 10 * 60 * 1000;
+const TIMED_PLAYBACK_MAX_NUDGE_MS = 60 * 1000;
 
 const PROJECTOR_STATUS_LEVELS = Object.freeze({
   IDLE: 'idle',
@@ -208,6 +343,10 @@ const DEFAULT_PROJECTOR_STATUS = Object.freeze({
 });
 
 const autoFollowStates = new Map();
+const timedPlaybackStates = new Map();
+const cueInputStates = new Map();
+const webhookStates = new Map();
+const MAX_CUE_INPUT_LOG_ENTRIES = 30;
 
 const placeholderRegex = /^[第]?[零〇一二三四五六七八九十百千\d]+[句行條話]$/i;
 
@@ -219,16 +358,51 @@ const LINE_TYPES = {
 const MAX_LINE_WIDTH_UNITS = 20;
 const MAX_LATIN_LINE_WIDTH_UNITS = MAX_LINE_WIDTH_UNITS * 3;
 const MAX_LINE_BREAK_OVERSHOOT = 1.5;
+const LINE_LENGTH_PROFILE_BOUNDS = Object.freeze({
+  maxWidthUnits: Object.freeze({ min: 4, max: 200 }),
+  overshoot: Object.freeze({ min: 0, max: 20 }),
+  maxLinesPerCue: Object.freeze({ min: 1, max: 4 }),
+});
 const FULL_WIDTH_SUBTITLE_CHAR_PATTERN =
   /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u3000-\u303f\uff01-\uff60\uffe0-\uffe6]/u;
 const SUBTITLE_BREAK_WHITESPACE_PATTERN = /[\s\u3000]/u;
 const SUBTITLE_BREAK_PUNCTUATION_PATTERN = /[，,、；;。．.!！？?：:…]/u;
 const DEFAULT_SESSION_ID = 'default';
 const MAX_CHUNK_LENGTH = 2500;
+const MAX_UPLOAD_FILE_BYTES = 20 * 1024 * 1024;
+const SCRIPT_REVISION_OPS = Object.freeze({
+  UNCHANGED: 'unchanged',
+  CHANGED: 'changed',
+  INSERTED: 'inserted',
+  REMOVED: 'removed',
+});
+const SCRIPT_REVISION_SIMILARITY_THRESHOLD = 0.5;
+const SCRIPT_REVISION_DIFF_MAX_COMPLEXITY = 4000000;
+const SCRIPT_REVISION_GAP_MAX_COMPLEXITY = 40000;
+const SCRIPT_RULE_TEST_MAX_CHARS = 5000;
+const DOCUMENT_DIRECTION_STYLE_PATTERN =
+  /(action|direction|parenthetical|stage|transition|heading|title|舞台|動作|說明|指示|標題)/iu;
+const DOCUMENT_ROLE_STYLE_PATTERN = /(character|speaker|角色|人物)/iu;
+const IMPORT_FILE_ERROR_CODES = new Set([
+  'INVALID_DOCUMENT',
+  'UNSUPPORTED_DOCUMENT',
+  'DOCUMENT_TOO_LARGE',
+  'UNSUPPORTED_ENCODING',
+  'UNSUPPORTED_SUBTITLE_FORMAT',
+  'INVALID_TRANSLATION_FILE',
+  'UNSUPPORTED_TRANSLATION_FILE',
+]);
 const MAX_PENDING_AUDIO_CHUNKS = 400;
 const MAX_TRANSCRIPTION_DISPLAY_LINES = 8;
 const MAX_TRANSCRIPTION_CONTEXT_CHARS = 600;
+const MAX_TRANSCRIPTION_GLOSSARY_CHARS = 400;
+const LIVE_TRANSLATION_DEBOUNCE_MS = 500;
+const LIVE_TRANSLATION_MAX_RETRY_DELAY_MS = 30000;
+const LIVE_TRANSLATION_MAX_ATTEMPTS = 4;
+const LIVE_TRANSLATION_BATCH_LINES = 4;
+const LIVE_TRANSLATION_CONTEXT_LINES = 3;
 const SECONDARY_ALIGNMENT_DP_MAX_COMPLEXITY = 45000;
+const ALIGNMENT_REVIEW_MAX_UNITS_PER_LINE = 8;
 const LATIN_SCRIPT_LANGUAGE_CODES = new Set([
   'ca',
   'cs',
@@ -255,6 +429,21 @@ const LATIN_SCRIPT_LANGUAGE_CODES = new Set([
 const LATIN_SCRIPT_CHAR_GLOBAL_PATTERN = /\p{Script=Latin}/gu;
 const CJK_SCRIPT_CHAR_GLOBAL_PATTERN =
   /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+const KANA_SCRIPT_CHAR_GLOBAL_PATTERN =
+  /[\p{Script=Hiragana}\p{Script=Katakana}]/gu;
+const HANGUL_SCRIPT_CHAR_GLOBAL_PATTERN = /\p{Script=Hangul}/gu;
+// Kinsoku shori: small kana, the prolonged sound mark, closing brackets and
+// sentence punctuation may not start a line; opening brackets may not end one.
+const KINSOKU_LINE_START_RUN_PATTERN =
+  /^[、。，．,.・：；:;？！?!…‥ー〜～ゝゞヽヾ々ぁぃぅぇぉっゃゅょゎゕゖァィゥェォッャュョヮヵヶㇰ-ㇿ）)」』】〕〉》］\]｝}”’]+/u;
+const KINSOKU_LINE_END_PATTERN = /[（(「『【〔〈《［\[｛{“‘]$/u;
+const JAPANESE_PARTICLE_SUFFIX_PATTERN =
+  /(?:[はがをにでとへもの]|から|まで|より|けど|ので|のに|って|ながら)$/u;
+const JAPANESE_SENTENCE_END_PATTERN =
+  /(?:です|ます|ました|でした|ません|でしょう|ください)$/u;
+const KOREAN_CONNECTIVE_SUFFIX_PATTERN =
+  /(?:고|며|면|서|지만|는데|은데|니까|려고|도록|거나)$/u;
+const KOREAN_SENTENCE_END_PATTERN = /(?:다|요|죠|까|니다|세요)$/u;
 const LATIN_WORD_PATTERN =
   /[\p{Script=Latin}]+(?:['’\-][\p{Script=Latin}]+)*/gu;
 const LATIN_SINGLE_WORD_PATTERN =
@@ -525,6 +714,30 @@ const SCRIPT_SEGMENTATION_PROFILES = Object.freeze({
     avoidBoundarySuffixWords: new Set(),
     avoidBoundaryPrefixWords: new Set(),
     abbreviations: new Set(),
+    kinsoku: false,
+    wordSpacing: false,
+  }),
+  ja: Object.freeze({
+    key: 'ja',
+    family: 'cjk',
+    maxLineWidthUnits: MAX_LINE_WIDTH_UNITS,
+    maxLineBreakOvershoot: MAX_LINE_BREAK_OVERSHOOT,
+    avoidBoundarySuffixWords: new Set(),
+    avoidBoundaryPrefixWords: new Set(),
+    abbreviations: new Set(),
+    kinsoku: true,
+    wordSpacing: false,
+  }),
+  ko: Object.freeze({
+    key: 'ko',
+    family: 'cjk',
+    maxLineWidthUnits: MAX_LINE_WIDTH_UNITS,
+    maxLineBreakOvershoot: 2,
+    avoidBoundarySuffixWords: new Set(),
+    avoidBoundaryPrefixWords: new Set(),
+    abbreviations: new Set(),
+    kinsoku: true,
+    wordSpacing: true,
   }),
   latin: Object.freeze({
     key: 'latin',
@@ -534,6 +747,8 @@ const SCRIPT_SEGMENTATION_PROFILES = Object.freeze({
     avoidBoundarySuffixWords: mergeWordSets(LATIN_BASE_BOUNDARY_SUFFIX_WORDS),
     avoidBoundaryPrefixWords: mergeWordSets(LATIN_BASE_BOUNDARY_PREFIX_WORDS),
     abbreviations: mergeWordSets(LATIN_BASE_ABBREVIATIONS),
+    kinsoku: false,
+    wordSpacing: false,
   }),
   fr: Object.freeze({
     key: 'fr',
@@ -549,6 +764,8 @@ const SCRIPT_SEGMENTATION_PROFILES = Object.freeze({
       FRENCH_BOUNDARY_PREFIX_WORDS,
     ),
     abbreviations: mergeWordSets(LATIN_BASE_ABBREVIATIONS, FRENCH_ABBREVIATIONS),
+    kinsoku: false,
+    wordSpacing: false,
   }),
   de: Object.freeze({
     key: 'de',
@@ -564,6 +781,8 @@ const SCRIPT_SEGMENTATION_PROFILES = Object.freeze({
       GERMAN_BOUNDARY_PREFIX_WORDS,
     ),
     abbreviations: mergeWordSets(LATIN_BASE_ABBREVIATIONS, GERMAN_ABBREVIATIONS),
+    kinsoku: false,
+    wordSpacing: false,
   }),
 });
 const AUDIO_PCM_SAMPLE_RATE = 24000;
@@ -591,6 +810,16 @@ const TRANSCRIPTION_CORRECTION_MODEL =
 const SECONDARY_ALIGNMENT_MODEL =
   process.env.SECONDARY_ALIGNMENT_MODEL || 'gpt-4o';
 const DEFAULT_SCRIPT_PARSE_MODEL = 'gpt-4o-mini';
+const LLM_COMPATIBLE_API_KEY =
+  typeof process.env.LLM_COMPATIBLE_API_KEY === 'string'
+    ? process.env.LLM_COMPATIBLE_API_KEY.trim()
+    : '';
+// The deployment-wide key is only sent to servers the admin listed here.
+const LLM_COMPATIBLE_API_KEY_ORIGINS = new Set(
+  Array.from(parseAllowedOrigins(process.env.LLM_COMPATIBLE_API_KEY_ORIGINS))
+    .map((origin) => getUrlOrigin(origin))
+    .filter(Boolean),
+);
 const VALID_SCRIPT_PARSE_MODELS = new Set([
   'gpt-4o-mini',
   'gpt-4o',
@@ -692,6 +921,37 @@ const TRANSCRIPTION_SPEAKER_WINDOW_MAX_MS = Number.isFinite(
 )
   ? Math.max(1000, parsedSpeakerWindowMaxMs)
   : 16000;
+const parsedExportMsPerWidthUnit = Number(
+  process.env.SUBTITLE_EXPORT_MS_PER_WIDTH_UNIT,
+);
+const SUBTITLE_EXPORT_MS_PER_WIDTH_UNIT = Number.isFinite(
+  parsedExportMsPerWidthUnit,
+)
+  ? Math.max(20, parsedExportMsPerWidthUnit)
+  : 200;
+const SUBTITLE_EXPORT_MIN_DURATION_MS = 1200;
+const SUBTITLE_EXPORT_MAX_DURATION_MS = 7000;
+const SUBTITLE_EXPORT_GAP_MS = 120;
+const SUBTITLE_EXPORT_CONTENT_TYPES = {
+  srt: 'application/x-subrip; charset=utf-8',
+  vtt: 'text/vtt; charset=utf-8',
+  ass: 'text/plain; charset=utf-8',
+};
+const TRANSLATION_EXCHANGE_FILE_TYPES = {
+  [TRANSLATION_EXCHANGE_FORMATS.XLIFF]: {
+    extension: 'xlf',
+    contentType: 'application/xliff+xml; charset=utf-8',
+  },
+  [TRANSLATION_EXCHANGE_FORMATS.CSV]: {
+    extension: 'csv',
+    contentType: 'text/csv; charset=utf-8',
+  },
+  [TRANSLATION_EXCHANGE_FORMATS.XLSX]: {
+    extension: 'xlsx',
+    contentType:
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  },
+};
 const TRANSCRIPTION_ACCURATE_MODEL =
   process.env.TRANSCRIPTION_ACCURATE_MODEL || 'gpt-4o-transcribe-latest';
 const TRANSCRIPTION_ACCURATE_PROMPT =
@@ -753,12 +1013,32 @@ const VALID_TRANSCRIPTION_MODELS = new Set([
   'whisper-1',
 ]);
 
+const SCRIPT_JOB_KINDS = Object.freeze({
+  PRIMARY_PARSE: 'primary-parse',
+  LANGUAGE_PARSE: 'language-parse',
+  TRANSLATE: 'translate',
+});
+
+const SCRIPT_JOB_FAILURE_MESSAGES = Object.freeze({
+  [SCRIPT_JOB_KINDS.PRIMARY_PARSE]: '解析劇本失敗，請確認貼上的內容或稍後再試',
+  [SCRIPT_JOB_KINDS.LANGUAGE_PARSE]: '解析多語字幕失敗',
+  [SCRIPT_JOB_KINDS.TRANSLATE]: '機器翻譯失敗',
+});
+
+const SCRIPT_JOB_STATUSES = Object.freeze({
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+});
+
 const fallbackCodes = new Set([
   'INVALID_LLM_OUTPUT',
   'PLACEHOLDER_OUTPUT',
   'INVALID_JSON',
   'MISSING_OUTPUT',
   'EMPTY_OUTPUT',
+  'PROMPT_TOO_LARGE',
 ]);
 
 let cnToTraditionalTaiwanConverter = null;
@@ -840,8 +1120,8 @@ function normalizeProjectorLanguageMode(rawMode) {
 }
 
 function normalizeSubtitleControlMode(rawMode) {
-  return rawMode === SUBTITLE_CONTROL_MODES.AUTO
-    ? SUBTITLE_CONTROL_MODES.AUTO
+  return Object.values(SUBTITLE_CONTROL_MODES).includes(rawMode)
+    ? rawMode
     : SUBTITLE_CONTROL_MODES.MANUAL;
 }
 
@@ -853,6 +1133,44 @@ function isLineMarkedMusic(entry) {
   return Boolean(entry && typeof entry === 'object' && entry.music === true);
 }
 
+function normalizeLineTiming(rawTiming) {
+  if (!rawTiming || typeof rawTiming !== 'object') return null;
+  const startMs = Number(rawTiming.startMs);
+  const endMs = Number(rawTiming.endMs);
+  if (!Number.isFinite(startMs) || !Number.isFinite(endMs)) return null;
+  if (startMs < 0 || endMs <= startMs) return null;
+  return {
+    startMs: Math.round(startMs),
+    endMs: Math.round(endMs),
+  };
+}
+
+function normalizeLineDurationMs(rawDurationMs) {
+  const durationMs = Number(rawDurationMs);
+  if (rawDurationMs == null || !Number.isFinite(durationMs) || durationMs <= 0) {
+    return null;
+  }
+  return Math.min(
+    Math.max(Math.round(durationMs), TIMED_PLAYBACK_MIN_LINE_MS),
+    TIMED_PLAYBACK_MAX_LINE_MS,
+  );
+}
+
+function normalizeLineTimings(rawTimings) {
+  const timings = {};
+  if (!rawTimings || typeof rawTimings !== 'object') {
+    return timings;
+  }
+
+  Object.entries(rawTimings).forEach(([languageId, rawTiming]) => {
+    const normalizedLanguageId = sanitizeLineText(languageId);
+    const timing = normalizeLineTiming(rawTiming);
+    if (!normalizedLanguageId || !timing) return;
+    timings[normalizedLanguageId] = timing;
+  });
+  return timings;
+}
+
 function stripBom(text) {
   if (!text) return '';
   return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
@@ -995,6 +1313,14 @@ function parseAllowedOrigins(rawValue, fallbackOrigins = []) {
   return new Set(providedOrigins.length > 0 ? providedOrigins : fallbackOrigins);
 }
 
+function getUrlOrigin(rawUrl) {
+  try {
+    return new URL(rawUrl).origin;
+  } catch {
+    return '';
+  }
+}
+
 function normalizeTrustProxySetting(rawValue, fallback = false) {
   if (typeof rawValue !== 'string' || !rawValue.trim()) {
     return fallback;
@@ -1260,6 +1586,15 @@ function persistApplicationStore({ throwOnError = false } = {}) {
       serializeSessionForStorage(session),
     ),
   };
+  const includesLlmCache = consumeLlmCacheChanged();
+  if (includesLlmCache) {
+    nextStore.llmCache = serializeLlmCache();
+  }
+  const includesShowLogs = showLogsChanged;
+  if (includesShowLogs) {
+    nextStore.showLogs = serializeShowLogsForStorage();
+    showLogsChanged = false;
+  }
 
   const savePromise = saveStore(nextStore);
   if (throwOnError) {
@@ -1267,10 +1602,26 @@ function persistApplicationStore({ throwOnError = false } = {}) {
   }
 
   return savePromise.catch((error) => {
+    if (includesLlmCache) {
+      markLlmCacheChanged();
+    }
+    if (includesShowLogs) {
+      showLogsChanged = true;
+    }
     console.error('Failed to persist application store:', error);
   });
 }
 
+function markShowLogsChanged() {
+  showLogsChanged = true;
+}
+
+function serializeShowLogsForStorage() {
+  return Array.from(sessions.values())
+    .filter((session) => session.showLog?.runs?.length)
+    .map((session) => ({ sessionId: session.id, runs: session.showLog.runs }));
+}
+
 function findUserByNormalizedUsername(usernameNormalized) {
   return Array.from(users.values()).find(
     (user) => user.usernameNormalized === usernameNormalized,
@@ -1592,8 +1943,15 @@ function deleteOwnedSessionsForUser(userId, reason = 'owner removed') {
     rememberPublicSessionTombstones(session, 'deleted');
     clearProjectorPresence(session.id);
     projectorConnections.delete(session.id);
+    clearTimedPlayback(session.id);
+    clearCueInput(session.id);
+    dispatchWebhookEvent(session, WEBHOOK_EVENTS.SESSION_ENDED, {
+      reason: 'deleted',
+    });
+    webhookStates.delete(session.id);
     sessions.delete(session.id);
   });
+  markShowLogsChanged();
 
   return ownedSessions.length;
 }
@@ -1750,7 +2108,7 @@ function mergeWordSets(...sets) {
   return merged;
 }
 
-function normalizeLanguageCode(rawLanguageCode) {
+function getBaseLanguageCode(rawLanguageCode) {
   if (typeof rawLanguageCode !== 'string') return '';
   const sanitized = rawLanguageCode.trim().toLowerCase();
   if (!sanitized) return '';
@@ -1788,8 +2146,29 @@ function isLatinHeavyTextSample(text) {
   return latinMatches >= cjkMatches;
 }
 
+// Any kana marks Japanese (Chinese never uses it); Hangul has to outweigh the
+// Han characters a Korean script may quote before it counts as Korean.
+function resolveCjkScriptSegmentationProfile(sampleText = '') {
+  const sanitized = sanitizeLineText(sampleText);
+  const kanaMatches = countScriptMatches(sanitized, KANA_SCRIPT_CHAR_GLOBAL_PATTERN);
+  const hangulMatches = countScriptMatches(
+    sanitized,
+    HANGUL_SCRIPT_CHAR_GLOBAL_PATTERN,
+  );
+  if (hangulMatches > 0 && hangulMatches >= kanaMatches) {
+    const cjkMatches = countScriptMatches(sanitized, CJK_SCRIPT_CHAR_GLOBAL_PATTERN);
+    if (hangulMatches * 2 >= cjkMatches) {
+      return SCRIPT_SEGMENTATION_PROFILES.ko;
+    }
+  }
+  if (kanaMatches >= 2) {
+    return SCRIPT_SEGMENTATION_PROFILES.ja;
+  }
+  return SCRIPT_SEGMENTATION_PROFILES.cjk;
+}
+
 function resolveScriptSegmentationProfile(languageCode = '', sampleText = '') {
-  const normalizedCode = normalizeLanguageCode(languageCode);
+  const normalizedCode = getBaseLanguageCode(languageCode);
 
   if (normalizedCode === 'fr') {
     return SCRIPT_SEGMENTATION_PROFILES.fr;
@@ -1797,7 +2176,13 @@ function resolveScriptSegmentationProfile(languageCode = '', sampleText = '') {
   if (normalizedCode === 'de') {
     return SCRIPT_SEGMENTATION_PROFILES.de;
   }
-  if (/^(zh|ja|ko)$/u.test(normalizedCode)) {
+  if (normalizedCode === 'ja') {
+    return SCRIPT_SEGMENTATION_PROFILES.ja;
+  }
+  if (normalizedCode === 'ko') {
+    return SCRIPT_SEGMENTATION_PROFILES.ko;
+  }
+  if (normalizedCode === 'zh') {
     return SCRIPT_SEGMENTATION_PROFILES.cjk;
   }
   if (normalizedCode && LATIN_SCRIPT_LANGUAGE_CODES.has(normalizedCode)) {
@@ -1807,7 +2192,7 @@ function resolveScriptSegmentationProfile(languageCode = '', sampleText = '') {
     return SCRIPT_SEGMENTATION_PROFILES.latin;
   }
 
-  return SCRIPT_SEGMENTATION_PROFILES.cjk;
+  return resolveCjkScriptSegmentationProfile(sampleText);
 }
 
 function getLastLatinWord(text) {
@@ -1944,6 +2329,26 @@ function splitLatinTextUnits(
   return units.length > 0 ? units : [text.trim()];
 }
 
+// Leading closing brackets and small kana are handed back to the previous
+// unit, e.g. 「そうです。」 stays whole instead of leaving 」 on its own.
+function applyKinsokuToUnits(units) {
+  return units.reduce((result, unit) => {
+    const leadingRun = result.length > 0
+      ? (unit.match(KINSOKU_LINE_START_RUN_PATTERN) || [''])[0]
+      : '';
+    if (!leadingRun) {
+      result.push(unit);
+      return result;
+    }
+    result[result.length - 1] += leadingRun;
+    const rest = unit.slice(leadingRun.length);
+    if (rest.trim()) {
+      result.push(rest);
+    }
+    return result;
+  }, []);
+}
+
 function splitScriptTextUnits(
   text,
   profile,
@@ -1953,10 +2358,38 @@ function splitScriptTextUnits(
     return splitLatinTextUnits(text, profile, { includeWeakBreaks });
   }
 
-  const pattern = includeWeakBreaks
+  let pattern = includeWeakBreaks
     ? /[^。！？!?；;，,、]+[。！？!?；;，,、]?/gu
     : /[^。！？!?]+[。！？!?]?/gu;
-  return text.match(pattern) || [text];
+  // Korean punctuates with Latin periods and commas between spaced words.
+  if (profile.wordSpacing) {
+    pattern = includeWeakBreaks
+      ? /(?:[^。！？!?.；;，,、]|\.(?=\d))+[。！？!?.；;，,、]*/gu
+      : /(?:[^。！？!?.]|\.(?=\d))+[。！？!?.]*/gu;
+  }
+  const units = text.match(pattern) || [text];
+  return profile.kinsoku ? applyKinsokuToUnits(units) : units;
+}
+
+function violatesKinsokuAt(text, cut) {
+  return (
+    KINSOKU_LINE_START_RUN_PATTERN.test(text.slice(cut)) ||
+    KINSOKU_LINE_END_PATTERN.test(text.slice(0, cut))
+  );
+}
+
+// Japanese lines read best when broken after a particle that closes a
+// phrase (私は｜東京に｜…); a particle between two kana is usually inside a word.
+function isJapaneseParticleBreak(text, cut) {
+  if (!JAPANESE_PARTICLE_SUFFIX_PATTERN.test(text.slice(0, cut))) {
+    return false;
+  }
+  const previousChar = text[cut - 2] || '';
+  const nextChar = text[cut] || '';
+  return (
+    !/\p{Script=Hiragana}/u.test(previousChar) ||
+    !/\p{Script=Hiragana}/u.test(nextChar)
+  );
 }
 
 function resolveLineLengthConfig(limitOrOptions, sampleText = '') {
@@ -1970,10 +2403,13 @@ function resolveLineLengthConfig(limitOrOptions, sampleText = '') {
 
   const options =
     limitOrOptions && typeof limitOrOptions === 'object' ? limitOrOptions : {};
-  const profile = resolveScriptSegmentationProfile(
+  const baseProfile = resolveScriptSegmentationProfile(
     options.languageCode,
     options.sampleText || sampleText,
   );
+  const profile = Number.isFinite(options.overshoot)
+    ? { ...baseProfile, maxLineBreakOvershoot: Math.max(0, options.overshoot) }
+    : baseProfile;
   const limit = Number.isFinite(options.limit)
     ? Math.max(1, options.limit)
     : profile.maxLineWidthUnits;
@@ -1997,7 +2433,7 @@ function scoreBreakCandidate(candidate, text, limit, profile) {
   const underfill = Math.max(0, limit - candidate.width);
 
   score -= overflow * 1.6;
-  score -= underfill * (profile.family === 'latin' ? 0.45 : 0.7);
+  score -= underfill * (profile.family === 'latin' || profile.wordSpacing ? 0.45 : 0.7);
 
   if (candidate.kind === 'punctuation') {
     if (profile.family === 'latin') {
@@ -2014,7 +2450,17 @@ function scoreBreakCandidate(candidate, text, limit, profile) {
       score += 1.2;
     }
   } else if (candidate.kind === 'whitespace') {
-    score += profile.family === 'latin' ? 0.35 : 0.1;
+    if (profile.family === 'latin') {
+      score += 0.35;
+    } else {
+      score += profile.wordSpacing ? 1.4 : 0.1;
+    }
+  } else if (candidate.kind === 'particle') {
+    score += 1;
+  }
+
+  if (profile.kinsoku && violatesKinsokuAt(text, candidate.cut)) {
+    score -= 8;
   }
 
   if (profile.family === 'latin') {
@@ -2038,12 +2484,21 @@ function scoreBreakCandidate(candidate, text, limit, profile) {
   return score;
 }
 
-function isLikelyDirection(text) {
+function isLikelyDirection(text, hints = {}) {
   const trimmed = sanitizeLineText(text);
   if (!trimmed) return false;
 
   const bracketPattern = /^[（(【《〈「『\[{]+.*[）)】》〉」』\]}]+$/;
   const isBracketWrapped = bracketPattern.test(trimmed);
+  if (hints.italic === true) {
+    return true;
+  }
+  if (
+    DOCUMENT_DIRECTION_STYLE_PATTERN.test(hints.styleName || '') ||
+    (hints.document === true && /^[（(\[].*[）)\]]$/u.test(trimmed))
+  ) {
+    return true;
+  }
   const innerBracketText = isBracketWrapped
     ? trimmed
         .replace(/^[（(【《〈「『\[{]+/, '')
@@ -2160,12 +2615,32 @@ function normalizeRoleName(rawRole) {
   return role.slice(0, 48);
 }
 
-function extractRoleFromDialogueText(text) {
+function extractRoleFromDialogueText(text, hints = {}) {
   const sanitized = sanitizeLineText(text);
   if (!sanitized) {
     return { text: '', role: null };
   }
 
+  const hintedRole = sanitizeLineText(hints.roleText || '');
+  if (hintedRole && sanitized.startsWith(hintedRole)) {
+    const rawHintedRole = hintedRole.replace(/[\s：:．.、-]+$/u, '').trim();
+    const hintedRemainder = sanitized
+      .slice(hintedRole.length)
+      .replace(/^[\s：:．.、-]+/u, '')
+      .trim();
+    if (
+      rawHintedRole &&
+      hintedRemainder &&
+      !/[，。！？!?「」『』（）()]/u.test(rawHintedRole) &&
+      !isLikelyDirection(rawHintedRole)
+    ) {
+      return {
+        text: hintedRemainder,
+        role: normalizeRoleName(rawHintedRole),
+      };
+    }
+  }
+
   const colonIndex = Math.max(sanitized.indexOf('：'), sanitized.indexOf(':'));
   if (colonIndex < 1 || colonIndex > 12) {
     return { text: sanitized, role: null };
@@ -2218,6 +2693,20 @@ function extractStandaloneRoleMarker(text) {
   return normalizeRoleName(rawRole);
 }
 
+function resolveScriptRuleMatch(text, scriptRules) {
+  const match = matchScriptRule(sanitizeLineText(text), scriptRules);
+  if (!match) return null;
+  return {
+    ruleId: match.rule.id,
+    type:
+      match.type === SCRIPT_RULE_TYPES.DIRECTION
+        ? LINE_TYPES.DIRECTION
+        : LINE_TYPES.DIALOGUE,
+    role: normalizeRoleName(match.role) || null,
+    text: sanitizeLineText(match.text),
+  };
+}
+
 function normalizeTranslationsMap(
   rawTranslations,
   primaryLanguageId = 'primary',
@@ -2242,6 +2731,22 @@ function normalizeTranslationsMap(
   return translations;
 }
 
+// Languages whose translation on this line came from machine translation and
+// has not been edited by a person since.
+function normalizeMachineDraftedLanguageIds(rawLanguageIds, translations = {}) {
+  if (!Array.isArray(rawLanguageIds)) return [];
+  return Array.from(
+    new Set(
+      rawLanguageIds.filter(
+        (languageId) =>
+          typeof languageId === 'string' &&
+          languageId !== 'primary' &&
+          sanitizeLineText(translations[languageId] || ''),
+      ),
+    ),
+  );
+}
+
 function createLineRecord(entry, primaryLanguageId = 'primary') {
   const rawType = clampLineType(entry?.type) || LINE_TYPES.DIALOGUE;
   const rawText = sanitizeLineText(entry?.text ?? '');
@@ -2268,6 +2773,12 @@ function createLineRecord(entry, primaryLanguageId = 'primary') {
     music: normalizeLineMusic(entry?.music),
     role: rawType === LINE_TYPES.DIALOGUE ? role : null,
     translations,
+    timings: normalizeLineTimings(entry?.timings),
+    durationMs: normalizeLineDurationMs(entry?.durationMs),
+    machineDrafted: normalizeMachineDraftedLanguageIds(
+      entry?.machineDrafted,
+      translations,
+    ),
   };
 }
 
@@ -2351,6 +2862,9 @@ function normalizeLineEntry(entry, keepEmpty = false, options = {}) {
         ),
         role: entry.role ?? entry.speaker ?? entry.character ?? null,
         translations: rawTranslations || { [primaryLanguageId]: text },
+        timings: entry.timings,
+        durationMs: entry.durationMs,
+        machineDrafted: entry.machineDrafted,
       },
       primaryLanguageId,
     );
@@ -2491,8 +3005,11 @@ function expandStageDirectionSegments(entry) {
           : ' ';
       previous.text = `${previous.text}${needsLeadingSpace}${sanitized}`.trim();
     } else {
+      // Lines are re-normalized on every sync, so the first segment keeps the
+      // line's id; otherwise an untranslated line would get a new id each time
+      // and an exported translation file could no longer be matched by id.
       segments.push({
-        id: generateId('line'),
+        id: segments.length === 0 && entry.id ? entry.id : generateId('line'),
         text: sanitized,
         type,
         music: entry.music === true,
@@ -2501,6 +3018,8 @@ function expandStageDirectionSegments(entry) {
           entry.translations && typeof entry.translations === 'object'
             ? { ...entry.translations }
             : undefined,
+        timings: entry.timings,
+        durationMs: segments.length === 0 ? entry.durationMs : null,
       });
     }
   };
@@ -2564,10 +3083,11 @@ function enforceLineLengths(entries, limitOrOptions = MAX_LINE_WIDTH_UNITS) {
     const chunks = chunkDialogueText(entry.text, {
       limit,
       languageCode: profile.key,
+      overshoot: profile.maxLineBreakOvershoot,
     });
-    chunks.forEach((chunk) => {
-      const text = sanitizeLineText(chunk);
-      if (!text) return;
+    const texts = chunks.map((chunk) => sanitizeLineText(chunk)).filter(Boolean);
+    const timings = splitLineTiming(entry.timings?.primary, texts);
+    texts.forEach((text, index) => {
       result.push(
         createLineRecord(
           {
@@ -2577,6 +3097,7 @@ function enforceLineLengths(entries, limitOrOptions = MAX_LINE_WIDTH_UNITS) {
             music: entry.music === true,
             role: entry.role || null,
             translations: { primary: text },
+            timings: timings[index] ? { primary: timings[index] } : undefined,
           },
           'primary',
         ),
@@ -2587,6 +3108,28 @@ function enforceLineLengths(entries, limitOrOptions = MAX_LINE_WIDTH_UNITS) {
   return result;
 }
 
+// Shares a cue's time span across the pieces of a split line by their share
+// of the characters, so every piece keeps its own in and out points.
+function splitLineTiming(rawTiming, texts) {
+  const timing = normalizeLineTiming(rawTiming);
+  if (!timing) return texts.map(() => null);
+  const weights = texts.map(
+    (text) => Math.max(Array.from(text.replace(/\s+/gu, '')).length, 1),
+  );
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const span = timing.endMs - timing.startMs;
+  let elapsedWeight = 0;
+  return weights.map((weight, index) => {
+    const startMs = timing.startMs + Math.round((span * elapsedWeight) / totalWeight);
+    elapsedWeight += weight;
+    const endMs =
+      index === weights.length - 1
+        ? timing.endMs
+        : timing.startMs + Math.round((span * elapsedWeight) / totalWeight);
+    return normalizeLineTiming({ startMs, endMs });
+  });
+}
+
 function chunkDialogueText(text, limitOrOptions = MAX_LINE_WIDTH_UNITS) {
   const { limit, profile } = resolveLineLengthConfig(limitOrOptions, text);
   const sentences = splitScriptTextUnits(text, profile, {
@@ -2602,6 +3145,7 @@ function chunkDialogueText(text, limitOrOptions = MAX_LINE_WIDTH_UNITS) {
       const cut = findBreakPosition(remaining, {
         limit,
         languageCode: profile.key,
+        overshoot: profile.maxLineBreakOvershoot,
       });
       if (cut >= remaining.length) {
         break;
@@ -2658,6 +3202,13 @@ function findBreakPosition(text, limitOrOptions = MAX_LINE_WIDTH_UNITS) {
           kind: 'punctuation',
           char,
         });
+      } else if (profile.key === 'ja' && isJapaneseParticleBreak(text, nextOffset)) {
+        candidates.push({
+          cut: nextOffset,
+          width,
+          kind: 'particle',
+          char,
+        });
       }
     }
 
@@ -2690,9 +3241,88 @@ function findBreakPosition(text, limitOrOptions = MAX_LINE_WIDTH_UNITS) {
   if (bestCandidate?.cut > 0) {
     return bestCandidate.cut;
   }
+  if (profile.kinsoku) {
+    let kinsokuCut = hardCut;
+    while (kinsokuCut > 1 && violatesKinsokuAt(text, kinsokuCut)) {
+      kinsokuCut -= 1;
+    }
+    return kinsokuCut > 1 ? kinsokuCut : hardCut;
+  }
   return hardCut;
 }
 
+function clampLineLengthValue(rawValue, bounds, { integer = false } = {}) {
+  if (rawValue === null || rawValue === undefined || rawValue === '') return null;
+  const parsed = Number(rawValue);
+  if (!Number.isFinite(parsed)) return null;
+  const value = integer ? Math.round(parsed) : Math.round(parsed * 10) / 10;
+  return Math.min(bounds.max, Math.max(bounds.min, value));
+}
+
+// Fields left blank fall back to the language's built-in segmentation profile.
+function normalizeLineLengthProfile(rawProfile, defaults = getDefaultLineLengthProfile()) {
+  if (!rawProfile || typeof rawProfile !== 'object') return null;
+  const maxWidthUnits = clampLineLengthValue(
+    rawProfile.maxWidthUnits,
+    LINE_LENGTH_PROFILE_BOUNDS.maxWidthUnits,
+  );
+  if (maxWidthUnits == null) return null;
+  return {
+    maxWidthUnits,
+    overshoot:
+      clampLineLengthValue(
+        rawProfile.overshoot,
+        LINE_LENGTH_PROFILE_BOUNDS.overshoot,
+      ) ?? defaults.overshoot,
+    maxLinesPerCue:
+      clampLineLengthValue(
+        rawProfile.maxLinesPerCue,
+        LINE_LENGTH_PROFILE_BOUNDS.maxLinesPerCue,
+        { integer: true },
+      ) ?? defaults.maxLinesPerCue,
+  };
+}
+
+function normalizeLineLengthProfiles(rawProfiles, languages = []) {
+  if (!rawProfiles || typeof rawProfiles !== 'object') return {};
+  const profiles = {};
+  languages.forEach((language) => {
+    const profile = normalizeLineLengthProfile(
+      rawProfiles[language.id],
+      getDefaultLineLengthProfile(language.code),
+    );
+    if (profile) {
+      profiles[language.id] = profile;
+    }
+  });
+  return profiles;
+}
+
+function getDefaultLineLengthProfile(languageCode = '') {
+  const profile = resolveScriptSegmentationProfile(languageCode);
+  return {
+    maxWidthUnits: profile.maxLineWidthUnits,
+    overshoot: profile.maxLineBreakOvershoot,
+    maxLinesPerCue: 1,
+  };
+}
+
+// A cue may wrap onto several display rows, so the split limit is the row
+// width times the allowed row count.
+function getLineLengthOptions(session, languageId = 'primary') {
+  const language = session?.languages?.find((entry) => entry.id === languageId);
+  const profile = session?.lineLengthProfiles?.[languageId];
+  return {
+    languageCode: language?.code || '',
+    ...(profile
+      ? {
+          limit: profile.maxWidthUnits * profile.maxLinesPerCue,
+          overshoot: profile.overshoot,
+        }
+      : {}),
+  };
+}
+
 function ensureSessionLines(session) {
   if (!session) return [];
   const primaryLanguageId = getPrimaryLanguageId(session);
@@ -2704,6 +3334,29 @@ function ensureSessionLines(session) {
   return session.lines;
 }
 
+function normalizeLanguageDirection(rawDirection) {
+  return Object.values(LANGUAGE_DIRECTIONS).includes(rawDirection)
+    ? rawDirection
+    : LANGUAGE_DIRECTIONS.AUTO;
+}
+
+// A script subtag wins over the base code, so "az-Arab" is RTL while "ku" is not.
+function detectLanguageTextDirection(rawLanguageCode) {
+  const subtags =
+    typeof rawLanguageCode === 'string'
+      ? rawLanguageCode.trim().toLowerCase().split(/[-_]/u)
+      : [];
+  const scriptSubtag = subtags.slice(1).find((subtag) => /^[a-z]{4}$/u.test(subtag));
+  if (scriptSubtag) {
+    return RTL_SCRIPT_SUBTAGS.has(scriptSubtag)
+      ? LANGUAGE_DIRECTIONS.RTL
+      : LANGUAGE_DIRECTIONS.LTR;
+  }
+  return RTL_LANGUAGE_CODES.has(subtags[0])
+    ? LANGUAGE_DIRECTIONS.RTL
+    : LANGUAGE_DIRECTIONS.LTR;
+}
+
 function createLanguageDefinition(rawLanguage = {}, index = 0) {
   const fallbackIsPrimary = index === 0;
   const providedId =
@@ -2718,10 +3371,18 @@ function createLanguageDefinition(rawLanguage = {}, index = 0) {
     rawLanguage.code || `lang-${index + 1}`,
   ).slice(0, 20);
 
+  const direction = normalizeLanguageDirection(rawLanguage.direction);
+  const resolvedCode = code || `lang-${index + 1}`;
+
   return {
     id,
     name: name || (fallbackIsPrimary ? '第一語言' : `語言 ${index + 1}`),
-    code: code || `lang-${index + 1}`,
+    code: resolvedCode,
+    direction,
+    textDirection:
+      direction === LANGUAGE_DIRECTIONS.AUTO
+        ? detectLanguageTextDirection(resolvedCode)
+        : direction,
     isPrimary: fallbackIsPrimary,
   };
 }
@@ -2750,6 +3411,23 @@ function resolveSessionLanguageId(session, rawLanguageId) {
   return getPrimaryLanguageId(session);
 }
 
+// Live transcription is translated only into the languages picked here; the
+// primary language is allowed too, since the speaker may not use the script's.
+function normalizeLiveTranslationLanguageIds(rawLanguageIds, languages = []) {
+  const knownIds = new Set(
+    (Array.isArray(languages) ? languages : [])
+      .map((language) => language?.id)
+      .filter(Boolean),
+  );
+  return Array.from(
+    new Set(
+      (Array.isArray(rawLanguageIds) ? rawLanguageIds : []).filter(
+        (languageId) => typeof languageId === 'string' && knownIds.has(languageId),
+      ),
+    ),
+  );
+}
+
 function buildBlankTranslationsForSession(session) {
   const translations = {};
   const languages = Array.isArray(session?.languages) ? session.languages : [];
@@ -2877,6 +3555,26 @@ function updateSessionLineLanguageText(line, languageId, text) {
   );
 }
 
+// Writes text that came from other rows; the machine-drafted flag describes
+// the text, so it follows it instead of staying with the row.
+function moveSessionLineLanguageText(line, languageId, text, drafted) {
+  const updatedLine = updateSessionLineLanguageText(line, languageId, text);
+  const machineDrafted = (updatedLine.machineDrafted || []).filter(
+    (draftedLanguageId) => draftedLanguageId !== languageId,
+  );
+  return createLineRecord(
+    {
+      ...updatedLine,
+      machineDrafted: drafted ? [...machineDrafted, languageId] : machineDrafted,
+    },
+    'primary',
+  );
+}
+
+function isLineLanguageMachineDrafted(line, languageId) {
+  return (line?.machineDrafted || []).includes(languageId);
+}
+
 function createBlankSessionLineLike(session, sourceLine, languageId, text = '') {
   return createBlankSessionLine(session, {
     type:
@@ -2890,6 +3588,44 @@ function createBlankSessionLineLike(session, sourceLine, languageId, text = '')
   });
 }
 
+// Splits one language of a row that runs past the length limit: the row keeps
+// the first piece and each further piece gets a new row right below it, so
+// every other row stays paired as before.
+function wrapLineLanguageText(session, line, languageId, lineLengthOptions) {
+  const text = getLineLanguageText(line, languageId);
+  if (!text) return [line];
+  const pieces = enforceLineLengths(
+    [
+      {
+        text,
+        type: line.type,
+        music: line.music,
+        role: line.role,
+        timings: { primary: line.timings?.[languageId] },
+      },
+    ],
+    lineLengthOptions,
+  );
+  if (pieces.length <= 1) return [line];
+
+  const drafted = isLineLanguageMachineDrafted(line, languageId);
+  return pieces.map((piece, index) => {
+    const nextLine = moveSessionLineLanguageText(
+      index === 0 ? line : createBlankSessionLineLike(session, line, languageId),
+      languageId,
+      piece.text,
+      drafted,
+    );
+    const timings = { ...nextLine.timings };
+    if (piece.timings?.primary) {
+      timings[languageId] = piece.timings.primary;
+    } else {
+      delete timings[languageId];
+    }
+    return createLineRecord({ ...nextLine, timings }, 'primary');
+  });
+}
+
 function clearSessionLineLanguageAndShiftUp(session, index, languageId) {
   const targetLanguageId = resolveSessionLanguageId(session, languageId);
   if (
@@ -2903,10 +3639,12 @@ function clearSessionLineLanguageAndShiftUp(session, index, languageId) {
   }
 
   for (let lineIndex = index; lineIndex < session.lines.length - 1; lineIndex += 1) {
-    session.lines[lineIndex] = updateSessionLineLanguageText(
+    const sourceLine = session.lines[lineIndex + 1];
+    session.lines[lineIndex] = moveSessionLineLanguageText(
       session.lines[lineIndex],
       targetLanguageId,
-      getLineLanguageText(session.lines[lineIndex + 1], targetLanguageId),
+      getLineLanguageText(sourceLine, targetLanguageId),
+      isLineLanguageMachineDrafted(sourceLine, targetLanguageId),
     );
   }
 
@@ -3396,12 +4134,94 @@ function collectSessionRoleNames(session) {
   return Array.from(roles).sort((left, right) => left.localeCompare(right, 'zh-Hant'));
 }
 
+// Aliases map a variant spelling to its canonical role. Chains are collapsed
+// so every alias points straight at a role that is not itself an alias.
+function normalizeRoleAliases(rawAliases) {
+  const entries =
+    rawAliases && typeof rawAliases === 'object' && !Array.isArray(rawAliases)
+      ? Object.entries(rawAliases)
+      : [];
+  const direct = new Map();
+  entries.slice(0, MAX_ROLE_ALIASES).forEach(([rawAlias, rawRole]) => {
+    const alias = normalizeRoleName(rawAlias);
+    const role = normalizeRoleName(rawRole);
+    if (alias && role && alias !== role) {
+      direct.set(alias, role);
+    }
+  });
+
+  const aliases = {};
+  direct.forEach((_role, alias) => {
+    const visited = new Set([alias]);
+    let target = direct.get(alias);
+    while (direct.has(target) && !visited.has(target)) {
+      visited.add(target);
+      target = direct.get(target);
+    }
+    if (!visited.has(target)) {
+      aliases[alias] = target;
+    }
+  });
+  return aliases;
+}
+
+function resolveRoleAlias(session, rawRole) {
+  const role = normalizeRoleName(rawRole);
+  if (!role) return '';
+  return session?.roleAliases?.[role] || role;
+}
+
+function applySessionRoleAliases(session) {
+  const aliases = session?.roleAliases;
+  if (!aliases || Object.keys(aliases).length === 0) return;
+
+  if (Array.isArray(session.roles)) {
+    session.roles = session.roles.map((role) => resolveRoleAlias(session, role));
+  }
+  if (Array.isArray(session.cells)) {
+    session.cells.forEach((cell) => {
+      if (!Array.isArray(cell?.lines)) return;
+      cell.lines.forEach((line) => {
+        if (!line || typeof line !== 'object' || !line.role) return;
+        const canonicalRole = resolveRoleAlias(session, line.role);
+        if (canonicalRole !== line.role) {
+          line.role = canonicalRole;
+        }
+      });
+    });
+  }
+}
+
 function ensureSessionRoles(session) {
   if (!session || typeof session !== 'object') return [];
+  applySessionRoleAliases(session);
   session.roles = collectSessionRoleNames(session);
   return session.roles;
 }
 
+function mergeSessionRoles(session, sourceRoles, targetRole) {
+  const target = resolveRoleAlias(session, targetRole);
+  const sources = sourceRoles
+    .map((role) => normalizeRoleName(role))
+    .filter((role) => role && role !== target);
+  if (!target || sources.length === 0) return false;
+
+  const aliases = { ...session.roleAliases };
+  Object.keys(aliases).forEach((alias) => {
+    if (sources.includes(aliases[alias])) {
+      aliases[alias] = target;
+    }
+  });
+  sources.forEach((role) => {
+    aliases[role] = target;
+  });
+  delete aliases[target];
+  session.roleAliases = normalizeRoleAliases(aliases);
+  session.roles = [...(Array.isArray(session.roles) ? session.roles : []), target];
+  ensureSessionRoles(session);
+  return true;
+}
+
 function renameSessionRole(session, previousRole, nextRole) {
   const oldName = normalizeRoleName(previousRole);
   const newName = normalizeRoleName(nextRole);
@@ -3418,6 +4238,15 @@ function renameSessionRole(session, previousRole, nextRole) {
     });
   }
 
+  const aliases = { ...session.roleAliases };
+  Object.keys(aliases).forEach((alias) => {
+    if (aliases[alias] === oldName) {
+      aliases[alias] = newName;
+    }
+  });
+  delete aliases[newName];
+  session.roleAliases = normalizeRoleAliases(aliases);
+
   session.roles = collectSessionRoleNames({
     ...session,
     roles: [...(Array.isArray(session.roles) ? session.roles : []), newName],
@@ -3440,6 +4269,11 @@ function deleteSessionRole(session, roleName) {
     });
   }
 
+  session.roleAliases = Object.fromEntries(
+    Object.entries(session.roleAliases || {}).filter(
+      ([, canonicalRole]) => canonicalRole !== targetRole,
+    ),
+  );
   session.roles = collectSessionRoleNames(session).filter((role) => role !== targetRole);
   return true;
 }
@@ -3464,6 +4298,21 @@ function syncSelectedCellLines(session) {
   return session.lines;
 }
 
+// Rewrites that can run while a cell is on air record the live line first
+// and put the cursor back on it afterwards, since rows may move around it.
+function getLiveLineId(session, cell) {
+  if (!cell || session.selectedCellId !== cell.id) return null;
+  return cell.lines?.[session.currentIndex]?.id || null;
+}
+
+function restoreLiveLineById(session, cell, lineId) {
+  if (!lineId || session.selectedCellId !== cell?.id) return;
+  const nextIndex = (cell.lines || []).findIndex((line) => line.id === lineId);
+  if (nextIndex >= 0) {
+    session.currentIndex = nextIndex;
+  }
+}
+
 function ensureSessionHistory(session) {
   if (!session.history || typeof session.history !== 'object') {
     session.history = { past: [], future: [] };
@@ -3482,6 +4331,7 @@ function captureSessionSnapshot(session) {
     JSON.stringify({
       languages: session.languages,
       roles: session.roles,
+      roleAliases: session.roleAliases,
       cells: session.cells,
       selectedCellId: session.selectedCellId,
       currentIndex: session.currentIndex,
@@ -3514,6 +4364,9 @@ function restoreSessionSnapshot(session, snapshot) {
     ? snapshot.languages
     : session.languages;
   session.roles = Array.isArray(snapshot.roles) ? snapshot.roles : session.roles;
+  session.roleAliases = snapshot.roleAliases
+    ? normalizeRoleAliases(snapshot.roleAliases)
+    : session.roleAliases;
   session.cells = Array.isArray(snapshot.cells) ? snapshot.cells : session.cells;
   session.selectedCellId =
     typeof snapshot.selectedCellId === 'string'
@@ -3576,6 +4429,12 @@ function redoSessionHistory(session) {
   return true;
 }
 
+function getDefaultSessionTitle(createdAt) {
+  return `節目 ${new Date(createdAt).toLocaleString('zh-TW', {
+    hour12: false,
+  })}`;
+}
+
 function ensureSessionStructure(session) {
   if (!session || typeof session !== 'object') return null;
   const createdAt =
@@ -3592,10 +4451,7 @@ function ensureSessionStructure(session) {
       ? session.ownerUserId.trim()
       : session.ownerUserId || '';
   session.title =
-    sanitizeLineText(session.title || '') ||
-    `節目 ${new Date(createdAt).toLocaleString('zh-TW', {
-      hour12: false,
-    })}`;
+    sanitizeLineText(session.title || '') || getDefaultSessionTitle(createdAt);
   session.viewerToken =
     typeof session.viewerToken === 'string' && session.viewerToken.trim()
       ? session.viewerToken.trim()
@@ -3618,6 +4474,9 @@ function ensureSessionStructure(session) {
   session.displayEnabled = session.displayEnabled !== false;
   session.roleColorEnabled = session.roleColorEnabled !== false;
   session.musicEffectEnabled = session.musicEffectEnabled !== false;
+  session.llmProvider = normalizeLlmProviderConfig(session.llmProvider);
+  session.scriptRules = normalizeScriptRules(session.scriptRules);
+  session.roleAliases = normalizeRoleAliases(session.roleAliases);
   session.projectorLayout = normalizeProjectorLayout(session.projectorLayout);
   session.projectorDisplayMode = normalizeProjectorDisplayMode(
     session.projectorDisplayMode,
@@ -3629,6 +4488,15 @@ function ensureSessionStructure(session) {
   ensureProjectorStatus(session);
 
   ensureSessionLanguages(session);
+  session.lineLengthProfiles = normalizeLineLengthProfiles(
+    session.lineLengthProfiles,
+    session.languages,
+  );
+  session.glossary = normalizeGlossary(session.glossary, session.languages);
+  session.liveTranslationLanguageIds = normalizeLiveTranslationLanguageIds(
+    session.liveTranslationLanguageIds,
+    session.languages,
+  );
   session.viewerDefaultLanguageId = resolveSessionLanguageId(
     session,
     session.viewerDefaultLanguageId,
@@ -3663,7 +4531,16 @@ function ensureSessionStructure(session) {
   session.subtitleControlMode = normalizeSubtitleControlMode(
     session.subtitleControlMode,
   );
+  session.standbyEnabled = session.standbyEnabled === true;
+  session.standbyLineId =
+    typeof session.standbyLineId === 'string' && session.standbyLineId
+      ? session.standbyLineId
+      : null;
   session.transcription = ensureTranscriptionState(session);
+  session.showLog = ensureShowLog(session.showLog);
+  session.cueInput = normalizeCueInputConfig(session.cueInput);
+  session.apiTokens = normalizeApiTokens(session.apiTokens);
+  session.webhooks = normalizeWebhooks(session.webhooks);
   ensureSessionHistory(session);
   syncSelectedCellLines(session);
 
@@ -3685,6 +4562,12 @@ function createSessionRecord(ownerUserId) {
     displayEnabled: true,
     roleColorEnabled: true,
     musicEffectEnabled: true,
+    llmProvider: normalizeLlmProviderConfig(null),
+    scriptRules: [],
+    roleAliases: {},
+    lineLengthProfiles: {},
+    glossary: [],
+    liveTranslationLanguageIds: [],
     viewerDefaultLanguageId: 'primary',
     projectorDefaultLanguageId: 'primary',
     projectorLayout: DEFAULT_PROJECTOR_LAYOUT,
@@ -3697,6 +4580,12 @@ function createSessionRecord(ownerUserId) {
     selectedCellId: null,
     currentIndex: 0,
     subtitleControlMode: SUBTITLE_CONTROL_MODES.MANUAL,
+    standbyEnabled: false,
+    standbyLineId: null,
+    showLog: { runs: [] },
+    cueInput: normalizeCueInputConfig(null),
+    apiTokens: [],
+    webhooks: [],
     cells: [createCellDefinition({}, 0, 'primary')],
   });
 }
@@ -3761,6 +4650,12 @@ function serializeSessionForStorage(session) {
     displayEnabled: normalized.displayEnabled,
     roleColorEnabled: normalized.roleColorEnabled,
     musicEffectEnabled: normalized.musicEffectEnabled,
+    llmProvider: normalized.llmProvider,
+    scriptRules: normalized.scriptRules,
+    roleAliases: normalized.roleAliases,
+    lineLengthProfiles: normalized.lineLengthProfiles,
+    glossary: normalized.glossary,
+    liveTranslationLanguageIds: normalized.liveTranslationLanguageIds,
     viewerDefaultLanguageId: normalized.viewerDefaultLanguageId,
     projectorDefaultLanguageId: normalized.projectorDefaultLanguageId,
     projectorLayout: normalized.projectorLayout,
@@ -3771,10 +4666,16 @@ function serializeSessionForStorage(session) {
     selectedCellId: normalized.selectedCellId,
     currentIndex: normalized.currentIndex,
     subtitleControlMode: normalized.subtitleControlMode,
+    standbyEnabled: normalized.standbyEnabled,
+    standbyLineId: normalized.standbyLineId,
+    cueInput: normalized.cueInput,
+    apiTokens: normalized.apiTokens,
+    webhooks: normalized.webhooks,
     languages: normalized.languages.map((language) => ({
       id: language.id,
       name: language.name,
       code: language.code,
+      direction: language.direction,
       isPrimary: language.isPrimary === true,
     })),
     roles: normalized.roles,
@@ -3793,7 +4694,11 @@ function buildSessionBackupPayload(session) {
     kind: SESSION_BACKUP_KIND,
     version: SESSION_BACKUP_VERSION,
     exportedAt: Date.now(),
-    session: serializeSessionForStorage(normalized),
+    session: {
+      ...serializeSessionForStorage(normalized),
+      llmProvider: { ...normalized.llmProvider, apiKey: '' },
+      showLog: normalized.showLog,
+    },
   };
 }
 
@@ -3860,6 +4765,14 @@ function createImportedSessionFromBackup(payload, authUser) {
   const session = ensureSessionStructure(rawSession);
   session.history = { past: [], future: [] };
   session.transcription = defaultTranscriptionState();
+  // The original show may still hold the OSC port; the copy keeps its mapping
+  // but has to be switched on again. Tokens and webhooks stay with the
+  // original so a copy cannot be driven, or report, in its place.
+  session.cueInput.oscEnabled = false;
+  session.apiTokens = [];
+  session.webhooks.forEach((webhook) => {
+    webhook.enabled = false;
+  });
   syncSelectedCellLines(session);
 
   return session;
@@ -3944,6 +4857,16 @@ function hydrateApplicationStore(persistedStore) {
     sessions.set(normalized.id, normalized);
   });
 
+  persistedStore.showLogs.forEach((entry) => {
+    const session = sessions.get(entry?.sessionId);
+    if (!session) return;
+    session.showLog = ensureShowLog({ runs: entry.runs });
+  });
+  // Also moves logs still stored inside older session records to their own key.
+  markShowLogsChanged();
+
+  hydrateLlmCache(persistedStore.llmCache);
+
   cleanupExpiredAuthSessions();
   ensureAdminBootstrapUser();
 }
@@ -3988,32 +4911,420 @@ function hasMeaningfulOverlap(line, normalizedScript) {
   return false;
 }
 
+function getScriptRevisionComparisonKey(line) {
+  const text = getLineLanguageText(line, 'primary');
+  return normalizeForComparison(text).toLowerCase() || text;
+}
+
+function measureScriptRevisionSimilarity(leftKey, rightKey) {
+  if (leftKey === rightKey) return 1;
+  if (!leftKey || !rightKey) return 0;
+
+  const collectBigrams = (key) => {
+    const chars = Array.from(key);
+    const bigrams = new Map();
+    if (chars.length === 1) {
+      bigrams.set(chars[0], 1);
+    }
+    for (let index = 0; index < chars.length - 1; index += 1) {
+      const bigram = `${chars[index]}${chars[index + 1]}`;
+      bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    return bigrams;
+  };
+
+  const leftBigrams = collectBigrams(leftKey);
+  const rightBigrams = collectBigrams(rightKey);
+  let overlap = 0;
+  let total = 0;
+  leftBigrams.forEach((count, bigram) => {
+    overlap += Math.min(count, rightBigrams.get(bigram) || 0);
+    total += count;
+  });
+  rightBigrams.forEach((count) => {
+    total += count;
+  });
+  return total > 0 ? (2 * overlap) / total : 0;
+}
+
+// Pairs the removed and inserted lines between two unchanged anchors so that
+// lightly edited lines keep their translations instead of being replaced.
+function pairScriptRevisionGap(existingKeys, revisedKeys, existingStart, revisedStart) {
+  const existingCount = existingKeys.length;
+  const revisedCount = revisedKeys.length;
+  const entries = [];
+  const pushRemoved = (offset) =>
+    entries.push({
+      op: SCRIPT_REVISION_OPS.REMOVED,
+      existingIndex: existingStart + offset,
+      revisedIndex: null,
+      similarity: 0,
+    });
+  const pushInserted = (offset) =>
+    entries.push({
+      op: SCRIPT_REVISION_OPS.INSERTED,
+      existingIndex: null,
+      revisedIndex: revisedStart + offset,
+      similarity: 0,
+    });
+
+  if (
+    existingCount === 0 ||
+    revisedCount === 0 ||
+    existingCount * revisedCount > SCRIPT_REVISION_GAP_MAX_COMPLEXITY
+  ) {
+    for (let index = 0; index < existingCount; index += 1) pushRemoved(index);
+    for (let index = 0; index < revisedCount; index += 1) pushInserted(index);
+    return entries;
+  }
+
+  const width = revisedCount + 1;
+  const similarity = (i, j) =>
+    measureScriptRevisionSimilarity(existingKeys[i], revisedKeys[j]);
+  const scores = new Float64Array((existingCount + 1) * width);
+  for (let i = existingCount - 1; i >= 0; i -= 1) {
+    for (let j = revisedCount - 1; j >= 0; j -= 1) {
+      const pairSimilarity = similarity(i, j);
+      const paired =
+        pairSimilarity >= SCRIPT_REVISION_SIMILARITY_THRESHOLD
+          ? pairSimilarity + scores[(i + 1) * width + j + 1]
+          : 0;
+      scores[i * width + j] = Math.max(
+        paired,
+        scores[(i + 1) * width + j],
+        scores[i * width + j + 1],
+      );
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < existingCount && j < revisedCount) {
+    const pairSimilarity = similarity(i, j);
+    if (
+      pairSimilarity >= SCRIPT_REVISION_SIMILARITY_THRESHOLD &&
+      scores[i * width + j] === pairSimilarity + scores[(i + 1) * width + j + 1]
+    ) {
+      entries.push({
+        op: SCRIPT_REVISION_OPS.CHANGED,
+        existingIndex: existingStart + i,
+        revisedIndex: revisedStart + j,
+        similarity: pairSimilarity,
+      });
+      i += 1;
+      j += 1;
+    } else if (scores[i * width + j] === scores[(i + 1) * width + j]) {
+      pushRemoved(i);
+      i += 1;
+    } else {
+      pushInserted(j);
+      j += 1;
+    }
+  }
+  for (; i < existingCount; i += 1) pushRemoved(i);
+  for (; j < revisedCount; j += 1) pushInserted(j);
+  return entries;
+}
+
+// Fingerprints what a revision diff was computed against, so an apply can
+// tell whether the cell changed after the operator reviewed the preview.
+function getScriptRevisionStamp(lines) {
+  const fingerprint = (Array.isArray(lines) ? lines : []).map((line) => [
+    line?.id || '',
+    sanitizeLineText(line?.text || ''),
+    line?.type || '',
+    line?.role || '',
+    line?.music === true,
+  ]);
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(fingerprint))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+function buildScriptRevisionPlan(existingLines, revisedLines) {
+  const existingKeys = existingLines.map(getScriptRevisionComparisonKey);
+  const revisedKeys = revisedLines.map(getScriptRevisionComparisonKey);
+  const existingCount = existingKeys.length;
+  const revisedCount = revisedKeys.length;
+  if ((existingCount + 1) * (revisedCount + 1) > SCRIPT_REVISION_DIFF_MAX_COMPLEXITY) {
+    const error = new Error('劇本過長，無法比對修訂內容');
+    error.code = 'REVISION_TOO_LARGE';
+    throw error;
+  }
+
+  // Longest common subsequence of identical lines gives the unchanged anchors.
+  const width = revisedCount + 1;
+  const lengths = new Uint32Array((existingCount + 1) * width);
+  for (let i = existingCount - 1; i >= 0; i -= 1) {
+    for (let j = revisedCount - 1; j >= 0; j -= 1) {
+      lengths[i * width + j] =
+        existingKeys[i] === revisedKeys[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const plan = [];
+  let gapExistingStart = 0;
+  let gapRevisedStart = 0;
+  let i = 0;
+  let j = 0;
+  const flushGap = (existingEnd, revisedEnd) => {
+    plan.push(
+      ...pairScriptRevisionGap(
+        existingKeys.slice(gapExistingStart, existingEnd),
+        revisedKeys.slice(gapRevisedStart, revisedEnd),
+        gapExistingStart,
+        gapRevisedStart,
+      ),
+    );
+  };
+
+  while (i < existingCount && j < revisedCount) {
+    if (existingKeys[i] === revisedKeys[j]) {
+      flushGap(i, j);
+      plan.push({
+        op: SCRIPT_REVISION_OPS.UNCHANGED,
+        existingIndex: i,
+        revisedIndex: j,
+        similarity: 1,
+      });
+      i += 1;
+      j += 1;
+      gapExistingStart = i;
+      gapRevisedStart = j;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i += 1;
+    } else {
+      j += 1;
+    }
+  }
+  flushGap(existingCount, revisedCount);
+  return plan;
+}
+
+function mergeScriptRevisionLines(existingLines, revisedLines, plan) {
+  return plan
+    .filter((entry) => entry.op !== SCRIPT_REVISION_OPS.REMOVED)
+    .map((entry) => {
+      const revisedLine = revisedLines[entry.revisedIndex];
+      if (entry.op === SCRIPT_REVISION_OPS.INSERTED) {
+        return createLineRecord(revisedLine);
+      }
+
+      const existingLine = existingLines[entry.existingIndex];
+      if (entry.op === SCRIPT_REVISION_OPS.UNCHANGED) {
+        return existingLine;
+      }
+
+      // Operator edits (role, type, music, other languages) win over the
+      // re-parse; only the first-language text follows the revision.
+      return createLineRecord({
+        ...existingLine,
+        text: revisedLine.text,
+        role: existingLine.role || revisedLine.role,
+        translations: {
+          ...(existingLine.translations || {}),
+          primary: revisedLine.text,
+        },
+      });
+    });
+}
+
+function toPublicScriptRevisionLine(line) {
+  if (!line) return null;
+  return {
+    text: getLineLanguageText(line, 'primary'),
+    type: clampLineType(line.type) || LINE_TYPES.DIALOGUE,
+    role: normalizeRoleName(line.role) || null,
+    music: isLineMarkedMusic(line),
+  };
+}
+
+function buildPublicScriptRevisionDiff(existingLines, revisedLines, plan) {
+  const summary = {
+    [SCRIPT_REVISION_OPS.UNCHANGED]: 0,
+    [SCRIPT_REVISION_OPS.CHANGED]: 0,
+    [SCRIPT_REVISION_OPS.INSERTED]: 0,
+    [SCRIPT_REVISION_OPS.REMOVED]: 0,
+  };
+  const entries = plan.map((entry) => {
+    summary[entry.op] += 1;
+    const existingLine =
+      entry.existingIndex === null ? null : existingLines[entry.existingIndex];
+    return {
+      op: entry.op,
+      similarity: Math.round(entry.similarity * 100) / 100,
+      before: toPublicScriptRevisionLine(existingLine),
+      after:
+        entry.revisedIndex === null
+          ? null
+          : toPublicScriptRevisionLine(revisedLines[entry.revisedIndex]),
+      keepsTranslations:
+        entry.op !== SCRIPT_REVISION_OPS.INSERTED &&
+        entry.op !== SCRIPT_REVISION_OPS.REMOVED &&
+        Object.entries(existingLine?.translations || {}).some(
+          ([languageId, value]) =>
+            languageId !== 'primary' && sanitizeLineText(value || ''),
+        ),
+    };
+  });
+  return { entries, summary };
+}
+
 function fallbackSegmentScript(rawText, options = {}) {
   const profile = resolveScriptSegmentationProfile(
     options.languageCode,
     rawText,
   );
+  const scriptRules = options.scriptRules || [];
   const lines = [];
   const paragraphs = rawText
     .split(/\r?\n+/)
     .map((paragraph) => paragraph.trim())
     .filter(Boolean);
+  let ruleRole = null;
 
   paragraphs.forEach((paragraph) => {
-    const units = splitScriptTextUnits(paragraph, profile, {
-      includeWeakBreaks: false,
-    })
+    const paragraphMatch = resolveScriptRuleMatch(paragraph, scriptRules);
+    if (paragraphMatch?.role) {
+      ruleRole = paragraphMatch.role;
+      if (!paragraphMatch.text) return;
+    } else if (paragraphMatch?.type === LINE_TYPES.DIRECTION) {
+      ruleRole = null;
+    }
+
+    const units = splitScriptTextUnits(
+      paragraphMatch?.role ? paragraphMatch.text : paragraph,
+      profile,
+      { includeWeakBreaks: false },
+    )
       .map((sentence) => sentence.trim())
       .filter(Boolean);
 
     units.forEach((unit) => {
-      const text = sanitizeLineText(unit);
+      const unitText = sanitizeLineText(unit);
+      const unitMatch = resolveScriptRuleMatch(unitText, scriptRules);
+      if (unitMatch?.role) {
+        ruleRole = unitMatch.role;
+      }
+      const text = unitMatch?.role ? unitMatch.text : unitText;
       if (!text) return;
+      const type =
+        unitMatch?.type ||
+        (paragraphMatch && !paragraphMatch.role ? paragraphMatch.type : null) ||
+        (isLikelyDirection(text) ? LINE_TYPES.DIRECTION : LINE_TYPES.DIALOGUE);
       lines.push({
         text,
-        type: isLikelyDirection(text)
-          ? LINE_TYPES.DIRECTION
-          : LINE_TYPES.DIALOGUE,
+        type,
+        ...(type === LINE_TYPES.DIALOGUE && ruleRole ? { role: ruleRole } : {}),
+      });
+    });
+  });
+
+  return lines;
+}
+
+function resolveDocumentRoleMarker(paragraph, text) {
+  if (!paragraph || paragraph.italic === true || text.length > 24) {
+    return null;
+  }
+  if (/[，。！？!?「」『』]/u.test(text) || /[.…]$/u.test(text)) {
+    return null;
+  }
+
+  const isRoleStyled = DOCUMENT_ROLE_STYLE_PATTERN.test(paragraph.styleName || '');
+  const isUppercaseLatin = /\p{Lu}/u.test(text) && !/\p{Ll}/u.test(text);
+  if (
+    !isRoleStyled &&
+    paragraph.bold !== true &&
+    paragraph.caps !== true &&
+    !isUppercaseLatin
+  ) {
+    return null;
+  }
+
+  // Screenplay extensions such as "HAMLET (V.O.)" belong to the cue, not the name.
+  return normalizeRoleName(text.replace(/\s*[（(][^）)]*[）)]\s*$/u, ''));
+}
+
+function buildScriptLinesFromDocumentParagraphs(paragraphs, options = {}) {
+  const entries = Array.isArray(paragraphs) ? paragraphs : [];
+  const profile = resolveScriptSegmentationProfile(
+    options.languageCode,
+    entries
+      .map((paragraph) => paragraph?.text || '')
+      .join('\n')
+      .slice(0, 4000),
+  );
+  const lines = [];
+  let activeRole = null;
+  // Italics marks stage directions only when it sets a paragraph apart: not
+  // when the whole script is set in italics, when the paragraph names its
+  // speaker, or right after a speaker cue (sung or emphasized speech).
+  const textParagraphs = entries.filter((paragraph) => sanitizeLineText(paragraph?.text));
+  const italicIsDistinctive =
+    textParagraphs.filter((paragraph) => paragraph.italic === true).length * 2 <=
+    textParagraphs.length;
+  let followsSpeakerCue = false;
+
+  entries.forEach((paragraph) => {
+    const text = sanitizeLineText(paragraph?.text);
+    if (!text) return;
+
+    const speaksInline = Boolean(
+      extractRoleFromDialogueText(text, { roleText: paragraph.leadingStrongText || '' })
+        .role,
+    );
+    const hints = {
+      document: true,
+      italic:
+        paragraph.italic === true &&
+        italicIsDistinctive &&
+        !followsSpeakerCue &&
+        !speaksInline,
+      styleName: paragraph.styleName || '',
+      roleText: paragraph.leadingStrongText || '',
+    };
+    followsSpeakerCue = false;
+
+    if (
+      /^(INT|EXT|I\/E)[./\s]/u.test(text) ||
+      isLikelyDirection(text, hints)
+    ) {
+      lines.push({ text, type: LINE_TYPES.DIRECTION });
+      if (!/^[（(\[]/u.test(text)) {
+        activeRole = null;
+      }
+      return;
+    }
+
+    const standaloneRole =
+      extractStandaloneRoleMarker(text) ||
+      resolveDocumentRoleMarker(paragraph, text);
+    if (standaloneRole) {
+      activeRole = standaloneRole;
+      followsSpeakerCue = true;
+      return;
+    }
+
+    const extracted = extractRoleFromDialogueText(text, hints);
+    if (extracted.role) {
+      activeRole = extracted.role;
+    }
+
+    splitScriptTextUnits(extracted.text, profile, {
+      includeWeakBreaks: false,
+    }).forEach((unit) => {
+      const unitText = sanitizeLineText(unit);
+      if (!unitText) return;
+      const isDirection = isLikelyDirection(unitText);
+      lines.push({
+        text: unitText,
+        type: isDirection ? LINE_TYPES.DIRECTION : LINE_TYPES.DIALOGUE,
+        role: isDirection ? null : activeRole,
       });
     });
   });
@@ -4021,6 +5332,180 @@ function fallbackSegmentScript(rawText, options = {}) {
   return lines;
 }
 
+function buildScriptLinesFromFountainElements(elements, options = {}) {
+  const entries = (Array.isArray(elements) ? elements : [])
+    .map((element) => {
+      const text = sanitizeLineText(element?.text);
+      if (!text) return null;
+      if (
+        element.kind === FOUNTAIN_ELEMENT_KINDS.DIALOGUE ||
+        element.kind === FOUNTAIN_ELEMENT_KINDS.LYRIC
+      ) {
+        return {
+          text,
+          type: LINE_TYPES.DIALOGUE,
+          role: element.role || null,
+          music: element.kind === FOUNTAIN_ELEMENT_KINDS.LYRIC,
+        };
+      }
+      return { text, type: LINE_TYPES.DIRECTION };
+    })
+    .filter(Boolean);
+
+  return enforceLineLengths(
+    normalizeScriptLines(entries, { primaryLanguageId: 'primary' }),
+    options,
+  );
+}
+
+function buildFountainElementsFromLines(lines, languageId = 'primary') {
+  return (Array.isArray(lines) ? lines : [])
+    .map((line) => {
+      const text = getLineLanguageText(line, languageId);
+      if (!text) return null;
+      if (clampLineType(line?.type) === LINE_TYPES.DIRECTION) {
+        return {
+          kind: /^[（(].*[）)]$/u.test(text)
+            ? FOUNTAIN_ELEMENT_KINDS.PARENTHETICAL
+            : FOUNTAIN_ELEMENT_KINDS.ACTION,
+          text,
+        };
+      }
+      const role = normalizeRoleName(line?.role);
+      if (!role && !isLineMarkedMusic(line)) {
+        return { kind: FOUNTAIN_ELEMENT_KINDS.ACTION, text };
+      }
+      return {
+        kind: isLineMarkedMusic(line)
+          ? FOUNTAIN_ELEMENT_KINDS.LYRIC
+          : FOUNTAIN_ELEMENT_KINDS.DIALOGUE,
+        text,
+        role,
+      };
+    })
+    .filter(Boolean);
+}
+
+function buildFountainExport(session, languageId = 'primary') {
+  return formatFountainScript({
+    title: sanitizeLineText(session?.title || ''),
+    scenes: (Array.isArray(session?.cells) ? session.cells : []).map(
+      (cell) => ({
+        heading: cell.name,
+        elements: buildFountainElementsFromLines(cell.lines, languageId),
+      }),
+    ),
+  });
+}
+
+function buildExportFilename(session, extension) {
+  const base = sanitizeLineText(session?.title || 'subtitles')
+    .replace(/[<>:"/\\|?*]+/g, '-')
+    .trim();
+  return `${base || 'subtitles'}.${extension}`;
+}
+
+function estimateSubtitleCueDurationMs(texts) {
+  const width = texts.reduce(
+    (max, text) => Math.max(max, measureSubtitleTextWidth(text)),
+    0,
+  );
+  return Math.min(
+    SUBTITLE_EXPORT_MAX_DURATION_MS,
+    Math.max(
+      SUBTITLE_EXPORT_MIN_DURATION_MS,
+      Math.round(width * SUBTITLE_EXPORT_MS_PER_WIDTH_UNIT),
+    ),
+  );
+}
+
+function buildSubtitleExportCues(session, languageIds) {
+  const cues = [];
+  let cursorMs = 0;
+
+  (Array.isArray(session?.cells) ? session.cells : []).forEach((cell) => {
+    // Recorded timings are relative to each cell's own media, so shift a cell
+    // forward when its first timestamp would overlap the previous cell.
+    let cellOffsetMs = null;
+
+    (Array.isArray(cell?.lines) ? cell.lines : []).forEach((line) => {
+      const texts = languageIds
+        .map((languageId) => getLineLanguageText(line, languageId))
+        .filter(Boolean);
+      if (!texts.length) return;
+
+      const timings = line?.timings || {};
+      const timing =
+        languageIds.map((languageId) => timings[languageId]).find(Boolean) ||
+        timings.primary ||
+        null;
+      const earliestStartMs = cues.length ? cursorMs + SUBTITLE_EXPORT_GAP_MS : 0;
+      let startMs;
+      let endMs;
+
+      if (timing) {
+        if (cellOffsetMs === null) {
+          cellOffsetMs =
+            timing.startMs < earliestStartMs
+              ? earliestStartMs - timing.startMs
+              : 0;
+        }
+        startMs = Math.max(timing.startMs + cellOffsetMs, cursorMs);
+        endMs = Math.max(timing.endMs + cellOffsetMs, startMs + 1);
+      } else {
+        startMs = earliestStartMs;
+        endMs = startMs + estimateSubtitleCueDurationMs(texts);
+      }
+
+      cursorMs = endMs;
+      cues.push({
+        startMs,
+        endMs,
+        texts,
+        role: normalizeRoleName(line?.role) || null,
+        direction: clampLineType(line?.type) === LINE_TYPES.DIRECTION,
+        music: isLineMarkedMusic(line),
+      });
+    });
+  });
+
+  return cues;
+}
+
+// Show runs are timed by when each cue was actually taken, leaving out spans
+// the subtitles were blacked out. The primary text is the snapshot from that
+// moment; other languages use the line's current text.
+function buildShowRunExportCues(session, run, languageIds) {
+  const primaryLanguageId = getPrimaryLanguageId(session);
+  const linesByKey = new Map();
+  session.cells.forEach((cell) => {
+    cell.lines.forEach((line) => linesByKey.set(`${cell.id}:${line.id}`, line));
+  });
+
+  return getShowRunEntryTimings(run)
+    .map(({ entry, startMs, endMs, visible }) => {
+      if (!visible) return null;
+      const line = linesByKey.get(`${entry.cellId}:${entry.lineId}`) || null;
+      const texts = languageIds
+        .map((languageId) =>
+          languageId === primaryLanguageId
+            ? entry.text
+            : getLineLanguageText(line, languageId),
+        )
+        .filter(Boolean);
+      if (!texts.length || endMs <= startMs) return null;
+      return {
+        startMs,
+        endMs,
+        texts,
+        role: entry.role,
+        direction: entry.type === LINE_TYPES.DIRECTION,
+        music: isLineMarkedMusic(line),
+      };
+    })
+    .filter(Boolean);
+}
+
 function sanitizeModelLines(parsed, sourceText, options = {}) {
   const normalized = normalizeScriptLines(parsed);
   const cleaned = enforceLineLengths(normalized, {
@@ -4073,6 +5558,36 @@ function sanitizeModelLines(parsed, sourceText, options = {}) {
 
 const SCRIPT_ANNOTATION_MAX_UNITS = 90;
 const SCRIPT_ANNOTATION_MAX_CHARS = 3600;
+const LLM_PROMPT_TEMPLATE_RESERVE_CHARS = 1600;
+const LLM_MIN_CHUNK_CHARS = 400;
+// Part of the LLM cache key: bump when a prompt changes so older answers are
+// no longer reused.
+const SCRIPT_ANNOTATION_PROMPT_VERSION = 1;
+const SCRIPT_SEGMENT_PROMPT_VERSION = 1;
+const MACHINE_TRANSLATION_PROMPT_VERSION = 1;
+const MACHINE_TRANSLATION_BATCH_LINES = 20;
+const MACHINE_TRANSLATION_CONTEXT_LINES = 3;
+// A translation this many times wider than its source line usually means two
+// lines were merged during alignment; short lines are exempt because a single
+// word can legitimately triple in width.
+const TRANSLATION_REPORT_WIDTH_RATIO = 3;
+const TRANSLATION_REPORT_MIN_RATIO_WIDTH = 8;
+const TRANSLATION_REPORT_ISSUE_KINDS = Object.freeze({
+  EMPTY: 'empty',
+  TOO_LONG: 'tooLong',
+  NUMBER_MISMATCH: 'numberMismatch',
+  NAME_MISMATCH: 'nameMismatch',
+  MACHINE_DRAFTED: 'machineDrafted',
+});
+const HAN_NUMERAL_PATTERN = /[〇零一二兩三四五六七八九十百千萬億]/u;
+const TRANSLATION_MEMORY_MIN_SIMILARITY = 0.6;
+const TRANSLATION_MEMORY_MAX_SUGGESTIONS = 3;
+const TRANSLATION_MEMORY_INDEX_CACHE_SIZE = 8;
+const TRANSLATION_IMPORT_CONFLICT_KINDS = Object.freeze({
+  TRANSLATION_CHANGED: 'translationChanged',
+  SOURCE_CHANGED: 'sourceChanged',
+});
+const MAX_TRANSLATION_IMPORT_REPORT_ENTRIES = 200;
 
 function splitInlineStageDirections(text) {
   const sanitized = sanitizeLineText(text);
@@ -4171,7 +5686,7 @@ function buildScriptAnnotationUnits(rawText, languageCode = '') {
   return fallbackText ? [{ id: 1, text: fallbackText }] : [];
 }
 
-function chunkScriptAnnotationUnits(units) {
+function chunkScriptAnnotationUnits(units, maxChars = SCRIPT_ANNOTATION_MAX_CHARS) {
   const chunks = [];
   let current = [];
   let currentChars = 0;
@@ -4189,7 +5704,7 @@ function chunkScriptAnnotationUnits(units) {
     const exceedsUnitLimit = current.length >= SCRIPT_ANNOTATION_MAX_UNITS;
     const exceedsCharLimit =
       current.length > 0 &&
-      currentChars + unitChars > SCRIPT_ANNOTATION_MAX_CHARS;
+      currentChars + unitChars > maxChars;
 
     if (exceedsUnitLimit || exceedsCharLimit) {
       pushCurrent();
@@ -4240,8 +5755,8 @@ function joinAnnotatedUnitText(leftText, rightText) {
   const needsSpace =
     /[\p{L}\p{N}]/u.test(lastChar) &&
     /[\p{L}\p{N}]/u.test(firstChar) &&
-    !/[\p{Script=Han}]/u.test(lastChar) &&
-    !/[\p{Script=Han}]/u.test(firstChar);
+    !/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(lastChar) &&
+    !/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(firstChar);
 
   return needsSpace ? `${left} ${right}` : `${left}${right}`;
 }
@@ -4266,9 +5781,25 @@ function normalizeUnitAnnotation(rawAnnotation, unit) {
   };
 }
 
-function fallbackAnnotateUnits(units, previousRole = null) {
+function fallbackAnnotateUnits(units, previousRole = null, scriptRules = []) {
   let activeRole = previousRole;
   return units.map((unit) => {
+    const ruleMatch = resolveScriptRuleMatch(unit.text, scriptRules);
+    if (ruleMatch) {
+      if (ruleMatch.role) {
+        activeRole = ruleMatch.role;
+      }
+      return {
+        id: unit.id,
+        type: ruleMatch.type,
+        role:
+          ruleMatch.type === LINE_TYPES.DIALOGUE
+            ? ruleMatch.role || activeRole || null
+            : null,
+        mergeWithPrevious: false,
+      };
+    }
+
     const type = normalizeAnnotationType('', unit.text);
     const extracted =
       type === LINE_TYPES.DIALOGUE
@@ -4292,7 +5823,12 @@ function fallbackAnnotateUnits(units, previousRole = null) {
   });
 }
 
-function validateAndCompleteAnnotations(parsed, units, previousRole = null) {
+function validateAndCompleteAnnotations(
+  parsed,
+  units,
+  previousRole = null,
+  scriptRules = [],
+) {
   const unitById = new Map(units.map((unit) => [unit.id, unit]));
   const annotationById = new Map();
 
@@ -4310,13 +5846,18 @@ function validateAndCompleteAnnotations(parsed, units, previousRole = null) {
     });
   }
 
-  const fallback = fallbackAnnotateUnits(units, previousRole);
+  const fallback = fallbackAnnotateUnits(units, previousRole, scriptRules);
   return fallback.map((fallbackAnnotation) =>
     annotationById.get(fallbackAnnotation.id) || fallbackAnnotation,
   );
 }
 
-function buildAnnotatedLinesFromUnits(units, annotations, previousRole = null) {
+function buildAnnotatedLinesFromUnits(
+  units,
+  annotations,
+  previousRole = null,
+  scriptRules = [],
+) {
   const unitById = new Map(units.map((unit) => [unit.id, unit]));
   const lines = [];
   let activeRole = previousRole;
@@ -4325,20 +5866,30 @@ function buildAnnotatedLinesFromUnits(units, annotations, previousRole = null) {
     const unit = unitById.get(annotation.id);
     if (!unit) return;
 
-    const standaloneRole = extractStandaloneRoleMarker(unit.text);
+    // Session rules are authoritative over both the heuristics and the model.
+    const ruleMatch = resolveScriptRuleMatch(unit.text, scriptRules);
+    const standaloneRole = ruleMatch
+      ? ruleMatch.role && !ruleMatch.text
+        ? ruleMatch.role
+        : null
+      : extractStandaloneRoleMarker(unit.text);
     if (standaloneRole) {
       activeRole = standaloneRole;
       return;
     }
 
-    const type = normalizeAnnotationType(annotation.type, unit.text);
-    const extracted =
-      type === LINE_TYPES.DIALOGUE
+    const type = ruleMatch
+      ? ruleMatch.type
+      : normalizeAnnotationType(annotation.type, unit.text);
+    const extracted = ruleMatch
+      ? { text: ruleMatch.text, role: ruleMatch.role }
+      : type === LINE_TYPES.DIALOGUE
         ? extractRoleFromDialogueText(unit.text)
         : { text: unit.text, role: null };
     const role =
       type === LINE_TYPES.DIALOGUE
-        ? normalizeAnnotationRole(annotation.role) ||
+        ? ruleMatch?.role ||
+          normalizeAnnotationRole(annotation.role) ||
           normalizeAnnotationRole(extracted.role) ||
           activeRole ||
           null
@@ -4385,14 +5936,25 @@ function buildAnnotatedLinesFromUnits(units, annotations, previousRole = null) {
 }
 
 async function annotateScriptUnitsWithOpenAI({
-  client,
+  provider,
   units,
   chunkIndex,
   totalChunks,
   previousRole = null,
   languageCode = '',
   model = DEFAULT_SCRIPT_PARSE_MODEL,
+  scriptRules = [],
+  glossary = [],
+  signal = null,
+  cacheStats = null,
 }) {
+  const rulePrompt = describeScriptRulesForPrompt(scriptRules).join('\n');
+  const glossaryPrompt = describeGlossaryTermsForPrompt(
+    findGlossaryEntriesInText(
+      glossary,
+      units.map((unit) => unit.text),
+    ),
+  ).join('\n');
   const unitPayload = units.map((unit) => ({
     id: unit.id,
     text: unit.text,
@@ -4422,29 +5984,50 @@ async function annotateScriptUnitsWithOpenAI({
 - mergeWithPrevious 只在該 unit 應與上一個 unit 合併成同一個字幕語意時設 true；不確定就 false。
 - 上一批最後角色：${previousRole || 'null'}
 - 劇本語言代碼：${languagePrompt}
-
+${rulePrompt ? `\n本劇本的自訂規則（優先於一般判斷，正規表示式比對的是單位原文）：\n${rulePrompt}\n` : ''}${glossaryPrompt ? `\n本劇詞彙表（role 請使用詞彙表中的角色名寫法，別名也指同一個角色）：\n${glossaryPrompt}\n` : ''}
 輸入 units：
 ${JSON.stringify(unitPayload)}
       `.trim(),
     },
   ];
 
-  const selectedModel = normalizeScriptParseModel(model);
-  const request = {
+  const selectedModel = resolveScriptParseModel(provider, model);
+  // Unit ids shift whenever earlier text changes, so the cache is keyed on the
+  // unit texts and stores annotations by their position within the chunk.
+  const cacheKey = createLlmCacheKey({
+    kind: 'annotate',
+    promptVersion: SCRIPT_ANNOTATION_PROMPT_VERSION,
+    provider: provider.kind,
+    baseUrl: provider.baseUrl,
     model: selectedModel,
-    input: prompt,
-    max_output_tokens: Math.max(1200, units.length * 42),
-  };
-
-  if (isGpt5ScriptParseModel(selectedModel)) {
-    request.reasoning = { effort: 'low' };
-    request.text = { verbosity: 'low' };
-  } else {
-    request.temperature = 0;
+    languageCode: languagePrompt,
+    previousRole: previousRole || null,
+    rulePrompt,
+    glossaryPrompt,
+    units: units.map((unit) => unit.text),
+  });
+  const cachedAnnotations = readLlmCache(cacheKey);
+  countLlmCacheLookup(cacheStats, Array.isArray(cachedAnnotations));
+  if (Array.isArray(cachedAnnotations)) {
+    return validateAndCompleteAnnotations(
+      cachedAnnotations.map(({ unitIndex, ...entry }) => ({
+        ...entry,
+        unitId: units[unitIndex]?.id,
+      })),
+      units,
+      previousRole,
+      scriptRules,
+    );
   }
 
-  const response = await client.responses.create(request);
-  const output = response.output_text?.trim();
+  const output = await provider.requestJsonArray({
+    messages: prompt,
+    model: selectedModel,
+    maxOutputTokens: Math.max(1200, units.length * 42),
+    temperature: 0,
+    reasoning: getScriptParseReasoning(provider, selectedModel),
+    signal,
+  });
   if (!output) {
     const error = new Error('未能取得 OpenAI 注記回應');
     error.code = 'MISSING_OUTPUT';
@@ -4463,7 +6046,34 @@ ${JSON.stringify(unitPayload)}
     throw error;
   }
 
-  return validateAndCompleteAnnotations(parsed, units, previousRole);
+  const unitIndexById = new Map(units.map((unit, index) => [unit.id, index]));
+  writeLlmCache(
+    cacheKey,
+    parsed
+      .map((entry) => ({
+        unitIndex: unitIndexById.get(Number(entry?.unitId ?? entry?.id)),
+        type: entry?.type ?? null,
+        role: entry?.role ?? null,
+        mergeWithPrevious: entry?.mergeWithPrevious === true,
+      }))
+      .filter((entry) => Number.isInteger(entry.unitIndex)),
+    {
+      kind: 'annotate',
+      model: selectedModel,
+      promptVersion: SCRIPT_ANNOTATION_PROMPT_VERSION,
+    },
+  );
+
+  return validateAndCompleteAnnotations(parsed, units, previousRole, scriptRules);
+}
+
+function countLlmCacheLookup(cacheStats, hit) {
+  if (!cacheStats) return;
+  if (hit) {
+    cacheStats.hits += 1;
+  } else {
+    cacheStats.misses += 1;
+  }
 }
 
 function normalizeScriptParseModel(model) {
@@ -4477,24 +6087,197 @@ function isGpt5ScriptParseModel(model) {
   return typeof model === 'string' && model.startsWith('gpt-5');
 }
 
-async function parseChunk({
-  client,
-  chunkText,
-  chunkIndex,
-  totalChunks,
-  languageCode = '',
-  mode = 'subtitle',
-  lineLimit = null,
+function resolveScriptParseModel(provider, model) {
+  if (provider?.model) {
+    return provider.model;
+  }
+  return normalizeScriptParseModel(model);
+}
+
+function getScriptParseReasoning(provider, model) {
+  return provider?.kind === LLM_PROVIDER_KINDS.OPENAI &&
+    isGpt5ScriptParseModel(model)
+    ? { effort: 'low', verbosity: 'low' }
+    : null;
+}
+
+function getLlmChunkCharBudget(provider, defaultChars, charsPerSourceChar = 1) {
+  const maxPromptChars = provider?.capabilities?.maxPromptChars;
+  if (!maxPromptChars) {
+    return defaultChars;
+  }
+  const available = Math.floor(
+    (maxPromptChars - LLM_PROMPT_TEMPLATE_RESERVE_CHARS) / charsPerSourceChar,
+  );
+  return Math.min(defaultChars, Math.max(LLM_MIN_CHUNK_CHARS, available));
+}
+
+function createSessionLlmProvider(session, apiKey) {
+  // Never forward the operator's OpenAI key to a self-hosted server.
+  return createLlmProvider(session?.llmProvider, {
+    apiKey: isLlmApiKeyRequired(session)
+      ? apiKey
+      : getCompatibleLlmApiKey(session?.llmProvider),
+  });
+}
+
+// A key saved with the session wins; otherwise the deployment key is used
+// only for a server on the admin's allowlist, and anything else gets none.
+function getCompatibleLlmApiKey(rawConfig) {
+  const config = normalizeLlmProviderConfig(rawConfig);
+  if (config.apiKey) return config.apiKey;
+  if (!LLM_COMPATIBLE_API_KEY) return '';
+  const origin = getUrlOrigin(config.baseUrl);
+  return origin && LLM_COMPATIBLE_API_KEY_ORIGINS.has(origin)
+    ? LLM_COMPATIBLE_API_KEY
+    : '';
+}
+
+function isLlmApiKeyRequired(session) {
+  return (
+    normalizeLlmProviderConfig(session?.llmProvider).kind ===
+    LLM_PROVIDER_KINDS.OPENAI
+  );
+}
+
+function describeLanguageForPrompt(language) {
+  if (!language) return 'auto';
+  return language.code ? `${language.name}（${language.code}）` : language.name;
+}
+
+// Context lines are sent alongside the batch so the model sees who is
+// speaking and what was just said, but only batch lines come back translated.
+async function translateLineBatchWithOpenAI({
+  provider,
+  lines,
+  contextBefore = [],
+  contextAfter = [],
+  sourceLanguage,
+  targetLanguage,
+  glossaryPrompt = '',
   model = DEFAULT_SCRIPT_PARSE_MODEL,
+  signal = null,
+  cacheStats = null,
 }) {
-  const profile = resolveScriptSegmentationProfile(languageCode, chunkText);
-  const lineWidthUnits = Number.isFinite(lineLimit)
-    ? Math.max(1, Math.trunc(lineLimit))
-    : profile.maxLineWidthUnits;
-  const languagePrompt =
-    normalizeLanguageCode(languageCode) || profile.key || 'auto';
-  const isAlignmentMode = mode === 'alignment';
-  const prompt = [
+  const toPromptLine = (line) => ({
+    role: line.type === LINE_TYPES.DIRECTION ? '舞台指示' : line.role || null,
+    text: line.text,
+  });
+  const linePayload = lines.map((line, index) => ({
+    id: index + 1,
+    ...toPromptLine(line),
+  }));
+  const prompt = [
+    {
+      role: 'system',
+      content:
+        'You translate theater subtitles. Keep each line short enough to read on stage and never merge or split lines.',
+    },
+    {
+      role: 'user',
+      content: `
+請把下列字幕從 ${describeLanguageForPrompt(sourceLanguage)} 翻譯成 ${describeLanguageForPrompt(targetLanguage)}。
+
+請輸出 JSON array，每個輸入 line 都必須剛好回傳一次：
+{ "id": number, "text": "譯文" }
+
+規則：
+- id 必須沿用輸入的 id，不要新增或刪除任何一行。
+- 依 role 判斷說話者的語氣與稱謂；舞台指示用簡潔的描述句。
+- 只回傳譯文本身，不要加上角色名、引號或註解。
+- 前後文只供參考，不要回傳。
+${glossaryPrompt ? `\n本劇固定譯名（必須遵守）：\n${glossaryPrompt}\n` : ''}
+前文：
+${JSON.stringify(contextBefore.map(toPromptLine))}
+
+要翻譯的 lines：
+${JSON.stringify(linePayload)}
+
+後文：
+${JSON.stringify(contextAfter.map(toPromptLine))}
+      `.trim(),
+    },
+  ];
+
+  const selectedModel = resolveScriptParseModel(provider, model);
+  const cacheKey = createLlmCacheKey({
+    kind: 'translate',
+    promptVersion: MACHINE_TRANSLATION_PROMPT_VERSION,
+    provider: provider.kind,
+    baseUrl: provider.baseUrl,
+    model: selectedModel,
+    content: prompt[1].content,
+  });
+  const cachedTexts = readLlmCache(cacheKey);
+  countLlmCacheLookup(cacheStats, Array.isArray(cachedTexts));
+  if (Array.isArray(cachedTexts)) {
+    return cachedTexts;
+  }
+
+  const output = await provider.requestJsonArray({
+    messages: prompt,
+    model: selectedModel,
+    maxOutputTokens: Math.max(1200, lines.length * 120),
+    temperature: 0.2,
+    reasoning: getScriptParseReasoning(provider, selectedModel),
+    signal,
+  });
+  if (!output) {
+    const error = new Error('未能取得 OpenAI 翻譯回應');
+    error.code = 'MISSING_OUTPUT';
+    throw error;
+  }
+
+  const parsed = parseJsonArrayLoose(
+    output
+      .replace(/^```json/i, '')
+      .replace(/^```/i, '')
+      .replace(/```$/i, '')
+      .trim(),
+  );
+  if (!Array.isArray(parsed)) {
+    const error = new Error('OpenAI 翻譯格式不是 JSON array');
+    error.code = 'INVALID_JSON';
+    throw error;
+  }
+
+  const texts = lines.map(() => '');
+  parsed.forEach((entry) => {
+    const index = Number(entry?.id) - 1;
+    if (Number.isInteger(index) && index >= 0 && index < texts.length) {
+      texts[index] = sanitizeLineText(entry?.text || '');
+    }
+  });
+  // A batch with a missing line is not cached, so asking again can fill it.
+  if (texts.every(Boolean)) {
+    writeLlmCache(cacheKey, texts, {
+      kind: 'translate',
+      model: selectedModel,
+      promptVersion: MACHINE_TRANSLATION_PROMPT_VERSION,
+    });
+  }
+  return texts;
+}
+
+async function parseChunk({
+  provider,
+  chunkText,
+  chunkIndex,
+  totalChunks,
+  languageCode = '',
+  mode = 'subtitle',
+  lineLimit = null,
+  model = DEFAULT_SCRIPT_PARSE_MODEL,
+  cacheStats = null,
+}) {
+  const profile = resolveScriptSegmentationProfile(languageCode, chunkText);
+  const lineWidthUnits = Number.isFinite(lineLimit)
+    ? Math.max(1, Math.trunc(lineLimit))
+    : profile.maxLineWidthUnits;
+  const languagePrompt =
+    normalizeLanguageCode(languageCode) || profile.key || 'auto';
+  const isAlignmentMode = mode === 'alignment';
+  const prompt = [
     {
       role: 'system',
       content:
@@ -4524,23 +6307,31 @@ ${chunkText}
     },
   ];
 
-  const selectedModel = normalizeScriptParseModel(model);
-  const request = {
+  const selectedModel = resolveScriptParseModel(provider, model);
+  const cacheKey = createLlmCacheKey({
+    kind: 'segment',
+    promptVersion: SCRIPT_SEGMENT_PROMPT_VERSION,
+    provider: provider.kind,
+    baseUrl: provider.baseUrl,
     model: selectedModel,
-    input: prompt,
-    max_output_tokens: 4000,
-  };
-
-  if (isGpt5ScriptParseModel(selectedModel)) {
-    request.reasoning = { effort: 'low' };
-    request.text = { verbosity: 'low' };
-  } else {
-    request.temperature = 0.1;
+    languageCode: languagePrompt,
+    mode,
+    lineWidthUnits,
+    chunkText,
+  });
+  const cachedLines = readLlmCache(cacheKey);
+  countLlmCacheLookup(cacheStats, Array.isArray(cachedLines));
+  if (Array.isArray(cachedLines)) {
+    return cachedLines;
   }
 
-  const response = await client.responses.create(request);
-
-  const output = response.output_text?.trim();
+  const output = await provider.requestJsonArray({
+    messages: prompt,
+    model: selectedModel,
+    maxOutputTokens: 4000,
+    temperature: 0.1,
+    reasoning: getScriptParseReasoning(provider, selectedModel),
+  });
   if (!output) {
     const error = new Error('未能取得 OpenAI 回應');
     error.code = 'MISSING_OUTPUT';
@@ -4561,10 +6352,16 @@ ${chunkText}
     throw error;
   }
 
-  return sanitizeModelLines(parsed, chunkText, {
+  const lines = sanitizeModelLines(parsed, chunkText, {
     languageCode,
     lineLimit: lineWidthUnits,
   });
+  writeLlmCache(cacheKey, lines, {
+    kind: 'segment',
+    model: selectedModel,
+    promptVersion: SCRIPT_SEGMENT_PROMPT_VERSION,
+  });
+  return lines;
 }
 
 function getSecondaryAlignmentParseLimit(languageCode = '', sampleText = '') {
@@ -4575,12 +6372,15 @@ function getSecondaryAlignmentParseLimit(languageCode = '', sampleText = '') {
   );
 }
 
-async function parseAlignmentScriptWithOpenAI(rawText, apiKey, options = {}) {
+async function parseAlignmentScriptWithOpenAI(rawText, provider, options = {}) {
   const languageCode =
     typeof options.languageCode === 'string' ? options.languageCode : '';
   const model = normalizeScriptParseModel(options.model);
-  const client = new OpenAI({ apiKey });
-  const chunks = chunkScript(rawText, MAX_CHUNK_LENGTH, { languageCode });
+  const chunks = chunkScript(
+    rawText,
+    getLlmChunkCharBudget(provider, MAX_CHUNK_LENGTH),
+    { languageCode },
+  );
   const combined = [];
   const lineLimit = getSecondaryAlignmentParseLimit(languageCode, rawText);
 
@@ -4589,7 +6389,7 @@ async function parseAlignmentScriptWithOpenAI(rawText, apiKey, options = {}) {
 
     try {
       const parsedLines = await parseChunk({
-        client,
+        provider,
         chunkText,
         chunkIndex: index,
         totalChunks: chunks.length,
@@ -4597,6 +6397,7 @@ async function parseAlignmentScriptWithOpenAI(rawText, apiKey, options = {}) {
         mode: 'alignment',
         lineLimit,
         model,
+        cacheStats: options.cacheStats,
       });
       combined.push(...parsedLines);
     } catch (error) {
@@ -4635,14 +6436,14 @@ async function parseAlignmentScriptWithOpenAI(rawText, apiKey, options = {}) {
 
 async function parseSecondaryLanguageSourceWithOpenAI(
   rawText,
-  apiKey,
+  provider,
   options = {},
 ) {
   const languageCode =
     typeof options.languageCode === 'string' ? options.languageCode : '';
 
   try {
-    const parsedLines = await parseAlignmentScriptWithOpenAI(rawText, apiKey, {
+    const parsedLines = await parseAlignmentScriptWithOpenAI(rawText, provider, {
       languageCode,
     });
     return {
@@ -4721,13 +6522,23 @@ function stripTranscriptionPromptLeak(text, promptText = '') {
   return sanitized;
 }
 
-function normalizeTranscriptionOutputText(text, language, promptText = '') {
+function normalizeTranscriptionOutputText(
+  text,
+  language,
+  promptText = '',
+  glossary = [],
+) {
   const sanitized = stripTranscriptionPromptLeak(text, promptText);
   if (!sanitized) return '';
   if (!shouldPreferTraditionalChinese(language)) {
-    return sanitized;
+    return applyGlossaryReplacements(sanitized, glossary);
   }
-  return sanitizeTranscriptionText(traditionalizeChineseText(sanitized));
+  // Replace after traditionalizing so simplified-looking aliases still match
+  // the text the glossary author typed in Traditional Chinese.
+  return applyGlossaryReplacements(
+    sanitizeTranscriptionText(traditionalizeChineseText(sanitized)),
+    glossary,
+  );
 }
 
 function sanitizeTranscriptionMultilineText(text) {
@@ -4758,18 +6569,44 @@ function normalizeTranscriptionContext(rawContext) {
   return normalized.slice(0, MAX_TRANSCRIPTION_CONTEXT_CHARS).trim();
 }
 
-function buildTranscriptionContextPrompt(transcriptionContext) {
+// Transcription prompts are short, so glossary terms are taken in editor order
+// until the budget runs out; the replacement pass still covers every alias.
+// Audio prompts only list the spellings: naming the misheard aliases there
+// would nudge the recognizer toward them.
+function buildTranscriptionGlossaryPrompt(glossary, { withAliases = false } = {}) {
+  const lines = [];
+  let length = 0;
+  const candidates = withAliases
+    ? describeGlossaryTermsForPrompt(glossary)
+    : (Array.isArray(glossary) ? glossary : []).map((entry) => entry.term);
+  for (const line of candidates) {
+    if (length + line.length > MAX_TRANSCRIPTION_GLOSSARY_CHARS) break;
+    lines.push(line);
+    length += line.length + 1;
+  }
+  return lines.join(withAliases ? '\n' : '、');
+}
+
+function buildTranscriptionContextPrompt(transcriptionContext, glossary = []) {
   const normalizedContext = normalizeTranscriptionContext(transcriptionContext);
-  if (!normalizedContext) return '';
+  const glossaryPrompt = buildTranscriptionGlossaryPrompt(glossary);
+  if (!normalizedContext && !glossaryPrompt) return '';
 
   return [
     '以下是這段語音的主題、關鍵詞與專有名詞參考。',
     '僅在音訊內容或上下文明確支持時優先採用，不要為了符合提示而捏造不存在的內容。',
     normalizedContext,
-  ].join('\n');
+    glossaryPrompt ? `固定用語：${glossaryPrompt}` : '',
+  ]
+    .filter(Boolean)
+    .join('\n');
 }
 
-function buildRealtimeTranscriptionPrompt({ language, transcriptionContext }) {
+function buildRealtimeTranscriptionPrompt({
+  language,
+  transcriptionContext,
+  glossary = [],
+}) {
   const promptParts = [];
 
   if (
@@ -4779,7 +6616,10 @@ function buildRealtimeTranscriptionPrompt({ language, transcriptionContext }) {
     promptParts.push(TRANSCRIPTION_TRADITIONAL_OUTPUT_PROMPT);
   }
 
-  const contextPrompt = buildTranscriptionContextPrompt(transcriptionContext);
+  const contextPrompt = buildTranscriptionContextPrompt(
+    transcriptionContext,
+    glossary,
+  );
   if (contextPrompt) {
     promptParts.push(contextPrompt);
   }
@@ -4787,14 +6627,21 @@ function buildRealtimeTranscriptionPrompt({ language, transcriptionContext }) {
   return promptParts.join('\n\n').trim();
 }
 
-function buildAccurateTranscriptionPrompt({ language, transcriptionContext }) {
+function buildAccurateTranscriptionPrompt({
+  language,
+  transcriptionContext,
+  glossary = [],
+}) {
   const promptParts = [];
 
   if (TRANSCRIPTION_ACCURATE_PROMPT) {
     promptParts.push(TRANSCRIPTION_ACCURATE_PROMPT);
   }
 
-  const contextPrompt = buildTranscriptionContextPrompt(transcriptionContext);
+  const contextPrompt = buildTranscriptionContextPrompt(
+    transcriptionContext,
+    glossary,
+  );
   if (contextPrompt) {
     promptParts.push(contextPrompt);
   }
@@ -4828,8 +6675,8 @@ function joinTranscriptionTexts(leftText, rightText) {
   const needsSpace =
     /[\p{L}\p{N}]/u.test(lastChar) &&
     /[\p{L}\p{N}]/u.test(firstChar) &&
-    !/[\p{Script=Han}]/u.test(lastChar) &&
-    !/[\p{Script=Han}]/u.test(firstChar);
+    !/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(lastChar) &&
+    !/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(firstChar);
 
   return sanitizeTranscriptionText(needsSpace ? `${left} ${right}` : `${left}${right}`);
 }
@@ -4961,6 +6808,7 @@ function shouldBreakBetweenFragments({
   currentText,
   previousFragment,
   nextFragment,
+  languageCode = '',
 }) {
   const left = sanitizeTranscriptionText(currentText);
   const right = sanitizeTranscriptionText(nextFragment?.text || '');
@@ -4974,6 +6822,7 @@ function shouldBreakBetweenFragments({
   if (mergedLength >= TRANSCRIPTION_BOUNDARY_HARD_MAX_CHARS) {
     return true;
   }
+  const profile = resolveScriptSegmentationProfile(languageCode, mergedText);
 
   const boundaryMeta = previousFragment?.boundaryMeta || {};
   let score = 0;
@@ -4999,11 +6848,31 @@ function shouldBreakBetweenFragments({
     score -= 1.25;
   }
 
-  if (avoidBoundarySuffixRegex.test(left)) {
-    score -= 2;
+  if (profile.key === 'ja') {
+    if (JAPANESE_PARTICLE_SUFFIX_PATTERN.test(left)) {
+      score -= 2;
+    } else if (JAPANESE_SENTENCE_END_PATTERN.test(left)) {
+      score += 1;
+    }
+  } else if (profile.key === 'ko') {
+    if (KOREAN_CONNECTIVE_SUFFIX_PATTERN.test(left)) {
+      score -= 2;
+    } else if (KOREAN_SENTENCE_END_PATTERN.test(left)) {
+      score += 1;
+    }
+  } else {
+    if (avoidBoundarySuffixRegex.test(left)) {
+      score -= 2;
+    }
+    if (avoidBoundaryPrefixRegex.test(right)) {
+      score -= 2;
+    }
   }
-  if (avoidBoundaryPrefixRegex.test(right)) {
-    score -= 2;
+  if (
+    profile.kinsoku &&
+    (KINSOKU_LINE_START_RUN_PATTERN.test(right) || KINSOKU_LINE_END_PATTERN.test(left))
+  ) {
+    score -= 4;
   }
   if (avoidEnglishBoundarySuffixRegex.test(left)) {
     score -= 2;
@@ -5056,6 +6925,273 @@ function buildDisplayLineFromFragments(stream, fragments) {
   };
 }
 
+function clearLiveTranslationTimer(stream) {
+  if (!stream?.liveTranslationTimer) return;
+  clearTimeout(stream.liveTranslationTimer);
+  stream.liveTranslationTimer = null;
+}
+
+// A target that shares the spoken language just mirrors the transcript, so it
+// never costs a model call.
+function getLiveTranslationTargets(stream) {
+  const session = stream ? getSession(stream.sessionId) : null;
+  if (!session) return [];
+  const spokenBaseCode = getBaseLanguageCode(stream.language || '');
+  return (session.liveTranslationLanguageIds || [])
+    .map((languageId) =>
+      session.languages.find((language) => language.id === languageId),
+    )
+    .filter(Boolean)
+    .map((language) => ({
+      language,
+      sameAsSpoken:
+        Boolean(spokenBaseCode) &&
+        getBaseLanguageCode(language.code) === spokenBaseCode,
+    }));
+}
+
+// A finalized line is re-keyed whenever it absorbs another fragment, so the
+// previous translation is kept by its first item until the new one arrives.
+function findLiveTranslation(stream, languageId, entry) {
+  const translations = stream.liveTranslations?.get(languageId);
+  if (!translations || !entry?.key) return null;
+  const exact = translations.get(entry.key);
+  if (exact) return exact;
+  const firstItemId = entry.key.split('|')[0];
+  let fallback = null;
+  translations.forEach((translation) => {
+    if (translation.firstItemId === firstItemId) {
+      fallback = translation;
+    }
+  });
+  return fallback;
+}
+
+function pruneLiveTranslations(stream) {
+  if (!stream.liveTranslations) return;
+  const keptKeys = new Set(stream.finalizedLines.map((line) => line.key));
+  const keptFirstItemIds = new Set(
+    stream.finalizedLines.map((line) => line.itemIds[0]),
+  );
+  stream.liveTranslations.forEach((translations) => {
+    Array.from(translations.entries()).forEach(([key, translation]) => {
+      if (keptKeys.has(key)) return;
+      if (keptFirstItemIds.has(translation.firstItemId)) return;
+      translations.delete(key);
+    });
+  });
+  stream.liveTranslationFailures?.forEach((failures) => {
+    Array.from(failures.keys()).forEach((key) => {
+      if (!keptKeys.has(key)) {
+        failures.delete(key);
+      }
+    });
+  });
+}
+
+function getLiveTranslationFailure(stream, languageId, line) {
+  const failure = stream.liveTranslationFailures?.get(languageId)?.get(line.key);
+  return failure?.sourceText === line.text ? failure : null;
+}
+
+// Failed lines back off on their own, doubling the wait per failed attempt,
+// and are given up after LIVE_TRANSLATION_MAX_ATTEMPTS so that a line the
+// model keeps dropping cannot hold back the lines finalized after it.
+function recordLiveTranslationFailure(stream, languageId, line) {
+  if (!stream.liveTranslationFailures.has(languageId)) {
+    stream.liveTranslationFailures.set(languageId, new Map());
+  }
+  const attemptCount =
+    (getLiveTranslationFailure(stream, languageId, line)?.attemptCount || 0) + 1;
+  stream.liveTranslationFailures.get(languageId).set(line.key, {
+    sourceText: line.text,
+    attemptCount,
+    retryAt:
+      Date.now() +
+      Math.min(
+        LIVE_TRANSLATION_DEBOUNCE_MS * 2 ** attemptCount,
+        LIVE_TRANSLATION_MAX_RETRY_DELAY_MS,
+      ),
+  });
+}
+
+function getPendingLiveTranslationLines(stream, languageId) {
+  const translations = stream.liveTranslations.get(languageId);
+  return stream.finalizedLines.filter((line) => {
+    if (!line.text || translations?.get(line.key)?.sourceText === line.text) {
+      return false;
+    }
+    const failure = getLiveTranslationFailure(stream, languageId, line);
+    return !failure || failure.attemptCount < LIVE_TRANSLATION_MAX_ATTEMPTS;
+  });
+}
+
+function isLiveTranslationLineDue(stream, languageId, line, now = Date.now()) {
+  const failure = getLiveTranslationFailure(stream, languageId, line);
+  return !failure || failure.retryAt <= now;
+}
+
+function scheduleLiveTranslation(stream) {
+  if (
+    !stream?.liveTranslations ||
+    stream.closing ||
+    stream.liveTranslationInFlight
+  ) {
+    return;
+  }
+  // New lines go out after the usual debounce; when only failed lines are
+  // left, the next round waits for the earliest of their retries. A round
+  // already waiting on a retry is brought forward when a new line arrives.
+  const now = Date.now();
+  let nextRunAt = null;
+  getLiveTranslationTargets(stream).forEach(({ language, sameAsSpoken }) => {
+    if (sameAsSpoken) return;
+    getPendingLiveTranslationLines(stream, language.id).forEach((line) => {
+      const retryAt =
+        getLiveTranslationFailure(stream, language.id, line)?.retryAt || now;
+      nextRunAt = nextRunAt === null ? retryAt : Math.min(nextRunAt, retryAt);
+    });
+  });
+  if (nextRunAt === null) return;
+  const runAt = Math.max(nextRunAt, now + LIVE_TRANSLATION_DEBOUNCE_MS);
+  if (stream.liveTranslationTimer) {
+    if (stream.liveTranslationRunAt <= runAt) return;
+    clearLiveTranslationTimer(stream);
+  }
+
+  stream.liveTranslationRunAt = runAt;
+  stream.liveTranslationTimer = setTimeout(() => {
+    stream.liveTranslationTimer = null;
+    runLiveTranslation(stream).catch((error) => {
+      console.warn('Live translation failed:', error);
+    });
+  }, runAt - now);
+}
+
+// Only the newest due lines are sent each round. A line is marked as handled
+// only once its translation arrives; failed lines stay pending and are
+// retried on their own backoff (see recordLiveTranslationFailure).
+async function runLiveTranslation(stream) {
+  const isCurrent = () =>
+    transcriptionStreams.get(stream.sessionId) === stream && !stream.closing;
+  const session = getSession(stream.sessionId);
+  if (!session || !isCurrent()) return;
+
+  const spokenBaseCode = getBaseLanguageCode(stream.language || '');
+  const sourceLanguage =
+    session.languages.find(
+      (language) =>
+        spokenBaseCode && getBaseLanguageCode(language.code) === spokenBaseCode,
+    ) || (stream.language ? { name: stream.language, code: '' } : null);
+  const toPromptLine = (line) => ({
+    text: line.text,
+    type: LINE_TYPES.DIALOGUE,
+    role: null,
+  });
+
+  let translated = false;
+  let errorMessage = '';
+  stream.liveTranslationInFlight = true;
+  try {
+    const provider = createSessionLlmProvider(session, stream.apiKey);
+    for (const { language, sameAsSpoken } of getLiveTranslationTargets(stream)) {
+      if (sameAsSpoken || !isCurrent()) continue;
+      const translations =
+        stream.liveTranslations.get(language.id) || new Map();
+      stream.liveTranslations.set(language.id, translations);
+      const now = Date.now();
+      const lines = getPendingLiveTranslationLines(stream, language.id)
+        .filter((line) => isLiveTranslationLineDue(stream, language.id, line, now))
+        .slice(-LIVE_TRANSLATION_BATCH_LINES);
+      if (lines.length === 0) continue;
+
+      const firstIndex = stream.finalizedLines.indexOf(lines[0]);
+      const contextBefore = stream.finalizedLines
+        .slice(Math.max(0, firstIndex - LIVE_TRANSLATION_CONTEXT_LINES), firstIndex)
+        .filter((line) => line.text);
+      const glossaryEntries = findGlossaryEntriesInText(
+        session.glossary,
+        [...contextBefore, ...lines].map((line) => line.text),
+      );
+      let texts;
+      try {
+        texts = await translateLineBatchWithOpenAI({
+          provider,
+          lines: lines.map(toPromptLine),
+          contextBefore: contextBefore.map(toPromptLine),
+          sourceLanguage,
+          targetLanguage: language,
+          glossaryPrompt: describeGlossaryForPrompt(
+            glossaryEntries,
+            language.id,
+          ).join('\n'),
+        });
+      } catch (error) {
+        console.warn('Live translation request failed:', error);
+        lines.forEach((line) =>
+          recordLiveTranslationFailure(stream, language.id, line),
+        );
+        errorMessage =
+          sanitizeLineText(error?.message || '') || '即時翻譯失敗';
+        continue;
+      }
+      lines.forEach((line, index) => {
+        const text = sanitizeTranscriptionText(texts[index] || '');
+        if (!text) {
+          recordLiveTranslationFailure(stream, language.id, line);
+          return;
+        }
+        stream.liveTranslationFailures.get(language.id)?.delete(line.key);
+        translations.set(line.key, {
+          sourceText: line.text,
+          text,
+          firstItemId: line.itemIds[0],
+        });
+        translated = true;
+      });
+    }
+  } catch (error) {
+    console.warn('Live translation failed:', error);
+    errorMessage = sanitizeLineText(error?.message || '') || '即時翻譯失敗';
+    getLiveTranslationTargets(stream).forEach(({ language, sameAsSpoken }) => {
+      if (sameAsSpoken) return;
+      getPendingLiveTranslationLines(stream, language.id)
+        .filter((line) => isLiveTranslationLineDue(stream, language.id, line))
+        .forEach((line) => recordLiveTranslationFailure(stream, language.id, line));
+    });
+  } finally {
+    stream.liveTranslationInFlight = false;
+  }
+
+  if (!isCurrent()) return;
+  const state = ensureTranscriptionState(session);
+  if (state.liveTranslationError !== errorMessage) {
+    updateTranscriptionState(stream.sessionId, {
+      liveTranslationError: errorMessage,
+    });
+    broadcastTranscriptionState(stream.sessionId);
+  }
+  if (translated) {
+    broadcastViewerState(stream.sessionId);
+  }
+  scheduleLiveTranslation(stream);
+}
+
+function buildLiveTranslationEntries(stream, displayEntries) {
+  const entriesByLanguage = {};
+  getLiveTranslationTargets(stream).forEach(({ language, sameAsSpoken }) => {
+    entriesByLanguage[language.id] = displayEntries.flatMap((entry) => {
+      const text = sameAsSpoken
+        ? entry.text
+        : findLiveTranslation(stream, language.id, entry)?.text || '';
+      return text
+        ? [{ text, speakerId: entry.speakerId, isFinal: entry.isFinal }]
+        : [];
+    });
+  });
+  return entriesByLanguage;
+}
+
 function refreshGroupedTranscriptionLines(stream) {
   if (!stream) {
     return [];
@@ -5078,6 +7214,7 @@ function refreshGroupedTranscriptionLines(stream) {
         currentText,
         previousFragment,
         nextFragment: fragment,
+        languageCode: stream.language,
       })
     ) {
       builtLines.push(buildDisplayLineFromFragments(stream, currentGroup));
@@ -5118,6 +7255,9 @@ function refreshGroupedTranscriptionLines(stream) {
     stream.mergedLineOverrides.delete(key);
   });
 
+  pruneLiveTranslations(stream);
+  scheduleLiveTranslation(stream);
+
   return keptLines;
 }
 
@@ -5128,6 +7268,7 @@ function buildTranscriptionDisplayEntries(stream) {
 
   const historyEntries = refreshGroupedTranscriptionLines(stream)
     .map((line) => ({
+      key: line.key,
       text: sanitizeTranscriptionText(line?.text || ''),
       speakerId: Number.isInteger(line?.speakerId) ? line.speakerId : null,
       isFinal: true,
@@ -5164,6 +7305,7 @@ function buildTranscriptionDisplayEntries(stream) {
     currentText: currentLine.text,
     previousFragment: lastFragment,
     nextFragment: { text: draftText },
+    languageCode: stream.language,
   });
 
   if (shouldStartNewLine) {
@@ -5179,6 +7321,7 @@ function buildTranscriptionDisplayEntries(stream) {
 
   const mergedEntries = historyEntries.slice(0, -1);
   mergedEntries.push({
+    key: currentLine.key,
     text: joinTranscriptionTexts(currentLine.text, draftText),
     speakerId: currentLine.speakerId,
     isFinal: false,
@@ -5232,10 +7375,14 @@ async function correctTranscriptionLine({
   text,
   language,
   transcriptionContext,
+  glossary = [],
 }) {
-  const original = normalizeTranscriptionOutputText(text, language);
+  const original = normalizeTranscriptionOutputText(text, language, '', glossary);
   if (!original) return '';
   const normalizedContext = normalizeTranscriptionContext(transcriptionContext);
+  const glossaryPrompt = buildTranscriptionGlossaryPrompt(glossary, {
+    withAliases: true,
+  });
 
   const prompt = [
     {
@@ -5255,6 +7402,7 @@ async function correctTranscriptionLine({
 ${language ? `5. 目標語言代碼：${language}` : ''}
 ${shouldPreferTraditionalChinese(language) ? '6. 若輸出為中文，請一律使用繁體中文（台灣用字）。' : ''}
 ${normalizedContext ? `7. 以下是本段內容的主題、關鍵詞與專有名詞參考；僅在能幫助修正明顯辨識錯誤時採用，不要硬套：\n${normalizedContext}` : ''}
+${glossaryPrompt ? `8. 以下固定用語出現時必須使用這個寫法，聽成或寫成別名時請改回：\n${glossaryPrompt}` : ''}
 
 原句：
 ${original}
@@ -5272,6 +7420,8 @@ ${original}
   const output = normalizeTranscriptionOutputText(
     response.output_text || '',
     language,
+    '',
+    glossary,
   );
   if (!output) return '';
   if (output.length > Math.max(original.length * 2, 80)) {
@@ -5286,6 +7436,7 @@ async function transcribeAccurateSegmentLine({
   language,
   dualChannelEnabled,
   transcriptionContext,
+  glossary = [],
 }) {
   if (!dualChannelEnabled) return '';
   if (!isAccurateSegmentEligible(segment)) return '';
@@ -5302,6 +7453,7 @@ async function transcribeAccurateSegmentLine({
   const promptText = buildAccurateTranscriptionPrompt({
     language,
     transcriptionContext,
+    glossary,
   });
   const response = await client.audio.transcriptions.create({
     file: audioFile,
@@ -5312,7 +7464,7 @@ async function transcribeAccurateSegmentLine({
 
   const rawText =
     typeof response === 'string' ? response : response?.text || '';
-  return normalizeTranscriptionOutputText(rawText, language, promptText);
+  return normalizeTranscriptionOutputText(rawText, language, promptText, glossary);
 }
 
 function shouldApplyAccurateReplacement(currentText, candidateText) {
@@ -5390,6 +7542,7 @@ function queueTranscriptionCorrection({
             language,
             dualChannelEnabled,
             transcriptionContext: stream.transcriptionContext,
+            glossary: stream.glossary,
           });
           if (!isCurrent() || stream.closing) return;
           if (shouldApplyAccurateReplacement(nextText, refined)) {
@@ -5409,6 +7562,7 @@ function queueTranscriptionCorrection({
             text: nextText,
             language,
             transcriptionContext: stream.transcriptionContext,
+            glossary: stream.glossary,
           });
           if (!isCurrent() || stream.closing) return;
           if (corrected && corrected !== nextText) {
@@ -5485,6 +7639,7 @@ function queueMergedLineCorrection({
             language,
             dualChannelEnabled,
             transcriptionContext: stream.transcriptionContext,
+            glossary: stream.glossary,
           });
           if (!isCurrent() || stream.closing) return;
           if (shouldApplyAccurateReplacement(nextText, refined)) {
@@ -5504,6 +7659,7 @@ function queueMergedLineCorrection({
             text: nextText,
             language,
             transcriptionContext: stream.transcriptionContext,
+            glossary: stream.glossary,
           });
           if (!isCurrent() || stream.closing) return;
           if (corrected && corrected !== nextText) {
@@ -5964,6 +8120,10 @@ function getPublicTranscriptionState(session) {
       typeof state.error === 'string' && state.error.trim().length > 0
         ? state.error
         : '',
+    liveTranslationError:
+      typeof state.liveTranslationError === 'string'
+        ? state.liveTranslationError
+        : '',
     updatedAt:
       typeof state.updatedAt === 'number' && Number.isFinite(state.updatedAt)
         ? state.updatedAt
@@ -6022,6 +8182,7 @@ function stopTranscriptionStream(sessionId, options = {}) {
   stream.closing = true;
   stream.ready = false;
   clearRealtimeForceCommitTimer(stream);
+  clearLiveTranslationTimer(stream);
   resetRealtimePendingAudio(stream);
   resetRealtimeCommitState(stream);
   resetAccurateTranscriptionState(stream);
@@ -6488,6 +8649,7 @@ function buildRealtimeTranscriptionSessionUpdate({
   language,
   semanticSegmentationEnabled,
   transcriptionContext,
+  glossary = [],
 }) {
   const transcription = {
     model,
@@ -6496,6 +8658,7 @@ function buildRealtimeTranscriptionSessionUpdate({
   const promptText = buildRealtimeTranscriptionPrompt({
     language,
     transcriptionContext,
+    glossary,
   });
   if (promptText) {
     transcription.prompt = promptText;
@@ -6547,6 +8710,11 @@ function flushQueuedRealtimeAudio(stream) {
 function toPublicLine(line) {
   if (!line || typeof line !== 'object') return null;
   const text = sanitizeLineText(line.text || '');
+  const translations = normalizeTranslationsMap(
+    line.translations,
+    'primary',
+    text,
+  );
   return {
     id:
       typeof line.id === 'string' && line.id.trim()
@@ -6559,10 +8727,22 @@ function toPublicLine(line) {
         : LINE_TYPES.DIALOGUE,
     music: line.music === true,
     role: normalizeRoleName(line.role) || null,
-    translations: normalizeTranslationsMap(
-      line.translations,
-      'primary',
-      text,
+    translations,
+  };
+}
+
+// Control-only line fields: cue timings, playback lengths and which
+// translations are still machine drafts stay off viewer and projector payloads.
+function toControlLine(line) {
+  const publicLine = toPublicLine(line);
+  if (!publicLine) return null;
+  return {
+    ...publicLine,
+    timings: normalizeLineTimings(line.timings),
+    durationMs: normalizeLineDurationMs(line.durationMs),
+    machineDrafted: normalizeMachineDraftedLanguageIds(
+      line.machineDrafted,
+      publicLine.translations,
     ),
   };
 }
@@ -6596,8 +8776,30 @@ function getSessionSummary(session) {
     endedAt: normalized.endedAt,
     selectedCellId: normalized.selectedCellId,
     subtitleControlMode: normalized.subtitleControlMode,
+    standbyEnabled: normalized.standbyEnabled,
     roleColorEnabled: normalized.roleColorEnabled,
     musicEffectEnabled: normalized.musicEffectEnabled,
+    llmProvider: toPublicLlmProviderConfig(normalized.llmProvider),
+    scriptRules: normalized.scriptRules,
+    roleAliases: normalized.roleAliases,
+    lineLengthProfiles: normalized.lineLengthProfiles,
+    glossary: normalized.glossary,
+    liveTranslationLanguageIds: normalized.liveTranslationLanguageIds,
+    showRun: summarizeShowRun(getActiveShowRun(normalized.showLog)),
+    cueInput: normalized.cueInput,
+    apiTokens: normalized.apiTokens.map((token) => toPublicApiToken(token)),
+    webhooks: normalized.webhooks.map((webhook) =>
+      toPublicWebhook(
+        webhook,
+        webhookStates.get(normalized.id)?.deliveries.get(webhook.id) || null,
+      ),
+    ),
+    lineLengthDefaults: Object.fromEntries(
+      normalized.languages.map((language) => [
+        language.id,
+        getDefaultLineLengthProfile(language.code),
+      ]),
+    ),
     viewerDefaultLanguageId: normalized.viewerDefaultLanguageId,
     projectorDefaultLanguageId: normalized.projectorDefaultLanguageId,
     projectorDisplayMode: normalized.projectorDisplayMode,
@@ -6616,7 +8818,7 @@ function getSessionSummary(session) {
 
 function getControlPayload(session) {
   const normalized = ensureSessionStructure(session);
-  const lines = ensureSessionLines(normalized).map((line) => toPublicLine(line));
+  const lines = ensureSessionLines(normalized).map((line) => toControlLine(line));
   const selectedCell = getSelectedCell(normalized);
   return {
     sessionId: normalized.id,
@@ -6641,6 +8843,10 @@ function getControlPayload(session) {
     },
     transcription: getPublicTranscriptionState(normalized),
     autoFollow: getPublicAutoFollowState(normalized),
+    timedPlayback: getPublicTimedPlaybackState(normalized),
+    standby: getPublicStandbyState(normalized),
+    cueInputMonitor: getPublicCueInputState(normalized),
+    scriptJobs: listSessionScriptJobs(normalized.id),
     history: {
       canUndo: canUndoSession(normalized),
       canRedo: canRedoSession(normalized),
@@ -6703,15 +8909,24 @@ function getSessionDisplayState(session) {
   const liveText = sanitizeTranscriptionMultilineText(transcription.text);
   const hasLiveText = transcription.active && liveText.length > 0;
   const activeStream = transcriptionStreams.get(normalized.id);
-  const liveEntries = hasLiveText
+  const displayEntries = hasLiveText
     ? buildTranscriptionDisplayEntries(activeStream)
         .map((entry) => ({
+          key: entry?.key || null,
           text: sanitizeTranscriptionText(entry?.text || ''),
           speakerId: Number.isInteger(entry?.speakerId) ? entry.speakerId : null,
           isFinal: entry?.isFinal !== false,
         }))
         .filter((entry) => entry.text)
     : [];
+  const liveEntries = displayEntries.map(({ text, speakerId, isFinal }) => ({
+    text,
+    speakerId,
+    isFinal,
+  }));
+  const liveEntriesByLanguage = hasLiveText
+    ? buildLiveTranslationEntries(activeStream, displayEntries)
+    : {};
   const liveLines = hasLiveText
     ? (liveEntries.length > 0
         ? liveEntries.map((entry) => entry.text)
@@ -6731,6 +8946,7 @@ function getSessionDisplayState(session) {
     normalized,
     activeScriptLine,
     liveEntries,
+    liveEntriesByLanguage,
     liveLines,
     liveText,
     hasLiveText,
@@ -6745,6 +8961,7 @@ function getViewerPayload(session) {
     normalized,
     activeScriptLine,
     liveEntries,
+    liveEntriesByLanguage,
     liveLines,
     liveText,
     hasLiveText,
@@ -6772,6 +8989,7 @@ function getViewerPayload(session) {
       line: null,
       text: '',
       liveEntries: [],
+      liveEntriesByLanguage: {},
       liveLines: [],
       musicActive: false,
       musicText: '',
@@ -6797,6 +9015,7 @@ function getViewerPayload(session) {
       },
       text: liveText,
       liveEntries,
+      liveEntriesByLanguage,
       liveLines,
       musicActive,
       musicText,
@@ -6821,6 +9040,7 @@ function getViewerPayload(session) {
         ? ''
         : activeScriptLine?.text || '',
     liveEntries: [],
+    liveEntriesByLanguage: {},
     liveLines: [],
     musicActive,
     musicText,
@@ -6836,6 +9056,7 @@ function getProjectorPayload(session) {
     normalized,
     activeScriptLine,
     liveEntries,
+    liveEntriesByLanguage,
     liveLines,
     liveText,
     hasLiveText,
@@ -6860,6 +9081,7 @@ function getProjectorPayload(session) {
       line: null,
       text: '',
       liveEntries: [],
+      liveEntriesByLanguage: {},
       liveLines: [],
       musicActive: false,
       musicText: '',
@@ -6888,6 +9110,7 @@ function getProjectorPayload(session) {
         },
         text: liveText,
         liveEntries,
+        liveEntriesByLanguage,
         liveLines,
         musicActive: false,
         musicText: '',
@@ -6915,6 +9138,7 @@ function getProjectorPayload(session) {
         ? ''
         : activeScriptLine?.text || '',
     liveEntries: [],
+    liveEntriesByLanguage: {},
     liveLines: [],
     musicActive,
     musicText,
@@ -7113,2347 +9337,5624 @@ function broadcastViewerState(sessionId) {
   );
 }
 
-function applyCurrentIndexChange(session, nextIndex, options = {}) {
-  if (!session) return false;
-  const manualOverride = options.manualOverride === true;
-  if (
-    manualOverride &&
-    session.subtitleControlMode !== SUBTITLE_CONTROL_MODES.MANUAL
-  ) {
-    session.subtitleControlMode = SUBTITLE_CONTROL_MODES.MANUAL;
-    resetAutoFollowState(session.id);
-  }
-
-  if (
-    !Number.isInteger(nextIndex) ||
-    nextIndex < 0 ||
-    nextIndex >= session.lines.length ||
-    nextIndex === session.currentIndex
-  ) {
-    if (manualOverride) {
-      persistSession(session);
-      broadcastControlState(session.id);
-    }
-    return false;
-  }
-
-  session.currentIndex = nextIndex;
-  persistSessionCurrentIndexSoon(session);
-  broadcastViewerState(session.id);
-  broadcastControlState(session.id);
-  return true;
-}
-
-function createAutoFollowState() {
+function toPublicScriptJob(job) {
   return {
-    status: AUTO_FOLLOW_STATUS.IDLE,
-    listening: false,
-    started: false,
-    waitingForRelease: false,
-    lastAudioLevel: 0,
-    lastAudioAt: null,
-    lastAudioDiagnosticBroadcastAt: null,
-    lastOnsetAt: null,
-    lastAdvancedAt: null,
-    lastVerifiedAt: null,
-    lastHeardText: '',
-    lastCandidateIndex: null,
-    lastCandidateText: '',
-    confidence: null,
-    message: '',
-    updatedAt: null,
+    id: job.id,
+    kind: job.kind,
+    cellId: job.cellId,
+    languageId: job.languageId,
+    status: job.status,
+    progress: { ...job.progress },
+    parsedLineCount: job.parsedLineCount,
+    cacheStats: job.cacheStats,
+    warning: job.warning,
+    error: job.error,
+    details: job.details,
+    code: job.code,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
   };
 }
 
-function getAutoFollowState(sessionId) {
-  const key =
-    typeof sessionId === 'string' && sessionId.trim()
-      ? sessionId.trim()
-      : DEFAULT_SESSION_ID;
-  if (!autoFollowStates.has(key)) {
-    autoFollowStates.set(key, createAutoFollowState());
-  }
-  return autoFollowStates.get(key);
+function listSessionScriptJobs(sessionId) {
+  return Array.from(scriptJobs.values())
+    .filter((job) => job.sessionId === sessionId)
+    .sort((left, right) => right.createdAt - left.createdAt)
+    .map((job) => toPublicScriptJob(job));
 }
 
-function resetAutoFollowState(sessionId, patch = {}) {
-  const nextState = {
-    ...createAutoFollowState(),
-    ...patch,
-    updatedAt: Date.now(),
-  };
-  autoFollowStates.set(sessionId, nextState);
-  return nextState;
+function pruneScriptJobs(sessionId) {
+  const now = Date.now();
+  let sessionJobCount = 0;
+  Array.from(scriptJobs.values())
+    .filter((job) => job.status !== SCRIPT_JOB_STATUSES.RUNNING)
+    .sort((left, right) => right.createdAt - left.createdAt)
+    .forEach((job) => {
+      if (job.sessionId === sessionId) {
+        sessionJobCount += 1;
+      }
+      const expired = now - job.finishedAt >= SCRIPT_JOB_RETENTION_MS;
+      const overLimit =
+        job.sessionId === sessionId &&
+        sessionJobCount > MAX_SCRIPT_JOBS_PER_SESSION;
+      if (expired || overLimit) {
+        scriptJobs.delete(job.id);
+      }
+    });
 }
 
-function getPublicAutoFollowState(session) {
-  const state = getAutoFollowState(session.id);
-  const autoEnabled =
-    session.subtitleControlMode === SUBTITLE_CONTROL_MODES.AUTO;
-  return {
-    status: autoEnabled ? state.status : AUTO_FOLLOW_STATUS.IDLE,
-    listening: autoEnabled && state.listening === true,
-    started: state.started === true,
-    lastAudioLevel: Number.isFinite(state.lastAudioLevel)
-      ? Number(state.lastAudioLevel.toFixed(4))
-      : 0,
-    lastAudioAt: state.lastAudioAt,
-    triggerThreshold: AUTO_FOLLOW_AUDIO_LEVEL_THRESHOLD,
-    releaseThreshold: AUTO_FOLLOW_AUDIO_RELEASE_THRESHOLD,
-    lastOnsetAt: state.lastOnsetAt,
-    lastAdvancedAt: state.lastAdvancedAt,
-    lastVerifiedAt: state.lastVerifiedAt,
-    lastHeardText: state.lastHeardText,
-    lastCandidateIndex: state.lastCandidateIndex,
-    lastCandidateText: state.lastCandidateText,
-    confidence: Number.isFinite(state.confidence)
-      ? Number(state.confidence.toFixed(3))
-      : null,
-    message: state.message,
-    updatedAt: state.updatedAt,
+function findActiveScriptJob(sessionId, cellId, languageId) {
+  return (
+    Array.from(scriptJobs.values()).find(
+      (job) =>
+        job.sessionId === sessionId &&
+        job.cellId === cellId &&
+        job.languageId === languageId &&
+        job.status === SCRIPT_JOB_STATUSES.RUNNING,
+    ) || null
+  );
+}
+
+function broadcastScriptJob(job) {
+  io.to(`control:${job.sessionId}`).emit(
+    'control:script-job',
+    toPublicScriptJob(job),
+  );
+}
+
+function throwIfScriptJobCancelled(signal) {
+  if (!signal?.aborted) return;
+  const error = new Error('解析工作已取消');
+  error.code = 'SCRIPT_JOB_CANCELLED';
+  throw error;
+}
+
+// Jobs outlive the HTTP request that started them, so the result is written
+// into the cell and broadcast even if the requesting tab has gone away.
+function startScriptJob({ session, kind, cellId, languageId, run }) {
+  pruneScriptJobs(session.id);
+  const now = Date.now();
+  const controller = new AbortController();
+  const job = {
+    id: generateId('job'),
+    sessionId: session.id,
+    kind,
+    cellId,
+    languageId,
+    status: SCRIPT_JOB_STATUSES.RUNNING,
+    progress: { completed: 0, total: 0 },
+    parsedLineCount: 0,
+    cacheStats: null,
+    warning: '',
+    error: '',
+    details: '',
+    code: '',
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    controller,
+  };
+  scriptJobs.set(job.id, job);
+
+  const onProgress = ({ completed, total }) => {
+    job.progress = { completed, total };
+    job.updatedAt = Date.now();
+    broadcastScriptJob(job);
   };
+
+  Promise.resolve()
+    .then(() => run({ signal: controller.signal, onProgress }))
+    .then((result) => {
+      job.status = SCRIPT_JOB_STATUSES.COMPLETED;
+      job.parsedLineCount = result?.parsedLineCount || 0;
+      job.cacheStats = result?.cacheStats || null;
+      job.warning = result?.warning || '';
+    })
+    .catch((error) => {
+      if (controller.signal.aborted) {
+        job.status = SCRIPT_JOB_STATUSES.CANCELLED;
+        return;
+      }
+      console.error(`Script job ${job.id} failed:`, error);
+      job.status = SCRIPT_JOB_STATUSES.FAILED;
+      job.error = SCRIPT_JOB_FAILURE_MESSAGES[kind];
+      job.details = error?.message || '';
+      job.code = error?.code || 'UNKNOWN';
+    })
+    .finally(() => {
+      job.controller = null;
+      job.finishedAt = Date.now();
+      job.updatedAt = job.finishedAt;
+      broadcastScriptJob(job);
+    });
+
+  broadcastScriptJob(job);
+  return job;
 }
 
-function updateAutoFollowState(sessionId, patch = {}) {
-  const state = getAutoFollowState(sessionId);
-  Object.assign(state, patch, { updatedAt: Date.now() });
-  return state;
+function cancelScriptJob(job) {
+  if (job.status !== SCRIPT_JOB_STATUSES.RUNNING || !job.controller) {
+    return false;
+  }
+  job.controller.abort();
+  return true;
 }
 
-function maybeBroadcastAutoFollowDiagnostics(sessionId, now = Date.now()) {
-  const state = getAutoFollowState(sessionId);
+function getShowLogOperator(user) {
+  const serialized = serializeUser(user);
+  return serialized ? { id: serialized.id, name: serialized.username } : null;
+}
+
+// Appends the line now on screen to the run being recorded. Re-taking the line
+// already logged last (e.g. reselecting the same cell) adds nothing.
+function recordShowLogCue(session, { source, user = null, operator = null } = {}) {
+  const run = getActiveShowRun(session?.showLog);
+  if (!run) return null;
+  const line = session.lines[session.currentIndex];
+  if (!line) return null;
+  const lastEntry = run.entries[run.entries.length - 1];
   if (
-    state.lastAudioDiagnosticBroadcastAt &&
-    now - state.lastAudioDiagnosticBroadcastAt <
-      AUTO_FOLLOW_DIAGNOSTIC_BROADCAST_MS
+    lastEntry &&
+    lastEntry.cellId === session.selectedCellId &&
+    lastEntry.lineId === line.id
   ) {
-    return;
+    return null;
   }
-
-  state.lastAudioDiagnosticBroadcastAt = now;
-  broadcastTranscriptionState(sessionId);
+  return appendSessionShowLogEntry(session, SHOW_LOG_ENTRY_KINDS.CUE, line, {
+    source,
+    operator: operator || getShowLogOperator(user),
+  });
 }
 
-function normalizeAutoFollowMatchText(text) {
-  const sanitized = sanitizeLineText(text || '');
-  if (!sanitized) return '';
-  return sanitized
-    .replace(/^[^：:\n]{1,12}[：:]/u, '')
-    .replace(/[（(][^（）()]{0,80}[）)]/gu, '')
-    .replace(/[\s　"'“”‘’「」『』《》〈〉【】\[\]{}（）(),，、。．.；;：:！？!?…—\-]/gu, '')
-    .toLocaleLowerCase();
+// Blackouts and restores are logged against the line on screen at the time,
+// so a restore also marks where that line became visible again.
+function recordShowLogDisplayChange(
+  session,
+  displayEnabled,
+  { source, user = null, operator = null, at } = {},
+) {
+  if (!getActiveShowRun(session?.showLog)) return null;
+  return appendSessionShowLogEntry(
+    session,
+    displayEnabled ? SHOW_LOG_ENTRY_KINDS.RESTORE : SHOW_LOG_ENTRY_KINDS.BLACKOUT,
+    session.lines[session.currentIndex] || null,
+    { source, operator: operator || getShowLogOperator(user), at },
+  );
 }
 
-function getAutoFollowLineText(line) {
-  if (!line || line.type === LINE_TYPES.DIRECTION) return '';
-  const extracted = extractRoleFromDialogueText(line.text || '');
-  const text = extracted.role ? extracted.text : line.text || '';
-  return normalizeAutoFollowMatchText(text);
+function appendSessionShowLogEntry(session, kind, line, { source, operator, at }) {
+  const entry = appendShowLogEntry(session.showLog, {
+    ...(at ? { at } : {}),
+    kind,
+    cellId: session.selectedCellId,
+    lineId: line?.id,
+    index: session.currentIndex,
+    text: line?.text,
+    role: normalizeRoleName(line?.role) || null,
+    type: line ? clampLineType(line.type) : '',
+    source,
+    operatorId: operator?.id,
+    operator: operator?.name,
+  });
+  if (entry) {
+    markShowLogsChanged();
+  }
+  return entry;
 }
 
-function getAutoFollowDisplayText(line) {
-  if (!line) return '';
-  const extracted = extractRoleFromDialogueText(line.text || '');
-  return sanitizeLineText(extracted.role ? extracted.text : line.text || '');
+function getCueSnapshot(session) {
+  const line = session.lines[session.currentIndex];
+  if (!line) return null;
+  const cellIndex = session.cells.findIndex(
+    (cell) => cell.id === session.selectedCellId,
+  );
+  return {
+    cue: `${cellIndex + 1}.${session.currentIndex + 1}`,
+    cellId: session.selectedCellId,
+    cellName: session.cells[cellIndex]?.name || '',
+    cellNumber: cellIndex + 1,
+    index: session.currentIndex,
+    lineNumber: session.currentIndex + 1,
+    lineCount: session.lines.length,
+    lineId: line.id,
+    text: line.text,
+    role: normalizeRoleName(line.role) || null,
+    type: clampLineType(line.type),
+    translations: Object.fromEntries(
+      session.languages
+        .filter((language) => !language.isPrimary)
+        .map((language) => [language.id, getLineLanguageText(line, language.id)]),
+    ),
+  };
 }
 
-function findAutoDialogueIndexAtOrAfter(session, startIndex) {
-  const lines = ensureSessionLines(session);
-  const start = Math.max(0, Number.isInteger(startIndex) ? startIndex : 0);
-  for (let index = start; index < lines.length; index += 1) {
-    if (getAutoFollowLineText(lines[index])) return index;
-  }
-  return null;
+// Everything that follows the subtitle cursor: the show log and cue webhooks.
+function recordCueChange(session, options = {}) {
+  recordShowLogCue(session, options);
+  const snapshot = getCueSnapshot(session);
+  if (!snapshot) return;
+  const state = getWebhookState(session.id);
+  const cueKey = `${snapshot.cellId}:${snapshot.lineId}`;
+  if (state.lastCueKey === cueKey) return;
+  state.lastCueKey = cueKey;
+  dispatchWebhookEvent(session, WEBHOOK_EVENTS.CUE_CHANGED, {
+    ...snapshot,
+    source: options.source || SHOW_LOG_SOURCES.MANUAL,
+  });
 }
 
-function findAutoDialogueIndexAfter(session, startIndex) {
-  const start = Number.isInteger(startIndex) ? startIndex + 1 : 0;
-  return findAutoDialogueIndexAtOrAfter(session, start);
+// Control clients can only report how the operator moved the cue; the other
+// sources are set by the server itself.
+function getSocketCueSource(rawSource) {
+  return rawSource === SHOW_LOG_SOURCES.KEYBOARD
+    ? SHOW_LOG_SOURCES.KEYBOARD
+    : SHOW_LOG_SOURCES.MANUAL;
 }
 
-function findImmediateDirectionIndexAfter(session, startIndex) {
-  const lines = ensureSessionLines(session);
-  const nextIndex = Number.isInteger(startIndex) ? startIndex + 1 : 0;
+// In timed mode a manual cue does not take over: it resyncs the clock to the
+// line the operator picked, and re-picking the current line restarts it.
+function applyCurrentIndexChange(session, nextIndex, options = {}) {
+  if (!session) return false;
+  const manualOverride = options.manualOverride === true;
+  const timedMode =
+    session.subtitleControlMode === SUBTITLE_CONTROL_MODES.TIMED;
   if (
-    nextIndex >= 0 &&
-    nextIndex < lines.length &&
-    lines[nextIndex]?.type === LINE_TYPES.DIRECTION
+    manualOverride &&
+    session.subtitleControlMode === SUBTITLE_CONTROL_MODES.AUTO
   ) {
-    return nextIndex;
+    session.subtitleControlMode = SUBTITLE_CONTROL_MODES.MANUAL;
+    resetAutoFollowState(session.id);
   }
-  return null;
-}
 
-function scoreAutoFollowText(heardText, targetText) {
-  const heard = normalizeAutoFollowMatchText(heardText);
-  const target = normalizeAutoFollowMatchText(targetText);
   if (
-    heard.length < AUTO_FOLLOW_VERIFY_MIN_TEXT_LENGTH ||
-    target.length < AUTO_FOLLOW_VERIFY_MIN_TEXT_LENGTH
+    !Number.isInteger(nextIndex) ||
+    nextIndex < 0 ||
+    nextIndex >= session.lines.length ||
+    nextIndex === session.currentIndex
   ) {
-    return 0;
+    if (manualOverride) {
+      if (timedMode && nextIndex === session.currentIndex) {
+        resetTimedPlaybackClock(session);
+      }
+      persistSession(session);
+      broadcastControlState(session.id);
+    }
+    return false;
   }
-  if (heard === target) return 1;
 
-  const shorter = heard.length <= target.length ? heard : target;
-  const longer = heard.length > target.length ? heard : target;
-  if (longer.startsWith(shorter)) {
-    return Math.min(0.96, 0.72 + shorter.length / Math.max(longer.length, 1) * 0.24);
-  }
-  if (longer.includes(shorter)) {
-    return Math.min(0.9, 0.58 + shorter.length / Math.max(longer.length, 1) * 0.26);
+  session.currentIndex = nextIndex;
+  session.standbyLineId = null;
+  if (timedMode) {
+    resetTimedPlaybackClock(session);
   }
+  recordCueChange(session, options);
+  persistSessionCurrentIndexSoon(session);
+  broadcastViewerState(session.id);
+  broadcastControlState(session.id);
+  return true;
+}
 
-  const targetChars = new Map();
-  Array.from(target).forEach((char) => {
-    targetChars.set(char, (targetChars.get(char) || 0) + 1);
+function shiftCurrentIndex(session, delta, options = {}) {
+  const nextIndex = Math.min(
+    Math.max(session.currentIndex + (delta || 0), 0),
+    Math.max(session.lines.length - 1, 0),
+  );
+  return applyCurrentIndexChange(session, nextIndex, options);
+}
+
+function applyDisplayEnabledChange(
+  session,
+  displayEnabled,
+  { source, user = null, operator = null } = {},
+) {
+  const nextEnabled = Boolean(displayEnabled);
+  if (session.displayEnabled === nextEnabled) return false;
+  session.displayEnabled = nextEnabled;
+  recordShowLogDisplayChange(session, nextEnabled, {
+    source: source || SHOW_LOG_SOURCES.MANUAL,
+    user,
+    operator,
   });
-  let overlap = 0;
-  Array.from(heard).forEach((char) => {
-    const count = targetChars.get(char) || 0;
-    if (count > 0) {
-      overlap += 1;
-      targetChars.set(char, count - 1);
-    }
+  persistSession(session);
+  broadcastControlState(session.id);
+  broadcastViewerState(session.id);
+  dispatchWebhookEvent(session, WEBHOOK_EVENTS.DISPLAY_CHANGED, {
+    displayEnabled: nextEnabled,
+    source: source || SHOW_LOG_SOURCES.MANUAL,
   });
-  return overlap > 0 ? (2 * overlap) / (heard.length + target.length) : 0;
+  return true;
 }
 
-function findBestAutoFollowMatch(session, heardText) {
-  const lines = ensureSessionLines(session);
-  const heard = normalizeAutoFollowMatchText(heardText);
-  if (heard.length < AUTO_FOLLOW_VERIFY_MIN_TEXT_LENGTH || lines.length === 0) {
-    return null;
-  }
-
-  const from = Math.max(0, session.currentIndex - AUTO_FOLLOW_SEARCH_BEHIND);
-  const to = Math.min(
-    lines.length - 1,
-    session.currentIndex + AUTO_FOLLOW_SEARCH_AHEAD,
+function selectSessionCell(session, cell, options = {}) {
+  session.selectedCellId = cell.id;
+  session.standbyLineId = null;
+  session.currentIndex = Math.min(
+    session.currentIndex,
+    Math.max(cell.lines.length - 1, 0),
   );
-  let best = null;
-
-  for (let index = from; index <= to; index += 1) {
-    const target = getAutoFollowLineText(lines[index]);
-    if (!target) continue;
+  syncSelectedCellLines(session);
+  recordCueChange(session, options);
+  persistSession(session);
+  broadcastControlState(session.id);
+  broadcastViewerState(session.id);
+}
 
-    const distance = Math.abs(index - session.currentIndex);
-    const distancePenalty = Math.min(distance * 0.012, 0.12);
-    const score = Math.max(0, scoreAutoFollowText(heard, target) - distancePenalty);
-    if (!best || score > best.confidence) {
-      best = {
-        index,
-        confidence: score,
-        text: getAutoFollowDisplayText(lines[index]),
-      };
-    }
+function getWebhookState(sessionId) {
+  if (!webhookStates.has(sessionId)) {
+    webhookStates.set(sessionId, {
+      sequence: 0,
+      lastCueKey: '',
+      deliveries: new Map(),
+    });
   }
-
-  return best;
+  return webhookStates.get(sessionId);
 }
 
-function advanceAutoFollowToIndex(session, index, patch = {}) {
-  if (!Number.isInteger(index)) return false;
-  updateAutoFollowState(session.id, patch);
-  return applyCurrentIndexChange(session, index);
+// The sequence lets receivers drop an event that arrives after a newer one;
+// deliveries run in parallel and may retry.
+function buildWebhookPayload(session, event, data) {
+  const state = getWebhookState(session.id);
+  state.sequence += 1;
+  return {
+    id: generateId('evt'),
+    event,
+    sequence: state.sequence,
+    sessionId: session.id,
+    sessionTitle: session.title,
+    at: new Date().toISOString(),
+    data,
+  };
 }
 
-function advanceAutoFollowToFollowingDirection(session, fromIndex, patch = {}) {
-  const directionIndex = findImmediateDirectionIndexAfter(session, fromIndex);
-  if (!Number.isInteger(directionIndex)) return false;
+// Resolves with the delivery result; the control page only refreshes when the
+// webhook's health changes, not on every successful cue.
+async function sendWebhook(sessionId, webhook, payload) {
+  const delivery = await deliverWebhook(webhook, payload);
+  const state = webhookStates.get(sessionId);
+  if (!state) return delivery;
+  const previous = state.deliveries.get(webhook.id);
+  state.deliveries.set(webhook.id, delivery);
+  if (!previous || previous.ok !== delivery.ok || previous.error !== delivery.error) {
+    broadcastControlState(sessionId);
+  }
+  return delivery;
+}
 
-  const line = ensureSessionLines(session)[directionIndex];
-  return advanceAutoFollowToIndex(session, directionIndex, {
-    ...patch,
-    status: AUTO_FOLLOW_STATUS.ADVANCED,
-    lastAdvancedAt: Date.now(),
-    lastCandidateIndex: directionIndex,
-    lastCandidateText: getAutoFollowDisplayText(line),
-    message: '台詞已核對，已進到下一段舞台指示。',
+function dispatchWebhookEvent(session, event, data) {
+  const webhooks = session.webhooks.filter(
+    (webhook) => webhook.enabled && webhook.events.includes(event),
+  );
+  if (webhooks.length === 0) return;
+  const payload = buildWebhookPayload(session, event, data);
+  webhooks.forEach((webhook) => {
+    sendWebhook(session.id, webhook, payload).catch((error) => {
+      console.error('Webhook delivery failed:', error);
+    });
   });
 }
 
-function handleAutoFollowAudioLevel(sessionId, level) {
-  const session = getSession(sessionId);
-  if (!session || session.subtitleControlMode !== SUBTITLE_CONTROL_MODES.AUTO) {
-    return;
+// Standby is the line the next GO will put on screen. Unless the operator
+// picked one since the last cue change, it is the line after the live one.
+// A picked line is kept by id so edits that insert or remove rows cannot
+// move it; if the line itself is gone, the pick is dropped.
+function getStandbyIndex(session) {
+  if (session.standbyLineId) {
+    const pinnedIndex = session.lines.findIndex(
+      (line) => line.id === session.standbyLineId,
+    );
+    if (pinnedIndex >= 0) return pinnedIndex;
+    session.standbyLineId = null;
   }
+  const nextIndex = session.currentIndex + 1;
+  return nextIndex < session.lines.length ? nextIndex : null;
+}
 
-  const state = getAutoFollowState(sessionId);
-  const normalizedLevel = Number.isFinite(level) ? level : 0;
-  const now = Date.now();
-  const listeningPatch = {
-    listening: true,
-    lastAudioLevel: normalizedLevel,
-    lastAudioAt: now,
-    status:
-      state.status === AUTO_FOLLOW_STATUS.IDLE
-        ? AUTO_FOLLOW_STATUS.LISTENING
-        : state.status,
+function getPublicStandbyState(session) {
+  const index = getStandbyIndex(session);
+  return {
+    enabled: session.standbyEnabled,
+    index,
+    pinned: index !== null && Boolean(session.standbyLineId),
   };
+}
 
-  if (normalizedLevel <= AUTO_FOLLOW_AUDIO_RELEASE_THRESHOLD) {
-    updateAutoFollowState(sessionId, {
-      ...listeningPatch,
-      waitingForRelease: false,
-    });
-    maybeBroadcastAutoFollowDiagnostics(sessionId, now);
-    return;
+// Moving standby never touches viewers or the projector; only the control
+// pages are told.
+function setStandbyIndex(session, rawIndex) {
+  const index = Number.isInteger(rawIndex)
+    ? Math.min(Math.max(rawIndex, 0), Math.max(session.lines.length - 1, 0))
+    : null;
+  const lineId = index === null ? null : session.lines[index]?.id || null;
+  if (lineId === session.standbyLineId) return false;
+  session.standbyLineId = lineId;
+  persistSessionCurrentIndexSoon(session);
+  broadcastControlState(session.id);
+  return true;
+}
+
+function goStandby(session, options = {}) {
+  const index = getStandbyIndex(session);
+  if (index === null) return false;
+  // Cleared first so a standby pinned on the live line does not stick.
+  session.standbyLineId = null;
+  return applyCurrentIndexChange(session, index, {
+    ...options,
+    manualOverride: true,
+  });
+}
+
+function createTimedPlaybackState() {
+  return {
+    status: TIMED_PLAYBACK_STATUS.PAUSED,
+    timer: null,
+    lineIndex: null,
+    lineId: null,
+    lineDurationMs: 0,
+    remainingMs: 0,
+    deadlineAt: null,
+    updatedAt: null,
+  };
+}
+
+function getTimedPlaybackState(sessionId) {
+  if (!timedPlaybackStates.has(sessionId)) {
+    timedPlaybackStates.set(sessionId, createTimedPlaybackState());
+  }
+  return timedPlaybackStates.get(sessionId);
+}
+
+function clearTimedPlayback(sessionId) {
+  const state = timedPlaybackStates.get(sessionId);
+  if (state?.timer) {
+    clearTimeout(state.timer);
+  }
+  timedPlaybackStates.delete(sessionId);
+}
+
+// A duration entered or learned for the line wins; otherwise the recorded
+// media timing, and finally the same reading-speed estimate used for export.
+function getTimedLineDurationMs(session, index) {
+  const line = session.lines[index];
+  if (!line) return 0;
+  const durationMs = normalizeLineDurationMs(line.durationMs);
+  if (durationMs) return durationMs;
+  const timing = normalizeLineTiming(line.timings?.[getPrimaryLanguageId(session)]);
+  if (timing) {
+    return normalizeLineDurationMs(timing.endMs - timing.startMs);
   }
+  return estimateSubtitleCueDurationMs([getLineLanguageText(line, 'primary')]);
+}
+
+function scheduleTimedPlaybackAdvance(session, state) {
+  if (state.timer) {
+    clearTimeout(state.timer);
+  }
+  state.deadlineAt = Date.now() + state.remainingMs;
+  state.timer = setTimeout(() => {
+    advanceTimedPlayback(session.id);
+  }, state.remainingMs);
+  if (typeof state.timer.unref === 'function') {
+    state.timer.unref();
+  }
+}
+
+function isTimedPlaybackClockStale(session, state) {
+  return (
+    state.lineIndex !== session.currentIndex ||
+    state.lineId !== (session.lines[session.currentIndex]?.id || null)
+  );
+}
+
+// Restarts the clock for the line now on screen, keeping play/pause as is.
+function resetTimedPlaybackClock(session) {
+  const state = getTimedPlaybackState(session.id);
+  if (state.timer) {
+    clearTimeout(state.timer);
+    state.timer = null;
+  }
+  state.lineIndex = session.currentIndex;
+  state.lineId = session.lines[session.currentIndex]?.id || null;
+  state.lineDurationMs = getTimedLineDurationMs(session, session.currentIndex);
+  state.remainingMs = state.lineDurationMs;
+  state.deadlineAt = null;
+  if (state.status === TIMED_PLAYBACK_STATUS.ENDED) {
+    state.status = TIMED_PLAYBACK_STATUS.PAUSED;
+  }
+  if (state.status === TIMED_PLAYBACK_STATUS.PLAYING) {
+    scheduleTimedPlaybackAdvance(session, state);
+  }
+  state.updatedAt = Date.now();
+  return state;
+}
 
+function advanceTimedPlayback(sessionId) {
+  const session = getSession(sessionId);
+  const state = getTimedPlaybackState(sessionId);
+  state.timer = null;
   if (
-    normalizedLevel < AUTO_FOLLOW_AUDIO_LEVEL_THRESHOLD ||
-    state.waitingForRelease ||
-    (state.lastOnsetAt &&
-      now - state.lastOnsetAt < AUTO_FOLLOW_ONSET_COOLDOWN_MS)
+    !session ||
+    session.status === 'ended' ||
+    session.subtitleControlMode !== SUBTITLE_CONTROL_MODES.TIMED ||
+    state.status !== TIMED_PLAYBACK_STATUS.PLAYING
   ) {
-    updateAutoFollowState(sessionId, listeningPatch);
-    maybeBroadcastAutoFollowDiagnostics(sessionId, now);
     return;
   }
 
-  const nextIndex = state.started
-    ? findAutoDialogueIndexAfter(session, session.currentIndex)
-    : findAutoDialogueIndexAtOrAfter(session, session.currentIndex);
-  if (!Number.isInteger(nextIndex)) {
-    updateAutoFollowState(sessionId, {
-      ...listeningPatch,
-      waitingForRelease: true,
-      lastOnsetAt: now,
-      message: '已偵測到聲音，但後面沒有可自動跟的台詞。',
+  const nextIndex = session.currentIndex + 1;
+  if (nextIndex >= session.lines.length) {
+    Object.assign(state, {
+      status: TIMED_PLAYBACK_STATUS.ENDED,
+      remainingMs: 0,
+      deadlineAt: null,
+      updatedAt: Date.now(),
     });
     broadcastControlState(sessionId);
     return;
   }
 
-  const line = ensureSessionLines(session)[nextIndex];
-  const moved = advanceAutoFollowToIndex(session, nextIndex, {
-    ...listeningPatch,
-    started: true,
-    waitingForRelease: true,
-    status: AUTO_FOLLOW_STATUS.ADVANCED,
-    lastOnsetAt: now,
-    lastAdvancedAt: now,
-    lastCandidateIndex: nextIndex,
-    lastCandidateText: getAutoFollowDisplayText(line),
-    confidence: null,
-    message: '偵測到出聲，已先推到預期台詞。',
+  applyCurrentIndexChange(session, nextIndex, {
+    source: SHOW_LOG_SOURCES.TIMED,
   });
+}
 
-  if (!moved) {
-    broadcastControlState(sessionId);
-  }
+function pauseTimedPlayback(session) {
+  const state = getTimedPlaybackState(session.id);
+  if (state.status !== TIMED_PLAYBACK_STATUS.PLAYING) return false;
+  clearTimeout(state.timer);
+  Object.assign(state, {
+    status: TIMED_PLAYBACK_STATUS.PAUSED,
+    timer: null,
+    remainingMs: Math.max(state.deadlineAt - Date.now(), 0),
+    deadlineAt: null,
+    updatedAt: Date.now(),
+  });
+  return true;
 }
 
-function handleAutoFollowTranscript(sessionId, transcript, options = {}) {
-  const session = getSession(sessionId);
-  if (!session || session.subtitleControlMode !== SUBTITLE_CONTROL_MODES.AUTO) {
-    return;
+function resumeTimedPlayback(session) {
+  const state = getTimedPlaybackState(session.id);
+  if (
+    state.status === TIMED_PLAYBACK_STATUS.PLAYING ||
+    session.status === 'ended' ||
+    session.lines.length === 0
+  ) {
+    return false;
+  }
+  if (
+    isTimedPlaybackClockStale(session, state) ||
+    state.status === TIMED_PLAYBACK_STATUS.ENDED
+  ) {
+    resetTimedPlaybackClock(session);
   }
+  state.status = TIMED_PLAYBACK_STATUS.PLAYING;
+  state.updatedAt = Date.now();
+  scheduleTimedPlaybackAdvance(session, state);
+  return true;
+}
 
-  const heard = sanitizeLineText(transcript || '');
-  if (!normalizeAutoFollowMatchText(heard)) {
-    return;
+// Positive nudges hold the current line longer, negative ones cut it short.
+function nudgeTimedPlayback(session, rawDeltaMs) {
+  const deltaMs = Math.round(Number(rawDeltaMs));
+  if (!Number.isFinite(deltaMs) || deltaMs === 0) return false;
+  const state = getTimedPlaybackState(session.id);
+  if (isTimedPlaybackClockStale(session, state)) {
+    resetTimedPlaybackClock(session);
+  }
+  const clampedDeltaMs = Math.min(
+    Math.max(deltaMs, -TIMED_PLAYBACK_MAX_NUDGE_MS),
+    TIMED_PLAYBACK_MAX_NUDGE_MS,
+  );
+  const remainingMs =
+    state.status === TIMED_PLAYBACK_STATUS.PLAYING
+      ? state.deadlineAt - Date.now()
+      : state.remainingMs;
+  state.remainingMs = Math.max(remainingMs + clampedDeltaMs, 0);
+  state.lineDurationMs = Math.max(
+    state.lineDurationMs + clampedDeltaMs,
+    state.remainingMs,
+  );
+  state.updatedAt = Date.now();
+  if (state.status === TIMED_PLAYBACK_STATUS.PLAYING) {
+    scheduleTimedPlaybackAdvance(session, state);
   }
+  return true;
+}
 
-  const best = findBestAutoFollowMatch(session, heard);
-  const isFinal = options.isFinal === true;
-  if (!best || best.confidence < AUTO_FOLLOW_VERIFY_THRESHOLD) {
-    updateAutoFollowState(sessionId, {
-      listening: true,
-      status: AUTO_FOLLOW_STATUS.LISTENING,
-      lastHeardText: heard,
-      confidence: best?.confidence || null,
-      message: '正在比對語音與附近台詞。',
-    });
-    broadcastControlState(sessionId);
-    return;
+function getPublicTimedPlaybackState(session) {
+  if (session.subtitleControlMode !== SUBTITLE_CONTROL_MODES.TIMED) {
+    return {
+      status: TIMED_PLAYBACK_STATUS.PAUSED,
+      lineIndex: null,
+      lineDurationMs: 0,
+      remainingMs: 0,
+      updatedAt: null,
+    };
   }
+  // The cursor also moves outside applyCurrentIndexChange (cell switches, line
+  // edits, undo); the clock restarts on the new line here.
+  const state = getTimedPlaybackState(session.id);
+  if (isTimedPlaybackClockStale(session, state)) {
+    resetTimedPlaybackClock(session);
+  }
+  return {
+    status: state.status,
+    lineIndex: state.lineIndex,
+    lineDurationMs: state.lineDurationMs,
+    remainingMs:
+      state.status === TIMED_PLAYBACK_STATUS.PLAYING
+        ? Math.max(state.deadlineAt - Date.now(), 0)
+        : state.remainingMs,
+    updatedAt: state.updatedAt,
+  };
+}
 
-  const shouldCorrect =
-    best.index !== session.currentIndex &&
-    (best.confidence >= AUTO_FOLLOW_CORRECT_THRESHOLD ||
-      (isFinal && best.confidence >= AUTO_FOLLOW_VERIFY_THRESHOLD + 0.06));
-  const now = Date.now();
-  const patch = {
-    listening: true,
-    started: true,
-    status: shouldCorrect
-      ? AUTO_FOLLOW_STATUS.CORRECTED
-      : AUTO_FOLLOW_STATUS.VERIFIED,
-    lastVerifiedAt: now,
-    lastHeardText: heard,
-    lastCandidateIndex: best.index,
-    lastCandidateText: best.text,
-    confidence: best.confidence,
-    message: shouldCorrect
-      ? '語音比對到不同台詞，已自動校正。'
-      : '語音已核對目前台詞。',
+function createCueInputState() {
+  return {
+    oscSocket: null,
+    oscPort: null,
+    oscListening: false,
+    oscError: '',
+    log: [],
   };
+}
 
-  if (shouldCorrect) {
-    const moved = advanceAutoFollowToIndex(session, best.index, patch);
-    if (moved && isFinal) {
-      const updatedSession = getSession(sessionId);
-      if (updatedSession) {
-        advanceAutoFollowToFollowingDirection(updatedSession, best.index, {
-          ...patch,
-          started: true,
-        });
-      }
-    }
-    return;
+function getCueInputState(sessionId) {
+  if (!cueInputStates.has(sessionId)) {
+    cueInputStates.set(sessionId, createCueInputState());
   }
+  return cueInputStates.get(sessionId);
+}
 
-  if (isFinal && best.index === session.currentIndex) {
-    const movedToDirection = advanceAutoFollowToFollowingDirection(
-      session,
-      best.index,
-      {
-        ...patch,
-        started: true,
-      },
-    );
-    if (movedToDirection) {
-      return;
+function closeOscListener(state) {
+  if (state.oscSocket) {
+    try {
+      state.oscSocket.close();
+    } catch {
+      // The socket already closed itself after a bind error.
     }
   }
+  state.oscSocket = null;
+  state.oscPort = null;
+  state.oscListening = false;
+}
 
-  updateAutoFollowState(sessionId, patch);
-  broadcastControlState(sessionId);
+function clearCueInput(sessionId) {
+  const state = cueInputStates.get(sessionId);
+  if (state) {
+    closeOscListener(state);
+  }
+  cueInputStates.delete(sessionId);
 }
 
-function broadcastProjectorState(sessionId) {
-  const session = getSession(sessionId);
-  if (!session) return;
+// Binds, moves or releases the session's UDP port to match its OSC settings.
+// A failed bind is kept as an error for the control page instead of thrown.
+function syncSessionOscListener(session) {
+  const state = getCueInputState(session.id);
+  const port =
+    session.cueInput.oscEnabled && session.status !== 'ended'
+      ? session.cueInput.oscPort
+      : null;
+  if (state.oscSocket && state.oscPort === port) return;
+
+  closeOscListener(state);
+  state.oscError = '';
+  if (!port) return;
+
+  const oscSocket = dgram.createSocket('udp4');
+  state.oscSocket = oscSocket;
+  state.oscPort = port;
+  oscSocket.on('listening', () => {
+    if (state.oscSocket !== oscSocket) return;
+    state.oscListening = true;
+    broadcastControlState(session.id);
+  });
+  oscSocket.on('error', (error) => {
+    if (state.oscSocket !== oscSocket) return;
+    state.oscError =
+      error?.code === 'EADDRINUSE'
+        ? `UDP 連接埠 ${port} 已被其他程式使用`
+        : `OSC 監聽失敗：${error?.message || '未知錯誤'}`;
+    closeOscListener(state);
+    broadcastControlState(session.id);
+  });
+  oscSocket.on('message', (buffer, remote) => {
+    handleOscPacket(session.id, buffer, remote);
+  });
+  oscSocket.bind(port, CUE_INPUT_OSC_HOST);
+}
 
-  io.to(`projector:${sessionId}`).emit(
-    'projector:update',
-    getProjectorPayload(session),
+function formatOscMessage(message) {
+  const args = message.args.map((arg) =>
+    Buffer.isBuffer(arg) ? `<${arg.length} bytes>` : JSON.stringify(arg),
   );
+  return [message.address, ...args].join(' ').slice(0, 200);
 }
 
-function broadcastProjectorLayoutState(sessionId) {
+function handleOscPacket(sessionId, buffer, remote) {
   const session = getSession(sessionId);
-  if (!session) return;
+  if (!session || !session.cueInput.oscEnabled) return;
+
+  const sender = `${remote.address}:${remote.port}`;
+  if (!isOscSenderAllowed(session.cueInput, remote.address)) {
+    recordCueInputMessage(session.id, {
+      transport: 'osc',
+      sender,
+      message: `${buffer.length} bytes`,
+      status: 'error',
+      detail: '來源不在允許清單內，已拒絕',
+    });
+    broadcastControlState(session.id);
+    return;
+  }
 
-  io.to(`projector:${sessionId}`).emit(
-    'projector:layout',
-    getProjectorLayoutPayload(session),
-  );
+  let messages;
+  try {
+    messages = parseOscPacket(buffer);
+  } catch (error) {
+    recordCueInputMessage(session.id, {
+      transport: 'osc',
+      sender,
+      message: `${buffer.length} bytes`,
+      status: 'error',
+      detail: error.message,
+    });
+    broadcastControlState(session.id);
+    return;
+  }
+
+  messages.forEach((message) => {
+    handleExternalCueMessage(session, {
+      transport: 'osc',
+      sender,
+      message: formatOscMessage(message),
+      cue: resolveOscCueCommand(message, session.cueInput),
+      source: SHOW_LOG_SOURCES.OSC,
+    });
+  });
 }
 
-async function parseScriptWithOpenAI(rawText, apiKey, options = {}) {
-  const languageCode =
-    typeof options.languageCode === 'string' ? options.languageCode : '';
-  const model = normalizeScriptParseModel(options.model);
-  const client = new OpenAI({ apiKey });
-  const units = buildScriptAnnotationUnits(rawText, languageCode);
-  const chunks = chunkScriptAnnotationUnits(units);
-  const combined = [];
-  let previousRole = null;
+function recordCueInputMessage(sessionId, entry) {
+  const state = getCueInputState(sessionId);
+  state.log.unshift({ at: Date.now(), command: '', detail: '', ...entry });
+  if (state.log.length > MAX_CUE_INPUT_LOG_ENTRIES) {
+    state.log.length = MAX_CUE_INPUT_LOG_ENTRIES;
+  }
+}
 
-  for (let index = 0; index < chunks.length; index += 1) {
-    const chunkUnits = chunks[index];
+// "12" is line 12 of the cell on screen, "3.12" line 12 of the third cell;
+// anything else is looked up as a line id in every cell.
+function findExternalCueTarget(session, cueId) {
+  const numbered = cueId.match(/^(?:(\d+)\.)?(\d+)$/u);
+  if (numbered) {
+    const cell = numbered[1]
+      ? session.cells[Number(numbered[1]) - 1]
+      : getSelectedCell(session);
+    const index = Number(numbered[2]) - 1;
+    return cell && index >= 0 && index < cell.lines.length
+      ? { cell, index }
+      : null;
+  }
+  for (const cell of session.cells) {
+    const index = cell.lines.findIndex((line) => line.id === cueId);
+    if (index >= 0) return { cell, index };
+  }
+  return null;
+}
 
-    try {
-      const annotations = await annotateScriptUnitsWithOpenAI({
-        client,
-        units: chunkUnits,
-        chunkIndex: index,
-        totalChunks: chunks.length,
-        previousRole,
-        languageCode,
-        model,
-      });
-      const annotated = buildAnnotatedLinesFromUnits(
-        chunkUnits,
-        annotations,
-        previousRole,
+// A cell is addressed by its position ("3") or its id.
+function findExternalCueCell(session, cellId) {
+  if (/^\d+$/u.test(cellId)) {
+    return session.cells[Number(cellId) - 1] || null;
+  }
+  return session.cells.find((cell) => cell.id === cellId) || null;
+}
+
+// External cues take the same paths as the control page's shiftIndex,
+// setCurrentIndex and setDisplay events.
+function applyExternalCueCommand(session, cue, options) {
+  const cueOptions = { ...options, manualOverride: true };
+  if (cue.command === CUE_COMMANDS.GO || cue.command === CUE_COMMANDS.BACK) {
+    if (session.lines.length === 0) {
+      return { status: 'ignored', detail: '目前場次沒有字幕' };
+    }
+    const delta = cue.command === CUE_COMMANDS.GO ? 1 : -1;
+    const moved =
+      delta > 0 && session.standbyEnabled
+        ? goStandby(session, cueOptions)
+        : shiftCurrentIndex(session, delta, cueOptions);
+    if (!moved) {
+      return {
+        status: 'ignored',
+        detail: delta > 0 ? '已是最後一句' : '已是第一句',
+      };
+    }
+    return { status: 'applied', detail: `第 ${session.currentIndex + 1} 句` };
+  }
+
+  if (cue.command === CUE_COMMANDS.JUMP) {
+    const target = findExternalCueTarget(session, cue.cueId);
+    if (!target) {
+      return { status: 'error', detail: `找不到 CUE「${cue.cueId}」` };
+    }
+    if (target.cell.id !== session.selectedCellId) {
+      session.selectedCellId = target.cell.id;
+      session.currentIndex = Math.min(
+        session.currentIndex,
+        Math.max(target.cell.lines.length - 1, 0),
       );
-      previousRole = annotated.lastRole || previousRole;
-      const parsedLines = normalizeScriptLines(annotated.lines);
-      combined.push(...parsedLines);
-    } catch (error) {
-      if (fallbackCodes.has(error?.code)) {
-        console.warn(
-          `Chunk ${index + 1}/${chunks.length} failed validation, using fallback.`,
-          error,
-        );
-        const annotations = fallbackAnnotateUnits(chunkUnits, previousRole);
-        const annotated = buildAnnotatedLinesFromUnits(
-          chunkUnits,
-          annotations,
-          previousRole,
-        );
-        previousRole = annotated.lastRole || previousRole;
-        const fallbackLines = normalizeScriptLines(annotated.lines);
-        combined.push(...fallbackLines);
-        continue;
-      }
+      syncSelectedCellLines(session);
+    }
+    if (!applyCurrentIndexChange(session, target.index, cueOptions)) {
+      recordCueChange(session, cueOptions);
+      broadcastViewerState(session.id);
+    }
+    return {
+      status: 'applied',
+      detail: `${target.cell.name || '場次'} 第 ${target.index + 1} 句`,
+    };
+  }
 
-      throw error;
+  if (cue.command === CUE_COMMANDS.SELECT_CELL) {
+    const cell = findExternalCueCell(session, cue.cellId);
+    if (!cell) {
+      return { status: 'error', detail: `找不到場次「${cue.cellId}」` };
+    }
+    if (cell.id === session.selectedCellId) {
+      return { status: 'ignored', detail: '已在此場次' };
     }
+    selectSessionCell(session, cell, options);
+    return { status: 'applied', detail: cell.name || '場次' };
   }
 
-  if (combined.length === 0) {
-    const error = new Error('OpenAI 未產生有效的字幕資料');
-    error.code = 'EMPTY_OUTPUT';
-    throw error;
+  const displayEnabled = cue.command === CUE_COMMANDS.RESTORE;
+  if (!applyDisplayEnabledChange(session, displayEnabled, options)) {
+    return {
+      status: 'ignored',
+      detail: displayEnabled ? '字幕已在顯示中' : '字幕已遮蔽',
+    };
   }
+  return {
+    status: 'applied',
+    detail: displayEnabled ? '恢復顯示字幕' : '遮蔽檢視端字幕',
+  };
+}
 
-  return enforceLineLengths(combined, { languageCode, sampleText: rawText });
+function handleExternalCueMessage(
+  session,
+  { transport, sender, message, cue, source, user = null, operator = null },
+) {
+  // Matches the remote API, which answers 409 SESSION_ENDED.
+  const result =
+    session.status === 'ended'
+      ? { status: 'error', detail: '節目已結束，不再接受 CUE' }
+      : cue
+        ? applyExternalCueCommand(session, cue, { source, user, operator })
+        : { status: 'ignored', detail: '沒有對應的指令' };
+  recordCueInputMessage(session.id, {
+    transport,
+    sender,
+    message,
+    command: cue
+      ? [cue.command, cue.cueId || cue.cellId].filter(Boolean).join(' ')
+      : '',
+    ...result,
+  });
+  broadcastControlState(session.id);
+  return result;
 }
 
-function getSecondaryAlignmentLineWeight(line) {
-  const text = sanitizeLineText(line?.text || '');
-  const baseWeight = measureSubtitleTextWidth(text);
-  const type =
-    line?.type === LINE_TYPES.DIRECTION
-      ? LINE_TYPES.DIRECTION
-      : LINE_TYPES.DIALOGUE;
+function getPublicCueInputState(session) {
+  const state = getCueInputState(session.id);
+  return {
+    osc: {
+      listening: state.oscListening,
+      host: CUE_INPUT_OSC_HOST,
+      port: state.oscPort,
+      error: state.oscError,
+    },
+    log: state.log,
+  };
+}
 
-  if (baseWeight > 0) {
-    return type === LINE_TYPES.DIRECTION
-      ? Math.max(0.7, baseWeight * 0.9)
-      : Math.max(0.9, baseWeight);
+function createAutoFollowState() {
+  return {
+    status: AUTO_FOLLOW_STATUS.IDLE,
+    listening: false,
+    started: false,
+    waitingForRelease: false,
+    lastAudioLevel: 0,
+    lastAudioAt: null,
+    lastAudioDiagnosticBroadcastAt: null,
+    lastOnsetAt: null,
+    lastAdvancedAt: null,
+    lastVerifiedAt: null,
+    lastHeardText: '',
+    lastCandidateIndex: null,
+    lastCandidateText: '',
+    confidence: null,
+    message: '',
+    updatedAt: null,
+  };
+}
+
+function getAutoFollowState(sessionId) {
+  const key =
+    typeof sessionId === 'string' && sessionId.trim()
+      ? sessionId.trim()
+      : DEFAULT_SESSION_ID;
+  if (!autoFollowStates.has(key)) {
+    autoFollowStates.set(key, createAutoFollowState());
   }
+  return autoFollowStates.get(key);
+}
 
-  return type === LINE_TYPES.DIRECTION ? 0.7 : 0.9;
+function resetAutoFollowState(sessionId, patch = {}) {
+  const nextState = {
+    ...createAutoFollowState(),
+    ...patch,
+    updatedAt: Date.now(),
+  };
+  autoFollowStates.set(sessionId, nextState);
+  return nextState;
 }
 
-function getSecondaryAlignmentUnitWeight(text) {
-  const width = measureSubtitleTextWidth(sanitizeLineText(text || ''));
-  return Math.max(width, 0.75);
+function getPublicAutoFollowState(session) {
+  const state = getAutoFollowState(session.id);
+  const autoEnabled =
+    session.subtitleControlMode === SUBTITLE_CONTROL_MODES.AUTO;
+  return {
+    status: autoEnabled ? state.status : AUTO_FOLLOW_STATUS.IDLE,
+    listening: autoEnabled && state.listening === true,
+    started: state.started === true,
+    lastAudioLevel: Number.isFinite(state.lastAudioLevel)
+      ? Number(state.lastAudioLevel.toFixed(4))
+      : 0,
+    lastAudioAt: state.lastAudioAt,
+    triggerThreshold: AUTO_FOLLOW_AUDIO_LEVEL_THRESHOLD,
+    releaseThreshold: AUTO_FOLLOW_AUDIO_RELEASE_THRESHOLD,
+    lastOnsetAt: state.lastOnsetAt,
+    lastAdvancedAt: state.lastAdvancedAt,
+    lastVerifiedAt: state.lastVerifiedAt,
+    lastHeardText: state.lastHeardText,
+    lastCandidateIndex: state.lastCandidateIndex,
+    lastCandidateText: state.lastCandidateText,
+    confidence: Number.isFinite(state.confidence)
+      ? Number(state.confidence.toFixed(3))
+      : null,
+    message: state.message,
+    updatedAt: state.updatedAt,
+  };
 }
 
-function computeSecondaryAlignmentSegmentCost(
-  line,
-  expectedWeight,
-  assignedWeight,
-  isEmpty,
-) {
-  const type =
-    line?.type === LINE_TYPES.DIRECTION
-      ? LINE_TYPES.DIRECTION
-      : LINE_TYPES.DIALOGUE;
-  let cost = ((assignedWeight - expectedWeight) ** 2) / Math.max(1, expectedWeight);
+function updateAutoFollowState(sessionId, patch = {}) {
+  const state = getAutoFollowState(sessionId);
+  Object.assign(state, patch, { updatedAt: Date.now() });
+  return state;
+}
 
-  if (isEmpty) {
-    cost += expectedWeight * (type === LINE_TYPES.DIRECTION ? 0.55 : 1.1);
-    return cost;
+function maybeBroadcastAutoFollowDiagnostics(sessionId, now = Date.now()) {
+  const state = getAutoFollowState(sessionId);
+  if (
+    state.lastAudioDiagnosticBroadcastAt &&
+    now - state.lastAudioDiagnosticBroadcastAt <
+      AUTO_FOLLOW_DIAGNOSTIC_BROADCAST_MS
+  ) {
+    return;
   }
 
-  if (assignedWeight < expectedWeight * 0.45) {
-    cost +=
-      (expectedWeight * 0.45 - assignedWeight) *
-      (type === LINE_TYPES.DIRECTION ? 0.25 : 0.45);
-  }
+  state.lastAudioDiagnosticBroadcastAt = now;
+  broadcastTranscriptionState(sessionId);
+}
 
-  if (assignedWeight > expectedWeight * 2.6) {
-    cost += (assignedWeight - expectedWeight * 2.6) * 0.12;
-  }
+function normalizeAutoFollowMatchText(text) {
+  const sanitized = sanitizeLineText(text || '');
+  if (!sanitized) return '';
+  return sanitized
+    .replace(/^[^：:\n]{1,12}[：:]/u, '')
+    .replace(/[（(][^（）()]{0,80}[）)]/gu, '')
+    .replace(/[\s　"'“”‘’「」『』《》〈〉【】\[\]{}（）(),，、。．.；;：:！？!?…—\-]/gu, '')
+    .toLocaleLowerCase();
+}
 
-  return cost;
+function getAutoFollowLineText(line) {
+  if (!line || line.type === LINE_TYPES.DIRECTION) return '';
+  const extracted = extractRoleFromDialogueText(line.text || '');
+  const text = extracted.role ? extracted.text : line.text || '';
+  return normalizeAutoFollowMatchText(text);
 }
 
-function buildGreedySecondaryAlignmentRanges(baseLines, unitTexts) {
-  const targetCount = Array.isArray(baseLines) ? baseLines.length : 0;
-  if (targetCount === 0) {
-    return [];
+function getAutoFollowDisplayText(line) {
+  if (!line) return '';
+  const extracted = extractRoleFromDialogueText(line.text || '');
+  return sanitizeLineText(extracted.role ? extracted.text : line.text || '');
+}
+
+function findAutoDialogueIndexAtOrAfter(session, startIndex) {
+  const lines = ensureSessionLines(session);
+  const start = Math.max(0, Number.isInteger(startIndex) ? startIndex : 0);
+  for (let index = start; index < lines.length; index += 1) {
+    if (getAutoFollowLineText(lines[index])) return index;
   }
+  return null;
+}
 
-  if (!Array.isArray(unitTexts) || unitTexts.length === 0) {
-    return Array.from({ length: targetCount }, () => ({
-      startUnit: null,
-      endUnit: null,
-    }));
+function findAutoDialogueIndexAfter(session, startIndex) {
+  const start = Number.isInteger(startIndex) ? startIndex + 1 : 0;
+  return findAutoDialogueIndexAtOrAfter(session, start);
+}
+
+function findImmediateDirectionIndexAfter(session, startIndex) {
+  const lines = ensureSessionLines(session);
+  const nextIndex = Number.isInteger(startIndex) ? startIndex + 1 : 0;
+  if (
+    nextIndex >= 0 &&
+    nextIndex < lines.length &&
+    lines[nextIndex]?.type === LINE_TYPES.DIRECTION
+  ) {
+    return nextIndex;
   }
+  return null;
+}
 
-  const lineWeights = baseLines.map((line) =>
-    getSecondaryAlignmentLineWeight(line),
-  );
-  const unitWeights = unitTexts.map((text) =>
-    getSecondaryAlignmentUnitWeight(text),
-  );
-  const totalLineWeight = lineWeights.reduce((sum, value) => sum + value, 0) || 1;
-  const unitPrefix = new Float64Array(unitWeights.length + 1);
-  const linePrefix = new Float64Array(lineWeights.length + 1);
+function scoreAutoFollowText(heardText, targetText) {
+  const heard = normalizeAutoFollowMatchText(heardText);
+  const target = normalizeAutoFollowMatchText(targetText);
+  if (
+    heard.length < AUTO_FOLLOW_VERIFY_MIN_TEXT_LENGTH ||
+    target.length < AUTO_FOLLOW_VERIFY_MIN_TEXT_LENGTH
+  ) {
+    return 0;
+  }
+  if (heard === target) return 1;
 
-  for (let index = 0; index < unitWeights.length; index += 1) {
-    unitPrefix[index + 1] = unitPrefix[index] + unitWeights[index];
+  const shorter = heard.length <= target.length ? heard : target;
+  const longer = heard.length > target.length ? heard : target;
+  if (longer.startsWith(shorter)) {
+    return Math.min(0.96, 0.72 + shorter.length / Math.max(longer.length, 1) * 0.24);
   }
-  for (let index = 0; index < lineWeights.length; index += 1) {
-    linePrefix[index + 1] = linePrefix[index] + lineWeights[index];
+  if (longer.includes(shorter)) {
+    return Math.min(0.9, 0.58 + shorter.length / Math.max(longer.length, 1) * 0.26);
   }
 
-  const totalUnitWeight = unitPrefix[unitWeights.length] || 1;
-  const boundaries = new Int32Array(targetCount + 1);
-  let previousBoundary = 0;
+  const targetChars = new Map();
+  Array.from(target).forEach((char) => {
+    targetChars.set(char, (targetChars.get(char) || 0) + 1);
+  });
+  let overlap = 0;
+  Array.from(heard).forEach((char) => {
+    const count = targetChars.get(char) || 0;
+    if (count > 0) {
+      overlap += 1;
+      targetChars.set(char, count - 1);
+    }
+  });
+  return overlap > 0 ? (2 * overlap) / (heard.length + target.length) : 0;
+}
 
-  for (let lineIndex = 1; lineIndex < targetCount; lineIndex += 1) {
-    const targetWeight =
-      (totalUnitWeight * linePrefix[lineIndex]) / totalLineWeight;
-    let bestBoundary = previousBoundary;
-    let bestScore = Number.POSITIVE_INFINITY;
+function findBestAutoFollowMatch(session, heardText) {
+  const lines = ensureSessionLines(session);
+  const heard = normalizeAutoFollowMatchText(heardText);
+  if (heard.length < AUTO_FOLLOW_VERIFY_MIN_TEXT_LENGTH || lines.length === 0) {
+    return null;
+  }
 
-    for (
-      let candidateBoundary = previousBoundary;
-      candidateBoundary <= unitWeights.length;
-      candidateBoundary += 1
-    ) {
-      let score = Math.abs(unitPrefix[candidateBoundary] - targetWeight);
-      if (candidateBoundary === previousBoundary) {
-        score += lineWeights[lineIndex - 1] * 0.35;
-      }
-      if (score < bestScore) {
-        bestScore = score;
-        bestBoundary = candidateBoundary;
-      }
-    }
+  const from = Math.max(0, session.currentIndex - AUTO_FOLLOW_SEARCH_BEHIND);
+  const to = Math.min(
+    lines.length - 1,
+    session.currentIndex + AUTO_FOLLOW_SEARCH_AHEAD,
+  );
+  let best = null;
 
-    boundaries[lineIndex] = bestBoundary;
-    previousBoundary = bestBoundary;
+  for (let index = from; index <= to; index += 1) {
+    const target = getAutoFollowLineText(lines[index]);
+    if (!target) continue;
+
+    const distance = Math.abs(index - session.currentIndex);
+    const distancePenalty = Math.min(distance * 0.012, 0.12);
+    const score = Math.max(0, scoreAutoFollowText(heard, target) - distancePenalty);
+    if (!best || score > best.confidence) {
+      best = {
+        index,
+        confidence: score,
+        text: getAutoFollowDisplayText(lines[index]),
+      };
+    }
   }
 
-  boundaries[targetCount] = unitWeights.length;
+  return best;
+}
 
-  return Array.from({ length: targetCount }, (_value, index) => {
-    const startUnit = boundaries[index];
-    const endUnitExclusive = boundaries[index + 1];
-    if (endUnitExclusive <= startUnit) {
-      return { startUnit: null, endUnit: null };
-    }
-    return {
-      startUnit,
-      endUnit: endUnitExclusive - 1,
-    };
+function advanceAutoFollowToIndex(session, index, patch = {}) {
+  if (!Number.isInteger(index)) return false;
+  updateAutoFollowState(session.id, patch);
+  return applyCurrentIndexChange(session, index, {
+    source: SHOW_LOG_SOURCES.AUTO_FOLLOW,
   });
 }
 
-function buildHeuristicSecondaryAlignmentRanges(baseLines, unitTexts) {
-  const targetCount = Array.isArray(baseLines) ? baseLines.length : 0;
-  const unitCount = Array.isArray(unitTexts) ? unitTexts.length : 0;
-
-  if (targetCount === 0) {
-    return [];
-  }
+function advanceAutoFollowToFollowingDirection(session, fromIndex, patch = {}) {
+  const directionIndex = findImmediateDirectionIndexAfter(session, fromIndex);
+  if (!Number.isInteger(directionIndex)) return false;
 
-  if (unitCount === 0) {
-    return Array.from({ length: targetCount }, () => ({
-      startUnit: null,
-      endUnit: null,
-    }));
-  }
+  const line = ensureSessionLines(session)[directionIndex];
+  return advanceAutoFollowToIndex(session, directionIndex, {
+    ...patch,
+    status: AUTO_FOLLOW_STATUS.ADVANCED,
+    lastAdvancedAt: Date.now(),
+    lastCandidateIndex: directionIndex,
+    lastCandidateText: getAutoFollowDisplayText(line),
+    message: '台詞已核對，已進到下一段舞台指示。',
+  });
+}
 
-  if (targetCount * unitCount > SECONDARY_ALIGNMENT_DP_MAX_COMPLEXITY) {
-    return buildGreedySecondaryAlignmentRanges(baseLines, unitTexts);
+function handleAutoFollowAudioLevel(sessionId, level) {
+  const session = getSession(sessionId);
+  if (!session || session.subtitleControlMode !== SUBTITLE_CONTROL_MODES.AUTO) {
+    return;
   }
 
-  const lineWeights = baseLines.map((line) =>
-    getSecondaryAlignmentLineWeight(line),
-  );
-  const unitWeights = unitTexts.map((text) =>
-    getSecondaryAlignmentUnitWeight(text),
-  );
-  const totalLineWeight = lineWeights.reduce((sum, value) => sum + value, 0) || 1;
-  const unitPrefix = new Float64Array(unitCount + 1);
+  const state = getAutoFollowState(sessionId);
+  const normalizedLevel = Number.isFinite(level) ? level : 0;
+  const now = Date.now();
+  const listeningPatch = {
+    listening: true,
+    lastAudioLevel: normalizedLevel,
+    lastAudioAt: now,
+    status:
+      state.status === AUTO_FOLLOW_STATUS.IDLE
+        ? AUTO_FOLLOW_STATUS.LISTENING
+        : state.status,
+  };
 
-  for (let index = 0; index < unitCount; index += 1) {
-    unitPrefix[index + 1] = unitPrefix[index] + unitWeights[index];
+  if (normalizedLevel <= AUTO_FOLLOW_AUDIO_RELEASE_THRESHOLD) {
+    updateAutoFollowState(sessionId, {
+      ...listeningPatch,
+      waitingForRelease: false,
+    });
+    maybeBroadcastAutoFollowDiagnostics(sessionId, now);
+    return;
   }
 
-  const totalUnitWeight = unitPrefix[unitCount] || 1;
-  let previousCosts = new Float64Array(unitCount + 1);
-  previousCosts.fill(Number.POSITIVE_INFINITY);
-  previousCosts[0] = 0;
-  const backtrack = Array.from(
-    { length: targetCount + 1 },
-    () => new Int32Array(unitCount + 1),
-  );
-
-  for (let lineIndex = 1; lineIndex <= targetCount; lineIndex += 1) {
-    const currentCosts = new Float64Array(unitCount + 1);
-    currentCosts.fill(Number.POSITIVE_INFINITY);
-    const expectedWeight =
-      (totalUnitWeight * lineWeights[lineIndex - 1]) / totalLineWeight;
-
-    for (let unitIndex = 0; unitIndex <= unitCount; unitIndex += 1) {
-      let bestCost = Number.POSITIVE_INFINITY;
-      let bestStart = 0;
-
-      for (
-        let previousUnitIndex = 0;
-        previousUnitIndex <= unitIndex;
-        previousUnitIndex += 1
-      ) {
-        const previousCost = previousCosts[previousUnitIndex];
-        if (!Number.isFinite(previousCost)) continue;
-
-        const assignedWeight =
-          unitPrefix[unitIndex] - unitPrefix[previousUnitIndex];
-        const candidateCost =
-          previousCost +
-          computeSecondaryAlignmentSegmentCost(
-            baseLines[lineIndex - 1],
-            expectedWeight,
-            assignedWeight,
-            unitIndex === previousUnitIndex,
-          );
-
-        if (candidateCost < bestCost) {
-          bestCost = candidateCost;
-          bestStart = previousUnitIndex;
-        }
-      }
-
-      currentCosts[unitIndex] = bestCost;
-      backtrack[lineIndex][unitIndex] = bestStart;
-    }
-
-    previousCosts = currentCosts;
+  if (
+    normalizedLevel < AUTO_FOLLOW_AUDIO_LEVEL_THRESHOLD ||
+    state.waitingForRelease ||
+    (state.lastOnsetAt &&
+      now - state.lastOnsetAt < AUTO_FOLLOW_ONSET_COOLDOWN_MS)
+  ) {
+    updateAutoFollowState(sessionId, listeningPatch);
+    maybeBroadcastAutoFollowDiagnostics(sessionId, now);
+    return;
   }
 
-  const boundaries = new Int32Array(targetCount + 1);
-  boundaries[targetCount] = unitCount;
-  let unitIndex = unitCount;
-
-  for (let lineIndex = targetCount; lineIndex >= 1; lineIndex -= 1) {
-    const previousUnitIndex = backtrack[lineIndex][unitIndex];
-    boundaries[lineIndex - 1] = previousUnitIndex;
-    unitIndex = previousUnitIndex;
+  const nextIndex = state.started
+    ? findAutoDialogueIndexAfter(session, session.currentIndex)
+    : findAutoDialogueIndexAtOrAfter(session, session.currentIndex);
+  if (!Number.isInteger(nextIndex)) {
+    updateAutoFollowState(sessionId, {
+      ...listeningPatch,
+      waitingForRelease: true,
+      lastOnsetAt: now,
+      message: '已偵測到聲音，但後面沒有可自動跟的台詞。',
+    });
+    broadcastControlState(sessionId);
+    return;
   }
 
-  return Array.from({ length: targetCount }, (_value, index) => {
-    const startUnit = boundaries[index];
-    const endUnitExclusive = boundaries[index + 1];
-    if (endUnitExclusive <= startUnit) {
-      return { startUnit: null, endUnit: null };
-    }
-    return {
-      startUnit,
-      endUnit: endUnitExclusive - 1,
-    };
+  const line = ensureSessionLines(session)[nextIndex];
+  const moved = advanceAutoFollowToIndex(session, nextIndex, {
+    ...listeningPatch,
+    started: true,
+    waitingForRelease: true,
+    status: AUTO_FOLLOW_STATUS.ADVANCED,
+    lastOnsetAt: now,
+    lastAdvancedAt: now,
+    lastCandidateIndex: nextIndex,
+    lastCandidateText: getAutoFollowDisplayText(line),
+    confidence: null,
+    message: '偵測到出聲，已先推到預期台詞。',
   });
-}
 
-function joinSecondaryAlignmentUnits(unitTexts, options = {}) {
-  if (!Array.isArray(unitTexts) || unitTexts.length === 0) {
-    return '';
-  }
-
-  const sanitizedUnits = unitTexts.map((unit) => sanitizeLineText(unit)).filter(Boolean);
-  if (sanitizedUnits.length === 0) {
-    return '';
+  if (!moved) {
+    broadcastControlState(sessionId);
   }
-
-  const profile = resolveScriptSegmentationProfile(
-    options.languageCode,
-    sanitizedUnits.join(' '),
-  );
-  const separator = profile.family === 'latin' ? ' ' : '';
-  return sanitizeLineText(sanitizedUnits.join(separator));
 }
 
-function parseAlignmentUnitIndex(value) {
-  if (value == null) return null;
-  if (typeof value === 'number') {
-    return Number.isInteger(value) ? value : null;
+function handleAutoFollowTranscript(sessionId, transcript, options = {}) {
+  const session = getSession(sessionId);
+  if (!session || session.subtitleControlMode !== SUBTITLE_CONTROL_MODES.AUTO) {
+    return;
   }
-  if (typeof value !== 'string') return null;
 
-  const trimmed = value.trim();
-  if (!/^-?\d+$/u.test(trimmed)) {
-    return null;
+  const heard = sanitizeLineText(transcript || '');
+  if (!normalizeAutoFollowMatchText(heard)) {
+    return;
   }
 
-  return Number.parseInt(trimmed, 10);
-}
-
-function inferAlignmentUnitIndexBase(entries) {
-  if (!Array.isArray(entries)) {
-    return 1;
+  const best = findBestAutoFollowMatch(session, heard);
+  const isFinal = options.isFinal === true;
+  if (!best || best.confidence < AUTO_FOLLOW_VERIFY_THRESHOLD) {
+    updateAutoFollowState(sessionId, {
+      listening: true,
+      status: AUTO_FOLLOW_STATUS.LISTENING,
+      lastHeardText: heard,
+      confidence: best?.confidence || null,
+      message: '正在比對語音與附近台詞。',
+    });
+    broadcastControlState(sessionId);
+    return;
   }
 
-  for (const entry of entries) {
-    if (!entry || typeof entry !== 'object') continue;
+  const shouldCorrect =
+    best.index !== session.currentIndex &&
+    (best.confidence >= AUTO_FOLLOW_CORRECT_THRESHOLD ||
+      (isFinal && best.confidence >= AUTO_FOLLOW_VERIFY_THRESHOLD + 0.06));
+  const now = Date.now();
+  const patch = {
+    listening: true,
+    started: true,
+    status: shouldCorrect
+      ? AUTO_FOLLOW_STATUS.CORRECTED
+      : AUTO_FOLLOW_STATUS.VERIFIED,
+    lastVerifiedAt: now,
+    lastHeardText: heard,
+    lastCandidateIndex: best.index,
+    lastCandidateText: best.text,
+    confidence: best.confidence,
+    message: shouldCorrect
+      ? '語音比對到不同台詞，已自動校正。'
+      : '語音已核對目前台詞。',
+  };
 
-    const rangeIndexes = [
-      ...(Array.isArray(entry.unitIndexes) ? entry.unitIndexes : []),
-      ...(Array.isArray(entry.lineIndexes) ? entry.lineIndexes : []),
-    ];
-    for (const value of rangeIndexes) {
-      if (parseAlignmentUnitIndex(value) === 0) {
-        return 0;
+  if (shouldCorrect) {
+    const moved = advanceAutoFollowToIndex(session, best.index, patch);
+    if (moved && isFinal) {
+      const updatedSession = getSession(sessionId);
+      if (updatedSession) {
+        advanceAutoFollowToFollowingDirection(updatedSession, best.index, {
+          ...patch,
+          started: true,
+        });
       }
     }
+    return;
+  }
 
-    const indexValues = [
-      entry.existingRow,
-      entry.baseRow,
-      entry.timelineRow,
-      entry.rowIndex,
-      entry.row,
-      entry.startUnit,
-      entry.endUnit,
-      entry.startLine,
-      entry.endLine,
-      entry.start,
-      entry.end,
-      entry.from,
-      entry.to,
-      entry.unitStart,
-      entry.unitEnd,
-      entry.lineStart,
-      entry.lineEnd,
-    ];
-    for (const value of indexValues) {
-      if (parseAlignmentUnitIndex(value) === 0) {
-        return 0;
-      }
+  if (isFinal && best.index === session.currentIndex) {
+    const movedToDirection = advanceAutoFollowToFollowingDirection(
+      session,
+      best.index,
+      {
+        ...patch,
+        started: true,
+      },
+    );
+    if (movedToDirection) {
+      return;
     }
   }
 
-  return 1;
+  updateAutoFollowState(sessionId, patch);
+  broadcastControlState(sessionId);
 }
 
-function normalizeAlignmentRangeEntry(entry, indexBase, rowIndex) {
-  if (entry == null) {
-    return { startUnit: null, endUnit: null };
-  }
+function broadcastProjectorState(sessionId) {
+  const session = getSession(sessionId);
+  if (!session) return;
 
-  if (typeof entry !== 'object' || Array.isArray(entry)) {
-    const error = new Error(`第 ${rowIndex + 1} 行對齊格式錯誤`);
-    error.code = 'INVALID_ALIGNMENT_RANGE';
-    throw error;
-  }
+  io.to(`projector:${sessionId}`).emit(
+    'projector:update',
+    getProjectorPayload(session),
+  );
+}
 
-  const rawUnitIndexes = [
-    ...(Array.isArray(entry.unitIndexes) ? entry.unitIndexes : []),
-    ...(Array.isArray(entry.lineIndexes) ? entry.lineIndexes : []),
-  ];
-  const unitIndexes = rawUnitIndexes
-    .map((value) => parseAlignmentUnitIndex(value))
-    .filter(Number.isInteger);
+function broadcastProjectorLayoutState(sessionId) {
+  const session = getSession(sessionId);
+  if (!session) return;
 
-  let startUnitRaw = null;
-  let endUnitRaw = null;
+  io.to(`projector:${sessionId}`).emit(
+    'projector:layout',
+    getProjectorLayoutPayload(session),
+  );
+}
 
-  if (rawUnitIndexes.length > 0) {
-    if (unitIndexes.length !== rawUnitIndexes.length) {
-      const error = new Error(`第 ${rowIndex + 1} 行索引格式錯誤`);
-      error.code = 'INVALID_ALIGNMENT_RANGE';
-      throw error;
-    }
+async function parseScriptWithOpenAI(rawText, provider, options = {}) {
+  const languageCode =
+    typeof options.languageCode === 'string' ? options.languageCode : '';
+  const model = normalizeScriptParseModel(options.model);
+  const scriptRules = options.scriptRules || [];
+  const glossary = options.glossary || [];
+  const units = buildScriptAnnotationUnits(rawText, languageCode);
+  // Units are sent as JSON objects, which roughly doubles their prompt size.
+  const chunks = chunkScriptAnnotationUnits(
+    units,
+    getLlmChunkCharBudget(provider, SCRIPT_ANNOTATION_MAX_CHARS, 2),
+  );
+  const combined = [];
+  let previousRole = null;
+  const reportProgress = (completed) =>
+    options.onProgress?.({ completed, total: chunks.length });
+  reportProgress(0);
 
-    for (let index = 1; index < unitIndexes.length; index += 1) {
-      if (unitIndexes[index] !== unitIndexes[index - 1] + 1) {
-        const error = new Error(`第 ${rowIndex + 1} 行索引必須連續`);
-        error.code = 'INVALID_ALIGNMENT_RANGE';
-        throw error;
-      }
-    }
+  for (let index = 0; index < chunks.length; index += 1) {
+    const chunkUnits = chunks[index];
+    throwIfScriptJobCancelled(options.signal);
 
-    startUnitRaw = unitIndexes[0];
-    endUnitRaw = unitIndexes[unitIndexes.length - 1];
-  } else {
-    startUnitRaw = parseAlignmentUnitIndex(
-      entry.startUnit ??
-        entry.startLine ??
-        entry.start ??
-        entry.from ??
-        entry.unitStart ??
-        entry.lineStart,
-    );
-    endUnitRaw = parseAlignmentUnitIndex(
-      entry.endUnit ??
-        entry.endLine ??
-        entry.end ??
-        entry.to ??
-        entry.unitEnd ??
-        entry.lineEnd,
-    );
-  }
+    try {
+      const annotations = await annotateScriptUnitsWithOpenAI({
+        provider,
+        units: chunkUnits,
+        chunkIndex: index,
+        totalChunks: chunks.length,
+        previousRole,
+        languageCode,
+        model,
+        scriptRules,
+        glossary,
+        signal: options.signal,
+        cacheStats: options.cacheStats,
+      });
+      const annotated = buildAnnotatedLinesFromUnits(
+        chunkUnits,
+        annotations,
+        previousRole,
+        scriptRules,
+      );
+      previousRole = annotated.lastRole || previousRole;
+      const parsedLines = normalizeScriptLines(annotated.lines);
+      combined.push(...parsedLines);
+    } catch (error) {
+      if (fallbackCodes.has(error?.code)) {
+        console.warn(
+          `Chunk ${index + 1}/${chunks.length} failed validation, using fallback.`,
+          error,
+        );
+        const annotations = fallbackAnnotateUnits(
+          chunkUnits,
+          previousRole,
+          scriptRules,
+        );
+        const annotated = buildAnnotatedLinesFromUnits(
+          chunkUnits,
+          annotations,
+          previousRole,
+          scriptRules,
+        );
+        previousRole = annotated.lastRole || previousRole;
+        const fallbackLines = normalizeScriptLines(annotated.lines);
+        combined.push(...fallbackLines);
+        reportProgress(index + 1);
+        continue;
+      }
 
-  if (startUnitRaw == null && endUnitRaw == null) {
-    return { startUnit: null, endUnit: null };
+      throw error;
+    }
+    reportProgress(index + 1);
   }
 
-  if (!Number.isInteger(startUnitRaw) || !Number.isInteger(endUnitRaw)) {
-    const error = new Error(`第 ${rowIndex + 1} 行缺少有效的起訖範圍`);
-    error.code = 'INVALID_ALIGNMENT_RANGE';
+  if (combined.length === 0) {
+    const error = new Error('OpenAI 未產生有效的字幕資料');
+    error.code = 'EMPTY_OUTPUT';
     throw error;
   }
 
-  return {
-    startUnit: startUnitRaw - indexBase,
-    endUnit: endUnitRaw - indexBase,
-  };
+  return enforceLineLengths(combined, {
+    languageCode,
+    sampleText: rawText,
+    ...options.lineLengthOptions,
+  });
 }
 
-function validateSecondaryAlignmentRanges(ranges, unitCount, targetCount) {
-  if (!Array.isArray(ranges)) {
-    const error = new Error('對齊結果格式錯誤');
-    error.code = 'INVALID_ALIGNMENT_RANGE';
-    throw error;
-  }
+function getSecondaryAlignmentLineWeight(line) {
+  const text = sanitizeLineText(line?.text || '');
+  const baseWeight = measureSubtitleTextWidth(text);
+  const type =
+    line?.type === LINE_TYPES.DIRECTION
+      ? LINE_TYPES.DIRECTION
+      : LINE_TYPES.DIALOGUE;
 
-  if (ranges.length !== targetCount) {
-    const error = new Error('對齊筆數與主字幕不一致');
-    error.code = 'INVALID_ALIGNMENT_RANGE';
-    throw error;
+  if (baseWeight > 0) {
+    return type === LINE_TYPES.DIRECTION
+      ? Math.max(0.7, baseWeight * 0.9)
+      : Math.max(0.9, baseWeight);
   }
 
-  let nextExpectedUnit = 0;
+  return type === LINE_TYPES.DIRECTION ? 0.7 : 0.9;
+}
 
-  ranges.forEach((range, index) => {
-    if (!range || typeof range !== 'object') {
-      const error = new Error(`第 ${index + 1} 行對齊格式錯誤`);
-      error.code = 'INVALID_ALIGNMENT_RANGE';
-      throw error;
-    }
+function getSecondaryAlignmentUnitWeight(text) {
+  const width = measureSubtitleTextWidth(sanitizeLineText(text || ''));
+  return Math.max(width, 0.75);
+}
 
-    const isEmpty = range.startUnit == null && range.endUnit == null;
-    if (isEmpty) {
-      return;
-    }
-
-    if (
-      !Number.isInteger(range.startUnit) ||
-      !Number.isInteger(range.endUnit)
-    ) {
-      const error = new Error(`第 ${index + 1} 行缺少有效的對齊範圍`);
-      error.code = 'INVALID_ALIGNMENT_RANGE';
-      throw error;
-    }
-
-    if (range.startUnit < 0 || range.endUnit < range.startUnit) {
-      const error = new Error(`第 ${index + 1} 行對齊範圍無效`);
-      error.code = 'INVALID_ALIGNMENT_RANGE';
-      throw error;
-    }
-
-    if (range.endUnit >= unitCount) {
-      const error = new Error(`第 ${index + 1} 行對齊範圍超出上限`);
-      error.code = 'INVALID_ALIGNMENT_RANGE';
-      throw error;
-    }
+function computeSecondaryAlignmentSegmentCost(
+  line,
+  expectedWeight,
+  assignedWeight,
+  isEmpty,
+) {
+  const type =
+    line?.type === LINE_TYPES.DIRECTION
+      ? LINE_TYPES.DIRECTION
+      : LINE_TYPES.DIALOGUE;
+  let cost = ((assignedWeight - expectedWeight) ** 2) / Math.max(1, expectedWeight);
 
-    if (range.startUnit !== nextExpectedUnit) {
-      const error = new Error(
-        `第 ${index + 1} 行未依序承接項目 ${nextExpectedUnit + 1}`,
-      );
-      error.code = 'INVALID_ALIGNMENT_ORDER';
-      throw error;
-    }
+  if (isEmpty) {
+    cost += expectedWeight * (type === LINE_TYPES.DIRECTION ? 0.55 : 1.1);
+    return cost;
+  }
 
-    nextExpectedUnit = range.endUnit + 1;
-  });
+  if (assignedWeight < expectedWeight * 0.45) {
+    cost +=
+      (expectedWeight * 0.45 - assignedWeight) *
+      (type === LINE_TYPES.DIRECTION ? 0.25 : 0.45);
+  }
 
-  if (nextExpectedUnit !== unitCount) {
-    const error = new Error('目標語言內容沒有被完整覆蓋');
-    error.code = 'INVALID_ALIGNMENT_COVERAGE';
-    throw error;
+  if (assignedWeight > expectedWeight * 2.6) {
+    cost += (assignedWeight - expectedWeight * 2.6) * 0.12;
   }
 
-  return ranges;
+  return cost;
 }
 
-function buildAlignedTextsFromRanges(unitTexts, ranges, options = {}) {
-  if (!Array.isArray(ranges) || ranges.length === 0) {
+function buildGreedySecondaryAlignmentRanges(baseLines, unitTexts) {
+  const targetCount = Array.isArray(baseLines) ? baseLines.length : 0;
+  if (targetCount === 0) {
     return [];
   }
 
-  return ranges.map((range) => {
-    if (
-      !range ||
-      range.startUnit == null ||
-      range.endUnit == null
-    ) {
-      return '';
-    }
+  if (!Array.isArray(unitTexts) || unitTexts.length === 0) {
+    return Array.from({ length: targetCount }, () => ({
+      startUnit: null,
+      endUnit: null,
+    }));
+  }
 
-    return joinSecondaryAlignmentUnits(
-      unitTexts.slice(range.startUnit, range.endUnit + 1),
-      options,
-    );
-  });
-}
+  const lineWeights = baseLines.map((line) =>
+    getSecondaryAlignmentLineWeight(line),
+  );
+  const unitWeights = unitTexts.map((text) =>
+    getSecondaryAlignmentUnitWeight(text),
+  );
+  const totalLineWeight = lineWeights.reduce((sum, value) => sum + value, 0) || 1;
+  const unitPrefix = new Float64Array(unitWeights.length + 1);
+  const linePrefix = new Float64Array(lineWeights.length + 1);
 
-function normalizeLanguageAlignmentLines(lines) {
-  if (!Array.isArray(lines)) {
-    return [];
+  for (let index = 0; index < unitWeights.length; index += 1) {
+    unitPrefix[index + 1] = unitPrefix[index] + unitWeights[index];
+  }
+  for (let index = 0; index < lineWeights.length; index += 1) {
+    linePrefix[index + 1] = linePrefix[index] + lineWeights[index];
   }
 
-  return lines
-    .map((line) => ({
-      text: sanitizeLineText(line?.text || ''),
-      type:
-        line?.type === LINE_TYPES.DIRECTION
-          ? LINE_TYPES.DIRECTION
-          : LINE_TYPES.DIALOGUE,
-      role: normalizeRoleName(line?.role ?? line?.speaker ?? line?.character),
-    }))
-    .filter((line) => line.text);
-}
+  const totalUnitWeight = unitPrefix[unitWeights.length] || 1;
+  const boundaries = new Int32Array(targetCount + 1);
+  let previousBoundary = 0;
 
-function formatAlignmentContextPrefix(line) {
-  const tags = [];
-  const type =
-    line?.type === LINE_TYPES.DIRECTION
-      ? LINE_TYPES.DIRECTION
-      : LINE_TYPES.DIALOGUE;
+  for (let lineIndex = 1; lineIndex < targetCount; lineIndex += 1) {
+    const targetWeight =
+      (totalUnitWeight * linePrefix[lineIndex]) / totalLineWeight;
+    let bestBoundary = previousBoundary;
+    let bestScore = Number.POSITIVE_INFINITY;
 
-  if (type === LINE_TYPES.DIRECTION) {
-    tags.push('舞台指示');
-  } else {
-    tags.push('台詞');
-    const role = normalizeRoleName(line?.role);
-    if (role) {
-      tags.push(`角色：${role}`);
+    for (
+      let candidateBoundary = previousBoundary;
+      candidateBoundary <= unitWeights.length;
+      candidateBoundary += 1
+    ) {
+      let score = Math.abs(unitPrefix[candidateBoundary] - targetWeight);
+      if (candidateBoundary === previousBoundary) {
+        score += lineWeights[lineIndex - 1] * 0.35;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        bestBoundary = candidateBoundary;
+      }
     }
+
+    boundaries[lineIndex] = bestBoundary;
+    previousBoundary = bestBoundary;
   }
 
-  return tags.map((tag) => `[${tag}]`).join('');
-}
+  boundaries[targetCount] = unitWeights.length;
 
-function formatLanguageAlignmentPromptLine(line, index) {
-  const text = sanitizeLineText(line?.text || '');
-  const prefix = formatAlignmentContextPrefix(line);
-  return `${index + 1}. ${prefix}${prefix ? ' ' : ''}${text}`;
+  return Array.from({ length: targetCount }, (_value, index) => {
+    const startUnit = boundaries[index];
+    const endUnitExclusive = boundaries[index + 1];
+    if (endUnitExclusive <= startUnit) {
+      return { startUnit: null, endUnit: null };
+    }
+    return {
+      startUnit,
+      endUnit: endUnitExclusive - 1,
+    };
+  });
 }
 
-function formatTimelineAlignmentBaseLine(line, index) {
-  const text = sanitizeLineText(line?.text || '') || '[空白列]';
-  const prefix = formatAlignmentContextPrefix(line);
-  return `${index + 1}. ${prefix}${prefix ? ' ' : ''}${text}`;
-}
+function buildHeuristicSecondaryAlignmentRanges(baseLines, unitTexts) {
+  const targetCount = Array.isArray(baseLines) ? baseLines.length : 0;
+  const unitCount = Array.isArray(unitTexts) ? unitTexts.length : 0;
 
-function buildLanguageAlignmentBaseLines(lines, targetLanguageId) {
-  if (!Array.isArray(lines)) {
+  if (targetCount === 0) {
     return [];
   }
 
-  return lines.flatMap((line, index) => {
-    const primaryText = sanitizeLineText(line?.text || '');
-    if (!primaryText) {
-      return [];
-    }
-
-    const translations = normalizeTranslationsMap(
-      line?.translations,
-      'primary',
-      primaryText,
-    );
-    translations.primary = primaryText;
-    if (targetLanguageId) {
-      translations[targetLanguageId] = '';
-    }
+  if (unitCount === 0) {
+    return Array.from({ length: targetCount }, () => ({
+      startUnit: null,
+      endUnit: null,
+    }));
+  }
 
-    return [
-      {
-        ...createLineRecord(
-          {
-            ...line,
-            text: primaryText,
-            translations,
-          },
-          'primary',
-        ),
-        sourceIndex: index,
-      },
-    ];
-  });
-}
+  if (targetCount * unitCount > SECONDARY_ALIGNMENT_DP_MAX_COMPLEXITY) {
+    return buildGreedySecondaryAlignmentRanges(baseLines, unitTexts);
+  }
 
-function buildPreservedSupplementalAlignmentBuckets(
-  lines,
-  targetLanguageId,
-  baseLineCount,
-) {
-  const bucketCount = Math.max(
-    Number.isInteger(baseLineCount) ? baseLineCount : 0,
-    0,
+  const lineWeights = baseLines.map((line) =>
+    getSecondaryAlignmentLineWeight(line),
   );
-  const buckets = Array.from({ length: bucketCount + 1 }, () => []);
-  if (!Array.isArray(lines)) {
-    return buckets;
+  const unitWeights = unitTexts.map((text) =>
+    getSecondaryAlignmentUnitWeight(text),
+  );
+  const totalLineWeight = lineWeights.reduce((sum, value) => sum + value, 0) || 1;
+  const unitPrefix = new Float64Array(unitCount + 1);
+
+  for (let index = 0; index < unitCount; index += 1) {
+    unitPrefix[index + 1] = unitPrefix[index] + unitWeights[index];
   }
 
-  let seenPrimaryRows = 0;
-  lines.forEach((line) => {
-    const primaryText = sanitizeLineText(line?.text || '');
-    if (primaryText) {
-      seenPrimaryRows += 1;
-      return;
-    }
+  const totalUnitWeight = unitPrefix[unitCount] || 1;
+  let previousCosts = new Float64Array(unitCount + 1);
+  previousCosts.fill(Number.POSITIVE_INFINITY);
+  previousCosts[0] = 0;
+  const backtrack = Array.from(
+    { length: targetCount + 1 },
+    () => new Int32Array(unitCount + 1),
+  );
 
-    const translations = normalizeTranslationsMap(
-      line?.translations,
-      'primary',
-      '',
-    );
-    translations.primary = '';
+  for (let lineIndex = 1; lineIndex <= targetCount; lineIndex += 1) {
+    const currentCosts = new Float64Array(unitCount + 1);
+    currentCosts.fill(Number.POSITIVE_INFINITY);
+    const expectedWeight =
+      (totalUnitWeight * lineWeights[lineIndex - 1]) / totalLineWeight;
 
-    const shouldPreserve = Object.entries(translations).some(
-      ([languageId, value]) =>
-        languageId !== 'primary' &&
-        languageId !== targetLanguageId &&
-        sanitizeLineText(value),
-    );
-    if (!shouldPreserve) {
-      return;
-    }
+    for (let unitIndex = 0; unitIndex <= unitCount; unitIndex += 1) {
+      let bestCost = Number.POSITIVE_INFINITY;
+      let bestStart = 0;
 
-    const bucketIndex = Math.min(seenPrimaryRows, buckets.length - 1);
-    buckets[bucketIndex].push(
-      createLineRecord(
-        {
-          ...line,
-          text: '',
-          translations,
-        },
-        'primary',
-      ),
-    );
-  });
+      for (
+        let previousUnitIndex = 0;
+        previousUnitIndex <= unitIndex;
+        previousUnitIndex += 1
+      ) {
+        const previousCost = previousCosts[previousUnitIndex];
+        if (!Number.isFinite(previousCost)) continue;
 
-  return buckets;
-}
+        const assignedWeight =
+          unitPrefix[unitIndex] - unitPrefix[previousUnitIndex];
+        const candidateCost =
+          previousCost +
+          computeSecondaryAlignmentSegmentCost(
+            baseLines[lineIndex - 1],
+            expectedWeight,
+            assignedWeight,
+            unitIndex === previousUnitIndex,
+          );
 
-function normalizeTimelineAlignmentPlanEntry(entry, indexBase, rowIndex) {
-  if (entry == null || typeof entry !== 'object' || Array.isArray(entry)) {
-    const error = new Error(`第 ${rowIndex + 1} 行對齊格式錯誤`);
-    error.code = 'INVALID_ALIGNMENT_RANGE';
-    throw error;
-  }
+        if (candidateCost < bestCost) {
+          bestCost = candidateCost;
+          bestStart = previousUnitIndex;
+        }
+      }
 
-  const existingRowRaw = parseAlignmentUnitIndex(
-    entry.existingRow ??
-      entry.baseRow ??
-      entry.timelineRow ??
-      entry.rowIndex ??
-      entry.row,
-  );
-  const targetRange = normalizeAlignmentRangeEntry(entry, indexBase, rowIndex);
-  const existingRow =
-    existingRowRaw == null ? null : existingRowRaw - indexBase;
+      currentCosts[unitIndex] = bestCost;
+      backtrack[lineIndex][unitIndex] = bestStart;
+    }
 
-  if (existingRow == null && targetRange.startUnit == null && targetRange.endUnit == null) {
-    const error = new Error(`第 ${rowIndex + 1} 行至少要對應一側內容`);
-    error.code = 'INVALID_ALIGNMENT_RANGE';
-    throw error;
+    previousCosts = currentCosts;
   }
 
-  return {
-    existingRow,
-    startLine: targetRange.startUnit,
-    endLine: targetRange.endUnit,
-  };
-}
+  const boundaries = new Int32Array(targetCount + 1);
+  boundaries[targetCount] = unitCount;
+  let unitIndex = unitCount;
 
-function validateTimelineAlignmentPlan(plan, existingCount, targetCount) {
-  if (!Array.isArray(plan)) {
-    const error = new Error('對齊結果格式錯誤');
-    error.code = 'INVALID_ALIGNMENT_RANGE';
-    throw error;
+  for (let lineIndex = targetCount; lineIndex >= 1; lineIndex -= 1) {
+    const previousUnitIndex = backtrack[lineIndex][unitIndex];
+    boundaries[lineIndex - 1] = previousUnitIndex;
+    unitIndex = previousUnitIndex;
   }
 
-  let nextExistingRow = 0;
-  let nextTargetLine = 0;
-
-  plan.forEach((entry, index) => {
-    if (!entry || typeof entry !== 'object') {
-      const error = new Error(`第 ${index + 1} 行對齊格式錯誤`);
-      error.code = 'INVALID_ALIGNMENT_RANGE';
-      throw error;
-    }
-
-    const hasExistingRow = entry.existingRow != null;
-    const hasTargetLines = entry.startLine != null && entry.endLine != null;
-
-    if (!hasExistingRow && !hasTargetLines) {
-      const error = new Error(`第 ${index + 1} 行至少要對應一側內容`);
-      error.code = 'INVALID_ALIGNMENT_RANGE';
-      throw error;
-    }
-
-    if (hasExistingRow) {
-      if (!Number.isInteger(entry.existingRow)) {
-        const error = new Error(`第 ${index + 1} 行既有列索引無效`);
-        error.code = 'INVALID_ALIGNMENT_RANGE';
-        throw error;
-      }
-      if (entry.existingRow < 0 || entry.existingRow >= existingCount) {
-        const error = new Error(`第 ${index + 1} 行既有列索引超出上限`);
-        error.code = 'INVALID_ALIGNMENT_RANGE';
-        throw error;
-      }
-      if (entry.existingRow !== nextExistingRow) {
-        const error = new Error(
-          `第 ${index + 1} 行未依序承接既有列 ${nextExistingRow + 1}`,
-        );
-        error.code = 'INVALID_ALIGNMENT_ORDER';
-        throw error;
-      }
-      nextExistingRow += 1;
-    }
-
-    if (hasTargetLines) {
-      if (
-        !Number.isInteger(entry.startLine) ||
-        !Number.isInteger(entry.endLine)
-      ) {
-        const error = new Error(`第 ${index + 1} 行目標語言範圍無效`);
-        error.code = 'INVALID_ALIGNMENT_RANGE';
-        throw error;
-      }
-      if (entry.startLine < 0 || entry.endLine < entry.startLine) {
-        const error = new Error(`第 ${index + 1} 行目標語言範圍無效`);
-        error.code = 'INVALID_ALIGNMENT_RANGE';
-        throw error;
-      }
-      if (entry.endLine >= targetCount) {
-        const error = new Error(`第 ${index + 1} 行目標語言範圍超出上限`);
-        error.code = 'INVALID_ALIGNMENT_RANGE';
-        throw error;
-      }
-      if (entry.startLine !== nextTargetLine) {
-        const error = new Error(
-          `第 ${index + 1} 行未依序承接目標語言第 ${nextTargetLine + 1} 行`,
-        );
-        error.code = 'INVALID_ALIGNMENT_ORDER';
-        throw error;
-      }
-      nextTargetLine = entry.endLine + 1;
+  return Array.from({ length: targetCount }, (_value, index) => {
+    const startUnit = boundaries[index];
+    const endUnitExclusive = boundaries[index + 1];
+    if (endUnitExclusive <= startUnit) {
+      return { startUnit: null, endUnit: null };
     }
+    return {
+      startUnit,
+      endUnit: endUnitExclusive - 1,
+    };
   });
+}
 
-  if (nextExistingRow !== existingCount) {
-    const error = new Error('既有字幕列沒有被完整覆蓋');
-    error.code = 'INVALID_ALIGNMENT_COVERAGE';
-    throw error;
+function joinSecondaryAlignmentUnits(unitTexts, options = {}) {
+  if (!Array.isArray(unitTexts) || unitTexts.length === 0) {
+    return '';
   }
-  if (nextTargetLine !== targetCount) {
-    const error = new Error('目標語言內容沒有被完整覆蓋');
-    error.code = 'INVALID_ALIGNMENT_COVERAGE';
-    throw error;
+
+  const sanitizedUnits = unitTexts.map((unit) => sanitizeLineText(unit)).filter(Boolean);
+  if (sanitizedUnits.length === 0) {
+    return '';
   }
 
-  return plan;
+  const profile = resolveScriptSegmentationProfile(
+    options.languageCode,
+    sanitizedUnits.join(' '),
+  );
+  const separator = profile.family === 'latin' || profile.wordSpacing ? ' ' : '';
+  return sanitizeLineText(sanitizedUnits.join(separator));
 }
 
-function detectParsedLineRangeType(parsedLines, startLine, endLine) {
-  if (
-    !Array.isArray(parsedLines) ||
-    startLine == null ||
-    endLine == null ||
-    startLine < 0 ||
-    endLine < startLine
-  ) {
-    return LINE_TYPES.DIALOGUE;
+function parseAlignmentUnitIndex(value) {
+  if (value == null) return null;
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? value : null;
   }
+  if (typeof value !== 'string') return null;
 
-  const slice = parsedLines.slice(startLine, endLine + 1);
-  if (
-    slice.length > 0 &&
-    slice.every((line) => line?.type === LINE_TYPES.DIRECTION)
-  ) {
-    return LINE_TYPES.DIRECTION;
+  const trimmed = value.trim();
+  if (!/^-?\d+$/u.test(trimmed)) {
+    return null;
   }
 
-  return LINE_TYPES.DIALOGUE;
+  return Number.parseInt(trimmed, 10);
 }
 
-function detectParsedLineRangeRole(parsedLines, startLine, endLine) {
-  if (
-    !Array.isArray(parsedLines) ||
-    startLine == null ||
-    endLine == null ||
-    startLine < 0 ||
-    endLine < startLine
-  ) {
-    return null;
+function inferAlignmentUnitIndexBase(entries) {
+  if (!Array.isArray(entries)) {
+    return 1;
   }
 
-  for (const line of parsedLines.slice(startLine, endLine + 1)) {
-    const role = normalizeRoleName(line?.role);
-    if (role) {
-      return role;
-    }
-  }
+  for (const entry of entries) {
+    if (!entry || typeof entry !== 'object') continue;
 
-  return null;
-}
+    const rangeIndexes = [
+      ...(Array.isArray(entry.unitIndexes) ? entry.unitIndexes : []),
+      ...(Array.isArray(entry.lineIndexes) ? entry.lineIndexes : []),
+    ];
+    for (const value of rangeIndexes) {
+      if (parseAlignmentUnitIndex(value) === 0) {
+        return 0;
+      }
+    }
 
-function buildSequentialSecondaryLanguageTimeline({
-  session,
-  timelineLines,
-  parsedLines,
-  languageId,
-}) {
-  const existingLines = Array.isArray(timelineLines) ? timelineLines : [];
-  const normalizedParsedLines = normalizeScriptLines(parsedLines, {
-    primaryLanguageId: 'primary',
-  });
-  const nextLineCount = Math.max(
-    existingLines.length,
-    normalizedParsedLines.length,
-  );
-  const mergedLines = [];
+    const indexValues = [
+      entry.existingRow,
+      entry.baseRow,
+      entry.timelineRow,
+      entry.rowIndex,
+      entry.row,
+      entry.startUnit,
+      entry.endUnit,
+      entry.startLine,
+      entry.endLine,
+      entry.start,
+      entry.end,
+      entry.from,
+      entry.to,
+      entry.unitStart,
+      entry.unitEnd,
+      entry.lineStart,
+      entry.lineEnd,
+    ];
+    for (const value of indexValues) {
+      if (parseAlignmentUnitIndex(value) === 0) {
+        return 0;
+      }
+    }
+  }
 
-  for (let index = 0; index < nextLineCount; index += 1) {
-    const existingLine = existingLines[index] || null;
-    const parsedLine = normalizedParsedLines[index] || null;
-    const targetText = sanitizeLineText(parsedLine?.text || '');
+  return 1;
+}
 
-    if (existingLine) {
-      mergedLines.push(
-        updateSessionLineLanguageText(existingLine, languageId, targetText),
-      );
-      continue;
+function normalizeAlignmentRangeEntry(entry, indexBase, rowIndex) {
+  if (entry == null) {
+    return { startUnit: null, endUnit: null };
+  }
+
+  if (typeof entry !== 'object' || Array.isArray(entry)) {
+    const error = new Error(`第 ${rowIndex + 1} 行對齊格式錯誤`);
+    error.code = 'INVALID_ALIGNMENT_RANGE';
+    throw error;
+  }
+
+  const rawUnitIndexes = [
+    ...(Array.isArray(entry.unitIndexes) ? entry.unitIndexes : []),
+    ...(Array.isArray(entry.lineIndexes) ? entry.lineIndexes : []),
+  ];
+  const unitIndexes = rawUnitIndexes
+    .map((value) => parseAlignmentUnitIndex(value))
+    .filter(Number.isInteger);
+
+  let startUnitRaw = null;
+  let endUnitRaw = null;
+
+  if (rawUnitIndexes.length > 0) {
+    if (unitIndexes.length !== rawUnitIndexes.length) {
+      const error = new Error(`第 ${rowIndex + 1} 行索引格式錯誤`);
+      error.code = 'INVALID_ALIGNMENT_RANGE';
+      throw error;
     }
 
-    if (!parsedLine) {
-      continue;
+    for (let index = 1; index < unitIndexes.length; index += 1) {
+      if (unitIndexes[index] !== unitIndexes[index - 1] + 1) {
+        const error = new Error(`第 ${rowIndex + 1} 行索引必須連續`);
+        error.code = 'INVALID_ALIGNMENT_RANGE';
+        throw error;
+      }
     }
 
-    mergedLines.push(
-      createBlankSessionLine(session, {
-        type:
-          parsedLine.type === LINE_TYPES.DIRECTION
-            ? LINE_TYPES.DIRECTION
-            : LINE_TYPES.DIALOGUE,
-        music: false,
-        role: parsedLine?.role || null,
-        languageId,
-        text: targetText,
-      }),
+    startUnitRaw = unitIndexes[0];
+    endUnitRaw = unitIndexes[unitIndexes.length - 1];
+  } else {
+    startUnitRaw = parseAlignmentUnitIndex(
+      entry.startUnit ??
+        entry.startLine ??
+        entry.start ??
+        entry.from ??
+        entry.unitStart ??
+        entry.lineStart,
+    );
+    endUnitRaw = parseAlignmentUnitIndex(
+      entry.endUnit ??
+        entry.endLine ??
+        entry.end ??
+        entry.to ??
+        entry.unitEnd ??
+        entry.lineEnd,
     );
   }
 
-  return mergedLines;
-}
+  if (startUnitRaw == null && endUnitRaw == null) {
+    return { startUnit: null, endUnit: null };
+  }
 
-function buildTargetOnlyAlignmentPlan(parsedLines) {
-  const normalizedParsedLines = normalizeLanguageAlignmentLines(parsedLines);
-  return normalizedParsedLines.map((_line, index) => ({
-    existingRow: null,
-    startLine: index,
-    endLine: index,
-  }));
-}
+  if (!Number.isInteger(startUnitRaw) || !Number.isInteger(endUnitRaw)) {
+    const error = new Error(`第 ${rowIndex + 1} 行缺少有效的起訖範圍`);
+    error.code = 'INVALID_ALIGNMENT_RANGE';
+    throw error;
+  }
 
-function buildAlignedLanguageTimelineFromPlan({
-  session,
-  baseLines,
-  parsedLines,
-  languageId,
-  languageCode,
-  plan,
-  supplementalBuckets = [],
-}) {
-  const normalizedParsedLines = normalizeLanguageAlignmentLines(parsedLines);
-  const mergedLines = [];
-  const appendSupplementalBucket = (bucketIndex) => {
-    const bucket = Array.isArray(supplementalBuckets[bucketIndex])
-      ? supplementalBuckets[bucketIndex]
-      : [];
-    bucket.forEach((line) => {
-      mergedLines.push(createLineRecord(line, 'primary'));
-    });
+  return {
+    startUnit: startUnitRaw - indexBase,
+    endUnit: endUnitRaw - indexBase,
   };
+}
 
-  appendSupplementalBucket(0);
-  let emittedBaseRows = 0;
+function validateSecondaryAlignmentRanges(ranges, unitCount, targetCount) {
+  if (!Array.isArray(ranges)) {
+    const error = new Error('對齊結果格式錯誤');
+    error.code = 'INVALID_ALIGNMENT_RANGE';
+    throw error;
+  }
 
-  plan.forEach((entry) => {
-    const targetText =
-      entry.startLine == null || entry.endLine == null
-        ? ''
-        : joinSecondaryAlignmentUnits(
-            normalizedParsedLines
-              .slice(entry.startLine, entry.endLine + 1)
-              .map((line) => line.text),
-            { languageCode },
-          );
+  if (ranges.length !== targetCount) {
+    const error = new Error('對齊筆數與主字幕不一致');
+    error.code = 'INVALID_ALIGNMENT_RANGE';
+    throw error;
+  }
 
-    if (entry.existingRow != null) {
-      const existingLine = baseLines[entry.existingRow];
-      const sourceLine =
-        existingLine?.sourceLine && typeof existingLine.sourceLine === 'object'
-          ? existingLine.sourceLine
-          : existingLine;
-      const translations = normalizeTranslationsMap(
-        sourceLine?.translations,
-        'primary',
-        sourceLine?.text || existingLine?.text || '',
-      );
-      translations[languageId] = targetText;
+  let nextExpectedUnit = 0;
 
-      mergedLines.push(
-        createLineRecord(
-          {
-            ...sourceLine,
-            text: sanitizeLineText(sourceLine?.text || existingLine?.text || ''),
-            translations,
-          },
-          'primary',
-        ),
-      );
-      emittedBaseRows += 1;
-      appendSupplementalBucket(emittedBaseRows);
+  ranges.forEach((range, index) => {
+    if (!range || typeof range !== 'object') {
+      const error = new Error(`第 ${index + 1} 行對齊格式錯誤`);
+      error.code = 'INVALID_ALIGNMENT_RANGE';
+      throw error;
+    }
+
+    const isEmpty = range.startUnit == null && range.endUnit == null;
+    if (isEmpty) {
       return;
     }
 
-    const type = detectParsedLineRangeType(
-      normalizedParsedLines,
-      entry.startLine,
-      entry.endLine,
-    );
-    const role =
-      type === LINE_TYPES.DIALOGUE
-        ? detectParsedLineRangeRole(
-            normalizedParsedLines,
-            entry.startLine,
-            entry.endLine,
-          )
-        : null;
+    if (
+      !Number.isInteger(range.startUnit) ||
+      !Number.isInteger(range.endUnit)
+    ) {
+      const error = new Error(`第 ${index + 1} 行缺少有效的對齊範圍`);
+      error.code = 'INVALID_ALIGNMENT_RANGE';
+      throw error;
+    }
+
+    if (range.startUnit < 0 || range.endUnit < range.startUnit) {
+      const error = new Error(`第 ${index + 1} 行對齊範圍無效`);
+      error.code = 'INVALID_ALIGNMENT_RANGE';
+      throw error;
+    }
+
+    if (range.endUnit >= unitCount) {
+      const error = new Error(`第 ${index + 1} 行對齊範圍超出上限`);
+      error.code = 'INVALID_ALIGNMENT_RANGE';
+      throw error;
+    }
+
+    if (range.startUnit !== nextExpectedUnit) {
+      const error = new Error(
+        `第 ${index + 1} 行未依序承接項目 ${nextExpectedUnit + 1}`,
+      );
+      error.code = 'INVALID_ALIGNMENT_ORDER';
+      throw error;
+    }
+
+    nextExpectedUnit = range.endUnit + 1;
+  });
+
+  if (nextExpectedUnit !== unitCount) {
+    const error = new Error('目標語言內容沒有被完整覆蓋');
+    error.code = 'INVALID_ALIGNMENT_COVERAGE';
+    throw error;
+  }
+
+  return ranges;
+}
+
+function buildAlignedTextsFromRanges(unitTexts, ranges, options = {}) {
+  if (!Array.isArray(ranges) || ranges.length === 0) {
+    return [];
+  }
+
+  return ranges.map((range) => {
+    if (
+      !range ||
+      range.startUnit == null ||
+      range.endUnit == null
+    ) {
+      return '';
+    }
+
+    return joinSecondaryAlignmentUnits(
+      unitTexts.slice(range.startUnit, range.endUnit + 1),
+      options,
+    );
+  });
+}
+
+// Recovers which source segments each row currently holds by matching row
+// text against joined runs of segments; null means a row was edited by hand.
+function inferSecondaryAlignmentRanges(lines, languageId, unitTexts, options = {}) {
+  const unitCount = unitTexts.length;
+  const steps = [];
+  let reachable = new Set([0]);
+
+  for (const line of lines) {
+    const text = getLineLanguageText(line, languageId);
+    const step = new Map();
+    reachable.forEach((startUnit) => {
+      if (!text) {
+        if (!step.has(startUnit)) {
+          step.set(startUnit, { previousUnit: startUnit, range: null });
+        }
+        return;
+      }
+      const lastUnit = Math.min(
+        unitCount,
+        startUnit + ALIGNMENT_REVIEW_MAX_UNITS_PER_LINE,
+      );
+      for (let endUnit = startUnit; endUnit < lastUnit; endUnit += 1) {
+        const nextUnit = endUnit + 1;
+        if (step.has(nextUnit)) continue;
+        const joined = joinSecondaryAlignmentUnits(
+          unitTexts.slice(startUnit, nextUnit),
+          options,
+        );
+        if (joined === text) {
+          step.set(nextUnit, { previousUnit: startUnit, range: { startUnit, endUnit } });
+        }
+      }
+    });
+    if (step.size === 0) return null;
+    steps.push(step);
+    reachable = new Set(step.keys());
+  }
+
+  if (!reachable.has(unitCount)) return null;
+  const ranges = [];
+  let unitIndex = unitCount;
+  for (let index = steps.length - 1; index >= 0; index -= 1) {
+    const entry = steps[index].get(unitIndex);
+    ranges.unshift(entry.range || { startUnit: null, endUnit: null });
+    unitIndex = entry.previousUnit;
+  }
+  return ranges;
+}
+
+function buildAlignmentReview(cell, language) {
+  const source = cell.languageSources?.[language.id];
+  const units = normalizeSecondaryLanguageSourceSegments(source?.segments || []);
+  const unitTexts = units.map((unit) => unit.text);
+  const options = { languageCode: language.code };
+  let ranges = inferSecondaryAlignmentRanges(
+    cell.lines,
+    language.id,
+    unitTexts,
+    options,
+  );
+  const matchesCurrentText = Boolean(ranges);
+  if (!ranges) {
+    const baseLines = buildLanguageAlignmentBaseLines(cell.lines, language.id);
+    const suggestedRanges = buildHeuristicSecondaryAlignmentRanges(
+      baseLines,
+      unitTexts,
+    );
+    ranges = cell.lines.map(() => ({ startUnit: null, endUnit: null }));
+    baseLines.forEach((baseLine, index) => {
+      ranges[baseLine.sourceIndex] = suggestedRanges[index];
+    });
+  }
+
+  return {
+    cellId: cell.id,
+    languageId: language.id,
+    sourceUpdatedAt: Number.isFinite(source?.updatedAt) ? source.updatedAt : null,
+    matchesCurrentText,
+    units,
+    lines: cell.lines.map((line, index) => ({
+      id: line.id,
+      text: sanitizeLineText(line.text || ''),
+      type: line.type,
+      role: line.role || null,
+      translation: getLineLanguageText(line, language.id),
+      startUnit: ranges[index].startUnit,
+      endUnit: ranges[index].endUnit,
+    })),
+  };
+}
+
+function normalizeLanguageAlignmentLines(lines) {
+  if (!Array.isArray(lines)) {
+    return [];
+  }
+
+  return lines
+    .map((line) => ({
+      text: sanitizeLineText(line?.text || ''),
+      type:
+        line?.type === LINE_TYPES.DIRECTION
+          ? LINE_TYPES.DIRECTION
+          : LINE_TYPES.DIALOGUE,
+      role: normalizeRoleName(line?.role ?? line?.speaker ?? line?.character),
+    }))
+    .filter((line) => line.text);
+}
+
+function formatAlignmentContextPrefix(line) {
+  const tags = [];
+  const type =
+    line?.type === LINE_TYPES.DIRECTION
+      ? LINE_TYPES.DIRECTION
+      : LINE_TYPES.DIALOGUE;
+
+  if (type === LINE_TYPES.DIRECTION) {
+    tags.push('舞台指示');
+  } else {
+    tags.push('台詞');
+    const role = normalizeRoleName(line?.role);
+    if (role) {
+      tags.push(`角色：${role}`);
+    }
+  }
+
+  return tags.map((tag) => `[${tag}]`).join('');
+}
+
+function formatLanguageAlignmentPromptLine(line, index) {
+  const text = sanitizeLineText(line?.text || '');
+  const prefix = formatAlignmentContextPrefix(line);
+  return `${index + 1}. ${prefix}${prefix ? ' ' : ''}${text}`;
+}
+
+function formatTimelineAlignmentBaseLine(line, index) {
+  const text = sanitizeLineText(line?.text || '') || '[空白列]';
+  const prefix = formatAlignmentContextPrefix(line);
+  return `${index + 1}. ${prefix}${prefix ? ' ' : ''}${text}`;
+}
+
+function buildLanguageAlignmentBaseLines(lines, targetLanguageId) {
+  if (!Array.isArray(lines)) {
+    return [];
+  }
+
+  return lines.flatMap((line, index) => {
+    const primaryText = sanitizeLineText(line?.text || '');
+    if (!primaryText) {
+      return [];
+    }
+
+    const translations = normalizeTranslationsMap(
+      line?.translations,
+      'primary',
+      primaryText,
+    );
+    translations.primary = primaryText;
+    if (targetLanguageId) {
+      translations[targetLanguageId] = '';
+    }
+
+    return [
+      {
+        ...createLineRecord(
+          {
+            ...line,
+            text: primaryText,
+            translations,
+          },
+          'primary',
+        ),
+        sourceIndex: index,
+      },
+    ];
+  });
+}
+
+function buildPreservedSupplementalAlignmentBuckets(
+  lines,
+  targetLanguageId,
+  baseLineCount,
+) {
+  const bucketCount = Math.max(
+    Number.isInteger(baseLineCount) ? baseLineCount : 0,
+    0,
+  );
+  const buckets = Array.from({ length: bucketCount + 1 }, () => []);
+  if (!Array.isArray(lines)) {
+    return buckets;
+  }
+
+  let seenPrimaryRows = 0;
+  lines.forEach((line) => {
+    const primaryText = sanitizeLineText(line?.text || '');
+    if (primaryText) {
+      seenPrimaryRows += 1;
+      return;
+    }
+
+    const translations = normalizeTranslationsMap(
+      line?.translations,
+      'primary',
+      '',
+    );
+    translations.primary = '';
+
+    const shouldPreserve = Object.entries(translations).some(
+      ([languageId, value]) =>
+        languageId !== 'primary' &&
+        languageId !== targetLanguageId &&
+        sanitizeLineText(value),
+    );
+    if (!shouldPreserve) {
+      return;
+    }
+
+    const bucketIndex = Math.min(seenPrimaryRows, buckets.length - 1);
+    buckets[bucketIndex].push(
+      createLineRecord(
+        {
+          ...line,
+          text: '',
+          translations,
+        },
+        'primary',
+      ),
+    );
+  });
+
+  return buckets;
+}
+
+function normalizeTimelineAlignmentPlanEntry(entry, indexBase, rowIndex) {
+  if (entry == null || typeof entry !== 'object' || Array.isArray(entry)) {
+    const error = new Error(`第 ${rowIndex + 1} 行對齊格式錯誤`);
+    error.code = 'INVALID_ALIGNMENT_RANGE';
+    throw error;
+  }
+
+  const existingRowRaw = parseAlignmentUnitIndex(
+    entry.existingRow ??
+      entry.baseRow ??
+      entry.timelineRow ??
+      entry.rowIndex ??
+      entry.row,
+  );
+  const targetRange = normalizeAlignmentRangeEntry(entry, indexBase, rowIndex);
+  const existingRow =
+    existingRowRaw == null ? null : existingRowRaw - indexBase;
+
+  if (existingRow == null && targetRange.startUnit == null && targetRange.endUnit == null) {
+    const error = new Error(`第 ${rowIndex + 1} 行至少要對應一側內容`);
+    error.code = 'INVALID_ALIGNMENT_RANGE';
+    throw error;
+  }
+
+  return {
+    existingRow,
+    startLine: targetRange.startUnit,
+    endLine: targetRange.endUnit,
+  };
+}
+
+function validateTimelineAlignmentPlan(plan, existingCount, targetCount) {
+  if (!Array.isArray(plan)) {
+    const error = new Error('對齊結果格式錯誤');
+    error.code = 'INVALID_ALIGNMENT_RANGE';
+    throw error;
+  }
+
+  let nextExistingRow = 0;
+  let nextTargetLine = 0;
+
+  plan.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      const error = new Error(`第 ${index + 1} 行對齊格式錯誤`);
+      error.code = 'INVALID_ALIGNMENT_RANGE';
+      throw error;
+    }
+
+    const hasExistingRow = entry.existingRow != null;
+    const hasTargetLines = entry.startLine != null && entry.endLine != null;
+
+    if (!hasExistingRow && !hasTargetLines) {
+      const error = new Error(`第 ${index + 1} 行至少要對應一側內容`);
+      error.code = 'INVALID_ALIGNMENT_RANGE';
+      throw error;
+    }
+
+    if (hasExistingRow) {
+      if (!Number.isInteger(entry.existingRow)) {
+        const error = new Error(`第 ${index + 1} 行既有列索引無效`);
+        error.code = 'INVALID_ALIGNMENT_RANGE';
+        throw error;
+      }
+      if (entry.existingRow < 0 || entry.existingRow >= existingCount) {
+        const error = new Error(`第 ${index + 1} 行既有列索引超出上限`);
+        error.code = 'INVALID_ALIGNMENT_RANGE';
+        throw error;
+      }
+      if (entry.existingRow !== nextExistingRow) {
+        const error = new Error(
+          `第 ${index + 1} 行未依序承接既有列 ${nextExistingRow + 1}`,
+        );
+        error.code = 'INVALID_ALIGNMENT_ORDER';
+        throw error;
+      }
+      nextExistingRow += 1;
+    }
+
+    if (hasTargetLines) {
+      if (
+        !Number.isInteger(entry.startLine) ||
+        !Number.isInteger(entry.endLine)
+      ) {
+        const error = new Error(`第 ${index + 1} 行目標語言範圍無效`);
+        error.code = 'INVALID_ALIGNMENT_RANGE';
+        throw error;
+      }
+      if (entry.startLine < 0 || entry.endLine < entry.startLine) {
+        const error = new Error(`第 ${index + 1} 行目標語言範圍無效`);
+        error.code = 'INVALID_ALIGNMENT_RANGE';
+        throw error;
+      }
+      if (entry.endLine >= targetCount) {
+        const error = new Error(`第 ${index + 1} 行目標語言範圍超出上限`);
+        error.code = 'INVALID_ALIGNMENT_RANGE';
+        throw error;
+      }
+      if (entry.startLine !== nextTargetLine) {
+        const error = new Error(
+          `第 ${index + 1} 行未依序承接目標語言第 ${nextTargetLine + 1} 行`,
+        );
+        error.code = 'INVALID_ALIGNMENT_ORDER';
+        throw error;
+      }
+      nextTargetLine = entry.endLine + 1;
+    }
+  });
+
+  if (nextExistingRow !== existingCount) {
+    const error = new Error('既有字幕列沒有被完整覆蓋');
+    error.code = 'INVALID_ALIGNMENT_COVERAGE';
+    throw error;
+  }
+  if (nextTargetLine !== targetCount) {
+    const error = new Error('目標語言內容沒有被完整覆蓋');
+    error.code = 'INVALID_ALIGNMENT_COVERAGE';
+    throw error;
+  }
+
+  return plan;
+}
+
+function detectParsedLineRangeType(parsedLines, startLine, endLine) {
+  if (
+    !Array.isArray(parsedLines) ||
+    startLine == null ||
+    endLine == null ||
+    startLine < 0 ||
+    endLine < startLine
+  ) {
+    return LINE_TYPES.DIALOGUE;
+  }
+
+  const slice = parsedLines.slice(startLine, endLine + 1);
+  if (
+    slice.length > 0 &&
+    slice.every((line) => line?.type === LINE_TYPES.DIRECTION)
+  ) {
+    return LINE_TYPES.DIRECTION;
+  }
+
+  return LINE_TYPES.DIALOGUE;
+}
+
+function detectParsedLineRangeRole(parsedLines, startLine, endLine) {
+  if (
+    !Array.isArray(parsedLines) ||
+    startLine == null ||
+    endLine == null ||
+    startLine < 0 ||
+    endLine < startLine
+  ) {
+    return null;
+  }
+
+  for (const line of parsedLines.slice(startLine, endLine + 1)) {
+    const role = normalizeRoleName(line?.role);
+    if (role) {
+      return role;
+    }
+  }
+
+  return null;
+}
+
+function buildSequentialSecondaryLanguageTimeline({
+  session,
+  timelineLines,
+  parsedLines,
+  languageId,
+}) {
+  const existingLines = Array.isArray(timelineLines) ? timelineLines : [];
+  const normalizedParsedLines = normalizeScriptLines(parsedLines, {
+    primaryLanguageId: 'primary',
+  });
+  const nextLineCount = Math.max(
+    existingLines.length,
+    normalizedParsedLines.length,
+  );
+  const mergedLines = [];
+
+  for (let index = 0; index < nextLineCount; index += 1) {
+    const existingLine = existingLines[index] || null;
+    const parsedLine = normalizedParsedLines[index] || null;
+    const targetText = sanitizeLineText(parsedLine?.text || '');
+
+    if (existingLine) {
+      mergedLines.push(
+        updateSessionLineLanguageText(existingLine, languageId, targetText),
+      );
+      continue;
+    }
+
+    if (!parsedLine) {
+      continue;
+    }
+
+    mergedLines.push(
+      createBlankSessionLine(session, {
+        type:
+          parsedLine.type === LINE_TYPES.DIRECTION
+            ? LINE_TYPES.DIRECTION
+            : LINE_TYPES.DIALOGUE,
+        music: false,
+        role: parsedLine?.role || null,
+        languageId,
+        text: targetText,
+      }),
+    );
+  }
+
+  return mergedLines;
+}
+
+function buildTargetOnlyAlignmentPlan(parsedLines) {
+  const normalizedParsedLines = normalizeLanguageAlignmentLines(parsedLines);
+  return normalizedParsedLines.map((_line, index) => ({
+    existingRow: null,
+    startLine: index,
+    endLine: index,
+  }));
+}
+
+function buildAlignedLanguageTimelineFromPlan({
+  session,
+  baseLines,
+  parsedLines,
+  languageId,
+  languageCode,
+  plan,
+  supplementalBuckets = [],
+}) {
+  const normalizedParsedLines = normalizeLanguageAlignmentLines(parsedLines);
+  const mergedLines = [];
+  const appendSupplementalBucket = (bucketIndex) => {
+    const bucket = Array.isArray(supplementalBuckets[bucketIndex])
+      ? supplementalBuckets[bucketIndex]
+      : [];
+    bucket.forEach((line) => {
+      mergedLines.push(createLineRecord(line, 'primary'));
+    });
+  };
+
+  appendSupplementalBucket(0);
+  let emittedBaseRows = 0;
+
+  plan.forEach((entry) => {
+    const targetText =
+      entry.startLine == null || entry.endLine == null
+        ? ''
+        : joinSecondaryAlignmentUnits(
+            normalizedParsedLines
+              .slice(entry.startLine, entry.endLine + 1)
+              .map((line) => line.text),
+            { languageCode },
+          );
+
+    if (entry.existingRow != null) {
+      const existingLine = baseLines[entry.existingRow];
+      const sourceLine =
+        existingLine?.sourceLine && typeof existingLine.sourceLine === 'object'
+          ? existingLine.sourceLine
+          : existingLine;
+      const translations = normalizeTranslationsMap(
+        sourceLine?.translations,
+        'primary',
+        sourceLine?.text || existingLine?.text || '',
+      );
+      translations[languageId] = targetText;
+
+      mergedLines.push(
+        createLineRecord(
+          {
+            ...sourceLine,
+            text: sanitizeLineText(sourceLine?.text || existingLine?.text || ''),
+            translations,
+          },
+          'primary',
+        ),
+      );
+      emittedBaseRows += 1;
+      appendSupplementalBucket(emittedBaseRows);
+      return;
+    }
+
+    const type = detectParsedLineRangeType(
+      normalizedParsedLines,
+      entry.startLine,
+      entry.endLine,
+    );
+    const role =
+      type === LINE_TYPES.DIALOGUE
+        ? detectParsedLineRangeRole(
+            normalizedParsedLines,
+            entry.startLine,
+            entry.endLine,
+          )
+        : null;
+
+    mergedLines.push(
+      createBlankSessionLine(session, {
+        type,
+        music: false,
+        role,
+        languageId,
+        text: targetText,
+      }),
+    );
+  });
+
+  return mergedLines;
+}
+
+async function alignParsedLanguageLinesWithOpenAI({
+  provider,
+  baseLines,
+  parsedLines,
+  targetLanguageId,
+  languageName,
+  languageCode,
+}) {
+  const normalizedParsedLines = normalizeLanguageAlignmentLines(parsedLines);
+  const existingCount = Array.isArray(baseLines) ? baseLines.length : 0;
+  const targetCount = normalizedParsedLines.length;
+
+  if (existingCount === 0) {
+    return buildTargetOnlyAlignmentPlan(normalizedParsedLines);
+  }
+
+  if (targetCount === 0) {
+    return Array.from({ length: existingCount }, (_value, index) => ({
+      existingRow: index,
+      startLine: null,
+      endLine: null,
+    }));
+  }
+
+  const prompt = [
+    {
+      role: 'system',
+      content:
+        'You semantically align a target-language script sequence to an edited primary-language subtitle timeline by producing a merged ordered plan.',
+    },
+    {
+      role: 'user',
+      content: `
+請把以下目標語言「已切好的語意單位」，依照語意對齊到既有第一語言字幕時間線。
+
+重要背景：
+1. 既有第一語言字幕可能已被人工刪改、濃縮、合併，不等於原文逐句翻譯。
+2. 目標語言可能保留原文完整內容，所以有些片段可能完全無法對齊到第一語言任何一列。
+3. 遇到無法對齊的目標片段，寧可建立 existingRow = null 的 target-only row，也不要硬塞到相鄰列。
+
+重要原則：
+1. 對齊必須以語意、事件順序、上下文承接、句意完成度、舞台指示對應為主。
+2. 不可只依照行數、字數、長度相近、標點位置或平均切分來對齊。
+3. 若目標語言某一句被切成多行，可以把多個連續目標行對齊到同一個既有字幕列。
+4. 若某個既有字幕列在目標語言中沒有直接對應，可以保留該列並讓目標語言為 null。
+5. 若某個目標語言片段沒有對應的既有字幕列，可以新增一列 target-only row，讓 existingRow 為 null。
+6. 不可改寫、翻譯、摘要或重述內容，只做對齊。
+7. 對齊時請優先參考舞台指示、角色、事件順序、情緒轉折、因果承接與場景切換。
+8. 若信心不足，優先保留 null 或 target-only row，不要勉強配對。
+
+輸出規則：
+1. 一定要輸出 JSON array。
+2. 每筆格式為 { "existingRow": 1, "startLine": 1, "endLine": 3 }。
+3. existingRow 使用 1-based；若該列是只屬於目標語言的新列，existingRow 請輸出 null。
+4. startLine / endLine 使用 1-based 且含頭含尾；若該既有列在目標語言中沒有直接對應，請輸出 null。
+5. 每個既有字幕列都必須剛好出現一次，而且必須依照既有順序往下。
+6. 所有目標語言 line 都必須剛好使用一次，而且必須依照原順序往下，不可重排、不可重疊、不可跳號。
+7. 只有在語意上真的沒有對應既有列時，才可以建立 existingRow = null 的 target-only row。
+8. 不可以把語意不對的內容硬塞到長度接近的列裡。
+
+輸出範例：
+[
+  { "existingRow": 1, "startLine": 1, "endLine": 1 },
+  { "existingRow": null, "startLine": 2, "endLine": 2 },
+  { "existingRow": 2, "startLine": null, "endLine": null },
+  { "existingRow": 3, "startLine": 3, "endLine": 4 }
+]
+
+既有第一語言字幕時間線如下：
+${baseLines.map((line, index) => formatTimelineAlignmentBaseLine(line, index)).join('\n')}
+
+目標語言名稱：${sanitizeLineText(languageName || '目標語言')}
+
+目標語言已切好的字幕行如下：
+${normalizedParsedLines
+  .map((line, index) => formatLanguageAlignmentPromptLine(line, index))
+  .join('\n')}
+      `.trim(),
+    },
+  ];
+
+  const output = await provider.requestJsonArray({
+    messages: prompt,
+    model: provider.model || SECONDARY_ALIGNMENT_MODEL,
+    maxOutputTokens: 5000,
+    temperature: 0.1,
+  });
+  if (!output) {
+    throw new Error('未能取得語意對齊結果');
+  }
+
+  const sanitized = output
+    .replace(/^```json/i, '')
+    .replace(/^```/i, '')
+    .replace(/```$/i, '')
+    .trim();
+  const parsed = parseJsonArrayLoose(sanitized);
+  if (!Array.isArray(parsed)) {
+    throw new Error('對齊結果格式錯誤');
+  }
+
+  const indexBase = inferAlignmentUnitIndexBase(parsed);
+  const plan = parsed.map((entry, index) =>
+    normalizeTimelineAlignmentPlanEntry(entry, indexBase, index),
+  );
+  validateTimelineAlignmentPlan(plan, existingCount, targetCount);
+  return plan;
+}
+
+async function alignSecondaryLanguageWithOpenAI({
+  session,
+  rawText,
+  provider,
+  timelineLines,
+  languageId,
+  languageName,
+  languageCode,
+}) {
+  const baseLines = buildLanguageAlignmentBaseLines(timelineLines, languageId);
+  const supplementalBuckets = buildPreservedSupplementalAlignmentBuckets(
+    timelineLines,
+    languageId,
+    baseLines.length,
+  );
+  const sourceResult = await parseSecondaryLanguageSourceWithOpenAI(rawText, provider, {
+    languageCode,
+  });
+  const parsedLines = sourceResult.parsedLines;
+
+  const alignmentPlan = await alignParsedLanguageLinesWithOpenAI({
+    provider,
+    baseLines,
+    parsedLines,
+    targetLanguageId: languageId,
+    languageName,
+    languageCode,
+  });
+  const mergedLines = buildAlignedLanguageTimelineFromPlan({
+    session,
+    baseLines,
+    parsedLines,
+    languageId,
+    languageCode,
+    plan: alignmentPlan,
+    supplementalBuckets,
+  });
+
+  return {
+    lines: mergedLines,
+    warning: sourceResult.warning,
+    sourceLines: normalizeSecondaryLanguageSourceSegments(parsedLines),
+    sourceText: buildSecondaryLanguageSourceText(parsedLines),
+  };
+}
+
+function buildScriptLinesFromSubtitleCues(cues) {
+  return normalizeScriptLines(
+    (Array.isArray(cues) ? cues : []).map((cue) => ({
+      text: cue.text,
+      type:
+        cue.italic || isLikelyDirection(cue.text)
+          ? LINE_TYPES.DIRECTION
+          : LINE_TYPES.DIALOGUE,
+      role: cue.role || null,
+      timings: {
+        primary: { startMs: cue.startMs, endMs: cue.endMs },
+      },
+    })),
+    { primaryLanguageId: 'primary' },
+  );
+}
+
+// When every row carries cue times (e.g. it came from a timed subtitle file),
+// each cue goes to the row it overlaps most, or the nearest row when it
+// overlaps none. Rows never move backwards, so each row holds a run of cues.
+function buildTimedSubtitleAlignmentRanges(baseLines, cues) {
+  const lineTimings = baseLines.map((line) =>
+    normalizeLineTiming(line.timings?.primary),
+  );
+  if (lineTimings.length === 0 || lineTimings.some((timing) => !timing)) {
+    return null;
+  }
+
+  const ranges = baseLines.map(() => ({ startUnit: null, endUnit: null }));
+  let previousIndex = 0;
+  cues.forEach((cue, cueIndex) => {
+    let bestIndex = previousIndex;
+    let bestOverlap = -Infinity;
+    lineTimings.forEach((timing, index) => {
+      // A negative overlap is the gap between the two, so the nearest row wins.
+      const overlap =
+        Math.min(timing.endMs, cue.endMs) - Math.max(timing.startMs, cue.startMs);
+      if (overlap > bestOverlap) {
+        bestOverlap = overlap;
+        bestIndex = index;
+      }
+    });
+    previousIndex = Math.max(bestIndex, previousIndex);
+    const range = ranges[previousIndex];
+    if (range.startUnit == null) {
+      range.startUnit = cueIndex;
+    }
+    range.endUnit = cueIndex;
+  });
+  return ranges;
+}
+
+function alignSubtitleCuesToCellLines({ cell, language, cues }) {
+  const baseLines = buildLanguageAlignmentBaseLines(cell?.lines, language.id);
+  if (baseLines.length === 0) {
+    const error = new Error('目前場次沒有第一語言字幕可以對齊');
+    error.code = 'EMPTY_ALIGNMENT_BASE';
+    throw error;
+  }
+
+  const unitTexts = cues.map((cue) => cue.text);
+  const ranges =
+    buildTimedSubtitleAlignmentRanges(baseLines, cues) ||
+    buildHeuristicSecondaryAlignmentRanges(baseLines, unitTexts);
+  const alignedTexts = buildAlignedTextsFromRanges(unitTexts, ranges, {
+    languageCode: language.code,
+  });
+  const nextLines = cell.lines.slice();
+
+  baseLines.forEach((baseLine, index) => {
+    const sourceLine = cell.lines[baseLine.sourceIndex];
+    const range = ranges[index];
+    const updatedLine = updateSessionLineLanguageText(
+      sourceLine,
+      language.id,
+      alignedTexts[index] || '',
+    );
+    const timings = { ...updatedLine.timings };
+    if (range && range.startUnit != null && range.endUnit != null) {
+      timings[language.id] = {
+        startMs: cues[range.startUnit].startMs,
+        endMs: cues[range.endUnit].endMs,
+      };
+    } else {
+      delete timings[language.id];
+    }
+    nextLines[baseLine.sourceIndex] = createLineRecord(
+      { ...updatedLine, timings },
+      'primary',
+    );
+  });
+
+  return nextLines;
+}
+
+function getOwnedSessionFromRequest(req, res) {
+  if (!canManageSessions(req.authUser)) {
+    res.status(403).json({ error: '目前權限無法管理控制端節目' });
+    return null;
+  }
+  const sessionId =
+    typeof req.params?.sessionId === 'string' && req.params.sessionId.trim()
+      ? req.params.sessionId.trim()
+      : DEFAULT_SESSION_ID;
+  const userId = req.authUser?.id;
+  const session = getOwnedSession(sessionId, userId);
+  if (!session) {
+    res.status(404).json({ error: '找不到節目' });
+    return null;
+  }
+  return session;
+}
+
+const registerRateLimit = createRateLimitMiddleware({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: '註冊嘗試過多，請稍後再試',
+  keyPrefix: 'auth:register',
+});
+
+const loginRateLimit = createRateLimitMiddleware({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: '登入嘗試過多，請稍後再試',
+  keyPrefix: 'auth:login',
+  keyGenerator: (req) =>
+    `${getRequestIp(req)}:${normalizeUsername(req.body?.username) || '*'}`,
+});
+
+const forgotPasswordRateLimit = createRateLimitMiddleware({
+  windowMs: 30 * 60 * 1000,
+  max: 5,
+  message: '忘記密碼申請過多，請稍後再試',
+  keyPrefix: 'auth:forgot',
+  keyGenerator: (req) =>
+    `${getRequestIp(req)}:${normalizeUsername(req.body?.username) || '*'}`,
+});
+
+const changePasswordRateLimit = createRateLimitMiddleware({
+  windowMs: 30 * 60 * 1000,
+  max: 8,
+  message: '修改密碼操作過多，請稍後再試',
+  keyPrefix: 'auth:change-password',
+  keyGenerator: (req) => `${getRequestIp(req)}:${req.authUser?.id || 'guest'}`,
+});
+
+const accessUnlockRateLimit = createRateLimitMiddleware({
+  windowMs: 15 * 60 * 1000,
+  max: 12,
+  message: '密碼嘗試過多，請稍後再試',
+  keyPrefix: 'access:unlock',
+});
+
+app.post('/api/access/unlock', accessUnlockRateLimit, (req, res) => {
+  const password = normalizePassword(req.body?.password);
+
+  if (!safeTokenEquals(password, SHARED_ACCESS_PASSWORD)) {
+    return res.status(401).json({ error: '密碼錯誤' });
+  }
+
+  setAccessCookie(res);
+  res.json({ user: serializeUser(createSharedAccessUser()) });
+});
+
+app.post('/api/auth/register', registerRateLimit, (req, res) => {
+  if (!PUBLIC_REGISTRATION_ENABLED) {
+    return res.status(410).json({
+      error: '此系統已關閉公開註冊，請由管理員建立帳號',
+    });
+  }
+
+  const username = normalizeDisplayName(req.body?.username);
+  const usernameNormalized = normalizeUsername(req.body?.username);
+  const password = normalizePassword(req.body?.password);
+
+  if (username.length < 3) {
+    return res.status(400).json({ error: '帳號至少需要 3 個字' });
+  }
+  if (password.length < 6) {
+    return res.status(400).json({ error: '密碼至少需要 6 個字' });
+  }
+  if (findUserByNormalizedUsername(usernameNormalized)) {
+    return res.status(409).json({ error: '此帳號已存在' });
+  }
+
+  const role = countAdminUsers() === 0 ? USER_ROLES.ADMIN : USER_ROLES.OPERATOR;
+  const user = createUserRecord({
+    username,
+    usernameNormalized,
+    password,
+    role,
+  });
+  users.set(user.id, user);
+
+  const { token, record } = createAuthTokenRecord(user.id);
+  authSessions.set(record.tokenHash, record);
+  persistApplicationStore();
+  setAuthCookie(res, token);
+  res.json({ user: serializeUser(user) });
+});
+
+app.post('/api/admin/users', requireAdmin, registerRateLimit, (req, res) => {
+  const username = normalizeDisplayName(req.body?.username);
+  const usernameNormalized = normalizeUsername(req.body?.username);
+  const password = normalizePassword(req.body?.password);
+  const role = normalizeUserRole(req.body?.role, USER_ROLES.OPERATOR);
+
+  if (username.length < 3) {
+    return res.status(400).json({ error: '帳號至少需要 3 個字' });
+  }
+  if (password.length < 6) {
+    return res.status(400).json({ error: '密碼至少需要 6 個字' });
+  }
+  if (findUserByNormalizedUsername(usernameNormalized)) {
+    return res.status(409).json({ error: '此帳號已存在' });
+  }
+
+  const user = createUserRecord({
+    username,
+    usernameNormalized,
+    password,
+    role,
+  });
+  users.set(user.id, user);
+  persistApplicationStore();
+  res.status(201).json({ user: getAdminUserPayload(user) });
+});
+
+app.post('/api/auth/login', loginRateLimit, (req, res) => {
+  const usernameNormalized = normalizeUsername(req.body?.username);
+  const password = normalizePassword(req.body?.password);
+  const user = findUserByNormalizedUsername(usernameNormalized);
+
+  if (!user || !verifyPassword(password, user.passwordHash)) {
+    return res.status(401).json({ error: '帳號或密碼錯誤' });
+  }
+  if (isUserDisabled(user)) {
+    return res.status(403).json({ error: '此帳號已停用' });
+  }
+
+  const { token, record } = createAuthTokenRecord(user.id);
+  authSessions.set(record.tokenHash, record);
+  persistApplicationStore();
+  setAuthCookie(res, token);
+  res.json({ user: serializeUser(user) });
+});
+
+app.post(
+  '/api/auth/change-password',
+  requireAuth,
+  changePasswordRateLimit,
+  (req, res) => {
+  const currentPassword = normalizePassword(req.body?.currentPassword);
+  const nextPassword = normalizePassword(req.body?.newPassword);
+
+  if (!verifyPassword(currentPassword, req.authUser.passwordHash)) {
+    return res.status(401).json({ error: '目前密碼錯誤' });
+  }
+  if (nextPassword.length < 6) {
+    return res.status(400).json({ error: '新密碼至少需要 6 個字' });
+  }
+
+  req.authUser.passwordHash = createPasswordHash(nextPassword);
+  clearPasswordResetCode(req.authUser);
+  revokeUserAuthSessions(req.authUser.id);
+
+  const { token, record } = createAuthTokenRecord(req.authUser.id);
+  authSessions.set(record.tokenHash, record);
+  persistApplicationStore();
+  setAuthCookie(res, token);
+  res.json({ user: serializeUser(req.authUser) });
+},
+);
+
+app.post('/api/auth/forgot-password/request', forgotPasswordRateLimit, (req, res) => {
+  const usernameNormalized = normalizeUsername(req.body?.username);
+  const user = findUserByNormalizedUsername(usernameNormalized);
+
+  if (!user || isUserDisabled(user)) {
+    return res.json({
+      ok: true,
+      message: '如果帳號存在，系統已收到重設申請，請聯絡管理員協助',
+    });
+  }
+
+  requestPasswordReset(user);
+  persistApplicationStore();
+  return res.json({
+    ok: true,
+    message: '如果帳號存在，系統已收到重設申請，請聯絡管理員協助',
+    expiresAt: user.passwordReset?.expiresAt || null,
+  });
+});
+
+app.post('/api/auth/forgot-password/reset', (req, res) => {
+  res.status(410).json({
+    error: '此部署已停用前端重設碼流程，請聯絡管理員於後台重設密碼',
+  });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  if (req.authSession?.tokenHash) {
+    authSessions.delete(req.authSession.tokenHash);
+    persistApplicationStore();
+  }
+  clearAuthCookie(res);
+  clearAccessCookie(res);
+  res.json({ ok: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: serializeUser(req.authUser) });
+});
+
+app.get('/api/admin/users', requireAdmin, (req, res) => {
+  const adminUsers = Array.from(users.values())
+    .map((user) => getAdminUserPayload(user))
+    .sort((left, right) => (right.createdAt || 0) - (left.createdAt || 0));
+
+  res.json({ users: adminUsers });
+});
+
+app.patch('/api/admin/users/:userId', requireAdmin, (req, res) => {
+  const targetUser = users.get(req.params.userId);
+  if (!targetUser) {
+    return res.status(404).json({ error: '找不到帳號' });
+  }
+
+  const hasRoleChange = Object.prototype.hasOwnProperty.call(req.body || {}, 'role');
+  const hasDisableChange = Object.prototype.hasOwnProperty.call(
+    req.body || {},
+    'disabled',
+  );
+  const hasPasswordChange = Object.prototype.hasOwnProperty.call(
+    req.body || {},
+    'newPassword',
+  );
+  const hasResetClear = req.body?.clearPasswordReset === true;
+  const requestedRole = normalizeUserRole(req.body?.role, targetUser.role);
+  const requestedDisabled =
+    typeof req.body?.disabled === 'boolean'
+      ? req.body.disabled
+      : isUserDisabled(targetUser);
+  const nextPassword = normalizePassword(req.body?.newPassword);
+
+  if (
+    req.authUser.id === targetUser.id &&
+    ((hasRoleChange && requestedRole !== targetUser.role) ||
+      (hasDisableChange && requestedDisabled))
+  ) {
+    return res.status(400).json({ error: '不能在管理後台停用自己或變更自己的權限' });
+  }
+  if (req.authUser.id === targetUser.id && hasPasswordChange) {
+    return res.status(400).json({ error: '請到首頁的帳號設定修改自己的密碼' });
+  }
+
+  const adminTransitionError = ensureUserCanTransitionFromAdmin(
+    targetUser,
+    requestedRole,
+    requestedDisabled,
+  );
+  if (adminTransitionError) {
+    return res.status(400).json({ error: adminTransitionError });
+  }
+
+  if (hasRoleChange) {
+    targetUser.role = requestedRole;
+  }
+  if (hasDisableChange) {
+    targetUser.disabledAt = requestedDisabled ? Date.now() : null;
+    if (requestedDisabled) {
+      revokeUserAuthSessions(targetUser.id);
+    }
+  }
+  if (hasPasswordChange) {
+    if (nextPassword.length < 6) {
+      return res.status(400).json({ error: '新密碼至少需要 6 個字' });
+    }
+    targetUser.passwordHash = createPasswordHash(nextPassword);
+    clearPasswordResetCode(targetUser);
+    revokeUserAuthSessions(targetUser.id);
+  }
+  if (hasResetClear) {
+    clearPasswordResetCode(targetUser);
+  }
+
+  persistApplicationStore();
+  res.json({ user: getAdminUserPayload(targetUser) });
+});
+
+app.get('/api/admin/llm-cache', requireAdmin, (req, res) => {
+  res.json({ cache: getLlmCacheSummary() });
+});
+
+app.delete('/api/admin/llm-cache', requireAdmin, (req, res) => {
+  const model = typeof req.query?.model === 'string' ? req.query.model.trim() : '';
+  const purgedCount = purgeLlmCache({ model });
+  persistApplicationStore();
+  res.json({ purgedCount, cache: getLlmCacheSummary() });
+});
+
+app.delete('/api/admin/users/:userId', requireAdmin, (req, res) => {
+  const targetUser = users.get(req.params.userId);
+  if (!targetUser) {
+    return res.status(404).json({ error: '找不到帳號' });
+  }
+  if (req.authUser.id === targetUser.id) {
+    return res.status(400).json({ error: '不能刪除目前登入中的管理員帳號' });
+  }
+
+  const adminTransitionError = ensureUserCanTransitionFromAdmin(
+    targetUser,
+    USER_ROLES.VIEWER,
+    true,
+  );
+  if (adminTransitionError) {
+    return res.status(400).json({ error: adminTransitionError });
+  }
+
+  revokeUserAuthSessions(targetUser.id);
+  clearPasswordResetCode(targetUser);
+  const removedSessionCount = deleteOwnedSessionsForUser(
+    targetUser.id,
+    'owner account deleted',
+  );
+  users.delete(targetUser.id);
+  persistApplicationStore();
+
+  res.json({
+    ok: true,
+    removedSessionCount,
+  });
+});
+
+app.get('/api/sessions', requireAuth, (req, res) => {
+  const visibleSessions = getVisibleSessionsForUser(req.authUser)
+    .map((session) => getSessionSummary(session))
+    .sort((left, right) => (right.updatedAt || 0) - (left.updatedAt || 0));
+  res.json({ sessions: visibleSessions });
+});
+
+app.post('/api/session', requireSessionManager, (req, res) => {
+  const session = createSessionRecord(req.authUser?.id || SHARED_ACCESS_USER_ID);
+  const requestedTitle = sanitizeLineText(req.body?.title || '');
+  if (requestedTitle) {
+    session.title = requestedTitle.slice(0, 60);
+  }
+  persistSession(session);
+  res.json(getControlPayload(session));
+});
+
+app.post('/api/session/import', requireSessionManager, (req, res) => {
+  try {
+    const session = regenerateImportedSessionIdentity(
+      createImportedSessionFromBackup(req.body, req.authUser),
+    );
+    stopTranscriptionStream(session.id, {
+      keepText: false,
+      reason: 'workspace import',
+    });
+    session.transcription = defaultTranscriptionState();
+    session.history = { past: [], future: [] };
+    syncSelectedCellLines(session);
+    clearPublicSessionTombstones(session);
+    sessions.set(session.id, ensureSessionStructure(session));
+    markShowLogsChanged();
+    persistSession(session);
+    res.status(201).json(getControlPayload(session));
+  } catch (error) {
+    res.status(400).json({
+      error: error?.message || '匯入節目備份失敗',
+    });
+  }
+});
+
+app.get('/api/session/:sessionId', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  res.json(getControlPayload(session));
+});
+
+app.get('/api/session/:sessionId/backup', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  res.json(buildSessionBackupPayload(session));
+});
+
+app.put('/api/session/:sessionId/title', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+
+  const nextTitle = sanitizeLineText(req.body?.title || '').slice(0, 60);
+  if (!nextTitle) {
+    return res.status(400).json({ error: '請輸入節目名稱' });
+  }
+  if (session.title === nextTitle) {
+    return res.json(getControlPayload(session));
+  }
+
+  pushSessionHistory(session);
+  session.title = nextTitle;
+  persistSession(session);
+  broadcastControlState(session.id);
+  res.json(getControlPayload(session));
+});
+
+app.post('/api/session/:sessionId/roles', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+
+  const roleName = normalizeRoleName(req.body?.name);
+  if (!roleName) {
+    return res.status(400).json({ error: '請輸入角色名稱' });
+  }
+  if (session.roles.includes(roleName)) {
+    return res.json(getControlPayload(session));
+  }
+
+  pushSessionHistory(session);
+  session.roles = collectSessionRoleNames({
+    ...session,
+    roles: [...session.roles, roleName],
+  });
+  persistSession(session);
+  broadcastControlState(session.id);
+  res.json(getControlPayload(session));
+});
+
+app.put('/api/session/:sessionId/roles/:roleName', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+
+  const previousRole = normalizeRoleName(req.params.roleName);
+  const nextRole = normalizeRoleName(req.body?.name);
+  if (!previousRole || !session.roles.includes(previousRole)) {
+    return res.status(404).json({ error: '找不到角色' });
+  }
+  if (!nextRole) {
+    return res.status(400).json({ error: '請輸入角色名稱' });
+  }
+  if (previousRole === nextRole) {
+    return res.json(getControlPayload(session));
+  }
+
+  pushSessionHistory(session);
+  renameSessionRole(session, previousRole, nextRole);
+  syncSelectedCellLines(session);
+  persistSession(session);
+  broadcastControlState(session.id);
+  broadcastViewerState(session.id);
+  res.json(getControlPayload(session));
+});
+
+app.delete('/api/session/:sessionId/roles/:roleName', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+
+  const roleName = normalizeRoleName(req.params.roleName);
+  if (!roleName || !session.roles.includes(roleName)) {
+    return res.status(404).json({ error: '找不到角色' });
+  }
+
+  pushSessionHistory(session);
+  deleteSessionRole(session, roleName);
+  syncSelectedCellLines(session);
+  persistSession(session);
+  broadcastControlState(session.id);
+  broadcastViewerState(session.id);
+  res.json(getControlPayload(session));
+});
+
+app.post('/api/session/:sessionId/roles/merge', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+
+  const targetRole = normalizeRoleName(req.body?.target);
+  const sourceRoles = Array.isArray(req.body?.sources)
+    ? req.body.sources.map((role) => normalizeRoleName(role)).filter(Boolean)
+    : [];
+  if (!targetRole) {
+    return res.status(400).json({ error: '請輸入要合併到的角色名稱' });
+  }
+  if (sourceRoles.length === 0) {
+    return res.status(400).json({ error: '請選擇要合併的角色' });
+  }
+  if (sourceRoles.some((role) => !session.roles.includes(role))) {
+    return res.status(404).json({ error: '找不到角色' });
+  }
+
+  const canonicalTarget = resolveRoleAlias(session, targetRole);
+  if (sourceRoles.every((role) => role === canonicalTarget)) {
+    return res.json(getControlPayload(session));
+  }
+
+  pushSessionHistory(session);
+  mergeSessionRoles(session, sourceRoles, canonicalTarget);
+  syncSelectedCellLines(session);
+  persistSession(session);
+  broadcastControlState(session.id);
+  broadcastViewerState(session.id);
+  res.json(getControlPayload(session));
+});
+
+app.put('/api/session/:sessionId/role-aliases', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+
+  const rawAliases = req.body?.aliases;
+  if (!rawAliases || typeof rawAliases !== 'object' || Array.isArray(rawAliases)) {
+    return res.status(400).json({ error: 'aliases 必須是物件' });
+  }
+  if (Object.keys(rawAliases).length > MAX_ROLE_ALIASES) {
+    return res
+      .status(400)
+      .json({ error: `最多只能設定 ${MAX_ROLE_ALIASES} 個角色別名` });
+  }
+
+  pushSessionHistory(session);
+  session.roleAliases = normalizeRoleAliases(rawAliases);
+  ensureSessionRoles(session);
+  syncSelectedCellLines(session);
+  persistSession(session);
+  broadcastControlState(session.id);
+  broadcastViewerState(session.id);
+  res.json(getControlPayload(session));
+});
+
+app.get('/api/session/:sessionId/viewer', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  res.json(getViewerPayload(session));
+});
+
+app.get('/api/viewer-entry/:viewerAlias', (req, res) => {
+  const viewerAlias =
+    typeof req.params.viewerAlias === 'string' ? req.params.viewerAlias.trim() : '';
+  const session = resolveViewerEntrySession(viewerAlias);
+  if (!session) {
+    return res.status(410).json({
+      reason: 'missing',
+      message: '找不到檢視端入口',
+      error: '找不到檢視端入口',
+    });
+  }
+
+  res.json({
+    viewerAlias: session.viewerAlias || '',
+    viewerToken: session.viewerToken,
+    redirectPath: getViewerEntryRedirectPath(session),
+  });
+});
+
+app.get('/api/viewer/:viewerToken', (req, res) => {
+  const viewerToken =
+    typeof req.params.viewerToken === 'string' ? req.params.viewerToken.trim() : '';
+  const session = getSessionByViewerToken(viewerToken);
+  if (!session) {
+    return res
+      .status(410)
+      .json(getPublicSessionUnavailablePayload('viewer', { session, token: viewerToken }));
+  }
+  res.json(getViewerPayload(session));
+});
+
+app.get('/api/projector/:projectorToken', (req, res) => {
+  const projectorToken =
+    typeof req.params.projectorToken === 'string'
+      ? req.params.projectorToken.trim()
+      : '';
+  const session = getSessionByProjectorToken(projectorToken);
+  if (!session) {
+    return res.status(410).json(
+      getPublicSessionUnavailablePayload('projector', {
+        session,
+        token: projectorToken,
+      }),
+    );
+  }
+  const projectorPresenceUpdate = markProjectorPresence(session.id);
+  if (projectorPresenceUpdate.becameAvailable) {
+    broadcastControlState(session.id);
+  }
+  res.json(getProjectorPayload(session));
+});
+
+app.put('/api/session/:sessionId/viewer-alias', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+
+  const rawViewerAlias =
+    typeof req.body?.viewerAlias === 'string' ? req.body.viewerAlias : '';
+  const nextViewerAlias = normalizeViewerAlias(rawViewerAlias);
+
+  if (rawViewerAlias.trim() && !nextViewerAlias) {
+    return res.status(400).json({
+      error: '檢視端入口只能使用中文、英文、數字、-、_',
+    });
+  }
+
+  const aliasOwner = getSessionByViewerAlias(nextViewerAlias);
+  if (aliasOwner && aliasOwner.id !== session.id) {
+    return res.status(409).json({
+      error: '此檢視端入口名稱已被其他節目使用',
+    });
+  }
+
+  if (session.viewerAlias === nextViewerAlias) {
+    return res.json(getControlPayload(session));
+  }
+
+  session.viewerAlias = nextViewerAlias;
+  persistSession(session);
+  broadcastControlState(session.id);
+  res.json(getControlPayload(session));
+});
+
+app.put('/api/session/:sessionId/script-rules', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+
+  let scriptRules;
+  try {
+    scriptRules = normalizeScriptRules(req.body?.rules, { strict: true });
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+
+  session.scriptRules = scriptRules;
+  persistSession(session);
+  broadcastControlState(session.id);
+  res.json(getControlPayload(session));
+});
+
+app.post('/api/session/:sessionId/script-rules/test', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+
+  let scriptRules;
+  try {
+    scriptRules = Array.isArray(req.body?.rules)
+      ? normalizeScriptRules(req.body.rules, { strict: true })
+      : session.scriptRules;
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+
+  const sampleText =
+    typeof req.body?.text === 'string'
+      ? req.body.text.slice(0, SCRIPT_RULE_TEST_MAX_CHARS)
+      : '';
+  if (!sampleText.trim()) {
+    return res.status(400).json({ error: '請輸入要測試的劇本片段' });
+  }
+
+  const compiledRules = compileScriptRules(scriptRules);
+  const ruleById = new Map(scriptRules.map((rule) => [rule.id, rule]));
+  const paragraphs = sampleText
+    .split(/\r?\n+/)
+    .map((paragraph) => sanitizeLineText(paragraph))
+    .filter(Boolean)
+    .map((paragraph) => {
+      const match = resolveScriptRuleMatch(paragraph, compiledRules);
+      return {
+        text: paragraph,
+        ruleId: match?.ruleId || null,
+        ruleLabel: match ? ruleById.get(match.ruleId)?.label || '' : '',
+        type:
+          match?.type ||
+          (isLikelyDirection(paragraph) ? LINE_TYPES.DIRECTION : LINE_TYPES.DIALOGUE),
+        role: match?.role || null,
+      };
+    });
+  const primaryLanguageCode = session.languages?.[0]?.code || '';
+  const lines = normalizeScriptLines(
+    fallbackSegmentScript(
+      normalizeScriptPromptText(sampleText, primaryLanguageCode),
+      { languageCode: primaryLanguageCode, scriptRules: compiledRules },
+    ),
+    { primaryLanguageId: 'primary' },
+  );
+
+  res.json({
+    paragraphs,
+    lines: lines.map((line) => ({
+      text: line.text,
+      type: line.type,
+      role: line.role || null,
+    })),
+  });
+});
+
+app.put('/api/session/:sessionId/llm-provider', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+
+  const nextProvider = mergeLlmProviderConfig(session.llmProvider, req.body);
+  const validationError = validateLlmProviderConfig(nextProvider);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  session.llmProvider = nextProvider;
+  persistSession(session);
+  broadcastControlState(session.id);
+  res.json(getControlPayload(session));
+});
+
+app.put('/api/session/:sessionId/line-length-profiles', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+
+  const rawProfiles = req.body?.profiles;
+  if (!rawProfiles || typeof rawProfiles !== 'object' || Array.isArray(rawProfiles)) {
+    return res.status(400).json({ error: '字幕長度設定格式錯誤' });
+  }
+
+  const nextProfiles = { ...session.lineLengthProfiles };
+  for (const [languageId, rawProfile] of Object.entries(rawProfiles)) {
+    const language = session.languages.find((entry) => entry.id === languageId);
+    if (!language) {
+      return res.status(400).json({ error: `找不到語言：${languageId}` });
+    }
+    if (rawProfile === null) {
+      delete nextProfiles[languageId];
+      continue;
+    }
+    const profile = normalizeLineLengthProfile(
+      rawProfile,
+      getDefaultLineLengthProfile(language.code),
+    );
+    if (!profile) {
+      return res.status(400).json({ error: '請輸入有效的每行最大寬度' });
+    }
+    nextProfiles[languageId] = profile;
+  }
+
+  session.lineLengthProfiles = normalizeLineLengthProfiles(
+    nextProfiles,
+    session.languages,
+  );
+  persistSession(session);
+  broadcastControlState(session.id);
+  res.json(getControlPayload(session));
+});
+
+app.put('/api/session/:sessionId/glossary', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+
+  let glossary;
+  try {
+    glossary = normalizeGlossary(req.body?.entries, session.languages, {
+      strict: true,
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+
+  session.glossary = glossary;
+  refreshTranscriptionStreamGlossary(session);
+  persistSession(session);
+  broadcastControlState(session.id);
+  res.json(getControlPayload(session));
+});
 
-    mergedLines.push(
-      createBlankSessionLine(session, {
-        type,
-        music: false,
-        role,
-        languageId,
-        text: targetText,
-      }),
-    );
-  });
+app.put('/api/session/:sessionId/live-translation', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
 
-  return mergedLines;
+  if (!Array.isArray(req.body?.languageIds)) {
+    return res.status(400).json({
+      error: '請提供要即時翻譯的語言',
+      code: 'INVALID_LIVE_TRANSLATION_LANGUAGES',
+    });
+  }
+
+  session.liveTranslationLanguageIds = normalizeLiveTranslationLanguageIds(
+    req.body.languageIds,
+    session.languages,
+  );
+  if (session.liveTranslationLanguageIds.length === 0) {
+    updateTranscriptionState(session.id, { liveTranslationError: '' });
+  }
+  scheduleLiveTranslation(transcriptionStreams.get(session.id));
+  persistSession(session);
+  broadcastControlState(session.id);
+  broadcastTranscriptionState(session.id);
+  broadcastViewerState(session.id);
+  res.json(getControlPayload(session));
+});
+
+function extractLineNumbers(text) {
+  return (
+    String(text || '')
+      .normalize('NFKC')
+      .replace(/(\d),(?=\d{3}(?!\d))/gu, '$1')
+      .match(/\d+(?:[.:]\d+)*/gu) || []
+  ).sort();
 }
 
-async function alignParsedLanguageLinesWithOpenAI({
-  apiKey,
-  baseLines,
-  parsedLines,
-  targetLanguageId,
-  languageName,
-  languageCode,
-}) {
-  const normalizedParsedLines = normalizeLanguageAlignmentLines(parsedLines);
-  const existingCount = Array.isArray(baseLines) ? baseLines.length : 0;
-  const targetCount = normalizedParsedLines.length;
+function findTranslationLineIssues(session, line, language) {
+  const sourceText = sanitizeLineText(line.text || '');
+  const translation = getLineLanguageText(line, language.id);
+  if (!sourceText) return [];
+  if (!translation) {
+    return [{ kind: TRANSLATION_REPORT_ISSUE_KINDS.EMPTY, message: '尚未翻譯' }];
+  }
 
-  if (existingCount === 0) {
-    return buildTargetOnlyAlignmentPlan(normalizedParsedLines);
+  const issues = [];
+  const { limit, profile } = resolveLineLengthConfig(
+    getLineLengthOptions(session, language.id),
+    translation,
+  );
+  const cueLimit = limit + profile.maxLineBreakOvershoot;
+  const width = measureSubtitleTextWidth(translation);
+  const sourceWidth = measureSubtitleTextWidth(sourceText);
+  if (width > cueLimit) {
+    issues.push({
+      kind: TRANSLATION_REPORT_ISSUE_KINDS.TOO_LONG,
+      message: `寬度 ${Math.ceil(width)} 超過上限 ${cueLimit}`,
+    });
+  } else if (
+    width >= TRANSLATION_REPORT_MIN_RATIO_WIDTH &&
+    width > sourceWidth * TRANSLATION_REPORT_WIDTH_RATIO
+  ) {
+    issues.push({
+      kind: TRANSLATION_REPORT_ISSUE_KINDS.TOO_LONG,
+      message: `寬度是原文的 ${Math.round(width / sourceWidth)} 倍`,
+    });
   }
 
-  if (targetCount === 0) {
-    return Array.from({ length: existingCount }, (_value, index) => ({
-      existingRow: index,
-      startLine: null,
-      endLine: null,
-    }));
+  // Source lines that spell numbers in Han numerals have no digits to compare.
+  const sourceNumbers = extractLineNumbers(sourceText);
+  const translationNumbers = extractLineNumbers(translation);
+  if (
+    sourceNumbers.join(' ') !== translationNumbers.join(' ') &&
+    (sourceNumbers.length > 0 || !HAN_NUMERAL_PATTERN.test(sourceText))
+  ) {
+    issues.push({
+      kind: TRANSLATION_REPORT_ISSUE_KINDS.NUMBER_MISMATCH,
+      message: `數字不一致：原文 ${sourceNumbers.join('、') || '無'}，譯文 ${translationNumbers.join('、') || '無'}`,
+    });
   }
 
-  const client = new OpenAI({ apiKey });
-  const prompt = [
-    {
-      role: 'system',
-      content:
-        'You semantically align a target-language script sequence to an edited primary-language subtitle timeline by producing a merged ordered plan.',
-    },
-    {
-      role: 'user',
-      content: `
-請把以下目標語言「已切好的語意單位」，依照語意對齊到既有第一語言字幕時間線。
+  const normalizedTranslation = translation.normalize('NFKC').toLowerCase();
+  findGlossaryEntriesInText(session.glossary, [sourceText]).forEach((entry) => {
+    const expected = entry.translations?.[language.id];
+    if (
+      expected &&
+      !normalizedTranslation.includes(expected.normalize('NFKC').toLowerCase())
+    ) {
+      issues.push({
+        kind: TRANSLATION_REPORT_ISSUE_KINDS.NAME_MISMATCH,
+        message: `「${entry.term}」應譯為「${expected}」`,
+      });
+    }
+  });
 
-重要背景：
-1. 既有第一語言字幕可能已被人工刪改、濃縮、合併，不等於原文逐句翻譯。
-2. 目標語言可能保留原文完整內容，所以有些片段可能完全無法對齊到第一語言任何一列。
-3. 遇到無法對齊的目標片段，寧可建立 existingRow = null 的 target-only row，也不要硬塞到相鄰列。
+  if ((line.machineDrafted || []).includes(language.id)) {
+    issues.push({
+      kind: TRANSLATION_REPORT_ISSUE_KINDS.MACHINE_DRAFTED,
+      message: '仍是機器初稿',
+    });
+  }
+  return issues;
+}
 
-重要原則：
-1. 對齊必須以語意、事件順序、上下文承接、句意完成度、舞台指示對應為主。
-2. 不可只依照行數、字數、長度相近、標點位置或平均切分來對齊。
-3. 若目標語言某一句被切成多行，可以把多個連續目標行對齊到同一個既有字幕列。
-4. 若某個既有字幕列在目標語言中沒有直接對應，可以保留該列並讓目標語言為 null。
-5. 若某個目標語言片段沒有對應的既有字幕列，可以新增一列 target-only row，讓 existingRow 為 null。
-6. 不可改寫、翻譯、摘要或重述內容，只做對齊。
-7. 對齊時請優先參考舞台指示、角色、事件順序、情緒轉折、因果承接與場景切換。
-8. 若信心不足，優先保留 null 或 target-only row，不要勉強配對。
+function buildTranslationReport(session, { cellId = '', languageId = '' } = {}) {
+  const languages = session.languages
+    .slice(1)
+    .filter((language) => !languageId || language.id === languageId);
+  const cells = session.cells.filter((cell) => !cellId || cell.id === cellId);
+  return {
+    generatedAt: Date.now(),
+    cells: cells.map((cell) => ({
+      id: cell.id,
+      name: cell.name,
+      languages: languages.map((language) => {
+        const counts = Object.fromEntries(
+          Object.values(TRANSLATION_REPORT_ISSUE_KINDS).map((kind) => [kind, 0]),
+        );
+        const lines = [];
+        cell.lines.forEach((line, index) => {
+          const issues = findTranslationLineIssues(session, line, language);
+          if (issues.length === 0) return;
+          issues.forEach((issue) => {
+            counts[issue.kind] += 1;
+          });
+          lines.push({
+            lineId: line.id,
+            index,
+            text: sanitizeLineText(line.text || ''),
+            translation: getLineLanguageText(line, language.id),
+            issues,
+          });
+        });
+        return {
+          languageId: language.id,
+          lineCount: cell.lines.filter((line) => sanitizeLineText(line.text || ''))
+            .length,
+          counts,
+          lines,
+        };
+      }),
+    })),
+  };
+}
 
-輸出規則：
-1. 一定要輸出 JSON array。
-2. 每筆格式為 { "existingRow": 1, "startLine": 1, "endLine": 3 }。
-3. existingRow 使用 1-based；若該列是只屬於目標語言的新列，existingRow 請輸出 null。
-4. startLine / endLine 使用 1-based 且含頭含尾；若該既有列在目標語言中沒有直接對應，請輸出 null。
-5. 每個既有字幕列都必須剛好出現一次，而且必須依照既有順序往下。
-6. 所有目標語言 line 都必須剛好使用一次，而且必須依照原順序往下，不可重排、不可重疊、不可跳號。
-7. 只有在語意上真的沒有對應既有列時，才可以建立 existingRow = null 的 target-only row。
-8. 不可以把語意不對的內容硬塞到長度接近的列裡。
+app.get('/api/session/:sessionId/translation-report', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
 
-輸出範例：
-[
-  { "existingRow": 1, "startLine": 1, "endLine": 1 },
-  { "existingRow": null, "startLine": 2, "endLine": 2 },
-  { "existingRow": 2, "startLine": null, "endLine": null },
-  { "existingRow": 3, "startLine": 3, "endLine": 4 }
-]
+  const cellId = typeof req.query.cellId === 'string' ? req.query.cellId : '';
+  const languageId =
+    typeof req.query.languageId === 'string' ? req.query.languageId : '';
+  if (cellId && !session.cells.some((cell) => cell.id === cellId)) {
+    return res.status(404).json({ error: '找不到場次' });
+  }
+  if (
+    languageId &&
+    !session.languages.slice(1).some((language) => language.id === languageId)
+  ) {
+    return res.status(400).json({ error: '只能檢查第一語言以外的語言' });
+  }
 
-既有第一語言字幕時間線如下：
-${baseLines.map((line, index) => formatTimelineAlignmentBaseLine(line, index)).join('\n')}
+  syncSelectedCellLines(session);
+  res.json({ report: buildTranslationReport(session, { cellId, languageId }) });
+});
 
-目標語言名稱：${sanitizeLineText(languageName || '目標語言')}
+// Sessions keep their own language ids, so memory is shared by language code
+// (falling back to the display name) for both the source and target side.
+function getTranslationMemoryLanguageKey(language) {
+  const code = getBaseLanguageCode(language?.code || '');
+  return code || `name:${sanitizeLineText(language?.name || '').toLowerCase()}`;
+}
 
-目標語言已切好的字幕行如下：
-${normalizedParsedLines
-  .map((line, index) => formatLanguageAlignmentPromptLine(line, index))
-  .join('\n')}
-      `.trim(),
-    },
-  ];
+function getTranslationMemoryPairKey(sourceLanguage, targetLanguage) {
+  return `${getTranslationMemoryLanguageKey(sourceLanguage)}>${getTranslationMemoryLanguageKey(targetLanguage)}`;
+}
 
-  const response = await client.responses.create({
-    model: SECONDARY_ALIGNMENT_MODEL,
-    input: prompt,
-    temperature: 0.1,
-    max_output_tokens: 5000,
+function getTranslationMemoryBigrams(key) {
+  const chars = Array.from(key);
+  if (chars.length === 1) return new Set(chars);
+  const bigrams = new Set();
+  for (let index = 0; index < chars.length - 1; index += 1) {
+    bigrams.add(`${chars[index]}${chars[index + 1]}`);
+  }
+  return bigrams;
+}
+
+// Machine drafts are left out: memory should only repeat translations a
+// person has accepted.
+function buildTranslationMemoryIndex(sourceSessions) {
+  const buckets = new Map();
+  sourceSessions.forEach((session) => {
+    const [sourceLanguage, ...targetLanguages] = session.languages;
+    session.cells.forEach((cell) => {
+      cell.lines.forEach((line) => {
+        const text = getLineLanguageText(line, 'primary');
+        const key = normalizeForComparison(text).toLowerCase();
+        if (!key) return;
+        targetLanguages.forEach((language) => {
+          const translation = getLineLanguageText(line, language.id);
+          if (!translation || (line.machineDrafted || []).includes(language.id)) {
+            return;
+          }
+          const pairKey = getTranslationMemoryPairKey(sourceLanguage, language);
+          let bucket = buckets.get(pairKey);
+          if (!bucket) {
+            bucket = {
+              entries: [],
+              byEntryKey: new Map(),
+              byBigram: new Map(),
+            };
+            buckets.set(pairKey, bucket);
+          }
+          const entryKey = `${key}\u0000${translation}`;
+          let entry = bucket.byEntryKey.get(entryKey);
+          if (!entry) {
+            entry = {
+              key,
+              bigramCount: 0,
+              text,
+              translation,
+              origins: [],
+              sessionTitle: '',
+              cellName: '',
+              updatedAt: -1,
+            };
+            const entryIndex = bucket.entries.push(entry) - 1;
+            bucket.byEntryKey.set(entryKey, entry);
+            const bigrams = getTranslationMemoryBigrams(key);
+            entry.bigramCount = bigrams.size;
+            bigrams.forEach((bigram) => {
+              if (!bucket.byBigram.has(bigram)) {
+                bucket.byBigram.set(bigram, []);
+              }
+              bucket.byBigram.get(bigram).push(entryIndex);
+            });
+          }
+          entry.origins.push(`${session.id}:${line.id}`);
+          if ((session.updatedAt || 0) > entry.updatedAt) {
+            entry.updatedAt = session.updatedAt || 0;
+            entry.sessionTitle = session.title;
+            entry.cellName = cell.name;
+          }
+        });
+      });
+    });
   });
+  return buckets;
+}
 
-  const output = response.output_text?.trim();
-  if (!output) {
-    throw new Error('未能取得語意對齊結果');
+// The index is rebuilt only when one of the user's sessions has been saved
+// since the last lookup.
+function getTranslationMemoryIndex(user) {
+  const visibleSessions = getVisibleSessionsForUser(user);
+  const signature = visibleSessions
+    .map((session) => `${session.id}:${session.updatedAt || 0}`)
+    .sort()
+    .join('|');
+  const cacheKey = user?.id || '';
+  const cached = translationMemoryIndexes.get(cacheKey);
+  if (cached && cached.signature === signature) {
+    return cached.index;
   }
 
-  const sanitized = output
-    .replace(/^```json/i, '')
-    .replace(/^```/i, '')
-    .replace(/```$/i, '')
-    .trim();
-  const parsed = parseJsonArrayLoose(sanitized);
-  if (!Array.isArray(parsed)) {
-    throw new Error('對齊結果格式錯誤');
+  const index = buildTranslationMemoryIndex(visibleSessions);
+  translationMemoryIndexes.delete(cacheKey);
+  translationMemoryIndexes.set(cacheKey, { signature, index });
+  if (translationMemoryIndexes.size > TRANSLATION_MEMORY_INDEX_CACHE_SIZE) {
+    translationMemoryIndexes.delete(translationMemoryIndexes.keys().next().value);
   }
+  return index;
+}
 
-  const indexBase = inferAlignmentUnitIndexBase(parsed);
-  const plan = parsed.map((entry, index) =>
-    normalizeTimelineAlignmentPlanEntry(entry, indexBase, index),
+// Bigram postings narrow the candidates before the exact similarity is
+// measured, so a cell of lines can be matched against a large memory.
+function findTranslationMemorySuggestions(bucket, text, excludedOrigin = '') {
+  const key = normalizeForComparison(text || '').toLowerCase();
+  if (!bucket || !key) return [];
+
+  const queryBigrams = getTranslationMemoryBigrams(key);
+  const sharedCounts = new Map();
+  queryBigrams.forEach((bigram) => {
+    (bucket.byBigram.get(bigram) || []).forEach((entryIndex) => {
+      sharedCounts.set(entryIndex, (sharedCounts.get(entryIndex) || 0) + 1);
+    });
+  });
+
+  const matches = [];
+  sharedCounts.forEach((sharedCount, entryIndex) => {
+    const entry = bucket.entries[entryIndex];
+    if (entry.origins.every((origin) => origin === excludedOrigin)) return;
+    const upperBound =
+      (2 * sharedCount) / (queryBigrams.size + entry.bigramCount);
+    if (upperBound < TRANSLATION_MEMORY_MIN_SIMILARITY) return;
+    const similarity = measureScriptRevisionSimilarity(key, entry.key);
+    if (similarity < TRANSLATION_MEMORY_MIN_SIMILARITY) return;
+    matches.push({ entry, similarity });
+  });
+
+  const seenTranslations = new Set();
+  return matches
+    .sort(
+      (left, right) =>
+        right.similarity - left.similarity ||
+        right.entry.origins.length - left.entry.origins.length ||
+        right.entry.updatedAt - left.entry.updatedAt,
+    )
+    .filter(({ entry }) => {
+      if (seenTranslations.has(entry.translation)) return false;
+      seenTranslations.add(entry.translation);
+      return true;
+    })
+    .slice(0, TRANSLATION_MEMORY_MAX_SUGGESTIONS)
+    .map(({ entry, similarity }) => ({
+      translation: entry.translation,
+      sourceText: entry.text,
+      similarity: Math.round(similarity * 100) / 100,
+      exact: entry.key === key,
+      useCount: entry.origins.length,
+      sessionTitle: entry.sessionTitle,
+      cellName: entry.cellName,
+    }));
+}
+
+// Building the index re-normalizes every visible session, which replaces
+// their cell objects, so the target cell is looked up afterwards.
+function resolveTranslationMemoryTarget(req, res, session, languageId) {
+  const language = session.languages
+    .slice(1)
+    .find((entry) => entry.id === languageId);
+  if (!language) {
+    res.status(400).json({ error: '只能替第一語言以外的語言查詢翻譯記憶' });
+    return null;
+  }
+  const bucket = getTranslationMemoryIndex(req.authUser).get(
+    getTranslationMemoryPairKey(session.languages[0], language),
   );
-  validateTimelineAlignmentPlan(plan, existingCount, targetCount);
-  return plan;
+  const cell = session.cells.find((entry) => entry.id === req.params.cellId);
+  if (!cell) {
+    res.status(404).json({ error: '找不到場次' });
+    return null;
+  }
+  return { cell, language, bucket };
 }
 
-async function alignSecondaryLanguageWithOpenAI({
-  session,
-  rawText,
-  apiKey,
-  timelineLines,
-  languageId,
-  languageName,
-  languageCode,
-}) {
-  const baseLines = buildLanguageAlignmentBaseLines(timelineLines, languageId);
-  const supplementalBuckets = buildPreservedSupplementalAlignmentBuckets(
-    timelineLines,
-    languageId,
-    baseLines.length,
+app.get(
+  '/api/session/:sessionId/cells/:cellId/translation-memory',
+  requireAuth,
+  (req, res) => {
+    const session = getOwnedSessionFromRequest(req, res);
+    if (!session) return;
+    const languageId =
+      typeof req.query.languageId === 'string' ? req.query.languageId : '';
+    const target = resolveTranslationMemoryTarget(req, res, session, languageId);
+    if (!target) return;
+
+    const lineId = typeof req.query.lineId === 'string' ? req.query.lineId : '';
+    const suggestions = {};
+    let exactEmptyLineCount = 0;
+    let fuzzyLineCount = 0;
+    target.cell.lines
+      .filter((line) => !lineId || line.id === lineId)
+      .forEach((line) => {
+        const lineSuggestions = findTranslationMemorySuggestions(
+          target.bucket,
+          getLineLanguageText(line, 'primary'),
+          `${session.id}:${line.id}`,
+        );
+        if (lineSuggestions.length === 0) return;
+        suggestions[line.id] = lineSuggestions;
+        if (
+          lineSuggestions[0].exact &&
+          !getLineLanguageText(line, target.language.id)
+        ) {
+          exactEmptyLineCount += 1;
+        } else if (!lineSuggestions[0].exact) {
+          fuzzyLineCount += 1;
+        }
+      });
+
+    res.json({
+      languageId: target.language.id,
+      suggestions,
+      summary: { exactEmptyLineCount, fuzzyLineCount },
+    });
+  },
+);
+
+// Only blank translations are filled, and only from exact matches; fuzzy
+// matches are offered while editing instead.
+app.post(
+  '/api/session/:sessionId/cells/:cellId/translation-memory/apply',
+  requireAuth,
+  (req, res) => {
+    const session = getOwnedSessionFromRequest(req, res);
+    if (!session) return;
+    const target = resolveTranslationMemoryTarget(
+      req,
+      res,
+      session,
+      req.body?.languageId,
+    );
+    if (!target) return;
+
+    let filledLineCount = 0;
+    const nextLines = target.cell.lines.map((line) => {
+      if (getLineLanguageText(line, target.language.id)) return line;
+      const [best] = findTranslationMemorySuggestions(
+        target.bucket,
+        getLineLanguageText(line, 'primary'),
+        `${session.id}:${line.id}`,
+      );
+      if (!best?.exact) return line;
+      filledLineCount += 1;
+      return updateSessionLineLanguageText(
+        line,
+        target.language.id,
+        best.translation,
+      );
+    });
+    if (filledLineCount === 0) {
+      return res.json({ ...getControlPayload(session), filledLineCount });
+    }
+
+    pushSessionHistory(session);
+    target.cell.lines = nextLines;
+    syncSelectedCellLines(session);
+    persistSession(session);
+    broadcastControlState(session.id);
+    broadcastViewerState(session.id);
+    res.json({ ...getControlPayload(session), filledLineCount });
+  },
+);
+
+function buildTranslationExchangeDocument(session, cellId = '') {
+  return {
+    languages: session.languages.map(({ id, name, code }) => ({ id, name, code })),
+    cells: session.cells
+      .filter((cell) => !cellId || cell.id === cellId)
+      .map((cell) => ({
+        id: cell.id,
+        name: cell.name,
+        lines: cell.lines.map((line) => ({
+          id: line.id,
+          role: line.role || '',
+          type: line.type,
+          machineDrafted: line.machineDrafted || [],
+          texts: Object.fromEntries(
+            session.languages.map((language) => [
+              language.id,
+              getLineLanguageText(line, language.id),
+            ]),
+          ),
+        })),
+      })),
+  };
+}
+
+// Files exported here carry the language id; hand-made sheets and other
+// tools' XLIFF fall back to matching the language name or code.
+function resolveTranslationExchangeLanguage(session, column) {
+  const byId = session.languages.find((language) => language.id === column.languageId);
+  if (byId) return byId;
+  const name = String(column.name || '').trim().toLowerCase();
+  const code = String(column.code || '').trim().toLowerCase();
+  return (
+    session.languages.find(
+      (language) => name && language.name.toLowerCase() === name,
+    ) ||
+    session.languages.find(
+      (language) => code && language.code.toLowerCase() === code,
+    ) ||
+    null
   );
-  const sourceResult = await parseSecondaryLanguageSourceWithOpenAI(rawText, apiKey, {
-    languageCode,
+}
+
+// A translation that differs from what the session already has is only
+// reported, never written, unless the operator asks to overwrite. Machine
+// drafts are not protected because they exist to be replaced.
+function applyTranslationExchangeImport(session, parsed, { overwrite = false } = {}) {
+  const columns = [];
+  const unmatchedColumns = [];
+  parsed.languages.forEach((column) => {
+    const language = resolveTranslationExchangeLanguage(session, column);
+    if (language) {
+      columns.push({ key: column.key, language });
+    } else {
+      unmatchedColumns.push(column.name || column.code || column.languageId || column.key);
+    }
   });
-  const parsedLines = sourceResult.parsedLines;
+  const sourceColumn = columns.find((column) => column.language.id === 'primary');
+  const targetColumns = columns.filter((column) => column.language.id !== 'primary');
+  if (targetColumns.length === 0) {
+    const error = new Error('檔案中沒有對應到本節目翻譯語言的欄位');
+    error.code = 'INVALID_TRANSLATION_FILE';
+    throw error;
+  }
 
-  const alignmentPlan = await alignParsedLanguageLinesWithOpenAI({
-    apiKey,
-    baseLines,
-    parsedLines,
-    targetLanguageId: languageId,
-    languageName,
-    languageCode,
+  const locations = new Map();
+  session.cells.forEach((cell) => {
+    cell.lines.forEach((line, index) => locations.set(line.id, { cell, index }));
   });
-  const mergedLines = buildAlignedLanguageTimelineFromPlan({
-    session,
-    baseLines,
-    parsedLines,
-    languageId,
-    languageCode,
-    plan: alignmentPlan,
-    supplementalBuckets,
+  const nextLinesByCellId = new Map();
+  const unknownLineIds = new Set();
+  const conflicts = [];
+  let updatedLineCount = 0;
+  let unchangedLineCount = 0;
+
+  parsed.entries.forEach((entry) => {
+    const location = locations.get(entry.lineId);
+    if (!location) {
+      unknownLineIds.add(entry.lineId);
+      return;
+    }
+    const { cell, index } = location;
+    if (!nextLinesByCellId.has(cell.id)) {
+      nextLinesByCellId.set(cell.id, cell.lines.slice());
+    }
+    const nextLines = nextLinesByCellId.get(cell.id);
+    let line = nextLines[index];
+    const sourceText = getLineLanguageText(line, 'primary');
+    const fileSourceText = sourceColumn
+      ? sanitizeLineText(entry.texts[sourceColumn.key] || '')
+      : '';
+    const sourceChanged = Boolean(fileSourceText) && fileSourceText !== sourceText;
+    let changed = false;
+    let conflicted = false;
+
+    targetColumns.forEach(({ key, language }) => {
+      const importedText = sanitizeLineText(entry.texts[key] || '');
+      if (!importedText) return;
+      const currentText = getLineLanguageText(line, language.id);
+      const drafted = (line.machineDrafted || []).includes(language.id);
+      // Approving a machine draft in a CAT tool only changes the segment state.
+      const confirmsDraft =
+        drafted && Boolean(entry.state) && entry.state !== 'initial';
+      if (importedText === currentText && !confirmsDraft) return;
+
+      const conflictKind = sourceChanged
+        ? TRANSLATION_IMPORT_CONFLICT_KINDS.SOURCE_CHANGED
+        : currentText && !drafted && importedText !== currentText
+          ? TRANSLATION_IMPORT_CONFLICT_KINDS.TRANSLATION_CHANGED
+          : null;
+      if (conflictKind && !overwrite) {
+        conflicted = true;
+        conflicts.push({
+          kind: conflictKind,
+          lineId: line.id,
+          cellId: cell.id,
+          cellName: cell.name,
+          lineNumber: index + 1,
+          languageId: language.id,
+          languageName: language.name,
+          sourceText,
+          fileSourceText: sourceChanged ? fileSourceText : '',
+          currentText,
+          importedText,
+        });
+        return;
+      }
+
+      line = createLineRecord(
+        {
+          ...updateSessionLineLanguageText(line, language.id, importedText),
+          machineDrafted: (line.machineDrafted || []).filter(
+            (draftedLanguageId) => draftedLanguageId !== language.id,
+          ),
+        },
+        'primary',
+      );
+      changed = true;
+    });
+
+    if (changed) {
+      nextLines[index] = line;
+      updatedLineCount += 1;
+    } else if (!conflicted) {
+      unchangedLineCount += 1;
+    }
   });
 
   return {
-    lines: mergedLines,
-    warning: sourceResult.warning,
-    sourceLines: normalizeSecondaryLanguageSourceSegments(parsedLines),
-    sourceText: buildSecondaryLanguageSourceText(parsedLines),
+    nextLinesByCellId,
+    report: {
+      updatedLineCount,
+      unchangedLineCount,
+      conflictCount: conflicts.length,
+      conflicts: conflicts.slice(0, MAX_TRANSLATION_IMPORT_REPORT_ENTRIES),
+      unknownLineCount: unknownLineIds.size,
+      unknownLineIds: Array.from(unknownLineIds).slice(
+        0,
+        MAX_TRANSLATION_IMPORT_REPORT_ENTRIES,
+      ),
+      unmatchedColumns,
+    },
   };
 }
 
-function getOwnedSessionFromRequest(req, res) {
-  if (!canManageSessions(req.authUser)) {
-    res.status(403).json({ error: '目前權限無法管理控制端節目' });
-    return null;
+app.post(
+  '/api/session/:sessionId/translations/import',
+  requireAuth,
+  receiveSingleFileUpload,
+  (req, res) => {
+    const session = getOwnedSessionFromRequest(req, res);
+    if (!session) return;
+    if (!req.file?.buffer?.length) {
+      return res.status(400).json({ error: '缺少翻譯檔' });
+    }
+
+    try {
+      const exchangeFormat = resolveTranslationExchangeFormat(
+        req.file.originalname,
+        req.file.mimetype,
+      );
+      const parsed = parseTranslationExchangeFile(req.file.buffer, exchangeFormat);
+      const { nextLinesByCellId, report } = applyTranslationExchangeImport(
+        session,
+        parsed,
+        { overwrite: req.body?.overwrite === 'true' },
+      );
+
+      if (report.updatedLineCount > 0) {
+        pushSessionHistory(session);
+        session.cells.forEach((cell) => {
+          if (nextLinesByCellId.has(cell.id)) {
+            cell.lines = nextLinesByCellId.get(cell.id);
+          }
+        });
+        syncSelectedCellLines(session);
+        persistSession(session);
+        broadcastControlState(session.id);
+        broadcastViewerState(session.id);
+      }
+
+      res.json({ ...getControlPayload(session), exchangeFormat, ...report });
+    } catch (error) {
+      const isClientError = IMPORT_FILE_ERROR_CODES.has(error?.code);
+      res.status(isClientError ? 400 : 500).json({
+        error: isClientError ? error.message : '匯入翻譯檔失敗',
+        details: error.message,
+        code: error.code || 'UNKNOWN',
+      });
+    }
+  },
+);
+
+// Re-applying only splits overlong lines; it never merges short ones back.
+// Primary lines that already carry translations are left alone because a
+// split would leave the translation on only one half. Other languages are
+// wrapped row by row unless `realign` asks to rebuild the column from its
+// parsed source, which re-runs the alignment and drops manual adjustments.
+app.post('/api/session/:sessionId/cells/:cellId/line-lengths/apply', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  const cell = session.cells.find((entry) => entry.id === req.params.cellId);
+  if (!cell) {
+    return res.status(404).json({ error: '找不到場次' });
   }
-  const sessionId =
-    typeof req.params?.sessionId === 'string' && req.params.sessionId.trim()
-      ? req.params.sessionId.trim()
-      : DEFAULT_SESSION_ID;
-  const userId = req.authUser?.id;
-  const session = getOwnedSession(sessionId, userId);
-  if (!session) {
-    res.status(404).json({ error: '找不到節目' });
-    return null;
+
+  const languageId = resolveSessionLanguageId(session, req.body?.languageId);
+  const lineLengthOptions = getLineLengthOptions(session, languageId);
+  let nextLines;
+  let nextSegments = null;
+  let skippedLineCount = 0;
+  const realign = languageId !== 'primary' && req.body?.realign === true;
+
+  if (languageId === 'primary') {
+    nextLines = cell.lines.flatMap((line) => {
+      const hasTranslations = Object.entries(line.translations || {}).some(
+        ([key, value]) => key !== 'primary' && sanitizeLineText(value || ''),
+      );
+      const splitLines = enforceLineLengths([line], lineLengthOptions);
+      if (splitLines.length > 1 && hasTranslations) {
+        skippedLineCount += 1;
+        return [line];
+      }
+      if (splitLines.length === 0) return [line];
+      // The first piece stays the same row, so a cursor on it does not jump.
+      return [{ ...splitLines[0], id: line.id }, ...splitLines.slice(1)];
+    });
+  } else if (!realign) {
+    nextLines = cell.lines.flatMap((line) =>
+      wrapLineLanguageText(session, line, languageId, lineLengthOptions),
+    );
+  } else {
+    const source = cell.languageSources?.[languageId];
+    if (!source?.segments?.length) {
+      return res.status(400).json({ error: '此語言在目前場次沒有可重新套用的解析結果' });
+    }
+    nextSegments = enforceLineLengths(
+      normalizeScriptLines(source.segments, { primaryLanguageId: 'primary' }),
+      lineLengthOptions,
+    );
+    nextLines = buildSequentialSecondaryLanguageTimeline({
+      session,
+      timelineLines: cell.lines.map((line) =>
+        clearLineLanguageText(line, languageId),
+      ),
+      parsedLines: nextSegments,
+      languageId,
+    });
   }
-  return session;
-}
 
-const registerRateLimit = createRateLimitMiddleware({
-  windowMs: 60 * 60 * 1000,
-  max: 10,
-  message: '註冊嘗試過多，請稍後再試',
-  keyPrefix: 'auth:register',
-});
+  const splitLineCount = Math.max(
+    nextSegments
+      ? nextSegments.length - cell.languageSources[languageId].segments.length
+      : nextLines.length - cell.lines.length,
+    0,
+  );
+  // A realign is asked for explicitly, so it is applied even when no segment
+  // had to be split.
+  if (splitLineCount === 0 && !realign) {
+    return res.json({
+      ...getControlPayload(session),
+      splitLineCount: 0,
+      skippedLineCount,
+      realigned: false,
+    });
+  }
 
-const loginRateLimit = createRateLimitMiddleware({
-  windowMs: 15 * 60 * 1000,
-  max: 10,
-  message: '登入嘗試過多，請稍後再試',
-  keyPrefix: 'auth:login',
-  keyGenerator: (req) =>
-    `${getRequestIp(req)}:${normalizeUsername(req.body?.username) || '*'}`,
+  const liveLineId = getLiveLineId(session, cell);
+  pushSessionHistory(session);
+  if (nextSegments) {
+    setCellLanguageSource(cell, languageId, nextSegments, {
+      text: buildSecondaryLanguageSourceText(nextSegments),
+    });
+  }
+  cell.lines = normalizeScriptLines(nextLines, {
+    keepEmpty: true,
+    primaryLanguageId: 'primary',
+  }).filter((line) => lineHasAnyLanguageText(line));
+  restoreLiveLineById(session, cell, liveLineId);
+  syncSelectedCellLines(session);
+  persistSession(session);
+  broadcastControlState(session.id);
+  broadcastViewerState(session.id);
+  res.json({
+    ...getControlPayload(session),
+    splitLineCount,
+    skippedLineCount,
+    realigned: realign,
+  });
 });
 
-const forgotPasswordRateLimit = createRateLimitMiddleware({
-  windowMs: 30 * 60 * 1000,
-  max: 5,
-  message: '忘記密碼申請過多，請稍後再試',
-  keyPrefix: 'auth:forgot',
-  keyGenerator: (req) =>
-    `${getRequestIp(req)}:${normalizeUsername(req.body?.username) || '*'}`,
-});
+app.post('/api/session/:sessionId/end', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
 
-const changePasswordRateLimit = createRateLimitMiddleware({
-  windowMs: 30 * 60 * 1000,
-  max: 8,
-  message: '修改密碼操作過多，請稍後再試',
-  keyPrefix: 'auth:change-password',
-  keyGenerator: (req) => `${getRequestIp(req)}:${req.authUser?.id || 'guest'}`,
-});
+  session.status = 'ended';
+  session.endedAt = Date.now();
+  session.displayEnabled = false;
+  persistSession(session);
+  syncSessionOscListener(session);
+  clearTimedPlayback(session.id);
 
-const accessUnlockRateLimit = createRateLimitMiddleware({
-  windowMs: 15 * 60 * 1000,
-  max: 12,
-  message: '密碼嘗試過多，請稍後再試',
-  keyPrefix: 'access:unlock',
+  stopTranscriptionStream(session.id, {
+    keepText: false,
+    reason: 'session ended',
+  });
+  broadcastControlState(session.id);
+  broadcastViewerState(session.id);
+  dispatchWebhookEvent(session, WEBHOOK_EVENTS.SESSION_ENDED, { reason: 'ended' });
+
+  res.json(getControlPayload(session));
 });
 
-app.post('/api/access/unlock', accessUnlockRateLimit, (req, res) => {
-  const password = normalizePassword(req.body?.password);
+app.post('/api/session/:sessionId/undo', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  if (!undoSessionHistory(session)) {
+    return res.status(400).json({ error: '目前沒有可復原的操作' });
+  }
+  persistSession(session);
+  broadcastControlState(session.id);
+  broadcastViewerState(session.id);
+  res.json(getControlPayload(session));
+});
 
-  if (!safeTokenEquals(password, SHARED_ACCESS_PASSWORD)) {
-    return res.status(401).json({ error: '密碼錯誤' });
+app.post('/api/session/:sessionId/redo', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  if (!redoSessionHistory(session)) {
+    return res.status(400).json({ error: '目前沒有可還原的操作' });
   }
+  persistSession(session);
+  broadcastControlState(session.id);
+  broadcastViewerState(session.id);
+  res.json(getControlPayload(session));
+});
 
-  setAccessCookie(res);
-  res.json({ user: serializeUser(createSharedAccessUser()) });
+app.post('/api/session/:sessionId/cells', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  pushSessionHistory(session);
+  const cell = createCellDefinition(
+    { name: req.body?.name || `場次 ${session.cells.length + 1}` },
+    session.cells.length,
+    getPrimaryLanguageId(session),
+  );
+  session.cells.push(cell);
+  session.selectedCellId = cell.id;
+  session.currentIndex = 0;
+  syncSelectedCellLines(session);
+  persistSession(session);
+  broadcastControlState(session.id);
+  broadcastViewerState(session.id);
+  res.json(getControlPayload(session));
 });
 
-app.post('/api/auth/register', registerRateLimit, (req, res) => {
-  if (!PUBLIC_REGISTRATION_ENABLED) {
-    return res.status(410).json({
-      error: '此系統已關閉公開註冊，請由管理員建立帳號',
-    });
+app.put('/api/session/:sessionId/cells/:cellId', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  const cell = session.cells.find((entry) => entry.id === req.params.cellId);
+  if (!cell) {
+    return res.status(404).json({ error: '找不到場次' });
+  }
+  const nextName = sanitizeLineText(req.body?.name || '').slice(0, 48);
+  if (!nextName) {
+    return res.status(400).json({ error: '請輸入場次名稱' });
   }
+  pushSessionHistory(session);
+  cell.name = nextName;
+  persistSession(session);
+  broadcastControlState(session.id);
+  res.json(getControlPayload(session));
+});
 
-  const username = normalizeDisplayName(req.body?.username);
-  const usernameNormalized = normalizeUsername(req.body?.username);
-  const password = normalizePassword(req.body?.password);
+app.post('/api/session/:sessionId/cells/:cellId/select', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  const cell = session.cells.find((entry) => entry.id === req.params.cellId);
+  if (!cell) {
+    return res.status(404).json({ error: '找不到場次' });
+  }
+  selectSessionCell(session, cell, {
+    source: SHOW_LOG_SOURCES.MANUAL,
+    user: req.authUser,
+  });
+  res.json(getControlPayload(session));
+});
 
-  if (username.length < 3) {
-    return res.status(400).json({ error: '帳號至少需要 3 個字' });
+app.delete('/api/session/:sessionId/cells/:cellId', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  if (session.cells.length <= 1) {
+    return res.status(400).json({ error: '至少要保留一個場次' });
   }
-  if (password.length < 6) {
-    return res.status(400).json({ error: '密碼至少需要 6 個字' });
+  const targetIndex = session.cells.findIndex((entry) => entry.id === req.params.cellId);
+  if (targetIndex === -1) {
+    return res.status(404).json({ error: '找不到場次' });
   }
-  if (findUserByNormalizedUsername(usernameNormalized)) {
-    return res.status(409).json({ error: '此帳號已存在' });
+  pushSessionHistory(session);
+  session.cells.splice(targetIndex, 1);
+  if (session.selectedCellId === req.params.cellId) {
+    session.selectedCellId = session.cells[Math.max(targetIndex - 1, 0)].id;
+    session.currentIndex = 0;
   }
+  syncSelectedCellLines(session);
+  persistSession(session);
+  broadcastControlState(session.id);
+  broadcastViewerState(session.id);
+  res.json(getControlPayload(session));
+});
 
-  const role = countAdminUsers() === 0 ? USER_ROLES.ADMIN : USER_ROLES.OPERATOR;
-  const user = createUserRecord({
-    username,
-    usernameNormalized,
-    password,
-    role,
-  });
-  users.set(user.id, user);
-
-  const { token, record } = createAuthTokenRecord(user.id);
-  authSessions.set(record.tokenHash, record);
-  persistApplicationStore();
-  setAuthCookie(res, token);
-  res.json({ user: serializeUser(user) });
+app.post('/api/session/:sessionId/languages', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  const name = sanitizeLineText(req.body?.name || '').slice(0, 40);
+  if (!name) {
+    return res.status(400).json({ error: '請輸入語言名稱' });
+  }
+  pushSessionHistory(session);
+  session.languages.push(
+    createLanguageDefinition(
+      {
+        id: generateId('lang'),
+        name,
+        code: sanitizeLineText(req.body?.code || '') || `lang-${session.languages.length + 1}`,
+        direction: normalizeLanguageDirection(req.body?.direction),
+      },
+      session.languages.length,
+    ),
+  );
+  ensureSessionLanguages(session);
+  persistSession(session);
+  broadcastControlState(session.id);
+  broadcastViewerState(session.id);
+  res.json(getControlPayload(session));
 });
 
-app.post('/api/admin/users', requireAdmin, registerRateLimit, (req, res) => {
-  const username = normalizeDisplayName(req.body?.username);
-  const usernameNormalized = normalizeUsername(req.body?.username);
-  const password = normalizePassword(req.body?.password);
-  const role = normalizeUserRole(req.body?.role, USER_ROLES.OPERATOR);
+app.put('/api/session/:sessionId/languages/:languageId', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
 
-  if (username.length < 3) {
-    return res.status(400).json({ error: '帳號至少需要 3 個字' });
+  const languageIndex = session.languages.findIndex(
+    (entry) => entry.id === req.params.languageId,
+  );
+  if (languageIndex === -1) {
+    return res.status(404).json({ error: '找不到語言' });
   }
-  if (password.length < 6) {
-    return res.status(400).json({ error: '密碼至少需要 6 個字' });
+
+  // Each field is optional so the direction or code can change without a rename.
+  const patch = {};
+  if (req.body?.name !== undefined) {
+    patch.name = sanitizeLineText(req.body.name || '').slice(0, 40);
+    if (!patch.name) {
+      return res.status(400).json({ error: '請輸入語言名稱' });
+    }
   }
-  if (findUserByNormalizedUsername(usernameNormalized)) {
-    return res.status(409).json({ error: '此帳號已存在' });
+  if (req.body?.code !== undefined) {
+    patch.code = sanitizeLineText(req.body.code || '').slice(0, 20);
+    if (!patch.code) {
+      return res.status(400).json({ error: '請輸入語言代碼' });
+    }
+  }
+  if (req.body?.direction !== undefined) {
+    if (!Object.values(LANGUAGE_DIRECTIONS).includes(req.body.direction)) {
+      return res.status(400).json({
+        error: '文字方向只能是 auto、ltr 或 rtl',
+        code: 'INVALID_LANGUAGE_DIRECTION',
+      });
+    }
+    patch.direction = req.body.direction;
+  }
+  if (Object.keys(patch).length === 0) {
+    return res.status(400).json({ error: '請輸入語言名稱' });
   }
 
-  const user = createUserRecord({
-    username,
-    usernameNormalized,
-    password,
-    role,
-  });
-  users.set(user.id, user);
-  persistApplicationStore();
-  res.status(201).json({ user: getAdminUserPayload(user) });
+  pushSessionHistory(session);
+  session.languages[languageIndex] = createLanguageDefinition(
+    {
+      ...session.languages[languageIndex],
+      ...patch,
+    },
+    languageIndex,
+  );
+  ensureSessionLanguages(session);
+  persistSession(session);
+  broadcastControlState(session.id);
+  broadcastViewerState(session.id);
+  res.json(getControlPayload(session));
 });
 
-app.post('/api/auth/login', loginRateLimit, (req, res) => {
-  const usernameNormalized = normalizeUsername(req.body?.username);
-  const password = normalizePassword(req.body?.password);
-  const user = findUserByNormalizedUsername(usernameNormalized);
-
-  if (!user || !verifyPassword(password, user.passwordHash)) {
-    return res.status(401).json({ error: '帳號或密碼錯誤' });
+app.delete('/api/session/:sessionId/languages/:languageId', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  const { languageId } = req.params;
+  if (languageId === 'primary') {
+    return res.status(400).json({ error: '第一語言不可刪除' });
   }
-  if (isUserDisabled(user)) {
-    return res.status(403).json({ error: '此帳號已停用' });
+  const languageIndex = session.languages.findIndex((entry) => entry.id === languageId);
+  if (languageIndex === -1) {
+    return res.status(404).json({ error: '找不到語言' });
   }
-
-  const { token, record } = createAuthTokenRecord(user.id);
-  authSessions.set(record.tokenHash, record);
-  persistApplicationStore();
-  setAuthCookie(res, token);
-  res.json({ user: serializeUser(user) });
+  pushSessionHistory(session);
+  session.languages.splice(languageIndex, 1);
+  session.cells = session.cells.map((cell) => ({
+    ...cell,
+    languageSources: Object.fromEntries(
+      Object.entries(cell.languageSources || {}).filter(
+        ([entryLanguageId]) => entryLanguageId !== languageId,
+      ),
+    ),
+    lines: cell.lines
+      .map((line) => {
+        const translations = { ...(line.translations || {}) };
+        delete translations[languageId];
+        return createLineRecord(
+          {
+            ...line,
+            translations,
+          },
+          'primary',
+        );
+      })
+      .filter((line) => lineHasAnyLanguageText(line)),
+  }));
+  syncSelectedCellLines(session);
+  persistSession(session);
+  broadcastControlState(session.id);
+  broadcastViewerState(session.id);
+  res.json(getControlPayload(session));
 });
 
 app.post(
-  '/api/auth/change-password',
+  '/api/session/:sessionId/cells/:cellId/languages/:languageId/parse',
   requireAuth,
-  changePasswordRateLimit,
   (req, res) => {
-  const currentPassword = normalizePassword(req.body?.currentPassword);
-  const nextPassword = normalizePassword(req.body?.newPassword);
-
-  if (!verifyPassword(currentPassword, req.authUser.passwordHash)) {
-    return res.status(401).json({ error: '目前密碼錯誤' });
-  }
-  if (nextPassword.length < 6) {
-    return res.status(400).json({ error: '新密碼至少需要 6 個字' });
-  }
-
-  req.authUser.passwordHash = createPasswordHash(nextPassword);
-  clearPasswordResetCode(req.authUser);
-  revokeUserAuthSessions(req.authUser.id);
-
-  const { token, record } = createAuthTokenRecord(req.authUser.id);
-  authSessions.set(record.tokenHash, record);
-  persistApplicationStore();
-  setAuthCookie(res, token);
-  res.json({ user: serializeUser(req.authUser) });
-},
-);
-
-app.post('/api/auth/forgot-password/request', forgotPasswordRateLimit, (req, res) => {
-  const usernameNormalized = normalizeUsername(req.body?.username);
-  const user = findUserByNormalizedUsername(usernameNormalized);
-
-  if (!user || isUserDisabled(user)) {
-    return res.json({
-      ok: true,
-      message: '如果帳號存在，系統已收到重設申請，請聯絡管理員協助',
-    });
-  }
+    const session = getOwnedSessionFromRequest(req, res);
+    if (!session) return;
 
-  requestPasswordReset(user);
-  persistApplicationStore();
-  return res.json({
-    ok: true,
-    message: '如果帳號存在，系統已收到重設申請，請聯絡管理員協助',
-    expiresAt: user.passwordReset?.expiresAt || null,
-  });
-});
+    const requestedCellId = req.params.cellId;
+    if (!session.cells.some((entry) => entry.id === requestedCellId)) {
+      return res.status(404).json({ error: '找不到場次' });
+    }
 
-app.post('/api/auth/forgot-password/reset', (req, res) => {
-  res.status(410).json({
-    error: '此部署已停用前端重設碼流程，請聯絡管理員於後台重設密碼',
-  });
-});
+    const language = session.languages.find(
+      (entry) => entry.id === req.params.languageId,
+    );
+    if (!language) {
+      return res.status(404).json({ error: '找不到語言' });
+    }
+    if (language.id === 'primary') {
+      return res.status(400).json({ error: '第一語言請使用劇本解析功能' });
+    }
 
-app.post('/api/auth/logout', (req, res) => {
-  if (req.authSession?.tokenHash) {
-    authSessions.delete(req.authSession.tokenHash);
-    persistApplicationStore();
-  }
-  clearAuthCookie(res);
-  clearAccessCookie(res);
-  res.json({ ok: true });
-});
+    const apiKey = sanitizeLineText(req.body?.apiKey || '');
+    const scriptParseModel = normalizeScriptParseModel(
+      req.body?.scriptParseModel,
+    );
+    const rawScriptText =
+      typeof req.body?.scriptText === 'string' ? req.body.scriptText : '';
 
-app.get('/api/auth/me', (req, res) => {
-  res.json({ user: serializeUser(req.authUser) });
-});
+    if (!apiKey && isLlmApiKeyRequired(session)) {
+      return res.status(400).json({ error: '缺少 OpenAI API Key' });
+    }
+    if (!rawScriptText.trim()) {
+      return res.status(400).json({ error: '缺少目標語言文字內容' });
+    }
 
-app.get('/api/admin/users', requireAdmin, (req, res) => {
-  const adminUsers = Array.from(users.values())
-    .map((user) => getAdminUserPayload(user))
-    .sort((left, right) => (right.createdAt || 0) - (left.createdAt || 0));
+    const activeJob = findActiveScriptJob(session.id, requestedCellId, language.id);
+    if (activeJob) {
+      return res.status(409).json({
+        error: '這個語言已有解析工作進行中',
+        code: 'SCRIPT_JOB_ACTIVE',
+        job: toPublicScriptJob(activeJob),
+      });
+    }
 
-  res.json({ users: adminUsers });
-});
+    const job = startScriptJob({
+      session,
+      kind: SCRIPT_JOB_KINDS.LANGUAGE_PARSE,
+      cellId: requestedCellId,
+      languageId: language.id,
+      run: ({ signal, onProgress }) =>
+        runLanguageParseJob(session.id, {
+          cellId: requestedCellId,
+          languageId: language.id,
+          rawScriptText,
+          apiKey,
+          model: scriptParseModel,
+          signal,
+          onProgress,
+        }),
+    });
+    res.status(202).json({ job: toPublicScriptJob(job) });
+  },
+);
 
-app.patch('/api/admin/users/:userId', requireAdmin, (req, res) => {
-  const targetUser = users.get(req.params.userId);
-  if (!targetUser) {
-    return res.status(404).json({ error: '找不到帳號' });
-  }
+function findAlignmentReviewTarget(req, res) {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return null;
 
-  const hasRoleChange = Object.prototype.hasOwnProperty.call(req.body || {}, 'role');
-  const hasDisableChange = Object.prototype.hasOwnProperty.call(
-    req.body || {},
-    'disabled',
-  );
-  const hasPasswordChange = Object.prototype.hasOwnProperty.call(
-    req.body || {},
-    'newPassword',
+  const cell = session.cells.find((entry) => entry.id === req.params.cellId);
+  if (!cell) {
+    res.status(404).json({ error: '找不到場次' });
+    return null;
+  }
+  const language = session.languages.find(
+    (entry) => entry.id === req.params.languageId,
   );
-  const hasResetClear = req.body?.clearPasswordReset === true;
-  const requestedRole = normalizeUserRole(req.body?.role, targetUser.role);
-  const requestedDisabled =
-    typeof req.body?.disabled === 'boolean'
-      ? req.body.disabled
-      : isUserDisabled(targetUser);
-  const nextPassword = normalizePassword(req.body?.newPassword);
-
-  if (
-    req.authUser.id === targetUser.id &&
-    ((hasRoleChange && requestedRole !== targetUser.role) ||
-      (hasDisableChange && requestedDisabled))
-  ) {
-    return res.status(400).json({ error: '不能在管理後台停用自己或變更自己的權限' });
+  if (!language) {
+    res.status(404).json({ error: '找不到語言' });
+    return null;
   }
-  if (req.authUser.id === targetUser.id && hasPasswordChange) {
-    return res.status(400).json({ error: '請到首頁的帳號設定修改自己的密碼' });
+  if (language.id === 'primary') {
+    res.status(400).json({ error: '第一語言不需要對齊' });
+    return null;
   }
-
-  const adminTransitionError = ensureUserCanTransitionFromAdmin(
-    targetUser,
-    requestedRole,
-    requestedDisabled,
-  );
-  if (adminTransitionError) {
-    return res.status(400).json({ error: adminTransitionError });
+  if (!cell.languageSources?.[language.id]?.segments?.length) {
+    res.status(400).json({
+      error: '此語言在目前場次沒有解析過的原文段落',
+      code: 'ALIGNMENT_SOURCE_MISSING',
+    });
+    return null;
   }
+  return { session, cell, language };
+}
 
-  if (hasRoleChange) {
-    targetUser.role = requestedRole;
-  }
-  if (hasDisableChange) {
-    targetUser.disabledAt = requestedDisabled ? Date.now() : null;
-    if (requestedDisabled) {
-      revokeUserAuthSessions(targetUser.id);
+app.get(
+  '/api/session/:sessionId/cells/:cellId/languages/:languageId/alignment',
+  requireAuth,
+  (req, res) => {
+    const target = findAlignmentReviewTarget(req, res);
+    if (!target) return;
+    res.json({ review: buildAlignmentReview(target.cell, target.language) });
+  },
+);
+
+// The client sends one range per row in the order it reviewed them; a changed
+// row list or re-parsed source means the review is stale and must be reloaded.
+app.post(
+  '/api/session/:sessionId/cells/:cellId/languages/:languageId/alignment',
+  requireAuth,
+  (req, res) => {
+    const target = findAlignmentReviewTarget(req, res);
+    if (!target) return;
+    const { session, cell, language } = target;
+
+    const source = cell.languageSources[language.id];
+    const units = normalizeSecondaryLanguageSourceSegments(source.segments);
+    const rawRanges = Array.isArray(req.body?.ranges) ? req.body.ranges : [];
+    const isStale =
+      (req.body?.sourceUpdatedAt ?? null) !==
+        (Number.isFinite(source.updatedAt) ? source.updatedAt : null) ||
+      rawRanges.length !== cell.lines.length ||
+      rawRanges.some((range, index) => range?.lineId !== cell.lines[index].id);
+    if (isStale) {
+      return res.status(409).json({
+        error: '場次內容已變更，請重新載入對齊檢視',
+        code: 'ALIGNMENT_REVIEW_STALE',
+      });
     }
-  }
-  if (hasPasswordChange) {
-    if (nextPassword.length < 6) {
-      return res.status(400).json({ error: '新密碼至少需要 6 個字' });
+
+    const ranges = rawRanges.map((range) => ({
+      startUnit: parseAlignmentUnitIndex(range.startUnit),
+      endUnit: parseAlignmentUnitIndex(range.endUnit),
+    }));
+    try {
+      validateSecondaryAlignmentRanges(ranges, units.length, cell.lines.length);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, code: error.code });
     }
-    targetUser.passwordHash = createPasswordHash(nextPassword);
-    clearPasswordResetCode(targetUser);
-    revokeUserAuthSessions(targetUser.id);
-  }
-  if (hasResetClear) {
-    clearPasswordResetCode(targetUser);
-  }
 
-  persistApplicationStore();
-  res.json({ user: getAdminUserPayload(targetUser) });
-});
+    const alignedTexts = buildAlignedTextsFromRanges(
+      units.map((unit) => unit.text),
+      ranges,
+      { languageCode: language.code },
+    );
+    const changedLineCount = cell.lines.filter(
+      (line, index) =>
+        getLineLanguageText(line, language.id) !== (alignedTexts[index] || ''),
+    ).length;
+    if (changedLineCount === 0) {
+      return res.json({ ...getControlPayload(session), changedLineCount });
+    }
 
-app.delete('/api/admin/users/:userId', requireAdmin, (req, res) => {
-  const targetUser = users.get(req.params.userId);
-  if (!targetUser) {
-    return res.status(404).json({ error: '找不到帳號' });
-  }
-  if (req.authUser.id === targetUser.id) {
-    return res.status(400).json({ error: '不能刪除目前登入中的管理員帳號' });
-  }
+    pushSessionHistory(session);
+    cell.lines = normalizeScriptLines(
+      cell.lines.map((line, index) => {
+        const alignedText = alignedTexts[index] || '';
+        if (getLineLanguageText(line, language.id) === alignedText) return line;
+        return createLineRecord(
+          {
+            ...updateSessionLineLanguageText(line, language.id, alignedText),
+            machineDrafted: (line.machineDrafted || []).filter(
+              (draftedLanguageId) => draftedLanguageId !== language.id,
+            ),
+          },
+          'primary',
+        );
+      }),
+      { keepEmpty: true, primaryLanguageId: 'primary' },
+    ).filter((line) => lineHasAnyLanguageText(line));
+    syncSelectedCellLines(session);
+    persistSession(session);
+    broadcastControlState(session.id);
+    broadcastViewerState(session.id);
+    res.json({ ...getControlPayload(session), changedLineCount });
+  },
+);
 
-  const adminTransitionError = ensureUserCanTransitionFromAdmin(
-    targetUser,
-    USER_ROLES.VIEWER,
-    true,
-  );
-  if (adminTransitionError) {
-    return res.status(400).json({ error: adminTransitionError });
-  }
+app.post(
+  '/api/session/:sessionId/cells/:cellId/languages/:languageId/translate',
+  requireAuth,
+  (req, res) => {
+    const session = getOwnedSessionFromRequest(req, res);
+    if (!session) return;
 
-  revokeUserAuthSessions(targetUser.id);
-  clearPasswordResetCode(targetUser);
-  const removedSessionCount = deleteOwnedSessionsForUser(
-    targetUser.id,
-    'owner account deleted',
-  );
-  users.delete(targetUser.id);
-  persistApplicationStore();
+    const requestedCellId = req.params.cellId;
+    const cell = session.cells.find((entry) => entry.id === requestedCellId);
+    if (!cell) {
+      return res.status(404).json({ error: '找不到場次' });
+    }
 
-  res.json({
-    ok: true,
-    removedSessionCount,
-  });
-});
+    const language = session.languages.find(
+      (entry) => entry.id === req.params.languageId,
+    );
+    if (!language) {
+      return res.status(404).json({ error: '找不到語言' });
+    }
+    if (language.id === 'primary') {
+      return res.status(400).json({ error: '第一語言不需要翻譯' });
+    }
 
-app.get('/api/sessions', requireAuth, (req, res) => {
-  const visibleSessions = getVisibleSessionsForUser(req.authUser)
-    .map((session) => getSessionSummary(session))
-    .sort((left, right) => (right.updatedAt || 0) - (left.updatedAt || 0));
-  res.json({ sessions: visibleSessions });
-});
+    const apiKey = sanitizeLineText(req.body?.apiKey || '');
+    if (!apiKey && isLlmApiKeyRequired(session)) {
+      return res.status(400).json({ error: '缺少 OpenAI API Key' });
+    }
+    if (!cell.lines.some((line) => sanitizeLineText(line.text || ''))) {
+      return res.status(400).json({ error: '目前場次沒有可翻譯的第一語言字幕' });
+    }
 
-app.post('/api/session', requireSessionManager, (req, res) => {
-  const session = createSessionRecord(req.authUser?.id || SHARED_ACCESS_USER_ID);
-  const requestedTitle = sanitizeLineText(req.body?.title || '');
-  if (requestedTitle) {
-    session.title = requestedTitle.slice(0, 60);
-  }
-  persistSession(session);
-  res.json(getControlPayload(session));
-});
+    const activeJob = findActiveScriptJob(session.id, requestedCellId, language.id);
+    if (activeJob) {
+      return res.status(409).json({
+        error: '這個語言已有解析工作進行中',
+        code: 'SCRIPT_JOB_ACTIVE',
+        job: toPublicScriptJob(activeJob),
+      });
+    }
 
-app.post('/api/session/import', requireSessionManager, (req, res) => {
-  try {
-    const session = regenerateImportedSessionIdentity(
-      createImportedSessionFromBackup(req.body, req.authUser),
+    const job = startScriptJob({
+      session,
+      kind: SCRIPT_JOB_KINDS.TRANSLATE,
+      cellId: requestedCellId,
+      languageId: language.id,
+      run: ({ signal, onProgress }) =>
+        runMachineTranslationJob(session.id, {
+          cellId: requestedCellId,
+          languageId: language.id,
+          apiKey,
+          model: normalizeScriptParseModel(req.body?.scriptParseModel),
+          signal,
+          onProgress,
+        }),
+    });
+    res.status(202).json({ job: toPublicScriptJob(job) });
+  },
+);
+
+// Only empty and still machine-drafted translations are (re)translated, so a
+// second run never overwrites a line someone has already corrected.
+async function runMachineTranslationJob(sessionId, options) {
+  const session = getSession(sessionId);
+  const cell = session?.cells.find((entry) => entry.id === options.cellId);
+  const language = session?.languages.find(
+    (entry) => entry.id === options.languageId,
+  );
+  if (!cell || !language) {
+    const missingTargetError = new Error('找不到場次或語言');
+    missingTargetError.code = 'TRANSLATION_TARGET_NOT_FOUND';
+    throw missingTargetError;
+  }
+
+  const isTranslatable = (line) =>
+    Boolean(sanitizeLineText(line.text || '')) &&
+    (!getLineLanguageText(line, language.id) ||
+      (line.machineDrafted || []).includes(language.id));
+  const sourceLines = cell.lines.map((line) => ({
+    id: line.id,
+    text: sanitizeLineText(line.text || ''),
+    type: line.type,
+    role: line.role,
+  }));
+  const pendingIndexes = cell.lines
+    .map((line, index) => (isTranslatable(line) ? index : -1))
+    .filter((index) => index >= 0);
+  const batches = [];
+  for (
+    let start = 0;
+    start < pendingIndexes.length;
+    start += MACHINE_TRANSLATION_BATCH_LINES
+  ) {
+    batches.push(
+      pendingIndexes.slice(start, start + MACHINE_TRANSLATION_BATCH_LINES),
     );
-    stopTranscriptionStream(session.id, {
-      keepText: false,
-      reason: 'workspace import',
+  }
+
+  const provider = createSessionLlmProvider(session, options.apiKey);
+  const cacheStats = { hits: 0, misses: 0 };
+  const translatedTextById = new Map();
+  options.onProgress?.({ completed: 0, total: batches.length });
+  for (let batchIndex = 0; batchIndex < batches.length; batchIndex += 1) {
+    throwIfScriptJobCancelled(options.signal);
+    const indexes = batches[batchIndex];
+    const firstIndex = indexes[0];
+    const lastIndex = indexes[indexes.length - 1];
+    const lines = indexes.map((index) => sourceLines[index]);
+    const contextBefore = sourceLines
+      .slice(Math.max(0, firstIndex - MACHINE_TRANSLATION_CONTEXT_LINES), firstIndex)
+      .filter((line) => line.text);
+    const contextAfter = sourceLines
+      .slice(lastIndex + 1, lastIndex + 1 + MACHINE_TRANSLATION_CONTEXT_LINES)
+      .filter((line) => line.text);
+    const glossaryEntries = findGlossaryEntriesInText(session.glossary, [
+      ...[...contextBefore, ...lines, ...contextAfter].map((line) => line.text),
+      ...lines.map((line) => line.role || ''),
+    ]);
+    const unlistedRoles = Array.from(
+      new Set(lines.map((line) => line.role).filter(Boolean)),
+    ).filter((role) => !glossaryEntries.some((entry) => entry.term === role));
+    const glossaryPrompt = [
+      ...describeGlossaryForPrompt(glossaryEntries, language.id),
+      ...unlistedRoles.map((role) => `- 「${role}」是角色名，整場請用同一種譯法`),
+    ].join('\n');
+
+    const texts = await translateLineBatchWithOpenAI({
+      provider,
+      lines,
+      contextBefore,
+      contextAfter,
+      sourceLanguage: session.languages[0],
+      targetLanguage: language,
+      glossaryPrompt,
+      model: options.model,
+      signal: options.signal,
+      cacheStats,
     });
-    session.transcription = defaultTranscriptionState();
-    session.history = { past: [], future: [] };
-    syncSelectedCellLines(session);
-    clearPublicSessionTombstones(session);
-    sessions.set(session.id, ensureSessionStructure(session));
-    persistSession(session);
-    res.status(201).json(getControlPayload(session));
-  } catch (error) {
-    res.status(400).json({
-      error: error?.message || '匯入節目備份失敗',
+    texts.forEach((text, index) => {
+      if (text) {
+        translatedTextById.set(lines[index].id, {
+          sourceText: lines[index].text,
+          text,
+        });
+      }
     });
+    options.onProgress?.({ completed: batchIndex + 1, total: batches.length });
   }
-});
+  throwIfScriptJobCancelled(options.signal);
 
-app.get('/api/session/:sessionId', requireAuth, (req, res) => {
-  const session = getOwnedSessionFromRequest(req, res);
-  if (!session) return;
-  res.json(getControlPayload(session));
-});
+  // Lines edited while the job ran keep the operator's version.
+  const targetCell = session.cells.find((entry) => entry.id === options.cellId);
+  if (!targetCell) {
+    const missingCellError = new Error('翻譯完成，但找不到目前場次');
+    missingCellError.code = 'CELL_NOT_FOUND_AFTER_PARSE';
+    throw missingCellError;
+  }
+  let translatedLineCount = 0;
+  const nextLines = targetCell.lines.map((line) => {
+    const translated = translatedTextById.get(line.id);
+    if (
+      !translated ||
+      translated.sourceText !== sanitizeLineText(line.text || '') ||
+      translated.text === getLineLanguageText(line, language.id) ||
+      !isTranslatable(line)
+    ) {
+      return line;
+    }
+    translatedLineCount += 1;
+    return createLineRecord(
+      {
+        ...updateSessionLineLanguageText(line, language.id, translated.text),
+        machineDrafted: [...(line.machineDrafted || []), language.id],
+      },
+      'primary',
+    );
+  });
 
-app.get('/api/session/:sessionId/backup', requireAuth, (req, res) => {
-  const session = getOwnedSessionFromRequest(req, res);
-  if (!session) return;
-  res.json(buildSessionBackupPayload(session));
-});
+  const missingCount = pendingIndexes.length - translatedTextById.size;
+  if (translatedLineCount > 0) {
+    pushSessionHistory(session);
+    targetCell.lines = nextLines;
+    syncSelectedCellLines(session);
+    persistSession(session);
+    broadcastControlState(session.id);
+    broadcastViewerState(session.id);
+  }
 
-app.put('/api/session/:sessionId/title', requireAuth, (req, res) => {
-  const session = getOwnedSessionFromRequest(req, res);
-  if (!session) return;
+  return {
+    parsedLineCount: translatedLineCount,
+    warning: missingCount > 0 ? `${missingCount} 句未取得譯文，請手動補上` : '',
+    cacheStats,
+  };
+}
 
-  const nextTitle = sanitizeLineText(req.body?.title || '').slice(0, 60);
-  if (!nextTitle) {
-    return res.status(400).json({ error: '請輸入節目名稱' });
-  }
-  if (session.title === nextTitle) {
-    return res.json(getControlPayload(session));
+async function runLanguageParseJob(sessionId, options) {
+  const session = getSession(sessionId);
+  const language = session?.languages.find(
+    (entry) => entry.id === options.languageId,
+  );
+  if (!language) {
+    const missingLanguageError = new Error('找不到語言');
+    missingLanguageError.code = 'LANGUAGE_NOT_FOUND';
+    throw missingLanguageError;
   }
 
-  pushSessionHistory(session);
-  session.title = nextTitle;
-  persistSession(session);
-  broadcastControlState(session.id);
-  res.json(getControlPayload(session));
-});
+  const normalizedRawText = normalizeScriptPromptText(
+    options.rawScriptText,
+    language.code,
+  );
+  const scriptRules = compileScriptRules(session.scriptRules);
+  const cacheStats = { hits: 0, misses: 0 };
+  let parsedLines;
+  let warning = '';
+  try {
+    parsedLines = await parseScriptWithOpenAI(
+      normalizedRawText,
+      createSessionLlmProvider(session, options.apiKey),
+      {
+        languageCode: language.code,
+        model: options.model,
+        scriptRules,
+        glossary: session.glossary,
+        signal: options.signal,
+        onProgress: options.onProgress,
+        cacheStats,
+        lineLengthOptions: getLineLengthOptions(session, language.id),
+      },
+    );
+  } catch (error) {
+    console.error('Failed to parse secondary language script:', error);
+    if (!fallbackCodes.has(error?.code)) {
+      throw error;
+    }
 
-app.post('/api/session/:sessionId/roles', requireAuth, (req, res) => {
-  const session = getOwnedSessionFromRequest(req, res);
-  if (!session) return;
+    const fallbackNormalized = normalizeScriptLines(
+      fallbackSegmentScript(normalizedRawText, {
+        languageCode: language.code,
+        scriptRules,
+      }),
+    );
+    parsedLines = enforceLineLengths(
+      fallbackNormalized,
+      getLineLengthOptions(session, language.id),
+    );
+    warning = error?.message
+      ? `OpenAI 拆解失敗（${error.message}），已改用原稿分段結果`
+      : 'OpenAI 拆解失敗，已改用原稿分段結果';
+  }
+  throwIfScriptJobCancelled(options.signal);
 
-  const roleName = normalizeRoleName(req.body?.name);
-  if (!roleName) {
-    return res.status(400).json({ error: '請輸入角色名稱' });
+  const normalizedParsedLines = normalizeScriptLines(parsedLines, {
+    primaryLanguageId: 'primary',
+  });
+  if (normalizedParsedLines.length === 0) {
+    const emptyLinesError = new Error('解析完成但沒有產生可用字幕');
+    emptyLinesError.code = 'EMPTY_PARSED_LINES';
+    throw emptyLinesError;
   }
-  if (session.roles.includes(roleName)) {
-    return res.json(getControlPayload(session));
+
+  const targetCell = session.cells.find((entry) => entry.id === options.cellId);
+  if (!targetCell) {
+    const missingCellError = new Error('解析完成，但找不到目前場次');
+    missingCellError.code = 'CELL_NOT_FOUND_AFTER_PARSE';
+    throw missingCellError;
   }
 
+  const nextLines = buildSequentialSecondaryLanguageTimeline({
+    session,
+    timelineLines: targetCell.lines,
+    parsedLines: normalizedParsedLines,
+    languageId: language.id,
+  });
+
+  const liveLineId = getLiveLineId(session, targetCell);
   pushSessionHistory(session);
-  session.roles = collectSessionRoleNames({
-    ...session,
-    roles: [...session.roles, roleName],
+  setCellLanguageSource(targetCell, language.id, normalizedParsedLines, {
+    text: options.rawScriptText,
   });
+  targetCell.lines = normalizeScriptLines(nextLines, {
+    keepEmpty: true,
+    primaryLanguageId: 'primary',
+  }).filter((line) => lineHasAnyLanguageText(line));
+  restoreLiveLineById(session, targetCell, liveLineId);
+  syncSelectedCellLines(session);
   persistSession(session);
   broadcastControlState(session.id);
-  res.json(getControlPayload(session));
-});
+  broadcastViewerState(session.id);
 
-app.put('/api/session/:sessionId/roles/:roleName', requireAuth, (req, res) => {
-  const session = getOwnedSessionFromRequest(req, res);
-  if (!session) return;
+  return {
+    parsedLineCount: normalizedParsedLines.length,
+    warning,
+    cacheStats,
+  };
+}
 
-  const previousRole = normalizeRoleName(req.params.roleName);
-  const nextRole = normalizeRoleName(req.body?.name);
-  if (!previousRole || !session.roles.includes(previousRole)) {
-    return res.status(404).json({ error: '找不到角色' });
-  }
-  if (!nextRole) {
-    return res.status(400).json({ error: '請輸入角色名稱' });
+async function parsePrimaryScriptText(session, rawScriptText, options = {}) {
+  const primaryLanguageCode = session.languages?.[0]?.code || '';
+  const rawText = normalizeScriptPromptText(rawScriptText, primaryLanguageCode);
+  const scriptRules = compileScriptRules(session.scriptRules);
+  const cacheStats = { hits: 0, misses: 0 };
+  let lines;
+  let warning = '';
+  try {
+    lines = await parseScriptWithOpenAI(
+      rawText,
+      createSessionLlmProvider(session, options.apiKey),
+      {
+        languageCode: primaryLanguageCode,
+        model: options.model,
+        scriptRules,
+        glossary: session.glossary,
+        signal: options.signal,
+        onProgress: options.onProgress,
+        cacheStats,
+        lineLengthOptions: getLineLengthOptions(session, 'primary'),
+      },
+    );
+  } catch (error) {
+    console.error('Failed to parse script:', error);
+    if (!fallbackCodes.has(error?.code)) {
+      throw error;
+    }
+
+    const fallbackNormalized = normalizeScriptLines(
+      fallbackSegmentScript(rawText, {
+        languageCode: primaryLanguageCode,
+        scriptRules,
+      }),
+    );
+    lines = enforceLineLengths(
+      fallbackNormalized,
+      getLineLengthOptions(session, 'primary'),
+    );
+    warning = error?.message
+      ? `OpenAI 拆解失敗（${error.message}），已改用原稿分段結果`
+      : 'OpenAI 拆解失敗，已改用原稿分段結果';
   }
-  if (previousRole === nextRole) {
-    return res.json(getControlPayload(session));
+
+  const normalizedLines = normalizeScriptLines(lines, {
+    primaryLanguageId: 'primary',
+  });
+  if (normalizedLines.length === 0) {
+    const emptyLinesError = new Error('解析完成但沒有產生可用字幕');
+    emptyLinesError.code = 'EMPTY_PARSED_LINES';
+    throw emptyLinesError;
   }
 
-  pushSessionHistory(session);
-  renameSessionRole(session, previousRole, nextRole);
-  syncSelectedCellLines(session);
-  persistSession(session);
-  broadcastControlState(session.id);
-  broadcastViewerState(session.id);
-  res.json(getControlPayload(session));
-});
+  return { lines: normalizedLines, warning, cacheStats };
+}
 
-app.delete('/api/session/:sessionId/roles/:roleName', requireAuth, (req, res) => {
-  const session = getOwnedSessionFromRequest(req, res);
-  if (!session) return;
+app.post(
+  '/api/session/:sessionId/script/parse',
+  requireAuth,
+  (req, res) => {
+    const session = getOwnedSessionFromRequest(req, res);
+    if (!session) return;
 
-  const roleName = normalizeRoleName(req.params.roleName);
-  if (!roleName || !session.roles.includes(roleName)) {
-    return res.status(404).json({ error: '找不到角色' });
+    const apiKey = sanitizeLineText(req.body?.apiKey || '');
+    const scriptParseModel = normalizeScriptParseModel(
+      req.body?.scriptParseModel,
+    );
+    const rawScriptText =
+      typeof req.body?.scriptText === 'string' ? req.body.scriptText : '';
+    const cellId =
+      typeof req.body?.cellId === 'string' ? req.body.cellId : session.selectedCellId;
+
+    if (!apiKey && isLlmApiKeyRequired(session)) {
+      return res.status(400).json({ error: '缺少 OpenAI API Key' });
+    }
+    if (!rawScriptText.trim()) {
+      return res.status(400).json({ error: '缺少劇本文字內容' });
+    }
+
+    if (!session.cells.some((entry) => entry.id === cellId)) {
+      return res.status(404).json({ error: '找不到場次' });
+    }
+
+    const activeJob = findActiveScriptJob(session.id, cellId, 'primary');
+    if (activeJob) {
+      return res.status(409).json({
+        error: '這個場次已有劇本解析工作進行中',
+        code: 'SCRIPT_JOB_ACTIVE',
+        job: toPublicScriptJob(activeJob),
+      });
+    }
+
+    const job = startScriptJob({
+      session,
+      kind: SCRIPT_JOB_KINDS.PRIMARY_PARSE,
+      cellId,
+      languageId: 'primary',
+      run: ({ signal, onProgress }) =>
+        runPrimaryParseJob(session.id, {
+          cellId,
+          rawScriptText,
+          apiKey,
+          model: scriptParseModel,
+          signal,
+          onProgress,
+        }),
+    });
+    res.status(202).json({ job: toPublicScriptJob(job) });
+  },
+);
+
+async function runPrimaryParseJob(sessionId, options) {
+  const session = getSession(sessionId);
+  if (!session) {
+    const missingSessionError = new Error('找不到節目');
+    missingSessionError.code = 'SESSION_NOT_FOUND';
+    throw missingSessionError;
+  }
+
+  const {
+    lines: normalizedLines,
+    warning,
+    cacheStats,
+  } = await parsePrimaryScriptText(
+    session,
+    options.rawScriptText,
+    options,
+  );
+  throwIfScriptJobCancelled(options.signal);
+
+  const targetCell = session.cells.find((entry) => entry.id === options.cellId);
+  if (!targetCell) {
+    const missingCellError = new Error('解析完成，但找不到目前場次');
+    missingCellError.code = 'CELL_NOT_FOUND_AFTER_PARSE';
+    throw missingCellError;
   }
 
+  const liveLineId = getLiveLineId(session, targetCell);
   pushSessionHistory(session);
-  deleteSessionRole(session, roleName);
+  targetCell.lines = normalizedLines;
+  restoreLiveLineById(session, targetCell, liveLineId);
   syncSelectedCellLines(session);
+  if (session.selectedCellId === targetCell.id) {
+    buildVerifiedControlPayloadAfterLineWrite(
+      session,
+      targetCell,
+      normalizedLines.length,
+      '解析劇本',
+    );
+  }
   persistSession(session);
   broadcastControlState(session.id);
   broadcastViewerState(session.id);
-  res.json(getControlPayload(session));
-});
 
-app.get('/api/session/:sessionId/viewer', requireAuth, (req, res) => {
+  return { parsedLineCount: normalizedLines.length, warning, cacheStats };
+}
+
+app.get('/api/session/:sessionId/script-jobs', requireAuth, (req, res) => {
   const session = getOwnedSessionFromRequest(req, res);
   if (!session) return;
-  res.json(getViewerPayload(session));
+  res.json({ jobs: listSessionScriptJobs(session.id) });
 });
 
-app.get('/api/viewer-entry/:viewerAlias', (req, res) => {
-  const viewerAlias =
-    typeof req.params.viewerAlias === 'string' ? req.params.viewerAlias.trim() : '';
-  const session = resolveViewerEntrySession(viewerAlias);
-  if (!session) {
-    return res.status(410).json({
-      reason: 'missing',
-      message: '找不到檢視端入口',
-      error: '找不到檢視端入口',
-    });
-  }
+app.post(
+  '/api/session/:sessionId/script-jobs/:jobId/cancel',
+  requireAuth,
+  (req, res) => {
+    const session = getOwnedSessionFromRequest(req, res);
+    if (!session) return;
 
-  res.json({
-    viewerAlias: session.viewerAlias || '',
-    viewerToken: session.viewerToken,
-    redirectPath: getViewerEntryRedirectPath(session),
-  });
-});
+    const job = scriptJobs.get(req.params.jobId);
+    if (!job || job.sessionId !== session.id) {
+      return res.status(404).json({ error: '找不到解析工作' });
+    }
+    if (!cancelScriptJob(job)) {
+      return res.status(409).json({
+        error: '解析工作已結束，無法取消',
+        job: toPublicScriptJob(job),
+      });
+    }
+    res.json({ job: toPublicScriptJob(job) });
+  },
+);
 
-app.get('/api/viewer/:viewerToken', (req, res) => {
-  const viewerToken =
-    typeof req.params.viewerToken === 'string' ? req.params.viewerToken.trim() : '';
-  const session = getSessionByViewerToken(viewerToken);
-  if (!session) {
-    return res
-      .status(410)
-      .json(getPublicSessionUnavailablePayload('viewer', { session, token: viewerToken }));
-  }
-  res.json(getViewerPayload(session));
-});
+app.post(
+  '/api/session/:sessionId/cells/:cellId/revision/preview',
+  requireAuth,
+  async (req, res) => {
+    const session = getOwnedSessionFromRequest(req, res);
+    if (!session) return;
 
-app.get('/api/projector/:projectorToken', (req, res) => {
-  const projectorToken =
-    typeof req.params.projectorToken === 'string'
-      ? req.params.projectorToken.trim()
-      : '';
-  const session = getSessionByProjectorToken(projectorToken);
-  if (!session) {
-    return res.status(410).json(
-      getPublicSessionUnavailablePayload('projector', {
-        session,
-        token: projectorToken,
-      }),
+    const targetCell = session.cells.find(
+      (entry) => entry.id === req.params.cellId,
     );
-  }
-  const projectorPresenceUpdate = markProjectorPresence(session.id);
-  if (projectorPresenceUpdate.becameAvailable) {
-    broadcastControlState(session.id);
-  }
-  res.json(getProjectorPayload(session));
-});
+    if (!targetCell) {
+      return res.status(404).json({ error: '找不到場次' });
+    }
 
-app.put('/api/session/:sessionId/viewer-alias', requireAuth, (req, res) => {
-  const session = getOwnedSessionFromRequest(req, res);
-  if (!session) return;
+    const apiKey = sanitizeLineText(req.body?.apiKey || '');
+    const rawScriptText =
+      typeof req.body?.scriptText === 'string' ? req.body.scriptText : '';
+    if (!apiKey && isLlmApiKeyRequired(session)) {
+      return res.status(400).json({ error: '缺少 OpenAI API Key' });
+    }
+    if (!rawScriptText.trim()) {
+      return res.status(400).json({ error: '缺少修訂版劇本文字' });
+    }
 
-  const rawViewerAlias =
-    typeof req.body?.viewerAlias === 'string' ? req.body.viewerAlias : '';
-  const nextViewerAlias = normalizeViewerAlias(rawViewerAlias);
+    try {
+      const {
+        lines: revisedLines,
+        warning,
+        cacheStats,
+      } = await parsePrimaryScriptText(session, rawScriptText, {
+        apiKey,
+        model: normalizeScriptParseModel(req.body?.scriptParseModel),
+      });
+      if (cacheStats.misses > 0) {
+        persistApplicationStore();
+      }
+      const existingLines = Array.isArray(targetCell.lines) ? targetCell.lines : [];
+      const plan = buildScriptRevisionPlan(existingLines, revisedLines);
 
-  if (rawViewerAlias.trim() && !nextViewerAlias) {
-    return res.status(400).json({
-      error: '檢視端入口只能使用中文、英文、數字、-、_',
+      res.json({
+        cellId: targetCell.id,
+        revisionStamp: getScriptRevisionStamp(existingLines),
+        revisedLines: revisedLines.map((line) => toPublicScriptRevisionLine(line)),
+        diff: buildPublicScriptRevisionDiff(existingLines, revisedLines, plan),
+        cacheStats,
+        ...(warning ? { warning } : {}),
+      });
+    } catch (error) {
+      res.status(error.code === 'REVISION_TOO_LARGE' ? 400 : 500).json({
+        error: '比對修訂版劇本失敗',
+        details: error.message,
+        code: error.code || 'UNKNOWN',
+      });
+    }
+  },
+);
+
+app.post(
+  '/api/session/:sessionId/cells/:cellId/revision/apply',
+  requireAuth,
+  (req, res) => {
+    const session = getOwnedSessionFromRequest(req, res);
+    if (!session) return;
+
+    const targetCell = session.cells.find(
+      (entry) => entry.id === req.params.cellId,
+    );
+    if (!targetCell) {
+      return res.status(404).json({ error: '找不到場次' });
+    }
+
+    // Only the parsed shape is accepted back; translations always come from
+    // the cell itself.
+    const revisedLines = normalizeScriptLines(
+      (Array.isArray(req.body?.revisedLines) ? req.body.revisedLines : []).map(
+        (line) => ({
+          text: line?.text,
+          type: line?.type,
+          role: line?.role,
+          music: line?.music,
+        }),
+      ),
+      { primaryLanguageId: 'primary' },
+    );
+    if (!revisedLines.length) {
+      return res.status(400).json({ error: '缺少修訂版字幕' });
+    }
+    if (req.body?.revisionStamp !== getScriptRevisionStamp(targetCell.lines)) {
+      return res.status(409).json({
+        error: '場次內容在比對後已變更，請重新比對修訂版劇本',
+        code: 'SCRIPT_REVISION_STALE',
+      });
+    }
+
+    let plan;
+    try {
+      plan = buildScriptRevisionPlan(targetCell.lines || [], revisedLines);
+    } catch (error) {
+      return res.status(400).json({
+        error: '比對修訂版劇本失敗',
+        details: error.message,
+        code: error.code || 'UNKNOWN',
+      });
+    }
+
+    const liveLineId = getLiveLineId(session, targetCell);
+    const { summary } = buildPublicScriptRevisionDiff(
+      targetCell.lines || [],
+      revisedLines,
+      plan,
+    );
+
+    pushSessionHistory(session);
+    targetCell.lines = mergeScriptRevisionLines(
+      targetCell.lines || [],
+      revisedLines,
+      plan,
+    );
+    restoreLiveLineById(session, targetCell, liveLineId);
+    syncSelectedCellLines(session);
+    persistSession(session);
+    broadcastControlState(session.id);
+    broadcastViewerState(session.id);
+
+    res.json({
+      ...getControlPayload(session),
+      revisionSummary: summary,
     });
-  }
+  },
+);
 
-  const aliasOwner = getSessionByViewerAlias(nextViewerAlias);
-  if (aliasOwner && aliasOwner.id !== session.id) {
-    return res.status(409).json({
-      error: '此檢視端入口名稱已被其他節目使用',
+const singleFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_FILE_BYTES, files: 1 },
+});
+
+function receiveSingleFileUpload(req, res, next) {
+  singleFileUpload.single('file')(req, res, (error) => {
+    if (!error) {
+      next();
+      return;
+    }
+    res.status(400).json({
+      error:
+        error.code === 'LIMIT_FILE_SIZE'
+          ? '檔案超過 20MB 上限'
+          : '上傳檔案失敗',
+      details: error.message,
     });
-  }
+  });
+}
 
-  if (session.viewerAlias === nextViewerAlias) {
-    return res.json(getControlPayload(session));
-  }
+app.post(
+  '/api/session/:sessionId/script/import-document',
+  requireAuth,
+  receiveSingleFileUpload,
+  (req, res) => {
+    const session = getOwnedSessionFromRequest(req, res);
+    if (!session) return;
 
-  session.viewerAlias = nextViewerAlias;
-  persistSession(session);
-  broadcastControlState(session.id);
-  res.json(getControlPayload(session));
-});
+    const cellId =
+      typeof req.body?.cellId === 'string' && req.body.cellId
+        ? req.body.cellId
+        : session.selectedCellId;
+    const documentFormat = resolveScriptDocumentFormat(
+      req.file?.originalname,
+      req.file?.mimetype,
+    );
 
-app.post('/api/session/:sessionId/end', requireAuth, (req, res) => {
-  const session = getOwnedSessionFromRequest(req, res);
-  if (!session) return;
+    if (!req.file?.buffer?.length) {
+      return res.status(400).json({ error: '缺少劇本文件' });
+    }
+    if (!documentFormat) {
+      return res.status(400).json({ error: '僅支援 .docx 或 .odt 文件' });
+    }
 
-  session.status = 'ended';
-  session.endedAt = Date.now();
-  session.displayEnabled = false;
-  persistSession(session);
+    const targetCell = session.cells.find((entry) => entry.id === cellId);
+    if (!targetCell) {
+      return res.status(404).json({ error: '找不到場次' });
+    }
 
-  stopTranscriptionStream(session.id, {
-    keepText: false,
-    reason: 'session ended',
-  });
-  broadcastControlState(session.id);
-  broadcastViewerState(session.id);
+    const primaryLanguageCode = session.languages?.[0]?.code || '';
 
-  res.json(getControlPayload(session));
-});
+    try {
+      const paragraphs = extractScriptDocumentParagraphs(
+        req.file.buffer,
+        documentFormat,
+      );
+      const normalizedLines = enforceLineLengths(
+        normalizeScriptLines(
+          buildScriptLinesFromDocumentParagraphs(paragraphs, {
+            languageCode: primaryLanguageCode,
+          }),
+          { primaryLanguageId: 'primary' },
+        ),
+        getLineLengthOptions(session, 'primary'),
+      );
+      if (normalizedLines.length === 0) {
+        return res.status(400).json({ error: '文件中沒有可用的劇本文字' });
+      }
 
-app.post('/api/session/:sessionId/undo', requireAuth, (req, res) => {
-  const session = getOwnedSessionFromRequest(req, res);
-  if (!session) return;
-  if (!undoSessionHistory(session)) {
-    return res.status(400).json({ error: '目前沒有可復原的操作' });
-  }
-  persistSession(session);
-  broadcastControlState(session.id);
-  broadcastViewerState(session.id);
-  res.json(getControlPayload(session));
-});
+      pushSessionHistory(session);
+      targetCell.lines = normalizedLines;
+      session.selectedCellId = targetCell.id;
+      session.currentIndex = 0;
+      session.displayEnabled = true;
+      syncSelectedCellLines(session);
+      const controlPayload = buildVerifiedControlPayloadAfterLineWrite(
+        session,
+        targetCell,
+        normalizedLines.length,
+        '匯入劇本文件',
+      );
+      persistSession(session);
+      broadcastControlState(session.id);
+      broadcastViewerState(session.id);
 
-app.post('/api/session/:sessionId/redo', requireAuth, (req, res) => {
-  const session = getOwnedSessionFromRequest(req, res);
-  if (!session) return;
-  if (!redoSessionHistory(session)) {
-    return res.status(400).json({ error: '目前沒有可還原的操作' });
-  }
-  persistSession(session);
-  broadcastControlState(session.id);
-  broadcastViewerState(session.id);
-  res.json(getControlPayload(session));
-});
+      res.json({
+        ...controlPayload,
+        parsedLineCount: normalizedLines.length,
+        documentFormat,
+      });
+    } catch (error) {
+      res.status(IMPORT_FILE_ERROR_CODES.has(error?.code) ? 400 : 500).json({
+        error: '匯入劇本文件失敗，請確認檔案格式',
+        details: error.message,
+        code: error.code || 'UNKNOWN',
+      });
+    }
+  },
+);
 
-app.post('/api/session/:sessionId/cells', requireAuth, (req, res) => {
+app.post('/api/session/:sessionId/script/fountain', requireAuth, (req, res) => {
   const session = getOwnedSessionFromRequest(req, res);
   if (!session) return;
-  pushSessionHistory(session);
-  const cell = createCellDefinition(
-    { name: req.body?.name || `場次 ${session.cells.length + 1}` },
-    session.cells.length,
-    getPrimaryLanguageId(session),
-  );
-  session.cells.push(cell);
-  session.selectedCellId = cell.id;
-  session.currentIndex = 0;
-  syncSelectedCellLines(session);
-  persistSession(session);
-  broadcastControlState(session.id);
-  broadcastViewerState(session.id);
-  res.json(getControlPayload(session));
-});
 
-app.put('/api/session/:sessionId/cells/:cellId', requireAuth, (req, res) => {
-  const session = getOwnedSessionFromRequest(req, res);
-  if (!session) return;
-  const cell = session.cells.find((entry) => entry.id === req.params.cellId);
-  if (!cell) {
+  const fountainText =
+    typeof req.body?.fountainText === 'string' ? req.body.fountainText : '';
+  const cellId =
+    typeof req.body?.cellId === 'string' ? req.body.cellId : session.selectedCellId;
+  if (!fountainText.trim()) {
+    return res.status(400).json({ error: '缺少 Fountain 劇本內容' });
+  }
+
+  const targetCell = session.cells.find((entry) => entry.id === cellId);
+  if (!targetCell) {
     return res.status(404).json({ error: '找不到場次' });
   }
-  const nextName = sanitizeLineText(req.body?.name || '').slice(0, 48);
-  if (!nextName) {
-    return res.status(400).json({ error: '請輸入場次名稱' });
+
+  const primaryLanguageId = getPrimaryLanguageId(session);
+  const parsed = parseFountainScript(fountainText);
+  const scenes = parsed.scenes
+    .map((scene) => ({
+      heading: scene.heading,
+      lines: buildScriptLinesFromFountainElements(
+        scene.elements,
+        getLineLengthOptions(session, primaryLanguageId),
+      ),
+    }))
+    .filter((scene) => scene.heading || scene.lines.length > 0);
+  const parsedLineCount = scenes.reduce(
+    (count, scene) => count + scene.lines.length,
+    0,
+  );
+  if (parsedLineCount === 0) {
+    return res.status(400).json({ error: 'Fountain 劇本中沒有可用的字幕' });
   }
+
   pushSessionHistory(session);
-  cell.name = nextName;
-  persistSession(session);
-  broadcastControlState(session.id);
-  res.json(getControlPayload(session));
-});
+  const targetCellIsEmpty = !targetCell.lines.some((line) =>
+    lineHasAnyLanguageText(line),
+  );
+  let firstCell = null;
+  let createdCellCount = 0;
+  scenes.forEach((scene, index) => {
+    // Text before the first scene heading, or the first scene of a script
+    // imported into an empty cell, replaces the selected cell.
+    if (index === 0 && (!scene.heading || targetCellIsEmpty)) {
+      targetCell.lines = scene.lines;
+      if (scene.heading) {
+        targetCell.name = sanitizeLineText(scene.heading).slice(0, 48);
+      }
+      firstCell = targetCell;
+      return;
+    }
 
-app.post('/api/session/:sessionId/cells/:cellId/select', requireAuth, (req, res) => {
-  const session = getOwnedSessionFromRequest(req, res);
-  if (!session) return;
-  const cell = session.cells.find((entry) => entry.id === req.params.cellId);
-  if (!cell) {
-    return res.status(404).json({ error: '找不到場次' });
+    const cell = createCellDefinition(
+      { name: scene.heading, lines: scene.lines },
+      session.cells.length,
+      primaryLanguageId,
+      session.languages,
+    );
+    session.cells.push(cell);
+    createdCellCount += 1;
+    firstCell = firstCell || cell;
+  });
+
+  // A session still carrying its generated name takes the title page's title.
+  const scriptTitle = sanitizeLineText(parsed.title || '').slice(0, 60);
+  if (scriptTitle && session.title === getDefaultSessionTitle(session.createdAt)) {
+    session.title = scriptTitle;
   }
-  session.selectedCellId = cell.id;
-  session.currentIndex = Math.min(session.currentIndex, Math.max(cell.lines.length - 1, 0));
+  session.selectedCellId = firstCell.id;
+  session.currentIndex = 0;
+  session.displayEnabled = true;
+  ensureSessionRoles(session);
   syncSelectedCellLines(session);
   persistSession(session);
   broadcastControlState(session.id);
   broadcastViewerState(session.id);
-  res.json(getControlPayload(session));
+
+  res.json({
+    ...getControlPayload(session),
+    parsedLineCount,
+    createdCellCount,
+  });
 });
 
-app.delete('/api/session/:sessionId/cells/:cellId', requireAuth, (req, res) => {
+app.get('/api/session/:sessionId/export', requireAuth, (req, res) => {
   const session = getOwnedSessionFromRequest(req, res);
   if (!session) return;
-  if (session.cells.length <= 1) {
-    return res.status(400).json({ error: '至少要保留一個場次' });
-  }
-  const targetIndex = session.cells.findIndex((entry) => entry.id === req.params.cellId);
-  if (targetIndex === -1) {
-    return res.status(404).json({ error: '找不到場次' });
+
+  const format =
+    typeof req.query?.format === 'string' ? req.query.format.trim().toLowerCase() : '';
+  const languageId = resolveSessionLanguageId(session, req.query?.language);
+
+  if (format === 'fountain') {
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename*=UTF-8''${encodeURIComponent(
+        buildExportFilename(session, 'fountain'),
+      )}`,
+    );
+    return res.send(buildFountainExport(session, languageId));
   }
-  pushSessionHistory(session);
-  session.cells.splice(targetIndex, 1);
-  if (session.selectedCellId === req.params.cellId) {
-    session.selectedCellId = session.cells[Math.max(targetIndex - 1, 0)].id;
-    session.currentIndex = 0;
+
+  if (Object.prototype.hasOwnProperty.call(SUBTITLE_EXPORT_CONTENT_TYPES, format)) {
+    const languageIds =
+      req.query?.language === 'all'
+        ? session.languages.map((language) => language.id)
+        : [languageId];
+    const cues = buildSubtitleExportCues(session, languageIds);
+    if (!cues.length) {
+      return res.status(400).json({ error: '沒有可匯出的字幕' });
+    }
+
+    res.setHeader('Content-Type', SUBTITLE_EXPORT_CONTENT_TYPES[format]);
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename*=UTF-8''${encodeURIComponent(
+        buildExportFilename(session, format),
+      )}`,
+    );
+    return res.send(
+      formatSubtitleFile(format, cues, {
+        title: sanitizeLineText(session.title || ''),
+        roleColorEnabled: session.roleColorEnabled !== false,
+      }),
+    );
   }
-  syncSelectedCellLines(session);
-  persistSession(session);
-  broadcastControlState(session.id);
-  broadcastViewerState(session.id);
-  res.json(getControlPayload(session));
-});
 
-app.post('/api/session/:sessionId/languages', requireAuth, (req, res) => {
-  const session = getOwnedSessionFromRequest(req, res);
-  if (!session) return;
-  const name = sanitizeLineText(req.body?.name || '').slice(0, 40);
-  if (!name) {
-    return res.status(400).json({ error: '請輸入語言名稱' });
+  const exchangeFileType = TRANSLATION_EXCHANGE_FILE_TYPES[format];
+  if (exchangeFileType) {
+    const cellId = typeof req.query?.cellId === 'string' ? req.query.cellId : '';
+    if (cellId && !session.cells.some((cell) => cell.id === cellId)) {
+      return res.status(404).json({ error: '找不到場次' });
+    }
+    if (format === TRANSLATION_EXCHANGE_FORMATS.XLIFF && languageId === 'primary') {
+      return res.status(400).json({ error: 'XLIFF 需要指定一個要翻譯的語言' });
+    }
+    const exchangeDocument = buildTranslationExchangeDocument(session, cellId);
+    if (!exchangeDocument.cells.some((cell) => cell.lines.length > 0)) {
+      return res.status(400).json({ error: '沒有可匯出的台詞' });
+    }
+
+    res.setHeader('Content-Type', exchangeFileType.contentType);
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename*=UTF-8''${encodeURIComponent(
+        buildExportFilename(session, exchangeFileType.extension),
+      )}`,
+    );
+    return res.send(
+      formatTranslationExchangeFile(format, exchangeDocument, {
+        targetLanguageId: languageId,
+      }),
+    );
   }
-  pushSessionHistory(session);
-  session.languages.push(
-    createLanguageDefinition(
-      {
-        id: generateId('lang'),
-        name,
-        code: sanitizeLineText(req.body?.code || '') || `lang-${session.languages.length + 1}`,
-      },
-      session.languages.length,
-    ),
-  );
-  ensureSessionLanguages(session);
-  persistSession(session);
-  broadcastControlState(session.id);
-  broadcastViewerState(session.id);
-  res.json(getControlPayload(session));
+
+  res.status(400).json({ error: '不支援的匯出格式' });
 });
 
-app.put('/api/session/:sessionId/languages/:languageId', requireAuth, (req, res) => {
+app.post(
+  '/api/session/:sessionId/cells/:cellId/subtitles/import',
+  requireAuth,
+  receiveSingleFileUpload,
+  (req, res) => {
+    const session = getOwnedSessionFromRequest(req, res);
+    if (!session) return;
+
+    const targetCell = session.cells.find(
+      (entry) => entry.id === req.params.cellId,
+    );
+    if (!targetCell) {
+      return res.status(404).json({ error: '找不到場次' });
+    }
+    if (!req.file?.buffer?.length) {
+      return res.status(400).json({ error: '缺少字幕檔' });
+    }
+
+    const requestedLanguageId =
+      typeof req.body?.languageId === 'string' && req.body.languageId.trim()
+        ? req.body.languageId.trim()
+        : 'primary';
+    const language = session.languages.find(
+      (entry) => entry.id === requestedLanguageId,
+    );
+    if (!language) {
+      return res.status(404).json({ error: '找不到語言' });
+    }
+
+    try {
+      const fileText = decodeSubtitleBuffer(req.file.buffer, req.body?.encoding);
+      const subtitleFormat = resolveSubtitleFileFormat(
+        req.file.originalname,
+        fileText,
+      );
+      const cues = parseSubtitleFile(fileText, subtitleFormat);
+      if (cues.length === 0) {
+        return res.status(400).json({ error: '字幕檔中沒有可用的字幕' });
+      }
+
+      const nextLines =
+        language.id === 'primary'
+          ? enforceLineLengths(
+              buildScriptLinesFromSubtitleCues(cues),
+              getLineLengthOptions(session, language.id),
+            )
+          : alignSubtitleCuesToCellLines({ cell: targetCell, language, cues });
+
+      pushSessionHistory(session);
+      if (language.id !== 'primary') {
+        setCellLanguageSource(
+          targetCell,
+          language.id,
+          cues.map((cue) => ({
+            text: cue.text,
+            role: cue.role,
+            type: cue.italic ? LINE_TYPES.DIRECTION : LINE_TYPES.DIALOGUE,
+          })),
+        );
+      }
+      targetCell.lines = nextLines;
+      session.selectedCellId = targetCell.id;
+      if (language.id === 'primary') {
+        session.currentIndex = 0;
+      }
+      syncSelectedCellLines(session);
+      persistSession(session);
+      broadcastControlState(session.id);
+      broadcastViewerState(session.id);
+
+      res.json({
+        ...getControlPayload(session),
+        importedCueCount: cues.length,
+        subtitleFormat,
+      });
+    } catch (error) {
+      const isClientError =
+        IMPORT_FILE_ERROR_CODES.has(error?.code) ||
+        error?.code === 'EMPTY_ALIGNMENT_BASE';
+      res.status(isClientError ? 400 : 500).json({
+        error: isClientError ? error.message : '匯入字幕檔失敗',
+        details: error.message,
+        code: error.code || 'UNKNOWN',
+      });
+    }
+  },
+);
+
+app.put('/api/session/:sessionId/lines', requireAuth, (req, res) => {
   const session = getOwnedSessionFromRequest(req, res);
   if (!session) return;
 
-  const languageIndex = session.languages.findIndex(
-    (entry) => entry.id === req.params.languageId,
-  );
-  if (languageIndex === -1) {
-    return res.status(404).json({ error: '找不到語言' });
+  const { lines } = req.body;
+  const cellId =
+    typeof req.body?.cellId === 'string' ? req.body.cellId : session.selectedCellId;
+  if (!Array.isArray(lines)) {
+    return res.status(400).json({ error: 'lines 必須是陣列' });
   }
 
-  const name = sanitizeLineText(req.body?.name || '').slice(0, 40);
-  if (!name) {
-    return res.status(400).json({ error: '請輸入語言名稱' });
+  const cell = session.cells.find((entry) => entry.id === cellId);
+  if (!cell) {
+    return res.status(404).json({ error: '找不到場次' });
   }
 
   pushSessionHistory(session);
-  session.languages[languageIndex] = createLanguageDefinition(
-    {
-      ...session.languages[languageIndex],
-      name,
-    },
-    languageIndex,
+  cell.lines = normalizeScriptLines(lines, {
+    keepEmpty: true,
+    primaryLanguageId: 'primary',
+  });
+  session.selectedCellId = cell.id;
+  syncSelectedCellLines(session);
+  const controlPayload = buildVerifiedControlPayloadAfterLineWrite(
+    session,
+    cell,
+    cell.lines.length,
+    '匯入字幕',
   );
-  ensureSessionLanguages(session);
   persistSession(session);
   broadcastControlState(session.id);
   broadcastViewerState(session.id);
-  res.json(getControlPayload(session));
+  res.json(controlPayload);
 });
 
-app.delete('/api/session/:sessionId/languages/:languageId', requireAuth, (req, res) => {
+app.delete('/api/session/:sessionId/lines', requireAuth, (req, res) => {
   const session = getOwnedSessionFromRequest(req, res);
   if (!session) return;
-  const { languageId } = req.params;
-  if (languageId === 'primary') {
-    return res.status(400).json({ error: '第一語言不可刪除' });
-  }
-  const languageIndex = session.languages.findIndex((entry) => entry.id === languageId);
-  if (languageIndex === -1) {
-    return res.status(404).json({ error: '找不到語言' });
+
+  const cellId =
+    typeof req.body?.cellId === 'string' ? req.body.cellId : session.selectedCellId;
+  const cell = session.cells.find((entry) => entry.id === cellId);
+  if (!cell) {
+    return res.status(404).json({ error: '找不到場次' });
   }
+
   pushSessionHistory(session);
-  session.languages.splice(languageIndex, 1);
-  session.cells = session.cells.map((cell) => ({
-    ...cell,
-    languageSources: Object.fromEntries(
-      Object.entries(cell.languageSources || {}).filter(
-        ([entryLanguageId]) => entryLanguageId !== languageId,
-      ),
-    ),
-    lines: cell.lines
-      .map((line) => {
-        const translations = { ...(line.translations || {}) };
-        delete translations[languageId];
-        return createLineRecord(
-          {
-            ...line,
-            translations,
-          },
-          'primary',
-        );
-      })
-      .filter((line) => lineHasAnyLanguageText(line)),
-  }));
+  cell.lines = [];
+  cell.languageSources = {};
+  session.selectedCellId = cell.id;
+  session.currentIndex = 0;
   syncSelectedCellLines(session);
   persistSession(session);
   broadcastControlState(session.id);
@@ -9461,309 +14962,606 @@ app.delete('/api/session/:sessionId/languages/:languageId', requireAuth, (req, r
   res.json(getControlPayload(session));
 });
 
-app.post(
-  '/api/session/:sessionId/cells/:cellId/languages/:languageId/parse',
-  requireAuth,
-  async (req, res) => {
-    const session = getOwnedSessionFromRequest(req, res);
-    if (!session) return;
+app.post('/api/session/:sessionId/current', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
 
-    const requestedCellId = req.params.cellId;
-    if (!session.cells.some((entry) => entry.id === requestedCellId)) {
-      return res.status(404).json({ error: '找不到場次' });
-    }
+  const nextIndex = Number.isInteger(req.body?.index)
+    ? req.body.index
+    : session.currentIndex;
 
-    const language = session.languages.find(
-      (entry) => entry.id === req.params.languageId,
-    );
-    if (!language) {
-      return res.status(404).json({ error: '找不到語言' });
-    }
-    if (language.id === 'primary') {
-      return res.status(400).json({ error: '第一語言請使用劇本解析功能' });
-    }
+  if (nextIndex < 0 || nextIndex >= session.lines.length) {
+    return res.status(400).json({ error: '索引超出範圍' });
+  }
 
-    const apiKey = sanitizeLineText(req.body?.apiKey || '');
-    const scriptParseModel = normalizeScriptParseModel(
-      req.body?.scriptParseModel,
-    );
-    const rawScriptText =
-      typeof req.body?.scriptText === 'string' ? req.body.scriptText : '';
+  applyCurrentIndexChange(session, nextIndex, {
+    manualOverride: true,
+    source: SHOW_LOG_SOURCES.API,
+    user: req.authUser,
+  });
+  res.json(getControlPayload(session));
+});
 
-    if (!apiKey) {
-      return res.status(400).json({ error: '缺少 OpenAI API Key' });
-    }
-    if (!rawScriptText.trim()) {
-      return res.status(400).json({ error: '缺少目標語言文字內容' });
-    }
+function findShowRunFromRequest(session, req, res) {
+  const run = session.showLog.runs.find((entry) => entry.id === req.params.runId);
+  if (!run) {
+    res.status(404).json({ error: '找不到演出紀錄' });
+    return null;
+  }
+  return run;
+}
+
+app.get('/api/session/:sessionId/show-log', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  res.json({
+    runs: session.showLog.runs.map((run) => summarizeShowRun(run)).reverse(),
+  });
+});
 
-    const normalizedRawText = normalizeScriptPromptText(rawScriptText, language.code);
+app.post('/api/session/:sessionId/show-log/runs', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
 
-    try {
-      let parsedLines;
-      let warning = '';
-      try {
-        parsedLines = await parseScriptWithOpenAI(normalizedRawText, apiKey, {
-          languageCode: language.code,
-          model: scriptParseModel,
-        });
-      } catch (error) {
-        console.error('Failed to parse secondary language script:', error);
-        if (!fallbackCodes.has(error?.code)) {
-          throw error;
-        }
+  let run;
+  try {
+    run = startShowRun(session.showLog, {
+      name: req.body?.name,
+      operator: getShowLogOperator(req.authUser),
+    });
+  } catch (error) {
+    return res.status(409).json({ error: error.message, code: error.code });
+  }
 
-        const fallbackNormalized = normalizeScriptLines(
-          fallbackSegmentScript(normalizedRawText, {
-            languageCode: language.code,
-          }),
-        );
-        parsedLines = enforceLineLengths(fallbackNormalized, {
-          languageCode: language.code,
-        });
-        warning = error?.message
-          ? `OpenAI 拆解失敗（${error.message}），已改用原稿分段結果`
-          : 'OpenAI 拆解失敗，已改用原稿分段結果';
-      }
+  const startEntry = recordShowLogCue(session, {
+    source: SHOW_LOG_SOURCES.RUN_START,
+    user: req.authUser,
+  });
+  // Starting while blacked out logs the blackout at the same moment, so the
+  // opening line does not count as shown.
+  if (!session.displayEnabled) {
+    recordShowLogDisplayChange(session, false, {
+      source: SHOW_LOG_SOURCES.RUN_START,
+      user: req.authUser,
+      at: startEntry?.at,
+    });
+  }
+  markShowLogsChanged();
+  persistSession(session);
+  broadcastControlState(session.id);
+  res.json({ ...getControlPayload(session), run: summarizeShowRun(run) });
+});
 
-      const normalizedParsedLines = normalizeScriptLines(parsedLines, {
-        primaryLanguageId: 'primary',
-      });
-      if (normalizedParsedLines.length === 0) {
-        const emptyLinesError = new Error('解析完成但沒有產生可用字幕');
-        emptyLinesError.code = 'EMPTY_PARSED_LINES';
-        throw emptyLinesError;
-      }
+app.post('/api/session/:sessionId/show-log/stop', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
 
-      const targetCell = session.cells.find((entry) => entry.id === requestedCellId);
-      if (!targetCell) {
-        const missingCellError = new Error('解析完成，但找不到目前場次');
-        missingCellError.code = 'CELL_NOT_FOUND_AFTER_PARSE';
-        throw missingCellError;
-      }
+  let run;
+  try {
+    run = stopShowRun(session.showLog);
+  } catch (error) {
+    return res.status(409).json({ error: error.message, code: error.code });
+  }
 
-      const nextLines = buildSequentialSecondaryLanguageTimeline({
-        session,
-        timelineLines: targetCell.lines,
-        parsedLines: normalizedParsedLines,
-        languageId: language.id,
-      });
+  markShowLogsChanged();
+  persistSession(session);
+  broadcastControlState(session.id);
+  res.json({ ...getControlPayload(session), run: summarizeShowRun(run) });
+});
 
-      pushSessionHistory(session);
-      setCellLanguageSource(targetCell, language.id, normalizedParsedLines, {
-        text: rawScriptText,
-      });
-      targetCell.lines = normalizeScriptLines(nextLines, {
-        keepEmpty: true,
-        primaryLanguageId: 'primary',
-      }).filter((line) => lineHasAnyLanguageText(line));
-      session.selectedCellId = targetCell.id;
-      syncSelectedCellLines(session);
-      persistSession(session);
-      broadcastControlState(session.id);
-      broadcastViewerState(session.id);
+app.get('/api/session/:sessionId/show-log/runs/:runId', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  const run = findShowRunFromRequest(session, req, res);
+  if (!run) return;
 
-      res.json({
-        ...getControlPayload(session),
-        parsedLineCount: normalizedParsedLines.length,
-        ...(warning ? { warning } : {}),
-      });
-    } catch (error) {
-      res.status(500).json({
-        error: '解析多語字幕失敗',
-        details: error.message,
-      });
-    }
-  },
-);
+  const cellNames = new Map(session.cells.map((cell) => [cell.id, cell.name]));
+  res.json({
+    run: {
+      ...summarizeShowRun(run),
+      entries: getShowRunEntryTimings(run).map(
+        ({ entry, startMs, endMs, visible }) => ({
+          ...entry,
+          cellName: cellNames.get(entry.cellId) || '',
+          startMs,
+          endMs,
+          visible,
+        }),
+      ),
+    },
+  });
+});
 
-app.post(
-  '/api/session/:sessionId/script/parse',
+app.get(
+  '/api/session/:sessionId/show-log/runs/:runId/export',
   requireAuth,
-  async (req, res) => {
+  (req, res) => {
     const session = getOwnedSessionFromRequest(req, res);
     if (!session) return;
-
-    const apiKey = sanitizeLineText(req.body?.apiKey || '');
-    const scriptParseModel = normalizeScriptParseModel(
-      req.body?.scriptParseModel,
+    const run = findShowRunFromRequest(session, req, res);
+    if (!run) return;
+
+    const format =
+      typeof req.query?.format === 'string' ? req.query.format.trim().toLowerCase() : '';
+    const filename = buildExportFilename(
+      { title: `${sanitizeLineText(session.title || '')} ${run.name}` },
+      format,
     );
-    const rawScriptText =
-      typeof req.body?.scriptText === 'string' ? req.body.scriptText : '';
-    const cellId =
-      typeof req.body?.cellId === 'string' ? req.body.cellId : session.selectedCellId;
 
-    if (!apiKey) {
-      return res.status(400).json({ error: '缺少 OpenAI API Key' });
-    }
-    if (!rawScriptText.trim()) {
-      return res.status(400).json({ error: '缺少劇本文字內容' });
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`,
+      );
+      return res.send(
+        formatShowRunCsv(run, {
+          cellNames: Object.fromEntries(
+            session.cells.map((cell) => [cell.id, cell.name]),
+          ),
+        }),
+      );
     }
 
-    if (!session.cells.some((entry) => entry.id === cellId)) {
-      return res.status(404).json({ error: '找不到場次' });
+    if (!Object.prototype.hasOwnProperty.call(SUBTITLE_EXPORT_CONTENT_TYPES, format)) {
+      return res.status(400).json({ error: '不支援的匯出格式' });
     }
 
-    const primaryLanguageCode = session.languages?.[0]?.code || '';
-    const rawText = normalizeScriptPromptText(rawScriptText, primaryLanguageCode);
-
-    try {
-      let lines;
-      let warning = '';
-      try {
-        lines = await parseScriptWithOpenAI(rawText, apiKey, {
-          languageCode: primaryLanguageCode,
-          model: scriptParseModel,
-        });
-      } catch (error) {
-        console.error('Failed to parse script:', error);
-        if (!fallbackCodes.has(error?.code)) {
-          throw error;
-        }
-
-        const fallbackNormalized = normalizeScriptLines(
-          fallbackSegmentScript(rawText, { languageCode: primaryLanguageCode }),
-        );
-        lines = enforceLineLengths(fallbackNormalized, {
-          languageCode: primaryLanguageCode,
-        });
-        warning = error?.message
-          ? `OpenAI 拆解失敗（${error.message}），已改用原稿分段結果`
-          : 'OpenAI 拆解失敗，已改用原稿分段結果';
-      }
+    const languageIds =
+      req.query?.language === 'all'
+        ? session.languages.map((language) => language.id)
+        : [resolveSessionLanguageId(session, req.query?.language)];
+    const cues = buildShowRunExportCues(session, run, languageIds);
+    if (!cues.length) {
+      return res.status(400).json({ error: '這次演出沒有可匯出的字幕' });
+    }
 
-      const normalizedLines = normalizeScriptLines(lines, {
-        primaryLanguageId: 'primary',
-      });
-      if (normalizedLines.length === 0) {
-        const emptyLinesError = new Error('解析完成但沒有產生可用字幕');
-        emptyLinesError.code = 'EMPTY_PARSED_LINES';
-        throw emptyLinesError;
-      }
+    res.setHeader('Content-Type', SUBTITLE_EXPORT_CONTENT_TYPES[format]);
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`,
+    );
+    return res.send(
+      formatSubtitleFile(format, cues, {
+        title: run.name,
+        roleColorEnabled: session.roleColorEnabled !== false,
+      }),
+    );
+  },
+);
 
-      const targetCell = session.cells.find((entry) => entry.id === cellId);
-      if (!targetCell) {
-        const missingCellError = new Error('解析完成，但找不到目前場次');
-        missingCellError.code = 'CELL_NOT_FOUND_AFTER_PARSE';
-        throw missingCellError;
-      }
+app.delete('/api/session/:sessionId/show-log/runs/:runId', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  const run = findShowRunFromRequest(session, req, res);
+  if (!run) return;
 
-      pushSessionHistory(session);
-      targetCell.lines = normalizedLines;
-      session.selectedCellId = targetCell.id;
-      session.currentIndex = 0;
-      session.displayEnabled = true;
-      syncSelectedCellLines(session);
-      const controlPayload = buildVerifiedControlPayloadAfterLineWrite(
-        session,
-        targetCell,
-        normalizedLines.length,
-        '解析劇本',
-      );
-      persistSession(session);
-      broadcastControlState(session.id);
-      broadcastViewerState(session.id);
+  session.showLog.runs = session.showLog.runs.filter((entry) => entry !== run);
+  markShowLogsChanged();
+  persistSession(session);
+  broadcastControlState(session.id);
+  res.json({
+    ...getControlPayload(session),
+    runs: session.showLog.runs.map((entry) => summarizeShowRun(entry)).reverse(),
+  });
+});
 
-      res.json({
-        ...controlPayload,
-        parsedLineCount: normalizedLines.length,
-        ...(warning ? { warning } : {}),
-      });
-    } catch (error) {
-      res.status(500).json({
-        error: '解析劇本失敗，請確認貼上的內容或稍後再試',
-        details: error.message,
-        code: error.code || 'UNKNOWN',
-        diagnostics: error.diagnostics || null,
+app.put(
+  '/api/session/:sessionId/lines/:lineId/duration',
+  requireAuth,
+  (req, res) => {
+    const session = getOwnedSessionFromRequest(req, res);
+    if (!session) return;
+    const line = session.cells
+      .flatMap((cell) => cell.lines)
+      .find((entry) => entry.id === req.params.lineId);
+    if (!line) {
+      return res.status(404).json({ error: '找不到字幕' });
+    }
+
+    const rawDurationMs = req.body?.durationMs;
+    const durationMs = normalizeLineDurationMs(rawDurationMs);
+    if (rawDurationMs != null && !durationMs) {
+      return res.status(400).json({
+        error: '請輸入大於 0 的秒數',
+        code: 'INVALID_LINE_DURATION',
       });
     }
+
+    if (line.durationMs !== durationMs) {
+      pushSessionHistory(session);
+      line.durationMs = durationMs;
+    }
+    syncSelectedCellLines(session);
+    const timedState = timedPlaybackStates.get(session.id);
+    if (
+      session.subtitleControlMode === SUBTITLE_CONTROL_MODES.TIMED &&
+      timedState?.status !== TIMED_PLAYBACK_STATUS.PLAYING &&
+      session.lines[session.currentIndex]?.id === line.id
+    ) {
+      resetTimedPlaybackClock(session);
+    }
+    persistSession(session);
+    broadcastControlState(session.id);
+    res.json(getControlPayload(session));
   },
 );
 
-app.put('/api/session/:sessionId/lines', requireAuth, (req, res) => {
+// The first cue of a run only covers the part of the line shown after the
+// run started, so it is never used as that line's duration.
+app.post('/api/session/:sessionId/timed-playback/learn', requireAuth, (req, res) => {
   const session = getOwnedSessionFromRequest(req, res);
   if (!session) return;
-
-  const { lines } = req.body;
-  const cellId =
-    typeof req.body?.cellId === 'string' ? req.body.cellId : session.selectedCellId;
-  if (!Array.isArray(lines)) {
-    return res.status(400).json({ error: 'lines 必須是陣列' });
+  const runId = typeof req.body?.runId === 'string' ? req.body.runId : '';
+  const run = session.showLog.runs.find((entry) => entry.id === runId);
+  if (!run) {
+    return res.status(404).json({ error: '找不到演出紀錄' });
+  }
+  if (!run.stoppedAt) {
+    return res.status(409).json({
+      error: '請先結束這次演出紀錄，再套用時間',
+      code: 'SHOW_RUN_ACTIVE',
+    });
   }
 
-  const cell = session.cells.find((entry) => entry.id === cellId);
-  if (!cell) {
-    return res.status(404).json({ error: '找不到場次' });
+  // A line's time on screen is its cue plus any restores of it before the
+  // next cue, without the blacked-out spans in between.
+  const learnedDurations = new Map();
+  let shownLine = null;
+  getShowRunEntryTimings(run).forEach(({ entry, startMs, endMs, visible }) => {
+    const key = `${entry.cellId}:${entry.lineId}`;
+    if (entry.kind === SHOW_LOG_ENTRY_KINDS.CUE || shownLine?.key !== key) {
+      shownLine = {
+        key,
+        visibleMs: 0,
+        learnable:
+          entry.kind === SHOW_LOG_ENTRY_KINDS.CUE &&
+          entry.source !== SHOW_LOG_SOURCES.RUN_START,
+      };
+    }
+    if (visible) {
+      shownLine.visibleMs += endMs - startMs;
+    }
+    const durationMs = normalizeLineDurationMs(shownLine.visibleMs);
+    if (shownLine.learnable && durationMs) {
+      learnedDurations.set(key, durationMs);
+    }
+  });
+
+  const targets = [];
+  session.cells.forEach((cell) => {
+    cell.lines.forEach((line) => {
+      const durationMs = learnedDurations.get(`${cell.id}:${line.id}`);
+      if (durationMs) {
+        targets.push({ line, durationMs });
+      }
+    });
+  });
+  if (!targets.length) {
+    return res.status(400).json({
+      error: '這次演出紀錄沒有可套用到目前字幕的時間',
+      code: 'NO_LEARNABLE_TIMINGS',
+    });
   }
 
   pushSessionHistory(session);
-  cell.lines = normalizeScriptLines(lines, {
-    keepEmpty: true,
-    primaryLanguageId: 'primary',
+  targets.forEach(({ line, durationMs }) => {
+    line.durationMs = durationMs;
   });
-  session.selectedCellId = cell.id;
   syncSelectedCellLines(session);
-  const controlPayload = buildVerifiedControlPayloadAfterLineWrite(
-    session,
-    cell,
-    cell.lines.length,
-    '匯入字幕',
-  );
   persistSession(session);
   broadcastControlState(session.id);
-  broadcastViewerState(session.id);
-  res.json(controlPayload);
+  res.json({ ...getControlPayload(session), learnedLineCount: targets.length });
 });
 
-app.delete('/api/session/:sessionId/lines', requireAuth, (req, res) => {
+app.post('/api/session/:sessionId/display', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  applyDisplayEnabledChange(session, req.body?.displayEnabled, {
+    source: SHOW_LOG_SOURCES.API,
+    user: req.authUser,
+  });
+  res.json(getControlPayload(session));
+});
+
+app.put('/api/session/:sessionId/cue-input', requireAuth, (req, res) => {
   const session = getOwnedSessionFromRequest(req, res);
   if (!session) return;
 
-  const cellId =
-    typeof req.body?.cellId === 'string' ? req.body.cellId : session.selectedCellId;
-  const cell = session.cells.find((entry) => entry.id === cellId);
-  if (!cell) {
-    return res.status(404).json({ error: '找不到場次' });
+  let cueInput;
+  try {
+    cueInput = normalizeCueInputConfig(req.body, { strict: true });
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
   }
 
-  pushSessionHistory(session);
-  cell.lines = [];
-  cell.languageSources = {};
-  session.selectedCellId = cell.id;
-  session.currentIndex = 0;
-  syncSelectedCellLines(session);
+  // Each UDP port can only feed one show.
+  const portOwner =
+    cueInput.oscEnabled &&
+    Array.from(sessions.values()).find(
+      (entry) =>
+        entry.id !== session.id &&
+        entry.status !== 'ended' &&
+        entry.cueInput?.oscEnabled &&
+        entry.cueInput.oscPort === cueInput.oscPort,
+    );
+  if (portOwner) {
+    return res.status(409).json({
+      error: `OSC 連接埠 ${cueInput.oscPort} 已由其他節目使用`,
+      code: 'CUE_INPUT_PORT_IN_USE',
+    });
+  }
+
+  session.cueInput = cueInput;
+  syncSessionOscListener(session);
   persistSession(session);
   broadcastControlState(session.id);
-  broadcastViewerState(session.id);
   res.json(getControlPayload(session));
 });
 
-app.post('/api/session/:sessionId/current', requireAuth, (req, res) => {
+app.post('/api/session/:sessionId/api-tokens', requireAuth, (req, res) => {
   const session = getOwnedSessionFromRequest(req, res);
   if (!session) return;
 
-  const nextIndex = Number.isInteger(req.body?.index)
-    ? req.body.index
-    : session.currentIndex;
+  let created;
+  try {
+    created = createApiToken(session.apiTokens, { name: req.body?.name });
+  } catch (error) {
+    return res.status(409).json({ error: error.message, code: error.code });
+  }
 
-  if (nextIndex < 0 || nextIndex >= session.lines.length) {
-    return res.status(400).json({ error: '索引超出範圍' });
+  persistSession(session);
+  broadcastControlState(session.id);
+  res.status(201).json({
+    ...getControlPayload(session),
+    apiToken: { ...toPublicApiToken(created.record), token: created.token },
+  });
+});
+
+app.delete('/api/session/:sessionId/api-tokens/:tokenId', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  if (!session.apiTokens.some((token) => token.id === req.params.tokenId)) {
+    return res.status(404).json({ error: '找不到 API 權杖', code: 'API_TOKEN_NOT_FOUND' });
   }
 
-  applyCurrentIndexChange(session, nextIndex, { manualOverride: true });
+  session.apiTokens = session.apiTokens.filter(
+    (token) => token.id !== req.params.tokenId,
+  );
+  persistSession(session);
+  broadcastControlState(session.id);
   res.json(getControlPayload(session));
 });
 
-app.post('/api/session/:sessionId/display', requireAuth, (req, res) => {
+function findWebhookFromRequest(req, res, session) {
+  const webhook = session.webhooks.find((entry) => entry.id === req.params.webhookId);
+  if (!webhook) {
+    res.status(404).json({ error: '找不到 Webhook', code: 'WEBHOOK_NOT_FOUND' });
+    return null;
+  }
+  return webhook;
+}
+
+app.post('/api/session/:sessionId/webhooks', requireAuth, async (req, res) => {
   const session = getOwnedSessionFromRequest(req, res);
   if (!session) return;
-  session.displayEnabled = Boolean(req.body?.displayEnabled);
+
+  let webhook;
+  try {
+    await assertWebhookTargetAllowed(req.body?.url);
+    webhook = createWebhook(session.webhooks, req.body);
+  } catch (error) {
+    return res
+      .status(error.code === 'WEBHOOK_LIMIT' ? 409 : 400)
+      .json({ error: error.message, code: error.code });
+  }
+
+  persistSession(session);
+  broadcastControlState(session.id);
+  res.status(201).json({
+    ...getControlPayload(session),
+    webhook: { ...toPublicWebhook(webhook), secret: webhook.secret },
+  });
+});
+
+app.put('/api/session/:sessionId/webhooks/:webhookId', requireAuth, async (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  const webhook = findWebhookFromRequest(req, res, session);
+  if (!webhook) return;
+
+  try {
+    if (req.body?.url !== undefined) {
+      await assertWebhookTargetAllowed(req.body.url);
+    }
+    updateWebhook(webhook, req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+
+  persistSession(session);
+  broadcastControlState(session.id);
+  res.json(getControlPayload(session));
+});
+
+app.delete('/api/session/:sessionId/webhooks/:webhookId', requireAuth, (req, res) => {
+  const session = getOwnedSessionFromRequest(req, res);
+  if (!session) return;
+  const webhook = findWebhookFromRequest(req, res, session);
+  if (!webhook) return;
+
+  session.webhooks = session.webhooks.filter((entry) => entry !== webhook);
+  webhookStates.get(session.id)?.deliveries.delete(webhook.id);
   persistSession(session);
   broadcastControlState(session.id);
-  broadcastViewerState(session.id);
   res.json(getControlPayload(session));
 });
 
+app.post(
+  '/api/session/:sessionId/webhooks/:webhookId/test',
+  requireAuth,
+  async (req, res) => {
+    const session = getOwnedSessionFromRequest(req, res);
+    if (!session) return;
+    const webhook = findWebhookFromRequest(req, res, session);
+    if (!webhook) return;
+
+    // A disabled webhook can still be tested before it is switched on.
+    const delivery = await sendWebhook(
+      session.id,
+      webhook,
+      buildWebhookPayload(session, WEBHOOK_PING_EVENT, {
+        cue: getCueSnapshot(session),
+        displayEnabled: session.displayEnabled,
+      }),
+    );
+    res.json({ ...getControlPayload(session), delivery });
+  },
+);
+
+const remoteCueRateLimit = createRateLimitMiddleware({
+  windowMs: 60 * 1000,
+  max: 240,
+  message: '遙控指令過多，請稍後再試',
+  keyPrefix: 'remote-cue',
+});
+
+// Stream Deck buttons and scripts send "Authorization: Bearer <token>" with a
+// token created for this session; no login cookie is involved.
+function requireSessionApiToken(req, res, next) {
+  const match = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/iu);
+  const session = getSession(req.params.sessionId);
+  const apiToken = match && session ? findApiToken(session.apiTokens, match[1]) : null;
+  if (!apiToken) {
+    return res.status(401).json({ error: 'API 權杖無效', code: 'INVALID_API_TOKEN' });
+  }
+  if (session.status === 'ended') {
+    return res.status(409).json({ error: '節目已結束', code: 'SESSION_ENDED' });
+  }
+  apiToken.lastUsedAt = Date.now();
+  req.remoteSession = session;
+  req.remoteApiToken = apiToken;
+  return next();
+}
+
+function getRemoteCueState(session) {
+  return {
+    sessionId: session.id,
+    title: session.title,
+    displayEnabled: session.displayEnabled,
+    subtitleControlMode: session.subtitleControlMode,
+    cells: session.cells.map((cell, index) => ({
+      id: cell.id,
+      name: cell.name,
+      number: index + 1,
+      lineCount: cell.lines.length,
+    })),
+    cue: getCueSnapshot(session),
+  };
+}
+
+function resolveRemoteCueCommand(command, body) {
+  const argument = (value) =>
+    typeof value === 'number' && Number.isFinite(value)
+      ? String(value)
+      : typeof value === 'string'
+        ? value.trim()
+        : '';
+  if (
+    [
+      CUE_COMMANDS.GO,
+      CUE_COMMANDS.BACK,
+      CUE_COMMANDS.BLACKOUT,
+      CUE_COMMANDS.RESTORE,
+    ].includes(command)
+  ) {
+    return { command };
+  }
+  if (command === CUE_COMMANDS.JUMP) {
+    return { command, cueId: argument(body?.cue) };
+  }
+  if (command === CUE_COMMANDS.SELECT_CELL) {
+    return { command, cellId: argument(body?.cell) };
+  }
+  return null;
+}
+
+app.get(
+  '/api/session/:sessionId/remote/state',
+  remoteCueRateLimit,
+  requireSessionApiToken,
+  (req, res) => {
+    res.json(getRemoteCueState(req.remoteSession));
+  },
+);
+
+app.post(
+  '/api/session/:sessionId/remote/:command',
+  remoteCueRateLimit,
+  requireSessionApiToken,
+  (req, res) => {
+    const session = req.remoteSession;
+    const cue = resolveRemoteCueCommand(req.params.command, req.body);
+    if (!cue) {
+      return res
+        .status(404)
+        .json({ error: '不支援的遙控指令', code: 'UNKNOWN_REMOTE_COMMAND' });
+    }
+    if (cue.cueId === '' || cue.cellId === '') {
+      return res.status(400).json({
+        error: cue.command === CUE_COMMANDS.JUMP ? '請提供 cue' : '請提供 cell',
+        code: 'MISSING_CUE_TARGET',
+      });
+    }
+
+    const apiToken = req.remoteApiToken;
+    const result = handleExternalCueMessage(session, {
+      transport: 'http',
+      sender: `${apiToken.name}（${getRequestIp(req)}）`,
+      message: [req.params.command, cue.cueId || cue.cellId]
+        .filter(Boolean)
+        .join(' '),
+      cue,
+      source: SHOW_LOG_SOURCES.API,
+      operator: { id: apiToken.id, name: apiToken.name },
+    });
+    res.status(result.status === 'error' ? 404 : 200).json({
+      ...result,
+      ...(result.status === 'error' ? { error: result.detail, code: 'CUE_NOT_FOUND' } : {}),
+      state: getRemoteCueState(session),
+    });
+  },
+);
+
+// A running stream picks up glossary edits without a restart: later
+// corrections and replacements read stream.glossary, and the realtime prompt
+// is re-sent once the session has been configured.
+function refreshTranscriptionStreamGlossary(session) {
+  const stream = transcriptionStreams.get(session.id);
+  if (!stream || stream.closing) return;
+
+  stream.glossary = session.glossary;
+  stream.realtimePromptText = buildRealtimeTranscriptionPrompt({
+    language: stream.language,
+    transcriptionContext: stream.transcriptionContext,
+    glossary: stream.glossary,
+  });
+  if (!stream.ready) return;
+  try {
+    stream.rt.send(
+      buildRealtimeTranscriptionSessionUpdate({
+        model: stream.model,
+        language: stream.language,
+        semanticSegmentationEnabled: stream.semanticSegmentationEnabled,
+        transcriptionContext: stream.transcriptionContext,
+        glossary: stream.glossary,
+      }),
+    );
+  } catch (error) {
+    console.warn('Failed to update realtime transcription glossary:', error);
+  }
+}
+
 function startRealtimeTranscription({
   sessionId,
   socketId,
@@ -9786,9 +15584,11 @@ function startRealtimeTranscription({
   const selectedTranscriptionContext = normalizeTranscriptionContextValue(
     transcriptionContext,
   );
+  const glossary = getSession(sessionId)?.glossary || [];
   const realtimePromptText = buildRealtimeTranscriptionPrompt({
     language: selectedLanguage,
     transcriptionContext: selectedTranscriptionContext,
+    glossary,
   });
   const client = new OpenAI({ apiKey });
   const rt = new OpenAIRealtimeWS({ model: DEFAULT_REALTIME_WS_MODEL }, client);
@@ -9802,6 +15602,7 @@ function startRealtimeTranscription({
     model: selectedModel,
     language: selectedLanguage,
     transcriptionContext: selectedTranscriptionContext,
+    glossary,
     realtimePromptText,
     semanticSegmentationEnabled: selectedSemanticSegmentationEnabled,
     dualChannelEnabled: selectedDualChannelEnabled,
@@ -9814,6 +15615,12 @@ function startRealtimeTranscription({
     finalizedLineByItemId: new Map(),
     mergedLineOverrides: new Map(),
     mergedLineCorrectionKeys: new Set(),
+    apiKey,
+    liveTranslations: new Map(),
+    liveTranslationTimer: null,
+    liveTranslationRunAt: 0,
+    liveTranslationInFlight: false,
+    liveTranslationFailures: new Map(),
     correctionChain: Promise.resolve(),
     speakerRecognitionChain: Promise.resolve(),
     pendingSpeakerWindowKeys: new Set(),
@@ -9861,6 +15668,7 @@ function startRealtimeTranscription({
       dualChannelEnabled: selectedDualChannelEnabled,
       speakerRecognitionEnabled: selectedSpeakerRecognitionEnabled,
       error: '',
+      liveTranslationError: '',
     });
     broadcastTranscriptionState(sessionId);
     broadcastViewerState(sessionId);
@@ -9872,6 +15680,7 @@ function startRealtimeTranscription({
           language: selectedLanguage,
           semanticSegmentationEnabled: selectedSemanticSegmentationEnabled,
           transcriptionContext: selectedTranscriptionContext,
+          glossary: stream.glossary,
         }),
       );
       if (stream.initTimeout) {
@@ -9922,6 +15731,7 @@ function startRealtimeTranscription({
       dualChannelEnabled: selectedDualChannelEnabled,
       speakerRecognitionEnabled: selectedSpeakerRecognitionEnabled,
       error: '',
+      liveTranslationError: '',
     });
     broadcastTranscriptionState(sessionId);
     broadcastViewerState(sessionId);
@@ -9981,6 +15791,7 @@ function startRealtimeTranscription({
       `${previous}${event.delta}`,
       selectedLanguage,
       stream.realtimePromptText,
+      stream.glossary,
     );
     setDraftLine(stream, event.item_id, merged);
     syncTranscriptionStateFromStream(sessionId, stream);
@@ -9996,6 +15807,7 @@ function startRealtimeTranscription({
       event.transcript || fallback,
       selectedLanguage,
       stream.realtimePromptText,
+      stream.glossary,
     );
     const accurateSegment = takeAccurateSegmentForItem(stream, event.item_id);
     const boundaryMeta = stream.boundaryMetaByItemId.get(event.item_id) || null;
@@ -10086,6 +15898,7 @@ function startRealtimeTranscription({
 
     transcriptionStreams.delete(sessionId);
     clearRealtimeForceCommitTimer(stream);
+    clearLiveTranslationTimer(stream);
     resetRealtimePendingAudio(stream);
     resetRealtimeCommitState(stream);
     resetAccurateTranscriptionState(stream);
@@ -10378,23 +16191,61 @@ io.on('connection', (socket) => {
     });
   });
 
-  socket.on('setCurrentIndex', ({ sessionId, index }) => {
+  socket.on('setCurrentIndex', ({ sessionId, index, source }) => {
     const session = getOwnedSocketSession(sessionId);
     if (!session) return;
 
-    applyCurrentIndexChange(session, index, { manualOverride: true });
+    applyCurrentIndexChange(session, index, {
+      manualOverride: true,
+      source: getSocketCueSource(source),
+      user: socketUser,
+    });
   });
 
-  socket.on('shiftIndex', ({ sessionId, delta }) => {
+  socket.on('shiftIndex', ({ sessionId, delta, source }) => {
     const session = getOwnedSocketSession(sessionId);
     if (!session) return;
 
-    const nextIndex = Math.min(
-      Math.max(session.currentIndex + (delta || 0), 0),
-      Math.max(session.lines.length - 1, 0),
-    );
+    shiftCurrentIndex(session, delta, {
+      manualOverride: true,
+      source: getSocketCueSource(source),
+      user: socketUser,
+    });
+  });
+
+  socket.on('setStandbyEnabled', ({ sessionId, enabled }) => {
+    const session = getOwnedSocketSession(sessionId);
+    if (!session) return;
+
+    session.standbyEnabled = enabled === true;
+    session.standbyLineId = null;
+    persistSession(session);
+    broadcastControlState(sessionId);
+  });
+
+  socket.on('setStandbyIndex', ({ sessionId, index }) => {
+    const session = getOwnedSocketSession(sessionId);
+    if (!session || !session.standbyEnabled) return;
+
+    setStandbyIndex(session, index);
+  });
+
+  socket.on('shiftStandby', ({ sessionId, delta }) => {
+    const session = getOwnedSocketSession(sessionId);
+    if (!session || !session.standbyEnabled) return;
+
+    const standbyIndex = getStandbyIndex(session) ?? session.currentIndex;
+    setStandbyIndex(session, standbyIndex + Math.round(Number(delta) || 0));
+  });
+
+  socket.on('goStandby', ({ sessionId, source }) => {
+    const session = getOwnedSocketSession(sessionId);
+    if (!session || !session.standbyEnabled) return;
 
-    applyCurrentIndexChange(session, nextIndex, { manualOverride: true });
+    goStandby(session, {
+      source: getSocketCueSource(source),
+      user: socketUser,
+    });
   });
 
   socket.on('setSubtitleControlMode', ({ sessionId, mode }) => {
@@ -10416,18 +16267,79 @@ io.on('connection', (socket) => {
           ? '自動模式已啟用；開始收音後會先推預期字幕，再用語音核對。'
           : '',
     });
+    // Timed mode always starts paused so the operator decides when the clock
+    // begins.
+    clearTimedPlayback(session.id);
+    if (nextMode === SUBTITLE_CONTROL_MODES.TIMED) {
+      resetTimedPlaybackClock(session);
+    }
     persistSession(session);
     broadcastControlState(sessionId);
   });
 
+  const handleTimedPlaybackControl = (sessionId, control) => {
+    const session = getOwnedSocketSession(sessionId);
+    if (
+      !session ||
+      session.subtitleControlMode !== SUBTITLE_CONTROL_MODES.TIMED
+    ) {
+      return;
+    }
+    if (control(session)) {
+      broadcastControlState(session.id);
+    }
+  };
+
+  socket.on('timedPlayback:resume', ({ sessionId }) => {
+    handleTimedPlaybackControl(sessionId, resumeTimedPlayback);
+  });
+
+  socket.on('timedPlayback:pause', ({ sessionId }) => {
+    handleTimedPlaybackControl(sessionId, pauseTimedPlayback);
+  });
+
+  socket.on('timedPlayback:nudge', ({ sessionId, deltaMs }) => {
+    handleTimedPlaybackControl(sessionId, (session) =>
+      nudgeTimedPlayback(session, deltaMs),
+    );
+  });
+
+  socket.on('timedPlayback:resync', ({ sessionId }) => {
+    handleTimedPlaybackControl(sessionId, (session) =>
+      Boolean(resetTimedPlaybackClock(session)),
+    );
+  });
+
   socket.on('setDisplay', ({ sessionId, displayEnabled }) => {
     const session = getOwnedSocketSession(sessionId);
     if (!session) return;
 
-    session.displayEnabled = Boolean(displayEnabled);
-    persistSession(session);
-    broadcastControlState(sessionId);
-    broadcastViewerState(sessionId);
+    applyDisplayEnabledChange(session, displayEnabled, {
+      source: SHOW_LOG_SOURCES.MANUAL,
+      user: socketUser,
+    });
+  });
+
+  // Web MIDI lives in the browser, so a control page with MIDI input turned on
+  // relays the raw bytes and the session's mapping is applied here.
+  socket.on('cueInput:midi', ({ sessionId, data, deviceName }) => {
+    const session = getOwnedSocketSession(sessionId);
+    if (!session || !session.cueInput.midiEnabled || !Array.isArray(data)) {
+      return;
+    }
+
+    const bytes = data.slice(0, 64);
+    handleExternalCueMessage(session, {
+      transport: 'midi',
+      sender:
+        typeof deviceName === 'string' && deviceName.trim()
+          ? deviceName.trim().slice(0, 60)
+          : 'MIDI',
+      message: describeMidiMessage(bytes),
+      cue: resolveMidiCueCommand(bytes, session.cueInput),
+      source: SHOW_LOG_SOURCES.MIDI,
+      user: socketUser,
+    });
   });
 
   socket.on('setRoleColorEnabled', ({ sessionId, roleColorEnabled }) => {
@@ -10588,6 +16500,9 @@ io.on('connection', (socket) => {
                   ? normalizeLineMusic(music)
                   : existingRaw.music === true,
               translations: existingTranslations,
+              machineDrafted: (existingRaw.machineDrafted || []).filter(
+                (draftedLanguageId) => draftedLanguageId !== targetLanguageId,
+              ),
             }
           : {
               text: primaryText,
@@ -10823,19 +16738,27 @@ io.on('connection', (socket) => {
         before,
       );
 
+      // The moved half keeps the draft flag of the text it came from.
+      const drafted = isLineLanguageMachineDrafted(existing, targetLanguageId);
       if (index + 1 < session.lines.length) {
         const nextLine = session.lines[index + 1];
-        session.lines[index + 1] = updateSessionLineLanguageText(
+        session.lines[index + 1] = moveSessionLineLanguageText(
           nextLine,
           targetLanguageId,
           joinTranscriptionTexts(
             after,
             getLineLanguageText(nextLine, targetLanguageId),
           ),
+          drafted || isLineLanguageMachineDrafted(nextLine, targetLanguageId),
         );
       } else {
         session.lines.push(
-          createBlankSessionLineLike(session, existing, targetLanguageId, after),
+          moveSessionLineLanguageText(
+            createBlankSessionLineLike(session, existing, targetLanguageId, ''),
+            targetLanguageId,
+            after,
+            drafted,
+          ),
         );
       }
 
@@ -10870,10 +16793,12 @@ io.on('connection', (socket) => {
       lineIndex > index + 1;
       lineIndex -= 1
     ) {
-      session.lines[lineIndex] = updateSessionLineLanguageText(
+      const sourceLine = session.lines[lineIndex - 1];
+      session.lines[lineIndex] = moveSessionLineLanguageText(
         session.lines[lineIndex],
         targetLanguageId,
-        getLineLanguageText(session.lines[lineIndex - 1], targetLanguageId),
+        getLineLanguageText(sourceLine, targetLanguageId),
+        isLineLanguageMachineDrafted(sourceLine, targetLanguageId),
       );
     }
 
@@ -10947,16 +16872,12 @@ io.on('connection', (socket) => {
       session.lines.splice(
         index + 1,
         0,
-        createBlankSessionLine(session, {
-          type:
-            existing?.type === LINE_TYPES.DIRECTION
-              ? LINE_TYPES.DIRECTION
-              : LINE_TYPES.DIALOGUE,
-          music: isLineMarkedMusic(existing),
-          role: existing?.role || null,
-          languageId: targetLanguageId,
-          text: after,
-        }),
+        moveSessionLineLanguageText(
+          createBlankSessionLineLike(session, existing, targetLanguageId, ''),
+          targetLanguageId,
+          after,
+          isLineLanguageMachineDrafted(existing, targetLanguageId),
+        ),
       );
 
       if (session.currentIndex > index) {
@@ -10989,6 +16910,7 @@ io.on('connection', (socket) => {
           ),
         ),
       },
+      machineDrafted: existing?.machineDrafted,
     };
     const secondLine = {
       text: after,
@@ -11296,6 +17218,7 @@ if (fs.existsSync(clientDistPath)) {
 async function startServer() {
   try {
     await initializeApplicationStore();
+    sessions.forEach((session) => syncSessionOscListener(session));
     if (!projectorPresenceSweepTimer) {
       projectorPresenceSweepTimer = setInterval(
         sweepProjectorPresence,
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const { formatCsvValue } = require('./translationExchange');
+
+const MAX_SHOW_RUNS = 30;
+const MAX_SHOW_RUN_ENTRIES = 5000;
+const MAX_SHOW_RUN_NAME_LENGTH = 60;
+const MAX_SHOW_LOG_TEXT_LENGTH = 500;
+const SHOW_LOG_SOURCES = Object.freeze({
+  MANUAL: 'manual',
+  KEYBOARD: 'keyboard',
+  AUTO_FOLLOW: 'auto-follow',
+  API: 'api',
+  TIMED: 'timed',
+  OSC: 'osc',
+  MIDI: 'midi',
+  RUN_START: 'run-start',
+});
+const SHOW_LOG_SOURCE_LABELS = Object.freeze({
+  [SHOW_LOG_SOURCES.MANUAL]: '手動點選',
+  [SHOW_LOG_SOURCES.KEYBOARD]: '鍵盤',
+  [SHOW_LOG_SOURCES.AUTO_FOLLOW]: '自動跟戲',
+  [SHOW_LOG_SOURCES.API]: 'API',
+  [SHOW_LOG_SOURCES.TIMED]: '定時播放',
+  [SHOW_LOG_SOURCES.OSC]: 'OSC',
+  [SHOW_LOG_SOURCES.MIDI]: 'MIDI',
+  [SHOW_LOG_SOURCES.RUN_START]: '開始時畫面',
+});
+// Blackout and restore entries record when the audience stopped and started
+// seeing subtitles again, so timings can leave the dark spans out.
+const SHOW_LOG_ENTRY_KINDS = Object.freeze({
+  CUE: 'cue',
+  BLACKOUT: 'blackout',
+  RESTORE: 'restore',
+});
+const SHOW_LOG_ENTRY_KIND_LABELS = Object.freeze({
+  [SHOW_LOG_ENTRY_KINDS.CUE]: '字幕',
+  [SHOW_LOG_ENTRY_KINDS.BLACKOUT]: '遮蔽字幕',
+  [SHOW_LOG_ENTRY_KINDS.RESTORE]: '恢復顯示',
+});
+// Logs already normalized in this process, so the per-payload structure check
+// does not walk thousands of entries on every cue.
+const normalizedShowLogs = new WeakSet();
+
+function createShowLogError(message, code = 'INVALID_SHOW_LOG') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function sanitizeShowLogText(value, maxLength) {
+  if (typeof value !== 'string') return '';
+  return value.replace(/\s+/gu, ' ').trim().slice(0, maxLength);
+}
+
+function normalizeShowLogTimestamp(value) {
+  return Number.isFinite(value) && value > 0 ? Math.round(value) : null;
+}
+
+function normalizeShowLogSource(rawSource) {
+  return Object.values(SHOW_LOG_SOURCES).includes(rawSource)
+    ? rawSource
+    : SHOW_LOG_SOURCES.MANUAL;
+}
+
+function normalizeShowLogEntryKind(rawKind) {
+  return Object.values(SHOW_LOG_ENTRY_KINDS).includes(rawKind)
+    ? rawKind
+    : SHOW_LOG_ENTRY_KINDS.CUE;
+}
+
+function sanitizeShowRunName(rawName, startedAt) {
+  return (
+    sanitizeShowLogText(rawName, MAX_SHOW_RUN_NAME_LENGTH) ||
+    `演出紀錄 ${new Date(startedAt).toLocaleString('zh-TW', { hour12: false })}`
+  );
+}
+
+function normalizeShowLogEntry(entry) {
+  const at = normalizeShowLogTimestamp(entry?.at);
+  if (!at) return null;
+  return {
+    at,
+    kind: normalizeShowLogEntryKind(entry?.kind),
+    cellId: typeof entry?.cellId === 'string' ? entry.cellId : '',
+    lineId: typeof entry?.lineId === 'string' ? entry.lineId : '',
+    index: Number.isInteger(entry?.index) && entry.index >= 0 ? entry.index : 0,
+    text: sanitizeShowLogText(entry?.text, MAX_SHOW_LOG_TEXT_LENGTH),
+    role: sanitizeShowLogText(entry?.role, MAX_SHOW_RUN_NAME_LENGTH) || null,
+    type: typeof entry?.type === 'string' ? entry.type : '',
+    source: normalizeShowLogSource(entry?.source),
+    operatorId: typeof entry?.operatorId === 'string' ? entry.operatorId : '',
+    operator: sanitizeShowLogText(entry?.operator, MAX_SHOW_RUN_NAME_LENGTH),
+  };
+}
+
+function normalizeShowRun(run) {
+  const startedAt = normalizeShowLogTimestamp(run?.startedAt);
+  if (!startedAt) return null;
+  const entries = (Array.isArray(run?.entries) ? run.entries : [])
+    .map((entry) => normalizeShowLogEntry(entry))
+    .filter(Boolean)
+    .sort((left, right) => left.at - right.at)
+    .slice(-MAX_SHOW_RUN_ENTRIES);
+  const stoppedAt = normalizeShowLogTimestamp(run?.stoppedAt);
+  return {
+    id:
+      typeof run?.id === 'string' && run.id.trim()
+        ? run.id.trim().slice(0, 40)
+        : `run_${crypto.randomBytes(6).toString('hex')}`,
+    name: sanitizeShowRunName(run?.name, startedAt),
+    startedAt,
+    stoppedAt: stoppedAt && stoppedAt >= startedAt ? stoppedAt : null,
+    operatorId: typeof run?.operatorId === 'string' ? run.operatorId : '',
+    operator: sanitizeShowLogText(run?.operator, MAX_SHOW_RUN_NAME_LENGTH),
+    entries,
+  };
+}
+
+// Only the newest run may still be open. An older run left open (the server
+// went down mid-show) is closed at its last recorded cue.
+function normalizeShowLog(rawLog) {
+  const runs = (Array.isArray(rawLog?.runs) ? rawLog.runs : [])
+    .map((run) => normalizeShowRun(run))
+    .filter(Boolean)
+    .sort((left, right) => left.startedAt - right.startedAt)
+    .slice(-MAX_SHOW_RUNS);
+  runs.slice(0, -1).forEach((run) => {
+    if (run.stoppedAt) return;
+    run.stoppedAt = run.entries.length
+      ? run.entries[run.entries.length - 1].at
+      : run.startedAt;
+  });
+  const showLog = { runs };
+  normalizedShowLogs.add(showLog);
+  return showLog;
+}
+
+function ensureShowLog(rawLog) {
+  return rawLog && normalizedShowLogs.has(rawLog) ? rawLog : normalizeShowLog(rawLog);
+}
+
+function getActiveShowRun(showLog) {
+  const runs = Array.isArray(showLog?.runs) ? showLog.runs : [];
+  const lastRun = runs[runs.length - 1];
+  return lastRun && !lastRun.stoppedAt ? lastRun : null;
+}
+
+function startShowRun(showLog, { name = '', operator = null, now = Date.now() } = {}) {
+  if (getActiveShowRun(showLog)) {
+    throw createShowLogError('已有正在記錄的演出，請先結束', 'SHOW_RUN_ACTIVE');
+  }
+  const run = normalizeShowRun({
+    name,
+    startedAt: now,
+    operatorId: operator?.id,
+    operator: operator?.name,
+    entries: [],
+  });
+  showLog.runs.push(run);
+  if (showLog.runs.length > MAX_SHOW_RUNS) {
+    showLog.runs.splice(0, showLog.runs.length - MAX_SHOW_RUNS);
+  }
+  return run;
+}
+
+function stopShowRun(showLog, now = Date.now()) {
+  const run = getActiveShowRun(showLog);
+  if (!run) {
+    throw createShowLogError('目前沒有正在記錄的演出', 'SHOW_RUN_NOT_ACTIVE');
+  }
+  run.stoppedAt = Math.max(now, run.startedAt);
+  return run;
+}
+
+// Returns the appended entry, or null when no run is being recorded.
+function appendShowLogEntry(showLog, entry) {
+  const run = getActiveShowRun(showLog);
+  if (!run) return null;
+  const normalized = normalizeShowLogEntry({ at: Date.now(), ...entry });
+  if (!normalized) return null;
+  run.entries.push(normalized);
+  if (run.entries.length > MAX_SHOW_RUN_ENTRIES) {
+    run.entries.splice(0, run.entries.length - MAX_SHOW_RUN_ENTRIES);
+  }
+  return normalized;
+}
+
+function summarizeShowRun(run) {
+  if (!run) return null;
+  const sourceCounts = {};
+  run.entries.forEach((entry) => {
+    sourceCounts[entry.source] = (sourceCounts[entry.source] || 0) + 1;
+  });
+  return {
+    id: run.id,
+    name: run.name,
+    startedAt: run.startedAt,
+    stoppedAt: run.stoppedAt,
+    operator: run.operator,
+    active: !run.stoppedAt,
+    entryCount: run.entries.length,
+    sourceCounts,
+  };
+}
+
+// Each entry lasts until the next one was taken, and the last one until the
+// run stopped (or now, for a run still being recorded). Everything from a
+// blackout up to the next restore is marked as not visible.
+function getShowRunEntryTimings(run, now = Date.now()) {
+  const endAt = run.stoppedAt || Math.max(now, run.startedAt);
+  let visible = true;
+  return run.entries.map((entry, index) => {
+    if (entry.kind === SHOW_LOG_ENTRY_KINDS.BLACKOUT) {
+      visible = false;
+    } else if (entry.kind === SHOW_LOG_ENTRY_KINDS.RESTORE) {
+      visible = true;
+    }
+    const nextAt = run.entries[index + 1]?.at ?? endAt;
+    return {
+      entry,
+      startMs: Math.max(entry.at - run.startedAt, 0),
+      endMs: Math.max(nextAt - run.startedAt, entry.at - run.startedAt, 0),
+      visible,
+    };
+  });
+}
+
+function formatShowLogElapsed(ms) {
+  const totalMs = Math.max(Math.round(ms), 0);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  const millis = totalMs % 1000;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(
+    seconds,
+  ).padStart(2, '0')}.${String(millis).padStart(3, '0')}`;
+}
+
+function formatShowRunCsv(run, { cellNames = {} } = {}) {
+  const header = [
+    'time',
+    'elapsed',
+    'duration',
+    'event',
+    'visible',
+    'cell',
+    'line',
+    'line_id',
+    'role',
+    'text',
+    'source',
+    'operator',
+  ];
+  const rows = getShowRunEntryTimings(run).map(({ entry, startMs, endMs, visible }) => [
+    new Date(entry.at).toISOString(),
+    formatShowLogElapsed(startMs),
+    formatShowLogElapsed(endMs - startMs),
+    SHOW_LOG_ENTRY_KIND_LABELS[entry.kind] || entry.kind,
+    visible ? 'yes' : 'no',
+    cellNames[entry.cellId] || entry.cellId,
+    entry.index + 1,
+    entry.lineId,
+    entry.role || '',
+    entry.text,
+    SHOW_LOG_SOURCE_LABELS[entry.source] || entry.source,
+    entry.operator,
+  ]);
+  const body = [header, ...rows]
+    .map((row) => row.map(formatCsvValue).join(','))
+    .join('\r\n');
+  return `\ufeff${body}\r\n`;
+}
+
+module.exports = {
+  SHOW_LOG_ENTRY_KINDS,
+  SHOW_LOG_SOURCES,
+  appendShowLogEntry,
+  ensureShowLog,
+  formatShowRunCsv,
+  getActiveShowRun,
+  getShowRunEntryTimings,
+  startShowRun,
+  stopShowRun,
+  summarizeShowRun,
+};
@@ -0,0 +1,424 @@
+const path = require('path');
+const iconv = require('iconv-lite');
+
+const SUBTITLE_FILE_FORMATS = Object.freeze({
+  SRT: 'srt',
+  VTT: 'vtt',
+  ASS: 'ass',
+});
+const SUBTITLE_FALLBACK_ENCODING = 'big5';
+const ASS_DEFAULT_EVENT_FIELDS = Object.freeze([
+  'layer',
+  'start',
+  'end',
+  'style',
+  'name',
+  'marginl',
+  'marginr',
+  'marginv',
+  'effect',
+  'text',
+]);
+const SRT_TIMING_PATTERN =
+  /^\s*(\d{1,2}:\d{2}:\d{2}[,.]\d{1,3})\s*-->\s*(\d{1,2}:\d{2}:\d{2}[,.]\d{1,3})/u;
+const VTT_TIMING_PATTERN =
+  /^\s*((?:\d{1,2}:)?\d{2}:\d{2}\.\d{1,3})\s*-->\s*((?:\d{1,2}:)?\d{2}:\d{2}\.\d{1,3})/u;
+
+function createSubtitleFileError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function resolveSubtitleFileFormat(fileName = '', text = '') {
+  const extension = path.extname(String(fileName || '')).toLowerCase();
+  if (extension === '.srt') return SUBTITLE_FILE_FORMATS.SRT;
+  if (extension === '.vtt') return SUBTITLE_FILE_FORMATS.VTT;
+  if (extension === '.ass' || extension === '.ssa') {
+    return SUBTITLE_FILE_FORMATS.ASS;
+  }
+
+  const head = String(text || '').slice(0, 2000);
+  if (/^\s*WEBVTT/u.test(head)) return SUBTITLE_FILE_FORMATS.VTT;
+  if (/^\s*\[Script Info\]/imu.test(head)) return SUBTITLE_FILE_FORMATS.ASS;
+  const firstTimingLine =
+    head.split(/\r?\n/u).find((line) => line.includes('-->')) || '';
+  if (SRT_TIMING_PATTERN.test(firstTimingLine)) {
+    return SUBTITLE_FILE_FORMATS.SRT;
+  }
+  return null;
+}
+
+function decodeSubtitleBuffer(buffer, encoding = '') {
+  if (!Buffer.isBuffer(buffer)) return '';
+
+  const requestedEncoding = String(encoding || '').trim().toLowerCase();
+  if (requestedEncoding && requestedEncoding !== 'auto') {
+    if (!iconv.encodingExists(requestedEncoding)) {
+      throw createSubtitleFileError('不支援的文字編碼', 'UNSUPPORTED_ENCODING');
+    }
+    return iconv.decode(buffer, requestedEncoding);
+  }
+
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return buffer.subarray(3).toString('utf8');
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return iconv.decode(buffer.subarray(2), 'utf16le');
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return iconv.decode(buffer.subarray(2), 'utf16be');
+  }
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (_error) {
+    // Older subtitle files from Taiwanese translators are usually Big5.
+    return iconv.decode(buffer, SUBTITLE_FALLBACK_ENCODING);
+  }
+}
+
+function parseClockTimestamp(rawTimestamp) {
+  const parts = String(rawTimestamp || '')
+    .trim()
+    .replace(',', '.')
+    .split(':');
+  if (parts.length < 2 || parts.length > 3) return null;
+
+  const [secondsPart, fractionPart = '0'] = parts.pop().split('.');
+  const minutes = Number(parts.pop());
+  const hours = parts.length ? Number(parts.pop()) : 0;
+  const seconds = Number(secondsPart);
+  // ASS stores centiseconds, SRT/VTT milliseconds; pad both to milliseconds.
+  const milliseconds = Number(fractionPart.padEnd(3, '0').slice(0, 3));
+  if (![hours, minutes, seconds, milliseconds].every(Number.isFinite)) {
+    return null;
+  }
+
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000 + milliseconds;
+}
+
+function stripMarkupTags(text) {
+  return String(text || '')
+    .replace(/<[^>]+>/gu, '')
+    .replace(/&lt;/gu, '<')
+    .replace(/&gt;/gu, '>')
+    .replace(/&nbsp;/gu, ' ')
+    .replace(/&amp;/gu, '&')
+    .replace(/\{\\[^}]*\}/gu, '')
+    .replace(/\s+/gu, ' ')
+    .trim();
+}
+
+function isWhollyItalic(rawText) {
+  const text = String(rawText || '').trim();
+  return (
+    /^(\{\\an?\d+\})?<i>[\s\S]*<\/i>$/iu.test(text) ||
+    /^\{\\i1\}[^{]*(\{\\i0\})?$/u.test(text)
+  );
+}
+
+function createCue(startMs, endMs, rawText, extras = {}) {
+  const text = stripMarkupTags(rawText);
+  if (!text || startMs == null || endMs == null) return null;
+  return {
+    startMs,
+    endMs: Math.max(endMs, startMs),
+    text,
+    role: extras.role || null,
+    italic: extras.italic === true,
+  };
+}
+
+function splitSubtitleBlocks(text) {
+  return String(text || '')
+    .replace(/^\ufeff/u, '')
+    .replace(/\r\n?/gu, '\n')
+    .split(/\n{2,}/u)
+    .map((block) => block.split('\n'))
+    .filter((lines) => lines.some((line) => line.trim()));
+}
+
+function parseSrtCues(text) {
+  const cues = [];
+  splitSubtitleBlocks(text).forEach((lines) => {
+    const timingIndex = lines.findIndex((line) => SRT_TIMING_PATTERN.test(line));
+    if (timingIndex < 0) return;
+    const [, start, end] = lines[timingIndex].match(SRT_TIMING_PATTERN);
+    const rawText = lines.slice(timingIndex + 1).join('\n');
+    const cue = createCue(
+      parseClockTimestamp(start),
+      parseClockTimestamp(end),
+      rawText,
+      { italic: isWhollyItalic(rawText.replace(/\n/gu, ' ')) },
+    );
+    if (cue) cues.push(cue);
+  });
+  return cues;
+}
+
+function parseVttCues(text) {
+  const cues = [];
+  splitSubtitleBlocks(text).forEach((lines) => {
+    const head = lines[0].trim();
+    if (/^(WEBVTT|NOTE|STYLE|REGION)\b/u.test(head)) return;
+    const timingIndex = lines.findIndex((line) => VTT_TIMING_PATTERN.test(line));
+    if (timingIndex < 0) return;
+    const [, start, end] = lines[timingIndex].match(VTT_TIMING_PATTERN);
+    const rawText = lines.slice(timingIndex + 1).join('\n');
+    const voiceMatch = rawText.match(/^\s*<v(?:\.[\w.-]+)?\s+([^>]+)>/u);
+    const cue = createCue(
+      parseClockTimestamp(start),
+      parseClockTimestamp(end),
+      rawText,
+      {
+        role: voiceMatch ? voiceMatch[1].trim() : null,
+        italic: isWhollyItalic(rawText.replace(/\n/gu, ' ')),
+      },
+    );
+    if (cue) cues.push(cue);
+  });
+  return cues;
+}
+
+function parseAssCues(text) {
+  const cues = [];
+  let inEvents = false;
+  let fields = ASS_DEFAULT_EVENT_FIELDS;
+
+  String(text || '')
+    .replace(/^\ufeff/u, '')
+    .split(/\r?\n/u)
+    .forEach((rawLine) => {
+      const line = rawLine.trim();
+      if (/^\[.+\]$/u.test(line)) {
+        inEvents = /^\[events\]$/iu.test(line);
+        return;
+      }
+      if (!inEvents) return;
+
+      const formatMatch = line.match(/^Format:\s*(.+)$/iu);
+      if (formatMatch) {
+        fields = formatMatch[1]
+          .split(',')
+          .map((field) => field.trim().toLowerCase());
+        return;
+      }
+
+      const dialogueMatch = line.match(/^Dialogue:\s*(.*)$/iu);
+      if (!dialogueMatch) return;
+      const values = dialogueMatch[1].split(',');
+      const textValue = values.slice(fields.length - 1).join(',');
+      const record = {};
+      fields.forEach((field, index) => {
+        record[field] = index === fields.length - 1 ? textValue : values[index];
+      });
+
+      const rawText = String(record.text || '')
+        .replace(/\\[Nn]/gu, ' ')
+        .replace(/\\h/gu, ' ');
+      const cue = createCue(
+        parseClockTimestamp(record.start),
+        parseClockTimestamp(record.end),
+        rawText,
+        {
+          role: String(record.name || '').trim() || null,
+          italic:
+            isWhollyItalic(record.text) ||
+            /(direction|stage|italic)/iu.test(record.style || ''),
+        },
+      );
+      if (cue) cues.push(cue);
+    });
+
+  return cues.sort((left, right) => left.startMs - right.startMs);
+}
+
+function parseSubtitleFile(text, format) {
+  if (format === SUBTITLE_FILE_FORMATS.SRT) return parseSrtCues(text);
+  if (format === SUBTITLE_FILE_FORMATS.VTT) return parseVttCues(text);
+  if (format === SUBTITLE_FILE_FORMATS.ASS) return parseAssCues(text);
+  throw createSubtitleFileError(
+    '僅支援 SRT、WebVTT 或 ASS 字幕檔',
+    'UNSUPPORTED_SUBTITLE_FORMAT',
+  );
+}
+
+function padNumber(value, length = 2) {
+  return String(Math.max(0, Math.floor(value))).padStart(length, '0');
+}
+
+function formatClockTimestamp(rawMs, format) {
+  const totalMs = Math.max(0, Math.round(Number(rawMs) || 0));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  const milliseconds = totalMs % 1000;
+
+  if (format === SUBTITLE_FILE_FORMATS.ASS) {
+    return `${hours}:${padNumber(minutes)}:${padNumber(seconds)}.${padNumber(
+      milliseconds / 10,
+    )}`;
+  }
+  const separator = format === SUBTITLE_FILE_FORMATS.SRT ? ',' : '.';
+  return `${padNumber(hours)}:${padNumber(minutes)}:${padNumber(
+    seconds,
+  )}${separator}${padNumber(milliseconds, 3)}`;
+}
+
+function formatCueTimingLine(cue, format) {
+  return `${formatClockTimestamp(cue.startMs, format)} --> ${formatClockTimestamp(
+    cue.endMs,
+    format,
+  )}`;
+}
+
+function escapeMarkupText(text) {
+  return String(text || '')
+    .replace(/&/gu, '&amp;')
+    .replace(/</gu, '&lt;')
+    .replace(/>/gu, '&gt;');
+}
+
+function decorateCueText(cue, text) {
+  return cue.music ? `♪ ${text}` : text;
+}
+
+// Mirrors roleToColor in the client so exported ASS colors match the viewer.
+function roleToAssColor(role) {
+  if (!role) return '';
+  let hue = 0;
+  for (let index = 0; index < role.length; index += 1) {
+    hue = (hue * 31 + role.charCodeAt(index)) % 360;
+  }
+
+  const saturation = 0.9;
+  const lightness = 0.76;
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const segment = hue / 60;
+  const secondary = chroma * (1 - Math.abs((segment % 2) - 1));
+  const [red, green, blue] = [
+    [chroma, secondary, 0],
+    [secondary, chroma, 0],
+    [0, chroma, secondary],
+    [0, secondary, chroma],
+    [secondary, 0, chroma],
+    [chroma, 0, secondary],
+  ][Math.floor(segment) % 6].map((value) =>
+    Math.round((value + lightness - chroma / 2) * 255),
+  );
+  const toHex = (value) => value.toString(16).toUpperCase().padStart(2, '0');
+  return `&H00${toHex(blue)}${toHex(green)}${toHex(red)}&`;
+}
+
+function formatSrtFile(cues) {
+  return cues
+    .map((cue, index) => {
+      const body = cue.texts
+        .map((text) => escapeMarkupText(decorateCueText(cue, text)))
+        .join('\n');
+      return [
+        String(index + 1),
+        formatCueTimingLine(cue, SUBTITLE_FILE_FORMATS.SRT),
+        cue.direction ? `<i>${body}</i>` : body,
+      ].join('\n');
+    })
+    .join('\n\n')
+    .concat('\n');
+}
+
+function formatVttFile(cues, { title = '' } = {}) {
+  const blocks = [title ? `WEBVTT - ${title.replace(/\s+/gu, ' ')}` : 'WEBVTT'];
+  cues.forEach((cue) => {
+    const body = cue.texts
+      .map((text) => escapeMarkupText(decorateCueText(cue, text)))
+      .join('\n');
+    const voicedBody =
+      cue.role && !cue.direction
+        ? `<v ${escapeMarkupText(cue.role)}>${body}`
+        : body;
+    blocks.push(
+      [
+        formatCueTimingLine(cue, SUBTITLE_FILE_FORMATS.VTT),
+        cue.direction ? `<i>${voicedBody}</i>` : voicedBody,
+      ].join('\n'),
+    );
+  });
+  return `${blocks.join('\n\n')}\n`;
+}
+
+function escapeAssText(text) {
+  return String(text || '')
+    .replace(/\\/gu, '\\\\')
+    .replace(/\{/gu, '(')
+    .replace(/\}/gu, ')');
+}
+
+function formatAssFile(cues, { title = '', roleColorEnabled = true } = {}) {
+  const header = [
+    '[Script Info]',
+    `Title: ${String(title || 'subtitles').replace(/[\r\n]+/gu, ' ')}`,
+    'ScriptType: v4.00+',
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    'PlayResX: 1920',
+    'PlayResY: 1080',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    'Style: Default,Noto Sans CJK TC,64,&H00FFFFFF,&H000000FF,&H00000000,&H64000000,0,0,0,0,100,100,0,0,1,3,0,2,60,60,60,1',
+    'Style: Direction,Noto Sans CJK TC,56,&H00C8C8C8,&H000000FF,&H00000000,&H64000000,0,-1,0,0,100,100,0,0,1,3,0,2,60,60,60,1',
+    'Style: Music,Noto Sans CJK TC,64,&H00FFFFFF,&H000000FF,&H00000000,&H64000000,0,-1,0,0,100,100,0,0,1,3,0,2,60,60,60,1',
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+  ];
+
+  const events = cues.map((cue) => {
+    const style = cue.direction ? 'Direction' : cue.music ? 'Music' : 'Default';
+    const color =
+      roleColorEnabled && !cue.direction ? roleToAssColor(cue.role) : '';
+    const body = cue.texts
+      .map((text) => escapeAssText(decorateCueText(cue, text)))
+      .join('\\N');
+    return [
+      'Dialogue: 0',
+      formatClockTimestamp(cue.startMs, SUBTITLE_FILE_FORMATS.ASS),
+      formatClockTimestamp(cue.endMs, SUBTITLE_FILE_FORMATS.ASS),
+      style,
+      String(cue.role || '').replace(/,/gu, '，'),
+      '0',
+      '0',
+      '0',
+      '',
+      `${color ? `{\\c${color}}` : ''}${body}`,
+    ].join(',');
+  });
+
+  return `${header.concat(events).join('\n')}\n`;
+}
+
+function formatSubtitleFile(format, cues, options = {}) {
+  const normalizedCues = (Array.isArray(cues) ? cues : []).filter(
+    (cue) => Array.isArray(cue?.texts) && cue.texts.length > 0,
+  );
+  if (format === SUBTITLE_FILE_FORMATS.SRT) return formatSrtFile(normalizedCues);
+  if (format === SUBTITLE_FILE_FORMATS.VTT) {
+    return formatVttFile(normalizedCues, options);
+  }
+  if (format === SUBTITLE_FILE_FORMATS.ASS) {
+    return formatAssFile(normalizedCues, options);
+  }
+  throw createSubtitleFileError(
+    '僅支援 SRT、WebVTT 或 ASS 字幕檔',
+    'UNSUPPORTED_SUBTITLE_FORMAT',
+  );
+}
+
+module.exports = {
+  decodeSubtitleBuffer,
+  formatSubtitleFile,
+  parseSubtitleFile,
+  resolveSubtitleFileFormat,
+  SUBTITLE_FILE_FORMATS,
+};
@@ -0,0 +1,633 @@
+const path = require('path');
+const zlib = require('zlib');
+const { decodeSubtitleBuffer } = require('./subtitleFiles');
+const {
+  getXmlAttribute,
+  readZipEntries,
+  readZipEntry,
+  tokenizeXml,
+} = require('./scriptDocuments');
+
+const TRANSLATION_EXCHANGE_FORMATS = Object.freeze({
+  XLIFF: 'xliff',
+  CSV: 'csv',
+  XLSX: 'xlsx',
+});
+const TRANSLATION_EXCHANGE_COLUMNS = Object.freeze({
+  LINE_ID: 'line_id',
+  CELL: 'cell',
+  ROLE: 'role',
+  TYPE: 'type',
+});
+const XLIFF_NAMESPACE = 'urn:oasis:names:tc:xliff:document:2.0';
+const XLIFF_EXTENSION_NAMESPACE = 'urn:subtitle-machine:xliff';
+const XLIFF_INITIAL_STATE = 'initial';
+const XLSX_SHEET_NAME = '翻譯';
+const XLSX_CONTENT_TYPE =
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const ZIP_CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const ZIP_END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const ZIP_UTF8_FLAG = 0x0800;
+// 1980-01-01, the earliest date a ZIP header can hold.
+const ZIP_DOS_DATE = 0x21;
+const LANGUAGE_COLUMN_PATTERN = /^(.*?)\s*\[([^[\]]+)\]\s*$/u;
+const XML_INVALID_CHAR_PATTERN = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/gu;
+
+let crc32Table = null;
+
+function createTranslationExchangeError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function resolveTranslationExchangeFormat(fileName = '', mimeType = '') {
+  const extension = path.extname(String(fileName || '')).toLowerCase();
+  if (extension === '.xlf' || extension === '.xliff') {
+    return TRANSLATION_EXCHANGE_FORMATS.XLIFF;
+  }
+  if (extension === '.xlsx' || mimeType === XLSX_CONTENT_TYPE) {
+    return TRANSLATION_EXCHANGE_FORMATS.XLSX;
+  }
+  if (extension === '.csv' || mimeType === 'text/csv') {
+    return TRANSLATION_EXCHANGE_FORMATS.CSV;
+  }
+  return null;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(XML_INVALID_CHAR_PATTERN, '')
+    .replace(/&/gu, '&amp;')
+    .replace(/</gu, '&lt;')
+    .replace(/>/gu, '&gt;')
+    .replace(/"/gu, '&quot;');
+}
+
+// Language columns carry the session's language id in brackets so renamed or
+// reordered columns still map back; the name in front is only for people.
+function formatLanguageColumnHeader(language) {
+  return `${language.name} [${language.id}]`;
+}
+
+function buildTranslationTable(document) {
+  const languages = Array.isArray(document?.languages) ? document.languages : [];
+  const rows = [
+    [
+      TRANSLATION_EXCHANGE_COLUMNS.LINE_ID,
+      TRANSLATION_EXCHANGE_COLUMNS.CELL,
+      TRANSLATION_EXCHANGE_COLUMNS.ROLE,
+      TRANSLATION_EXCHANGE_COLUMNS.TYPE,
+      ...languages.map(formatLanguageColumnHeader),
+    ],
+  ];
+  (Array.isArray(document?.cells) ? document.cells : []).forEach((cell) => {
+    (Array.isArray(cell.lines) ? cell.lines : []).forEach((line) => {
+      rows.push([
+        line.id,
+        cell.name || '',
+        line.role || '',
+        line.type || '',
+        ...languages.map((language) => line.texts?.[language.id] || ''),
+      ]);
+    });
+  });
+  return rows;
+}
+
+function formatCsvValue(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/u.test(text) ? `"${text.replace(/"/gu, '""')}"` : text;
+}
+
+// The BOM makes Excel open the file as UTF-8 instead of the system code page.
+function formatTranslationCsv(document) {
+  const body = buildTranslationTable(document)
+    .map((row) => row.map(formatCsvValue).join(','))
+    .join('\r\n');
+  return `\ufeff${body}\r\n`;
+}
+
+// XLIFF is bilingual, so each file pairs the primary language with one target.
+function formatTranslationXliff(document, targetLanguageId) {
+  const languages = Array.isArray(document?.languages) ? document.languages : [];
+  const sourceLanguage = languages[0];
+  const targetLanguage = languages.find(
+    (language) => language.id === targetLanguageId,
+  );
+  if (!sourceLanguage || !targetLanguage || targetLanguage === sourceLanguage) {
+    throw createTranslationExchangeError(
+      'XLIFF 需要指定一個要翻譯的語言',
+      'INVALID_TRANSLATION_FILE',
+    );
+  }
+
+  const output = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="${XLIFF_NAMESPACE}" xmlns:sm="${XLIFF_EXTENSION_NAMESPACE}" version="2.0" srcLang="${escapeXml(
+      sourceLanguage.code,
+    )}" trgLang="${escapeXml(targetLanguage.code)}" sm:languageId="${escapeXml(
+      targetLanguage.id,
+    )}">`,
+  ];
+  (Array.isArray(document?.cells) ? document.cells : []).forEach((cell, cellIndex) => {
+    output.push(
+      `  <file id="f${cellIndex + 1}" original="${escapeXml(
+        cell.name || '',
+      )}" sm:cellId="${escapeXml(cell.id)}">`,
+    );
+    (Array.isArray(cell.lines) ? cell.lines : []).forEach((line) => {
+      const target = line.texts?.[targetLanguage.id] || '';
+      const isDraft = !target || (line.machineDrafted || []).includes(targetLanguage.id);
+      output.push(`    <unit id="${escapeXml(line.id)}">`);
+      output.push('      <notes>');
+      if (line.role) {
+        output.push(`        <note category="role">${escapeXml(line.role)}</note>`);
+      }
+      output.push(`        <note category="type">${escapeXml(line.type || '')}</note>`);
+      output.push('      </notes>');
+      output.push(
+        `      <segment state="${isDraft ? XLIFF_INITIAL_STATE : 'translated'}">`,
+      );
+      output.push(
+        `        <source>${escapeXml(line.texts?.[sourceLanguage.id] || '')}</source>`,
+      );
+      if (target) {
+        output.push(`        <target>${escapeXml(target)}</target>`);
+      }
+      output.push('      </segment>');
+      output.push('    </unit>');
+    });
+    output.push('  </file>');
+  });
+  output.push('</xliff>');
+  return `${output.join('\n')}\n`;
+}
+
+function getCrc32Table() {
+  if (crc32Table) return crc32Table;
+  crc32Table = new Uint32Array(256);
+  for (let index = 0; index < 256; index += 1) {
+    let value = index;
+    for (let bit = 0; bit < 8; bit += 1) {
+      value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+    }
+    crc32Table[index] = value >>> 0;
+  }
+  return crc32Table;
+}
+
+function computeCrc32(buffer) {
+  const table = getCrc32Table();
+  let crc = 0xffffffff;
+  for (let index = 0; index < buffer.length; index += 1) {
+    crc = table[(crc ^ buffer[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createZipArchive(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const data = Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = computeCrc32(data);
+
+    const localHeader = Buffer.alloc(30);
+    localHeader.writeUInt32LE(ZIP_LOCAL_FILE_HEADER_SIGNATURE, 0);
+    localHeader.writeUInt16LE(20, 4);
+    localHeader.writeUInt16LE(ZIP_UTF8_FLAG, 6);
+    localHeader.writeUInt16LE(8, 8);
+    localHeader.writeUInt16LE(0, 10);
+    localHeader.writeUInt16LE(ZIP_DOS_DATE, 12);
+    localHeader.writeUInt32LE(crc, 14);
+    localHeader.writeUInt32LE(compressed.length, 18);
+    localHeader.writeUInt32LE(data.length, 22);
+    localHeader.writeUInt16LE(nameBuffer.length, 26);
+    localHeader.writeUInt16LE(0, 28);
+
+    const centralHeader = Buffer.alloc(46);
+    centralHeader.writeUInt32LE(ZIP_CENTRAL_DIRECTORY_SIGNATURE, 0);
+    centralHeader.writeUInt16LE(20, 4);
+    centralHeader.writeUInt16LE(20, 6);
+    centralHeader.writeUInt16LE(ZIP_UTF8_FLAG, 8);
+    centralHeader.writeUInt16LE(8, 10);
+    centralHeader.writeUInt16LE(0, 12);
+    centralHeader.writeUInt16LE(ZIP_DOS_DATE, 14);
+    centralHeader.writeUInt32LE(crc, 16);
+    centralHeader.writeUInt32LE(compressed.length, 20);
+    centralHeader.writeUInt32LE(data.length, 24);
+    centralHeader.writeUInt16LE(nameBuffer.length, 28);
+    centralHeader.writeUInt32LE(offset, 42);
+
+    localParts.push(localHeader, nameBuffer, compressed);
+    centralParts.push(centralHeader, nameBuffer);
+    offset += localHeader.length + nameBuffer.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(ZIP_END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function formatXlsxColumnName(columnIndex) {
+  let name = '';
+  let remaining = columnIndex + 1;
+  while (remaining > 0) {
+    const digit = (remaining - 1) % 26;
+    name = String.fromCharCode(65 + digit) + name;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return name;
+}
+
+function parseXlsxColumnIndex(cellReference) {
+  const letters = String(cellReference || '').match(/^[A-Z]+/iu)?.[0] || '';
+  if (!letters) return -1;
+  return (
+    letters
+      .toUpperCase()
+      .split('')
+      .reduce((total, letter) => total * 26 + (letter.charCodeAt(0) - 64), 0) - 1
+  );
+}
+
+// Inline strings avoid a shared-string table; Excel converts them on save.
+function formatTranslationXlsx(document) {
+  const rows = buildTranslationTable(document);
+  const columnCount = rows[0].length;
+  const sheetRows = rows.map((row, rowIndex) => {
+    const cells = row
+      .map((value, columnIndex) => {
+        if (!value) return '';
+        return `<c r="${formatXlsxColumnName(columnIndex)}${
+          rowIndex + 1
+        }" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+      })
+      .join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  });
+  const columnWidths = Array.from({ length: columnCount }, (_, columnIndex) => {
+    const width = columnIndex < 4 ? 16 : 40;
+    return `<col min="${columnIndex + 1}" max="${columnIndex + 1}" width="${width}" customWidth="1"/>`;
+  }).join('');
+
+  return createZipArchive([
+    {
+      name: '[Content_Types].xml',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${XLSX_SHEET_NAME}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>',
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<cols>${columnWidths}</cols>` +
+        `<sheetData>${sheetRows.join('')}</sheetData>` +
+        '</worksheet>',
+    },
+  ]);
+}
+
+function formatTranslationExchangeFile(format, document, { targetLanguageId = '' } = {}) {
+  if (format === TRANSLATION_EXCHANGE_FORMATS.XLIFF) {
+    return formatTranslationXliff(document, targetLanguageId);
+  }
+  if (format === TRANSLATION_EXCHANGE_FORMATS.CSV) {
+    return formatTranslationCsv(document);
+  }
+  if (format === TRANSLATION_EXCHANGE_FORMATS.XLSX) {
+    return formatTranslationXlsx(document);
+  }
+  throw createTranslationExchangeError(
+    '僅支援 XLIFF、CSV 或 XLSX 翻譯檔',
+    'UNSUPPORTED_TRANSLATION_FILE',
+  );
+}
+
+// Spreadsheet apps in some locales save CSV with semicolons or tabs, so the
+// delimiter is whichever appears most in the header row.
+function detectCsvDelimiter(text) {
+  const header = text.split(/\r?\n/u, 1)[0] || '';
+  const counts = [',', ';', '\t'].map((delimiter) => ({
+    delimiter,
+    count: header.split(delimiter).length - 1,
+  }));
+  counts.sort((left, right) => right.count - left.count);
+  return counts[0].count > 0 ? counts[0].delimiter : ',';
+}
+
+function parseCsvRows(text) {
+  const delimiter = detectCsvDelimiter(text);
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        value += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+      continue;
+    }
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (value || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function parseTranslationTable(rows) {
+  const header = (rows[0] || []).map((value) => String(value || '').trim());
+  const lineIdColumn = header.findIndex(
+    (value) => value.toLowerCase() === TRANSLATION_EXCHANGE_COLUMNS.LINE_ID,
+  );
+  if (lineIdColumn < 0) {
+    throw createTranslationExchangeError(
+      `找不到 ${TRANSLATION_EXCHANGE_COLUMNS.LINE_ID} 欄位，請使用匯出的翻譯表`,
+      'INVALID_TRANSLATION_FILE',
+    );
+  }
+
+  const fixedColumns = new Set(Object.values(TRANSLATION_EXCHANGE_COLUMNS));
+  const languages = [];
+  header.forEach((value, columnIndex) => {
+    if (!value || fixedColumns.has(value.toLowerCase())) return;
+    const match = value.match(LANGUAGE_COLUMN_PATTERN);
+    languages.push({
+      key: String(columnIndex),
+      languageId: match ? match[2].trim() : null,
+      name: match ? match[1].trim() : value,
+      code: null,
+    });
+  });
+
+  const entries = rows.slice(1).flatMap((row) => {
+    const lineId = String(row[lineIdColumn] || '').trim();
+    if (!lineId) return [];
+    const texts = {};
+    languages.forEach((language) => {
+      texts[language.key] = String(row[Number(language.key)] ?? '');
+    });
+    return [{ lineId, texts, state: null }];
+  });
+  return { languages, entries };
+}
+
+function readXlsxSharedStrings(xml) {
+  const strings = [];
+  if (!xml) return strings;
+  let current = null;
+  let inText = false;
+  let phoneticDepth = 0;
+  tokenizeXml(xml).forEach((token) => {
+    if (token.name === 'si') {
+      if (token.kind === 'open') current = '';
+      if (token.kind === 'empty') strings.push('');
+      if (token.kind === 'close') {
+        strings.push(current || '');
+        current = null;
+      }
+    } else if (token.name === 'rPh') {
+      // Phonetic guides (furigana) are not part of the cell value.
+      if (token.kind === 'open') phoneticDepth += 1;
+      if (token.kind === 'close') phoneticDepth = Math.max(0, phoneticDepth - 1);
+    } else if (token.name === 't') {
+      inText = token.kind === 'open';
+    } else if (token.kind === 'text' && inText && current !== null && !phoneticDepth) {
+      current += token.text;
+    }
+  });
+  return strings;
+}
+
+function resolveXlsxFirstSheetPath(buffer, entries) {
+  const workbookXml = readZipEntry(buffer, entries, 'xl/workbook.xml') || '';
+  const sheetToken = tokenizeXml(workbookXml).find(
+    (token) => token.name === 'sheet' && token.kind !== 'close',
+  );
+  const relationId = sheetToken ? getXmlAttribute(sheetToken.tag, 'r:id') : null;
+  const relsXml = readZipEntry(buffer, entries, 'xl/_rels/workbook.xml.rels') || '';
+  const relation = tokenizeXml(relsXml).find(
+    (token) =>
+      token.name === 'Relationship' &&
+      relationId &&
+      getXmlAttribute(token.tag, 'Id') === relationId,
+  );
+  const target = relation ? getXmlAttribute(relation.tag, 'Target') || '' : '';
+  if (!target) return 'xl/worksheets/sheet1.xml';
+  return target.startsWith('/')
+    ? target.slice(1)
+    : path.posix.normalize(`xl/${target}`);
+}
+
+function readXlsxParts(buffer) {
+  try {
+    const entries = readZipEntries(buffer);
+    return {
+      sheetXml: readZipEntry(buffer, entries, resolveXlsxFirstSheetPath(buffer, entries)),
+      sharedStringsXml: readZipEntry(buffer, entries, 'xl/sharedStrings.xml'),
+    };
+  } catch (error) {
+    if (error?.code !== 'INVALID_DOCUMENT') throw error;
+    throw createTranslationExchangeError(
+      '試算表檔案損毀或不完整，無法讀取',
+      'INVALID_TRANSLATION_FILE',
+    );
+  }
+}
+
+function readXlsxRows(buffer) {
+  const { sheetXml, sharedStringsXml } = readXlsxParts(buffer);
+  if (!sheetXml) {
+    throw createTranslationExchangeError(
+      '試算表中找不到工作表',
+      'INVALID_TRANSLATION_FILE',
+    );
+  }
+  const sharedStrings = readXlsxSharedStrings(sharedStringsXml);
+
+  const rows = [];
+  let rowIndex = -1;
+  let cell = null;
+  let textTarget = null;
+  tokenizeXml(sheetXml).forEach((token) => {
+    if (token.name === 'row' && token.kind !== 'close') {
+      const declared = Number(getXmlAttribute(token.tag, 'r'));
+      rowIndex = Number.isInteger(declared) && declared > 0 ? declared - 1 : rowIndex + 1;
+      rows[rowIndex] = rows[rowIndex] || [];
+    } else if (token.name === 'c') {
+      if (token.kind === 'open') {
+        const declaredColumn = parseXlsxColumnIndex(getXmlAttribute(token.tag, 'r'));
+        cell = {
+          column: declaredColumn >= 0 ? declaredColumn : (rows[rowIndex] || []).length,
+          type: getXmlAttribute(token.tag, 't') || '',
+          value: '',
+        };
+      } else if (token.kind === 'close' && cell && rowIndex >= 0) {
+        rows[rowIndex][cell.column] =
+          cell.type === 's' ? sharedStrings[Number(cell.value)] || '' : cell.value;
+        cell = null;
+      }
+    } else if ((token.name === 'v' || token.name === 't') && cell) {
+      textTarget = token.kind === 'open' ? token.name : null;
+    } else if (token.kind === 'text' && cell && textTarget) {
+      cell.value += token.text;
+    }
+  });
+  return Array.from(rows, (row) => Array.from(row || [], (value) => value ?? ''));
+}
+
+function parseTranslationXliff(text) {
+  const tokens = tokenizeXml(text);
+  const root = tokens.find((token) => token.name === 'xliff' && token.kind === 'open');
+  if (!root) {
+    throw createTranslationExchangeError('XLIFF 格式不正確', 'INVALID_TRANSLATION_FILE');
+  }
+  if (!String(getXmlAttribute(root.tag, 'version') || '').startsWith('2.')) {
+    throw createTranslationExchangeError(
+      '僅支援 XLIFF 2.0 檔案',
+      'UNSUPPORTED_TRANSLATION_FILE',
+    );
+  }
+
+  const entries = [];
+  let unit = null;
+  let field = null;
+  let ignorableDepth = 0;
+  tokens.forEach((token) => {
+    if (token.name === 'unit') {
+      if (token.kind === 'open') {
+        unit = {
+          lineId: String(getXmlAttribute(token.tag, 'id') || '').trim(),
+          texts: { source: '', target: '' },
+          state: null,
+        };
+      } else if (token.kind === 'close' && unit) {
+        if (unit.lineId) entries.push(unit);
+        unit = null;
+      }
+    } else if (!unit) {
+      // content outside units carries nothing to import
+    } else if (token.name === 'segment' && token.kind === 'open') {
+      const state = getXmlAttribute(token.tag, 'state');
+      if (state && unit.state !== XLIFF_INITIAL_STATE) unit.state = state;
+    } else if (token.name === 'ignorable') {
+      if (token.kind === 'open') ignorableDepth += 1;
+      if (token.kind === 'close') ignorableDepth = Math.max(0, ignorableDepth - 1);
+    } else if (token.name === 'source' || token.name === 'target') {
+      field = token.kind === 'open' && !ignorableDepth ? token.name : null;
+    } else if (token.kind === 'text' && field) {
+      // Inline codes are dropped; their text children still belong to the segment.
+      unit.texts[field] += token.text;
+    }
+  });
+
+  return {
+    languages: [
+      {
+        key: 'source',
+        languageId: 'primary',
+        name: '',
+        code: getXmlAttribute(root.tag, 'srcLang'),
+      },
+      {
+        key: 'target',
+        languageId: getXmlAttribute(root.tag, 'sm:languageId'),
+        name: '',
+        code: getXmlAttribute(root.tag, 'trgLang'),
+      },
+    ],
+    entries,
+  };
+}
+
+// Every format comes back as language columns plus one entry per line id;
+// matching columns to session languages is left to the caller.
+function parseTranslationExchangeFile(buffer, format) {
+  if (format === TRANSLATION_EXCHANGE_FORMATS.XLSX) {
+    return parseTranslationTable(readXlsxRows(buffer));
+  }
+  if (format === TRANSLATION_EXCHANGE_FORMATS.XLIFF) {
+    return parseTranslationXliff(decodeSubtitleBuffer(buffer));
+  }
+  if (format === TRANSLATION_EXCHANGE_FORMATS.CSV) {
+    return parseTranslationTable(parseCsvRows(decodeSubtitleBuffer(buffer)));
+  }
+  throw createTranslationExchangeError(
+    '僅支援 .xlf / .xliff、.csv 或 .xlsx 翻譯檔',
+    'UNSUPPORTED_TRANSLATION_FILE',
+  );
+}
+
+module.exports = {
+  formatCsvValue,
+  formatTranslationExchangeFile,
+  parseTranslationExchangeFile,
+  resolveTranslationExchangeFormat,
+  TRANSLATION_EXCHANGE_FORMATS,
+};